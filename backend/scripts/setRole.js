@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * Give an existing account a role, e.g. to promote it to admin:
+ *
+ *   npm run set-role -- admin@example.com admin
+ *
+ * Runs against the same DATABASE_PATH as the server. The new role reaches
+ * the account's access token on its next refresh or login.
+ */
+require('dotenv').config();
+
+const database = require('../src/config/database');
+const userService = require('../src/services/userService');
+
+const [email, role] = process.argv.slice(2);
+
+const main = async () => {
+  if (!email || !role) {
+    console.error('Usage: npm run set-role -- <email> <user|admin>');
+    return 1;
+  }
+
+  await database.initialize();
+  try {
+    const user = await userService.setRole(email, role);
+    console.log(`${user.email} (id ${user.id}) is now ${user.role}`);
+    return 0;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  } finally {
+    await database.close();
+  }
+};
+
+main().then(code => {
+  process.exitCode = code;
+});
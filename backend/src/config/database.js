@@ -1,20 +1,29 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const logger = require('../utils/logger');
 
+/**
+ * Every request shares one sqlite connection, and a transaction on it
+ * captures every statement sent until COMMIT. Statements therefore go
+ * through a queue: a transaction holds the queue until it ends, and the
+ * statements it runs itself, recognised by their async context, skip it.
+ */
 class Database {
   constructor() {
     this.db = null;
+    this.queue = Promise.resolve();
+    this.transactionContext = new AsyncLocalStorage();
   }
 
   async initialize() {
     return new Promise((resolve, reject) => {
-      const dbPath = path.join(__dirname, '../../data/peptides.db');
+      const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../../data/peptides.db');
       
       // Create data directory if it doesn't exist
       const fs = require('fs');
       const dataDir = path.dirname(dbPath);
-      if (!fs.existsSync(dataDir)) {
+      if (dbPath !== ':memory:' && !fs.existsSync(dataDir)) {
         fs.mkdirSync(dataDir, { recursive: true });
       }
 
@@ -24,7 +33,10 @@ class Database {
           reject(err);
         } else {
           logger.info('Connected to SQLite database');
-          this.createTables()
+          // sqlite leaves foreign keys, and with them ON DELETE CASCADE, off unless asked per connection
+          this.run('PRAGMA foreign_keys = ON')
+            .then(() => this.createTables())
+            .then(() => this.migrate())
             .then(() => resolve())
             .catch(reject);
         }
@@ -42,6 +54,7 @@ class Database {
           password TEXT NOT NULL,
           firstName TEXT,
           lastName TEXT,
+          role TEXT NOT NULL DEFAULT 'user',
           createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
           updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
         )
@@ -53,8 +66,13 @@ class Database {
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           userId INTEGER NOT NULL,
           age INTEGER NOT NULL,
-          healthGoal TEXT NOT NULL,
+          healthGoal TEXT NOT NULL, -- primary (first) goal
+          healthGoals TEXT, -- JSON array of { goal, weight }
           suggestions TEXT NOT NULL, -- JSON string
+          warnings TEXT, -- JSON array of safety warnings
+          experiments TEXT, -- JSON array of { experiment, variant } that served the response
+          catalogVersion INTEGER, -- catalog_versions.version the suggestions were served from
+          engineVersion TEXT, -- app version and provider, e.g. 1.0.0+rules
           createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
           FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
         )
@@ -72,37 +90,301 @@ class Database {
         )
       `;
 
+      // Catalog tables - peptides, the goals they serve and their description variants
+      const createGoalsTable = `
+        CREATE TABLE IF NOT EXISTS goals (
+          key TEXT PRIMARY KEY,
+          label TEXT NOT NULL,
+          description TEXT,
+          icon TEXT,
+          parentKey TEXT, -- set for sub-goals, one level deep
+          sortOrder INTEGER NOT NULL DEFAULT 0,
+          isActive INTEGER NOT NULL DEFAULT 1,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `;
+
+      const createPeptidesTable = `
+        CREATE TABLE IF NOT EXISTS peptides (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          slug TEXT UNIQUE NOT NULL,
+          name TEXT NOT NULL,
+          description TEXT NOT NULL,
+          aliases TEXT, -- JSON array of other names the peptide is known by
+          isActive INTEGER NOT NULL DEFAULT 1,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `;
+
+      const createPeptideGoalsTable = `
+        CREATE TABLE IF NOT EXISTS peptide_goals (
+          peptideId INTEGER NOT NULL,
+          goalKey TEXT NOT NULL,
+          sortOrder INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (peptideId, goalKey),
+          FOREIGN KEY (peptideId) REFERENCES peptides (id) ON DELETE CASCADE,
+          FOREIGN KEY (goalKey) REFERENCES goals (key) ON DELETE CASCADE
+        )
+      `;
+
+      // Age-bracket / audience specific wording, first matching variant by priority wins
+      const createDescriptionVariantsTable = `
+        CREATE TABLE IF NOT EXISTS peptide_description_variants (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          peptideId INTEGER NOT NULL,
+          minAge INTEGER,
+          maxAge INTEGER,
+          authenticatedOnly INTEGER NOT NULL DEFAULT 0,
+          description TEXT NOT NULL,
+          priority INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (peptideId) REFERENCES peptides (id) ON DELETE CASCADE
+        )
+      `;
+
+      // One structured dosing protocol per peptide, see services/protocols.js
+      const createProtocolsTable = `
+        CREATE TABLE IF NOT EXISTS peptide_protocols (
+          peptideId INTEGER PRIMARY KEY,
+          amount REAL NOT NULL,
+          unit TEXT NOT NULL,
+          frequency TEXT NOT NULL,
+          timeOfDay TEXT NOT NULL DEFAULT '[]', -- JSON array
+          cycleOnWeeks INTEGER,
+          cycleOffWeeks INTEGER,
+          durationWeeks INTEGER,
+          notes TEXT,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (peptideId) REFERENCES peptides (id) ON DELETE CASCADE
+        )
+      `;
+
+      // References behind each peptide-goal claim, see services/evidence.js
+      const createReferencesTable = `
+        CREATE TABLE IF NOT EXISTS peptide_references (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          peptideId INTEGER NOT NULL,
+          goalKey TEXT NOT NULL,
+          title TEXT NOT NULL,
+          year INTEGER,
+          doi TEXT,
+          url TEXT,
+          studyType TEXT NOT NULL,
+          sortOrder INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (peptideId) REFERENCES peptides (id) ON DELETE CASCADE,
+          FOREIGN KEY (goalKey) REFERENCES goals (key) ON DELETE CASCADE
+        )
+      `;
+
+      // Declarative rules: conditions decide when a rule applies, effect decides what it does
+      const createRecommendationRulesTable = `
+        CREATE TABLE IF NOT EXISTS recommendation_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          peptideId INTEGER NOT NULL,
+          effect TEXT NOT NULL CHECK (effect IN ('include', 'exclude', 'boost', 'variant')),
+          amount REAL, -- score for include/boost
+          description TEXT, -- wording for variant
+          conditions TEXT NOT NULL DEFAULT '{}', -- JSON string
+          priority INTEGER NOT NULL DEFAULT 100,
+          isActive INTEGER NOT NULL DEFAULT 1,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (peptideId) REFERENCES peptides (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Conditions and medications a user has recorded, screened against data/interactions.json
+      const createHealthProfileTable = `
+        CREATE TABLE IF NOT EXISTS user_health_profile (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          type TEXT NOT NULL CHECK (type IN ('condition', 'medication')),
+          name TEXT NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (userId, type, name),
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Per-peptide outcome feedback on a saved suggestion, one row per history entry and peptide
+      const createFeedbackTable = `
+        CREATE TABLE IF NOT EXISTS suggestion_feedback (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          suggestionId INTEGER NOT NULL,
+          userId INTEGER NOT NULL,
+          peptideSlug TEXT NOT NULL,
+          rating INTEGER CHECK (rating BETWEEN 1 AND 5), -- null when not rated
+          tried INTEGER NOT NULL DEFAULT 0,
+          sideEffects TEXT, -- JSON array of reported side effects
+          comment TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (suggestionId, peptideSlug),
+          FOREIGN KEY (suggestionId) REFERENCES user_suggestions (id) ON DELETE CASCADE,
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Published catalog snapshots; suggestions are served from the latest
+      const createCatalogVersionsTable = `
+        CREATE TABLE IF NOT EXISTS catalog_versions (
+          version INTEGER PRIMARY KEY AUTOINCREMENT,
+          snapshot TEXT NOT NULL, -- JSON { goals, peptides, rules } as served
+          notes TEXT,
+          publishedBy INTEGER, -- null for the automatic initial publish
+          publishedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (publishedBy) REFERENCES users (id) ON DELETE SET NULL
+        )
+      `;
+
+      // A/B experiments on recommendation rules and description copy
+      const createExperimentsTable = `
+        CREATE TABLE IF NOT EXISTS experiments (
+          key TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          description TEXT,
+          status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'stopped')),
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `;
+
+      const createExperimentVariantsTable = `
+        CREATE TABLE IF NOT EXISTS experiment_variants (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          experimentKey TEXT NOT NULL,
+          key TEXT NOT NULL,
+          name TEXT,
+          weight INTEGER NOT NULL DEFAULT 1, -- share of traffic relative to the other variants
+          rules TEXT, -- JSON array of rules, shaped like /admin/rules bodies, added to the catalog's
+          descriptions TEXT, -- JSON { peptideSlug: description } overriding served copy
+          UNIQUE (experimentKey, key),
+          FOREIGN KEY (experimentKey) REFERENCES experiments (key) ON DELETE CASCADE
+        )
+      `;
+
+      // Sticky variant per subject: 'user:<id>' or 'anon:<X-Anonymous-Id>'
+      const createExperimentAssignmentsTable = `
+        CREATE TABLE IF NOT EXISTS experiment_assignments (
+          experimentKey TEXT NOT NULL,
+          subjectId TEXT NOT NULL,
+          variantKey TEXT NOT NULL,
+          assignedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (experimentKey, subjectId),
+          FOREIGN KEY (experimentKey) REFERENCES experiments (key) ON DELETE CASCADE
+        )
+      `;
+
+      // One row per suggestions response served by a variant
+      const createExperimentExposuresTable = `
+        CREATE TABLE IF NOT EXISTS experiment_exposures (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          experimentKey TEXT NOT NULL,
+          variantKey TEXT NOT NULL,
+          subjectId TEXT NOT NULL,
+          requestId TEXT NOT NULL,
+          suggestionId INTEGER, -- saved history entry, for signed-in users
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (experimentKey) REFERENCES experiments (key) ON DELETE CASCADE,
+          FOREIGN KEY (suggestionId) REFERENCES user_suggestions (id) ON DELETE SET NULL
+        )
+      `;
+
+      // Full-text index over the published catalog's peptides, rebuilt on each publish
+      const createPeptideSearchTable = `
+        CREATE VIRTUAL TABLE IF NOT EXISTS peptide_search USING fts5(
+          slug UNINDEXED,
+          name,
+          description,
+          aliases,
+          tokenize = 'porter unicode61'
+        )
+      `;
+
+      // Batch suggestion jobs run in the background for large clinic uploads
+      const createBatchJobsTable = `
+        CREATE TABLE IF NOT EXISTS batch_jobs (
+          id TEXT PRIMARY KEY, -- uuid returned to the client for polling
+          userId INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+          total INTEGER NOT NULL,
+          processed INTEGER NOT NULL DEFAULT 0,
+          items TEXT NOT NULL, -- JSON array of submitted records
+          results TEXT, -- JSON array of per-item results once completed
+          summary TEXT, -- JSON counts by item status
+          error TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          startedAt DATETIME,
+          completedAt DATETIME,
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Refresh tokens, stored as SHA-256 hashes. Each login starts a family;
+      // every refresh marks the presented token used and issues the next one in it
+      const createRefreshTokensTable = `
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          familyId TEXT NOT NULL,
+          tokenHash TEXT NOT NULL UNIQUE,
+          expiresAt DATETIME NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          usedAt DATETIME, -- set when rotated; presenting it again revokes the family
+          revokedAt DATETIME,
+          FOREIGN KEY (userId) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      const tables = [
+        { name: 'users', sql: createUsersTable },
+        { name: 'suggestions', sql: createSuggestionsTable },
+        { name: 'analytics', sql: createAnalyticsTable },
+        { name: 'goals', sql: createGoalsTable },
+        { name: 'peptides', sql: createPeptidesTable },
+        { name: 'peptide_goals', sql: createPeptideGoalsTable },
+        { name: 'peptide_description_variants', sql: createDescriptionVariantsTable },
+        { name: 'peptide_protocols', sql: createProtocolsTable },
+        { name: 'peptide_references', sql: createReferencesTable },
+        { name: 'recommendation_rules', sql: createRecommendationRulesTable },
+        { name: 'user_health_profile', sql: createHealthProfileTable },
+        { name: 'suggestion_feedback', sql: createFeedbackTable },
+        { name: 'catalog_versions', sql: createCatalogVersionsTable },
+        { name: 'experiments', sql: createExperimentsTable },
+        { name: 'experiment_variants', sql: createExperimentVariantsTable },
+        { name: 'experiment_assignments', sql: createExperimentAssignmentsTable },
+        { name: 'experiment_exposures', sql: createExperimentExposuresTable },
+        { name: 'batch_jobs', sql: createBatchJobsTable },
+        { name: 'refresh_tokens', sql: createRefreshTokensTable },
+        { name: 'peptide_search', sql: createPeptideSearchTable }
+      ];
+
       // Create indexes for better performance
       const createIndexes = [
         'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
         'CREATE INDEX IF NOT EXISTS idx_suggestions_user ON user_suggestions(userId)',
         'CREATE INDEX IF NOT EXISTS idx_analytics_goal ON analytics(goalType)',
-        'CREATE INDEX IF NOT EXISTS idx_analytics_date ON analytics(createdAt)'
+        'CREATE INDEX IF NOT EXISTS idx_analytics_date ON analytics(createdAt)',
+        'CREATE INDEX IF NOT EXISTS idx_peptide_goals_goal ON peptide_goals(goalKey, sortOrder)',
+        'CREATE INDEX IF NOT EXISTS idx_description_variants_peptide ON peptide_description_variants(peptideId)',
+        'CREATE INDEX IF NOT EXISTS idx_references_peptide ON peptide_references(peptideId, goalKey)',
+        'CREATE INDEX IF NOT EXISTS idx_health_profile_user ON user_health_profile(userId)',
+        'CREATE INDEX IF NOT EXISTS idx_feedback_peptide ON suggestion_feedback(peptideSlug)',
+        'CREATE INDEX IF NOT EXISTS idx_exposures_experiment ON experiment_exposures(experimentKey, variantKey)',
+        'CREATE INDEX IF NOT EXISTS idx_batch_jobs_status ON batch_jobs(status)',
+        'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(familyId)'
       ];
 
       this.db.serialize(() => {
-        this.db.run(createUsersTable, (err) => {
-          if (err) {
-            logger.error('Error creating users table:', err);
-            reject(err);
-            return;
-          }
-        });
-
-        this.db.run(createSuggestionsTable, (err) => {
-          if (err) {
-            logger.error('Error creating suggestions table:', err);
-            reject(err);
-            return;
-          }
-        });
-
-        this.db.run(createAnalyticsTable, (err) => {
-          if (err) {
-            logger.error('Error creating analytics table:', err);
-            reject(err);
-            return;
-          }
+        tables.forEach(({ name, sql }) => {
+          this.db.run(sql, (err) => {
+            if (err) {
+              logger.error(`Error creating ${name} table:`, err);
+              reject(err);
+            }
+          });
         });
 
         // Create indexes
@@ -114,12 +396,120 @@ class Database {
           });
         });
 
-        logger.info('Database tables created successfully');
-        resolve();
+        // Statements run in order inside serialize(), so this callback fires
+        // only after every table and index above has been created
+        this.db.run('SELECT 1', (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          logger.info('Database tables created successfully');
+          resolve();
+        });
       });
     });
   }
 
+  // Add columns introduced after a table was first created
+  async migrate() {
+    const columns = [
+      { table: 'users', column: 'role', definition: "TEXT NOT NULL DEFAULT 'user'" },
+      { table: 'user_suggestions', column: 'healthGoals', definition: 'TEXT' },
+      { table: 'user_suggestions', column: 'warnings', definition: 'TEXT' },
+      { table: 'user_suggestions', column: 'experiments', definition: 'TEXT' },
+      { table: 'user_suggestions', column: 'catalogVersion', definition: 'INTEGER' },
+      { table: 'user_suggestions', column: 'engineVersion', definition: 'TEXT' },
+      { table: 'peptides', column: 'aliases', definition: 'TEXT' },
+      { table: 'goals', column: 'icon', definition: 'TEXT' },
+      { table: 'goals', column: 'parentKey', definition: 'TEXT' }
+    ];
+
+    for (const { table, column, definition } of columns) {
+      const existing = await this.all(`PRAGMA table_info(${table})`);
+      if (!existing.some(info => info.name === column)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        logger.info('Database column added', { table, column });
+      }
+    }
+  }
+
+  /**
+   * Run a task once every statement and transaction queued before it has
+   * finished. Tasks started inside a transaction run right away, since the
+   * transaction already holds the queue.
+   * @param {Function} task - Returns a promise
+   */
+  enqueue(task) {
+    if (this.transactionContext.getStore()) {
+      return task();
+    }
+
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Promise wrappers around the sqlite3 callback API
+  async run(query, params = []) {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      this.db.run(query, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    }));
+  }
+
+  async get(query, params = []) {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      this.db.get(query, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    }));
+  }
+
+  async all(query, params = []) {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    }));
+  }
+
+  /**
+   * Run a series of statements atomically; rolls back if the callback throws.
+   * One transaction runs at a time, and other statements wait for it to end.
+   * A transaction started inside another joins it.
+   * @param {Function} work - Async callback issuing the statements
+   */
+  async transaction(work) {
+    if (this.transactionContext.getStore()) {
+      return work();
+    }
+
+    return this.enqueue(() => this.transactionContext.run(true, async () => {
+      await this.run('BEGIN TRANSACTION');
+      try {
+        const result = await work();
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+    }));
+  }
+
   getDatabase() {
     return this.db;
   }
@@ -0,0 +1,139 @@
+const { AppError } = require('../utils/errors');
+
+/**
+ * API versions, oldest first. Every version is mounted at /<version> with
+ * the same routers; `shapes` lets a version change what a route returns,
+ * keyed by 'METHOD /mount/route' as in the OpenAPI operations list.
+ * A shape receives every v1 body the route sends, errors included, and
+ * returns the body for its version, e.g.
+ *
+ *   v2: { shapes: { 'POST /suggestions': body => (body.success ? { success: true, data: body } : body) } }
+ *
+ * Streamed responses are written directly and are not reshaped.
+ */
+const API_VERSIONS = {
+  v1: { shapes: {} }
+};
+
+// Newest version, documented by /openapi.json
+const LATEST_VERSION = Object.keys(API_VERSIONS).pop();
+
+// Served on the unversioned paths, which predate /v1 and keep their shapes until the sunset
+const LEGACY_VERSION = 'v1';
+
+/**
+ * Read an optional date setting
+ * @param {string} name - Environment variable holding an ISO date
+ * @returns {Date|null} The date, or null when it is not set
+ */
+const readDate = (name) => {
+  if (!process.env[name]) {
+    return null;
+  }
+
+  const date = new Date(process.env[name]);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be an ISO date, got '${process.env[name]}'`);
+  }
+  return date;
+};
+
+// When the unversioned paths were deprecated and when they stop being served; unset means not announced
+const DEPRECATED_AT = readDate('UNVERSIONED_API_DEPRECATED_AT');
+const SUNSET_AT = readDate('UNVERSIONED_API_SUNSET');
+
+/**
+ * Key of the route handling a request, without the version prefix
+ * @returns {string} e.g. 'GET /auth/suggestions/:id/pdf'
+ */
+const routeKey = (req) => {
+  const mountPath = req.baseUrl.replace(/^\/v\d+/, '');
+  const routePath = req.route.path === '/' && mountPath ? '' : req.route.path;
+  return `${req.method} ${mountPath}${routePath}`;
+};
+
+/**
+ * Serve a request as a version: record it, announce it, and reshape JSON
+ * responses that the version defines a shape for
+ * @param {string} version - Key of API_VERSIONS
+ * @returns {Function} Express middleware
+ */
+const useVersion = version => (req, res, next) => {
+  const { shapes } = API_VERSIONS[version];
+
+  req.apiVersion = version;
+  res.set('API-Version', version);
+
+  if (Object.keys(shapes).length > 0) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const shape = req.route && shapes[routeKey(req)];
+      return json(shape ? shape(body, req) : body);
+    };
+  }
+
+  next();
+};
+
+/**
+ * Unversioned paths: point to the versioned path, announce the configured
+ * deprecation and sunset dates, and stop serving them after the sunset.
+ * Clients that can't change their URLs yet may pick a version with the
+ * Accept-Version header; a version in the path always takes precedence
+ * over the header.
+ */
+const unversioned = (req, res, next) => {
+  const requested = req.get('Accept-Version');
+
+  if (requested && !API_VERSIONS[requested]) {
+    return next(new AppError(
+      'UNSUPPORTED_API_VERSION',
+      `API version ${requested} is not supported. Supported versions: ${Object.keys(API_VERSIONS).join(', ')}`
+    ));
+  }
+
+  const version = requested || LEGACY_VERSION;
+  const successor = `/${version}${req.originalUrl}`;
+
+  if (SUNSET_AT && Date.now() >= SUNSET_AT.getTime()) {
+    return next(new AppError(
+      'UNVERSIONED_API_GONE',
+      `Unversioned API paths were retired on ${SUNSET_AT.toUTCString()}. Use ${successor}`
+    ));
+  }
+
+  res.set('Link', `<${successor}>; rel="successor-version"`);
+  if (DEPRECATED_AT) {
+    res.set('Deprecation', `@${Math.floor(DEPRECATED_AT.getTime() / 1000)}`);
+  }
+  if (SUNSET_AT) {
+    res.set('Sunset', SUNSET_AT.toUTCString());
+  }
+
+  return useVersion(version)(req, res, next);
+};
+
+/**
+ * Answer /vN paths for versions that don't exist with a clear error rather than a bare 404
+ */
+const rejectUnsupportedVersion = (req, res, next) => {
+  const [, version] = req.path.match(/^\/(v\d+)(?:\/|$)/) || [];
+
+  if (!version || API_VERSIONS[version]) {
+    return next();
+  }
+
+  return next(new AppError(
+    'API_VERSION_NOT_FOUND',
+    `API version ${version} does not exist. Supported versions: ${Object.keys(API_VERSIONS).join(', ')}`
+  ));
+};
+
+module.exports = {
+  API_VERSIONS,
+  LATEST_VERSION,
+  LEGACY_VERSION,
+  useVersion,
+  unversioned,
+  rejectUnsupportedVersion
+};
@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const { AppError, AuthenticationError, ForbiddenError } = require('../utils/errors');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; clients renew them with a refresh token (POST /auth/refresh)
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 class AuthMiddleware {
   // Generate JWT token
@@ -11,7 +13,8 @@ class AuthMiddleware {
       id: user.id,
       email: user.email,
       firstName: user.firstName,
-      lastName: user.lastName
+      lastName: user.lastName,
+      role: user.role || 'user'
     };
 
     return jwt.sign(payload, JWT_SECRET, {
@@ -26,13 +29,7 @@ class AuthMiddleware {
       const authHeader = req.headers.authorization;
       
       if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            message: 'Access token is required',
-            code: 'TOKEN_MISSING'
-          }
-        });
+        return next(new AuthenticationError('Access token is required', 'TOKEN_MISSING'));
       }
 
       const token = authHeader.substring(7); // Remove 'Bearer ' prefix
@@ -56,13 +53,7 @@ class AuthMiddleware {
             errorCode = 'TOKEN_MALFORMED';
           }
 
-          return res.status(401).json({
-            success: false,
-            error: {
-              message: errorMessage,
-              code: errorCode
-            }
-          });
+          return next(new AuthenticationError(errorMessage, errorCode));
         }
 
         // Add user info to request object
@@ -71,18 +62,13 @@ class AuthMiddleware {
       });
 
     } catch (error) {
-      logger.error('Auth middleware error:', error);
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: 'Authentication system error',
-          code: 'AUTH_SYSTEM_ERROR'
-        }
-      });
+      return next(new AppError('AUTH_SYSTEM_ERROR', undefined, { cause: error }));
     }
   }
 
-  // Optional middleware for routes that can work with or without authentication
+  // Optional middleware for routes that can work with or without authentication.
+  // Only a request without a token is anonymous; a token that is sent must be valid,
+  // so an expired one gets TOKEN_EXPIRED and the client can refresh it.
   static optionalAuth(req, res, next) {
     const authHeader = req.headers.authorization;
     
@@ -92,17 +78,22 @@ class AuthMiddleware {
       return next();
     }
 
-    const token = authHeader.substring(7);
+    return AuthMiddleware.verifyToken(req, res, next);
+  }
 
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-      if (err) {
-        // Invalid token, but continue without user info
-        req.user = null;
-      } else {
-        req.user = decoded;
-      }
-      next();
-    });
+  // Middleware to restrict a route to admins, use after verifyToken
+  static requireAdmin(req, res, next) {
+    if (!req.user || req.user.role !== 'admin') {
+      logger.warn('Admin access denied:', {
+        userId: req.user?.id,
+        url: req.originalUrl,
+        ip: req.ip
+      });
+
+      return next(new ForbiddenError('Admin access is required', 'ADMIN_REQUIRED'));
+    }
+
+    next();
   }
 
   // Verify token without middleware (for direct use)
@@ -113,45 +104,6 @@ class AuthMiddleware {
       return null;
     }
   }
-
-  // Refresh token (generate new token from valid token)
-  static refreshToken(req, res, next) {
-    try {
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            message: 'User not authenticated',
-            code: 'USER_NOT_AUTHENTICATED'
-          }
-        });
-      }
-
-      const newToken = AuthMiddleware.generateToken(req.user);
-      
-      res.json({
-        success: true,
-        data: {
-          token: newToken,
-          user: {
-            id: req.user.id,
-            email: req.user.email,
-            firstName: req.user.firstName,
-            lastName: req.user.lastName
-          }
-        }
-      });
-    } catch (error) {
-      logger.error('Token refresh error:', error);
-      return res.status(500).json({
-        success: false,
-        error: {
-          message: 'Failed to refresh token',
-          code: 'TOKEN_REFRESH_ERROR'
-        }
-      });
-    }
-  }
 }
 
-module.exports = AuthMiddleware;
\ No newline at end of file
+module.exports = AuthMiddleware;
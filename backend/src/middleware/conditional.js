@@ -0,0 +1,29 @@
+const logger = require('../utils/logger');
+const catalogService = require('../services/catalogService');
+
+/**
+ * Conditional GET for responses built only from the published catalog.
+ * The ETag names the catalog version and Last-Modified is its publish time;
+ * res.json answers 304 when they match the request's, but only for
+ * successful responses, so a missing peptide still gets its 404.
+ */
+const catalogConditional = async (req, res, next) => {
+  try {
+    const { version, publishedAt } = await catalogService.getCatalog();
+
+    res.set({
+      'Cache-Control': 'no-cache',
+      ETag: `W/"catalog-${version}"`,
+      'Last-Modified': new Date(`${publishedAt.replace(' ', 'T')}Z`).toUTCString()
+    });
+  } catch (error) {
+    // Answer without validators rather than fail the request
+    logger.warn('Catalog validators unavailable:', { url: req.originalUrl, error: error.message });
+  }
+
+  next();
+};
+
+module.exports = {
+  catalogConditional
+};
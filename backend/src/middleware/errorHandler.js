@@ -1,145 +1,118 @@
+const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const {
+  ERROR_CODES,
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  ServiceUnavailableError
+} = require('../utils/errors');
 
 /**
- * Custom error classes for better error handling
+ * Turn anything thrown into an AppError. Errors raised by Express's body
+ * parser keep their meaning; anything else unexpected becomes the fallback code.
+ * @param {Error} error - Thrown error
+ * @param {string} fallbackCode - Code for unexpected errors
+ * @returns {AppError}
  */
-class AppError extends Error {
-  constructor(message, statusCode, isOperational = true) {
-    super(message);
-    this.statusCode = statusCode;
-    this.isOperational = isOperational;
-    this.timestamp = new Date().toISOString();
-    
-    Error.captureStackTrace(this, this.constructor);
+const toAppError = (error, fallbackCode = 'INTERNAL_ERROR') => {
+  if (error instanceof AppError) {
+    return error;
   }
-}
 
-class ValidationError extends AppError {
-  constructor(message, details = null) {
-    super(message, 400);
-    this.details = details;
-    this.type = 'VALIDATION_ERROR';
+  if (error.type === 'entity.parse.failed') {
+    return new AppError('INVALID_JSON', undefined, { cause: error });
   }
-}
-
-class NotFoundError extends AppError {
-  constructor(resource = 'Resource') {
-    super(`${resource} not found`, 404);
-    this.type = 'NOT_FOUND_ERROR';
-  }
-}
-
-class RateLimitError extends AppError {
-  constructor(message = 'Too many requests') {
-    super(message, 429);
-    this.type = 'RATE_LIMIT_ERROR';
+  if (error.type === 'entity.too.large') {
+    return new AppError('PAYLOAD_TOO_LARGE', undefined, { cause: error });
   }
-}
 
-class ServiceUnavailableError extends AppError {
-  constructor(service = 'Service') {
-    super(`${service} is currently unavailable`, 503);
-    this.type = 'SERVICE_UNAVAILABLE_ERROR';
-  }
-}
+  return new AppError(fallbackCode, undefined, { cause: error });
+};
 
 /**
- * Global error handler middleware
- * Must be the last middleware in the application
+ * Log an error and build the response body every error is sent with:
+ * { success: false, error: { code, message, errorId, timestamp, field?, fields?, requestId?, retryAfter? } }
+ * @param {Error} thrown - Thrown error
+ * @param {Object} req - Express request
+ * @returns {Object} { statusCode, body }
  */
-const globalErrorHandler = (error, req, res, next) => {
-  // Default error properties
-  let statusCode = error.statusCode || 500;
-  let message = error.message || 'Internal Server Error';
-  let type = error.type || 'UNKNOWN_ERROR';
-  
-  // Generate unique error ID for tracking
-  const errorId = require('uuid').v4();
-  
-  // Log error details
+const buildErrorResponse = (thrown, req) => {
+  const error = toAppError(thrown);
+  const errorId = uuidv4();
+  // The original error carries the stack and message worth logging for unexpected failures
+  const source = error.cause || error;
+
   const errorLog = {
     errorId,
-    type,
-    message: error.message,
-    statusCode,
-    stack: error.stack,
-    url: req.url,
+    code: error.code,
+    message: source.message,
+    statusCode: error.statusCode,
+    url: req.originalUrl,
     method: req.method,
     ip: req.ip,
-    userAgent: req.get('User-Agent'),
-    timestamp: new Date().toISOString(),
-    body: req.body,
-    query: req.query,
-    params: req.params
+    userId: req.user?.id,
+    requestId: error.requestId
   };
-  
-  // Log based on severity
-  if (statusCode >= 500) {
-    logger.error('Server Error', errorLog);
-  } else if (statusCode >= 400) {
-    logger.warn('Client Error', errorLog);
+
+  if (error.statusCode >= 500) {
+    logger.error('Server Error', { ...errorLog, stack: source.stack });
   } else {
-    logger.info('Request Error', errorLog);
-  }
-  
-  // Handle specific error types
-  if (error.name === 'ValidationError') {
-    statusCode = 400;
-    message = 'Validation failed';
-    type = 'VALIDATION_ERROR';
-  } else if (error.name === 'CastError') {
-    statusCode = 400;
-    message = 'Invalid data format';
-    type = 'CAST_ERROR';
-  } else if (error.code === 'ECONNREFUSED') {
-    statusCode = 503;
-    message = 'Service temporarily unavailable';
-    type = 'CONNECTION_ERROR';
-  } else if (error.code === 'ETIMEDOUT') {
-    statusCode = 504;
-    message = 'Request timeout';
-    type = 'TIMEOUT_ERROR';
+    logger.warn('Client Error', errorLog);
   }
-  
-  // Prepare error response
-  const errorResponse = {
+
+  const body = {
     success: false,
     error: {
-      type,
-      message,
+      code: error.code,
+      message: error.message,
       errorId,
       timestamp: new Date().toISOString()
     }
   };
-  
-  // Add additional details for development environment
+
+  ['field', 'fields', 'requestId', 'retryAfter']
+    .filter(key => error[key] !== undefined && error[key] !== null)
+    .forEach(key => {
+      body.error[key] = error[key];
+    });
+
   if (process.env.NODE_ENV === 'development') {
-    errorResponse.error.stack = error.stack;
-    errorResponse.error.details = error.details || null;
-  }
-  
-  // Add specific details for validation errors
-  if (error instanceof ValidationError && error.details) {
-    errorResponse.error.validationDetails = error.details;
+    body.error.stack = source.stack;
   }
-  
-  // Add retry information for rate limiting
-  if (error instanceof RateLimitError) {
-    res.set('Retry-After', '60'); // Suggest retry after 60 seconds
-    errorResponse.error.retryAfter = 60;
+
+  return { statusCode: error.statusCode, body };
+};
+
+/**
+ * Global error handler middleware
+ * Must be the last middleware in the application. Express recognises error
+ * handlers by their four parameters, so next stays although it is unused.
+ */
+const globalErrorHandler = (error, req, res, next) => {
+  const { statusCode, body } = buildErrorResponse(error, req);
+
+  if (body.error.retryAfter) {
+    res.set('Retry-After', String(body.error.retryAfter));
   }
-  
-  // Send error response
-  res.status(statusCode).json(errorResponse);
+
+  res.status(statusCode).json(body);
 };
 
 /**
- * Async error wrapper for route handlers
- * Catches async errors and passes them to the global error handler
+ * Async error wrapper for route handlers. Errors a handler doesn't
+ * anticipate are reported with the route's own code so clients and logs
+ * can tell which operation failed.
+ * @param {Function} fn - Route handler
+ * @param {string} fallbackCode - Code for errors that aren't AppErrors
  */
-const asyncErrorHandler = (fn) => {
+const asyncErrorHandler = (fn, fallbackCode = 'INTERNAL_ERROR') => {
   return (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(next);
+    Promise.resolve(fn(req, res, next)).catch(error => next(toAppError(error, fallbackCode)));
   };
 };
 
@@ -147,8 +120,10 @@ const asyncErrorHandler = (fn) => {
  * 404 handler for unmatched routes
  */
 const notFoundHandler = (req, res, next) => {
-  const error = new NotFoundError(`Route ${req.method} ${req.path}`);
-  next(error);
+  next(new NotFoundError(
+    `The requested endpoint ${req.method} ${req.originalUrl.split('?')[0]} does not exist. See /openapi.json`,
+    'ENDPOINT_NOT_FOUND'
+  ));
 };
 
 /**
@@ -160,7 +135,7 @@ process.on('unhandledRejection', (reason, promise) => {
     stack: reason.stack,
     promise
   });
-  
+
   // Graceful shutdown
   process.exit(1);
 });
@@ -173,7 +148,7 @@ process.on('uncaughtException', (error) => {
     message: error.message,
     stack: error.stack
   });
-  
+
   // Graceful shutdown
   process.exit(1);
 });
@@ -182,9 +157,15 @@ module.exports = {
   globalErrorHandler,
   asyncErrorHandler,
   notFoundHandler,
+  buildErrorResponse,
+  toAppError,
+  ERROR_CODES,
   AppError,
   ValidationError,
+  AuthenticationError,
+  ForbiddenError,
   NotFoundError,
+  ConflictError,
   RateLimitError,
   ServiceUnavailableError
-};
\ No newline at end of file
+};
@@ -1,145 +1,237 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const safetyService = require('../services/safetyService');
+const catalogService = require('../services/catalogService');
+const { GRADES } = require('../services/evidence');
+const { AppError, ValidationError, RateLimitError } = require('../utils/errors');
 
 /**
- * Validation schema for suggestions request
+ * List of free-text condition or medication names
  */
-const suggestionsSchema = Joi.object({
-  age: Joi.number()
-    .integer()
-    .min(18)
-    .max(120)
-    .required()
-    .messages({
-      'number.base': 'Age must be a number',
-      'number.integer': 'Age must be a whole number',
-      'number.min': 'Age must be at least 18',
-      'number.max': 'Age cannot exceed 120',
-      'any.required': 'Age is required'
-    }),
-  
-  goal: Joi.string()
-    .valid('energy', 'sleep', 'focus', 'recovery', 'longevity')
-    .required()
+const healthTermsSchema = Joi.array()
+  .items(Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
     .messages({
-      'string.base': 'Goal must be a text value',
-      'any.only': 'Goal must be one of: energy, sleep, focus, recovery, longevity',
-      'any.required': 'Health goal is required'
-    })
+      'string.base': 'Each entry must be a text value',
+      'string.empty': 'Entries cannot be empty',
+      'string.max': 'Entries cannot exceed 100 characters'
+    }))
+  .max(30)
+  // Entries that failed validation are compared too, as every problem is collected
+  .unique((a, b) => String(a).toLowerCase() === String(b).toLowerCase())
+  .messages({
+    'array.base': 'Must be a list of names',
+    'array.max': 'No more than 30 entries can be recorded',
+    'array.unique': 'Each entry can only be listed once'
+  });
+
+/**
+ * Validation schema for a user's recorded conditions and medications
+ */
+const healthProfileSchema = Joi.object({
+  conditions: healthTermsSchema.default([]),
+  medications: healthTermsSchema.default([])
 });
 
+const ageSchema = Joi.number()
+  .integer()
+  .min(18)
+  .max(120)
+  .required()
+  .messages({
+    'number.base': 'Age must be a number',
+    'number.integer': 'Age must be a whole number',
+    'number.min': 'Age must be at least 18',
+    'number.max': 'Age must be 120 or less',
+    'any.required': 'Age is required'
+  });
+
 /**
- * Validation schema for PDF export request
+ * Build the goal-dependent schemas for a set of goal keys
+ * @param {Array} goalKeys - Active goal keys, sub-goals included
+ * @returns {Object} { goalKey, suggestions, pdfExport }
  */
-const pdfExportSchema = Joi.object({
-  age: Joi.number()
-    .integer()
-    .min(18)
-    .max(120)
-    .required(),
-  
-  goal: Joi.string()
-    .valid('energy', 'sleep', 'focus', 'recovery', 'longevity')
-    .required(),
-    
-  suggestions: Joi.array()
-    .items(Joi.object({
-      name: Joi.string().required(),
-      description: Joi.string().required(),
-      dosage: Joi.string().optional(),
-      timing: Joi.string().optional()
-    }))
-    .min(1)
-    .required()
+const buildGoalSchemas = (goalKeys) => {
+  const goalKeySchema = Joi.string()
+    .valid(...goalKeys)
     .messages({
-      'array.min': 'At least one suggestion is required for PDF export'
-    })
-});
+      'any.only': `Health goal must be one of: ${goalKeys.join(', ')}`
+    });
+
+  const suggestions = Joi.object({
+    age: ageSchema,
+    healthGoal: goalKeySchema,
+    // Ordered list of goals, either keys or { goal, weight }; earlier goals rank higher by default
+    healthGoals: Joi.array()
+      // Chosen by type, so a weighted goal reports its own field errors rather than a failed match
+      .items(Joi.alternatives().conditional(Joi.string(), {
+        then: goalKeySchema,
+        otherwise: Joi.object({
+          goal: goalKeySchema.required().messages({ 'any.required': 'Health goal is required' }),
+          weight: Joi.number()
+            .positive()
+            .max(10)
+            .optional()
+            .messages({
+              'number.base': 'Goal weight must be a number',
+              'number.positive': 'Goal weight must be greater than 0',
+              'number.max': 'Goal weight must be 10 or less'
+            })
+        }).messages({
+          'object.base': 'Each health goal must be a goal key or an object with a goal and weight'
+        })
+      }))
+      .min(1)
+      .max(goalKeys.length)
+      .unique((a, b) => (a.goal || a) === (b.goal || b))
+      .messages({
+        'array.min': 'At least one health goal is required',
+        'array.max': `No more than ${goalKeys.length} health goals can be requested`,
+        'array.unique': 'Each health goal can only be listed once'
+      }),
+    // Screened in addition to anything recorded on the user's health profile
+    conditions: healthTermsSchema.optional(),
+    medications: healthTermsSchema.optional(),
+    // Leave out suggestions backed by weaker evidence than this grade
+    minEvidenceGrade: Joi.string()
+      .valid(...Object.keys(GRADES))
+      .optional()
+      .messages({
+        'any.only': `Minimum evidence grade must be one of: ${Object.keys(GRADES).join(', ')}`
+      })
+  })
+    .xor('healthGoal', 'healthGoals')
+    .messages({
+      'object.missing': 'Health goal is required',
+      'object.xor': 'Provide either healthGoal or healthGoals, not both'
+    });
+
+  const pdfExport = Joi.object({
+    age: ageSchema,
+
+    goal: goalKeySchema,
+
+    goals: Joi.array()
+      .items(goalKeySchema)
+      .min(1)
+      .unique(),
+
+    suggestions: Joi.array()
+      .items(Joi.object({
+        name: Joi.string().required(),
+        description: Joi.string().required(),
+        dosage: Joi.string().optional(),
+        timing: Joi.string().optional(),
+        interactions: Joi.array()
+          .items(Joi.object({
+            term: Joi.string().required(),
+            reason: Joi.string().required()
+          }))
+          .optional()
+      }))
+      .min(1)
+      .required()
+      .messages({
+        'array.min': 'At least one suggestion is required for PDF export'
+      }),
+
+    warnings: Joi.array()
+      .items(Joi.object({
+        severity: Joi.string().valid('info', 'caution', 'block').required(),
+        message: Joi.string().required()
+      }))
+      .default([]),
+
+    generatedAt: Joi.date().iso().optional()
+  })
+    .xor('goal', 'goals')
+    .messages({
+      'object.missing': 'Health goal is required'
+    });
+
+  return { goalKey: goalKeySchema, suggestions, pdfExport };
+};
+
+// Built schemas per catalog goal list; the list is replaced whenever the catalog changes
+const goalSchemaCache = new WeakMap();
 
 /**
- * Generic validation middleware factory
- * @param {Joi.ObjectSchema} schema - Joi validation schema
+ * Schemas generated from the goal registry, so validation always accepts
+ * exactly the goals the catalog currently offers
+ * @returns {Object} { goalKey, suggestions, pdfExport }
+ */
+const getGoalSchemas = async () => {
+  const { goals } = await catalogService.getCatalog();
+
+  if (!goalSchemaCache.has(goals)) {
+    goalSchemaCache.set(goals, buildGoalSchemas(goals.map(goal => goal.key)));
+  }
+
+  return goalSchemaCache.get(goals);
+};
+
+/**
+ * Validation middleware shared by every route. Collects every problem rather
+ * than the first, and answers with a ValidationError whose `fields` maps each
+ * field to its messages; valid data replaces req[source] with Joi's converted value.
+ * @param {Joi.Schema|Function} schema - Joi schema, or an async function returning one
  * @param {string} source - Where to find data ('body', 'query', 'params')
+ * @param {Object} options - Extra Joi validation options
  * @returns {Function} Express middleware function
  */
-const validate = (schema, source = 'body') => {
-  return (req, res, next) => {
-    const data = req[source];
-    
-    const { error, value } = schema.validate(data, {
-      abortEarly: false, // Return all validation errors
-      stripUnknown: true, // Remove unknown fields
-      convert: true // Convert strings to numbers where appropriate
-    });
-    
+const validate = (schema, source = 'body', options = {}) => {
+  return async (req, res, next) => {
+    let resolved;
+    try {
+      resolved = Joi.isSchema(schema) ? schema : await schema(req);
+    } catch (error) {
+      return next(new AppError('VALIDATION_SYSTEM_ERROR', undefined, { cause: error }));
+    }
+
+    const { error, value } = resolved.validate(req[source], { ...options, abortEarly: false });
+
     if (error) {
-      const validationErrors = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message,
-        value: detail.context?.value
-      }));
-      
+      const validationError = ValidationError.fromJoi(error, source);
+
       logger.warn('Validation error', {
         endpoint: req.path,
         method: req.method,
-        errors: validationErrors,
-        receivedData: data
-      });
-      
-      return res.status(400).json({
-        error: 'Validation failed',
-        message: 'Please check your input and try again',
-        details: validationErrors,
-        timestamp: new Date().toISOString()
+        fields: validationError.fields
       });
+
+      return next(validationError);
     }
-    
-    // Replace request data with validated and sanitized data
+
     req[source] = value;
     next();
   };
 };
 
 /**
- * Specific middleware for suggestions endpoint validation
+ * Specific middleware for PDF export validation. Clients send back the
+ * suggestions they were given, so fields the PDF doesn't use are dropped.
  */
-const validateSuggestionsRequest = validate(suggestionsSchema, 'body');
+const validatePdfExportRequest = validate(async () => (await getGoalSchemas()).pdfExport, 'body', { stripUnknown: true });
 
 /**
- * Specific middleware for PDF export validation
- */
-const validatePdfExportRequest = validate(pdfExportSchema, 'body');
-
-/**
- * Custom validation for production edge cases
+ * Custom validation for production edge cases.
+ * Attaches safety warnings ({ code, severity, message }) to req.validationWarnings.
  */
 const validateProductionConstraints = (req, res, next) => {
-  const { age, goal } = req.body;
-  
-  // Additional business logic validation that might not fit in Joi
-  const warnings = [];
-  
-  // Age-specific warnings
-  if (age < 21) {
-    warnings.push('Peptide therapy for individuals under 21 requires additional medical supervision');
-  }
-  
-  if (age > 70) {
-    warnings.push('Enhanced medical monitoring recommended for individuals over 70');
-  }
-  
-  // Goal-specific validation
-  if (goal === 'recovery' && age < 25) {
-    warnings.push('Young individuals typically have excellent natural recovery - consider lifestyle modifications first');
-  }
-  
-  if (goal === 'longevity' && age < 30) {
-    warnings.push('Longevity peptides are typically most beneficial after age 30');
+  const { age, goal, healthGoals, conditions, medications } = req.body;
+  const goals = healthGoals ? healthGoals.map(entry => entry.goal || entry) : [goal];
+
+  req.validationWarnings = safetyService.evaluate({ age, goals, conditions, medications });
+
+  if (req.validationWarnings.length > 0) {
+    logger.info('Safety warnings raised', {
+      endpoint: req.path,
+      codes: req.validationWarnings.map(warning => warning.code)
+    });
   }
-  
-  // Add warnings to request for use in response
-  req.validationWarnings = warnings;
-  
+
   next();
 };
 
@@ -180,18 +272,18 @@ const validateRateLimit = (maxRequests = 10, timeWindow = 60000) => {
       return next();
     }
     
-    if (clientData.count >= maxRequets) {
+    if (clientData.count >= maxRequests) {
       logger.warn('Rate limit exceeded', {
         ip: clientId,
         endpoint: req.path,
         count: clientData.count
       });
       
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        message: `Too many requests. Maximum ${maxRequests} requests per ${timeWindow / 1000} seconds.`,
-        retryAfter: Math.ceil((timeWindow - (now - clientData.firstRequest)) / 1000)
-      });
+      return next(new RateLimitError(
+        `Too many requests. Maximum ${maxRequests} requests per ${timeWindow / 1000} seconds.`,
+        'RATE_LIMITED',
+        Math.ceil((timeWindow - (now - clientData.firstRequest)) / 1000)
+      ));
     }
     
     clientData.count++;
@@ -201,12 +293,12 @@ const validateRateLimit = (maxRequests = 10, timeWindow = 60000) => {
 
 module.exports = {
   validate,
-  validateSuggestionsRequest,
+  getGoalSchemas,
   validatePdfExportRequest,
   validateProductionConstraints,
   validateRateLimit,
   schemas: {
-    suggestions: suggestionsSchema,
-    pdfExport: pdfExportSchema
+    healthTerms: healthTermsSchema,
+    healthProfile: healthProfileSchema
   }
 };
\ No newline at end of file
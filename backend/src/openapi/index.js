@@ -0,0 +1,469 @@
+const { version } = require('../../package.json');
+const operations = require('./operations');
+const { joiToSchema, joiToParameters } = require('./joiToSchema');
+const { LATEST_VERSION } = require('../middleware/apiVersion');
+const { ERROR_CODES } = require('../utils/errors');
+
+// Errors a route can answer with because of its auth level, on top of the ones it lists
+const TOKEN_ERRORS = ['TOKEN_MISSING', 'TOKEN_INVALID', 'TOKEN_EXPIRED', 'TOKEN_MALFORMED', 'AUTH_SYSTEM_ERROR'];
+const AUTH_ERRORS = {
+  // A token that is sent must be valid, even where it may be left out
+  optional: TOKEN_ERRORS.filter(code => code !== 'TOKEN_MISSING'),
+  user: TOKEN_ERRORS,
+  admin: [...TOKEN_ERRORS, 'ADMIN_REQUIRED']
+};
+
+// Errors any route with a request body can answer with
+const BODY_ERRORS = ['INVALID_JSON', 'PAYLOAD_TOO_LARGE'];
+
+const STATUS_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Not authenticated',
+  403: 'Not allowed',
+  404: 'Not found',
+  409: 'Conflicts with existing data',
+  413: 'Request too large',
+  429: 'Rate limited, see Retry-After',
+  500: 'Server error'
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'Access token from POST /auth/register, POST /auth/login or POST /auth/refresh'
+    }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['success', 'error'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: {
+          type: 'object',
+          required: ['code', 'message', 'errorId', 'timestamp'],
+          properties: {
+            code: { type: 'string' },
+            message: { type: 'string' },
+            errorId: { type: 'string', format: 'uuid', description: 'Identifies the error in the server logs' },
+            timestamp: { type: 'string', format: 'date-time' },
+            field: { type: 'string', description: 'First field at fault, for validation errors' },
+            fields: {
+              type: 'object',
+              description: 'Field -> messages for every problem found, for validation errors',
+              additionalProperties: { type: 'array', items: { type: 'string' } },
+              example: { age: ['Age must be at least 18'], healthGoal: ['Health goal is required'] }
+            },
+            requestId: { type: 'string', format: 'uuid' },
+            retryAfter: { type: 'integer', description: 'Seconds to wait before retrying, for rate limit errors' }
+          }
+        }
+      }
+    },
+    User: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        email: { type: 'string', format: 'email' },
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        role: { type: 'string', enum: ['user', 'admin'] },
+        createdAt: { type: 'string' },
+        updatedAt: { type: 'string' }
+      }
+    },
+    AuthResult: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        user: ref('User'),
+        token: { type: 'string', description: 'Access token, sent as a bearer token' },
+        expiresIn: { type: 'integer', description: 'Seconds until the access token expires' },
+        refreshToken: { type: 'string', description: 'Single-use token for POST /auth/refresh' },
+        refreshTokenExpiresAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    HealthProfile: {
+      type: 'object',
+      properties: {
+        conditions: { type: 'array', items: { type: 'string' } },
+        medications: { type: 'array', items: { type: 'string' } },
+        unrecognized: {
+          type: 'object',
+          description: 'Entries the interaction dataset has no record of',
+          properties: {
+            conditions: { type: 'array', items: { type: 'string' } },
+            medications: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        known: { type: 'object', description: 'Conditions and medications the interaction dataset recognizes' }
+      }
+    },
+    Reference: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        year: { type: 'integer' },
+        doi: { type: 'string', nullable: true },
+        url: { type: 'string', nullable: true },
+        studyType: { type: 'string' }
+      }
+    },
+    Evidence: {
+      type: 'object',
+      properties: {
+        grade: { type: 'string', enum: ['A', 'B', 'C', 'D'], nullable: true, description: 'The strongest claim\'s grade, null when no claim cites a study' },
+        claims: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              goal: { type: 'string' },
+              grade: { type: 'string', enum: ['A', 'B', 'C', 'D'], nullable: true },
+              references: { type: 'array', items: ref('Reference') }
+            }
+          }
+        }
+      }
+    },
+    Suggestion: {
+      type: 'object',
+      properties: {
+        slug: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        goals: { type: 'array', items: { type: 'string' } },
+        score: { type: 'number' },
+        reasons: { type: 'array', items: { type: 'object' }, description: 'Factors that produced the suggestion' },
+        protocol: { type: 'object', nullable: true },
+        dosage: { type: 'string' },
+        timing: { type: 'string' },
+        evidence: ref('Evidence')
+      }
+    },
+    SuggestionsResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', enum: [true] },
+        requestId: { type: 'string', format: 'uuid' },
+        suggestions: { type: 'array', items: ref('Suggestion') },
+        excluded: { type: 'array', items: { type: 'object' }, description: 'Suggestions removed by interaction screening' },
+        warnings: { type: 'array', items: { type: 'object' } },
+        personalization: { type: 'object', nullable: true },
+        meta: {
+          type: 'object',
+          properties: {
+            generatedAt: { type: 'string', format: 'date-time' },
+            goals: { type: 'array', items: { type: 'object' } },
+            authenticated: { type: 'boolean' },
+            blocked: { type: 'boolean' },
+            provider: { type: 'string' },
+            fallbackFrom: { type: 'string', nullable: true },
+            experiments: { type: 'array', items: { type: 'object' } },
+            catalogVersion: { type: 'integer' },
+            engineVersion: { type: 'string' },
+            minEvidenceGrade: { type: 'string', nullable: true },
+            lowEvidence: { type: 'array', items: { type: 'object' } }
+          }
+        }
+      }
+    },
+    HistoryEntry: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        age: { type: 'integer' },
+        healthGoal: { type: 'string' },
+        healthGoals: { type: 'array', items: { type: 'object' } },
+        suggestions: { type: 'array', items: ref('Suggestion') },
+        warnings: { type: 'array', items: { type: 'object' } },
+        catalogVersion: { type: 'integer', nullable: true },
+        engineVersion: { type: 'string', nullable: true },
+        feedback: { type: 'array', items: { type: 'object' } },
+        createdAt: { type: 'string' }
+      }
+    },
+    GoalOption: {
+      type: 'object',
+      properties: {
+        value: { type: 'string' },
+        label: { type: 'string' },
+        description: { type: 'string' },
+        icon: { type: 'string' },
+        subGoals: { type: 'array', items: { type: 'object' } }
+      }
+    },
+    Peptide: {
+      type: 'object',
+      properties: {
+        slug: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        aliases: { type: 'array', items: { type: 'string' } },
+        goals: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              key: { type: 'string' },
+              label: { type: 'string' },
+              icon: { type: 'string' },
+              parentKey: { type: 'string', nullable: true },
+              evidenceGrade: { type: 'string', enum: ['A', 'B', 'C', 'D'], nullable: true },
+              references: { type: 'array', items: ref('Reference') }
+            }
+          }
+        },
+        protocol: { type: 'object', nullable: true },
+        catalogVersion: { type: 'integer' }
+      }
+    },
+    BatchSummary: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        completed: { type: 'integer' },
+        invalid: { type: 'integer' },
+        failed: { type: 'integer' },
+        catalogVersion: { type: 'integer' }
+      }
+    },
+    BatchResult: {
+      type: 'object',
+      properties: {
+        index: { type: 'integer' },
+        externalId: { type: 'string', nullable: true },
+        status: { type: 'string', enum: ['completed', 'invalid', 'failed'] },
+        suggestions: { type: 'array', items: ref('Suggestion') },
+        excluded: { type: 'array', items: { type: 'object' } },
+        warnings: { type: 'array', items: { type: 'object' } },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { field: { type: 'string', nullable: true }, message: { type: 'string' } }
+          }
+        }
+      }
+    },
+    BatchJob: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+        total: { type: 'integer' },
+        processed: { type: 'integer' },
+        summary: { allOf: [ref('BatchSummary')], nullable: true },
+        results: { type: 'array', items: ref('BatchResult'), nullable: true },
+        error: { type: 'string', nullable: true },
+        createdAt: { type: 'string' },
+        startedAt: { type: 'string', nullable: true },
+        completedAt: { type: 'string', nullable: true }
+      }
+    },
+    CacheStats: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        ttlSeconds: { type: 'number' },
+        maxEntries: { type: 'integer' },
+        entries: { type: 'integer' },
+        hits: { type: 'integer' },
+        misses: { type: 'integer' },
+        hitRate: { type: 'number', nullable: true },
+        evictions: { type: 'integer' },
+        expired: { type: 'integer' },
+        invalidations: { type: 'integer' },
+        since: { type: 'string', format: 'date-time' }
+      }
+    }
+  }
+};
+
+/**
+ * Convert an Express path to an OpenAPI one, /auth/suggestions/:id/pdf -> /auth/suggestions/{id}/pdf
+ */
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+// Joi schemas that depend on the active goals are resolved per build
+const resolveSchema = async schema => (typeof schema === 'function' ? schema() : schema);
+
+/**
+ * Merge the errors an operation lists with those any route like it can
+ * produce, grouped by the status each code has in the catalog
+ * @returns {Object} status -> error codes
+ */
+const collectErrors = (operation) => {
+  const codes = new Set([
+    ...(AUTH_ERRORS[operation.auth] || []),
+    ...(operation.body ? BODY_ERRORS : []),
+    ...(operation.errors || []),
+    'RATE_LIMITED'
+  ]);
+
+  const errors = {};
+  codes.forEach(code => {
+    const { status } = ERROR_CODES[code];
+    errors[status] = [...(errors[status] || []), code];
+  });
+
+  return errors;
+};
+
+/**
+ * Build the OpenAPI operation object for one route
+ * @param {Object} operation - Entry from operations.js
+ * @returns {Object} OpenAPI operation
+ */
+const buildOperation = async (operation) => {
+  const pathParameters = [...operation.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: operation.params?.[name] || { type: 'string' }
+  }));
+
+  const query = await resolveSchema(operation.query);
+  const body = await resolveSchema(operation.body);
+
+  const result = {
+    tags: [operation.tag],
+    summary: operation.summary,
+    operationId: `${operation.method}${operation.path.replace(/[/:.-](\w)/g, (match, letter) => letter.toUpperCase())}`,
+    parameters: [...pathParameters, ...(query ? joiToParameters(query, 'query') : [])]
+  };
+
+  if (operation.description) {
+    result.description = operation.description;
+  }
+
+  if (operation.auth === 'user' || operation.auth === 'admin') {
+    result.security = [{ bearerAuth: [] }];
+  } else if (operation.auth === 'optional') {
+    // Empty requirement means the token may be left out
+    result.security = [{ bearerAuth: [] }, {}];
+  }
+
+  if (body) {
+    result.requestBody = {
+      required: true,
+      content: {
+        'application/json': { schema: joiToSchema(body) },
+        ...Object.fromEntries(Object.entries(operation.bodyContentTypes || {})
+          .map(([contentType, schema]) => [contentType, { schema }]))
+      }
+    };
+  }
+
+  const { status, description, schema, contentType = 'application/json' } = operation.response;
+  result.responses = {
+    [status]: { description, content: { [contentType]: { schema } } }
+  };
+
+  if (operation.path === '/suggestions') {
+    result.responses[status].content['text/event-stream'] = {
+      schema: { type: 'string', description: 'Sent instead of JSON when ?stream=true' }
+    };
+  }
+
+  Object.entries(collectErrors(operation)).forEach(([errorStatus, codes]) => {
+    result.responses[errorStatus] = {
+      description: `${STATUS_DESCRIPTIONS[errorStatus]}: ${codes.join(', ')}`,
+      content: {
+        'application/json': {
+          schema: {
+            allOf: [
+              ref('Error'),
+              { properties: { error: { properties: { code: { type: 'string', enum: codes } } } } }
+            ]
+          }
+        }
+      }
+    };
+  });
+
+  return result;
+};
+
+/**
+ * Build the OpenAPI document for the latest API version. Request schemas
+ * come from the routes' Joi schemas, so goal enums follow the published catalog.
+ * @returns {Object} OpenAPI 3.0 document
+ */
+const buildSpec = async () => {
+  const paths = {};
+
+  for (const operation of operations) {
+    const prefix = operation.unversioned ? '' : `/${LATEST_VERSION}`;
+    const path = toOpenApiPath(`${prefix}${operation.path}`);
+    paths[path] = paths[path] || {};
+    paths[path][operation.method] = await buildOperation(operation);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Peptide Suggestions API',
+      version,
+      description: 'API for personalized peptide recommendations with user authentication. '
+        + 'Successful responses are { success: true, data }; errors are { success: false, error: { code, message, errorId, timestamp } }. '
+        + `Routes are served under /${LATEST_VERSION}; the unversioned paths point to them in a Link header and announce their retirement in Deprecation and Sunset headers once it is scheduled.`
+    },
+    tags: [...new Set(operations.map(operation => operation.tag))].map(name => ({ name })),
+    paths,
+    components
+  };
+};
+
+/**
+ * List the method and path of every route handler registered on the app
+ * and on the routers mounted on it
+ * @param {Object} app - Express app
+ * @param {Object} routers - Mount path -> router
+ * @returns {Array} Entries like 'GET /auth/profile'
+ */
+const listHandledRoutes = (app, routers) => {
+  const routes = [];
+  const collect = (stack, prefix) => stack
+    .filter(layer => layer.route)
+    .forEach(({ route }) => {
+      const path = route.path === '/' && prefix ? prefix : `${prefix}${route.path}`;
+      Object.keys(route.methods)
+        .filter(method => method !== '_all')
+        .forEach(method => routes.push(`${method.toUpperCase()} ${path}`));
+    });
+
+  collect(app._router.stack, '');
+  Object.entries(routers).forEach(([prefix, router]) => collect(router.stack, prefix));
+
+  return routes;
+};
+
+/**
+ * Compare documented operations with registered handlers and the error catalog
+ * @param {Object} app - Express app
+ * @param {Object} routers - Mount path -> router
+ * @returns {Object} { missing, undocumented, unknownCodes }, documented routes without a
+ * handler, the reverse, and documented error codes missing from utils/errors.js
+ */
+const checkRoutes = (app, routers) => {
+  const handled = listHandledRoutes(app, routers);
+  const documented = operations.map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+  const codes = operations.flatMap(operation => operation.errors || []);
+
+  return {
+    missing: documented.filter(route => !handled.includes(route)),
+    undocumented: handled.filter(route => !documented.includes(route)),
+    unknownCodes: [...new Set(codes.filter(code => !ERROR_CODES[code]))]
+  };
+};
+
+module.exports = {
+  buildSpec,
+  checkRoutes
+};
@@ -0,0 +1,204 @@
+/**
+ * Convert Joi schemas into OpenAPI 3.0 schema objects, working from
+ * schema.describe() so validation stays the single source of truth.
+ *
+ * Covers what the routes use: objects with required keys and xor/or
+ * groups, arrays, alternatives (a conditional one as either branch),
+ * strings (length, pattern, email, uri, enums), numbers, booleans and ISO
+ * dates. Conditional (when) rules on keys are not expressible and are left out.
+ */
+
+// Rules whose numeric limit maps straight onto a schema keyword, by Joi type
+const LIMIT_KEYWORDS = {
+  string: { min: 'minLength', max: 'maxLength', length: ['minLength', 'maxLength'] },
+  array: { min: 'minItems', max: 'maxItems', length: ['minItems', 'maxItems'] },
+  number: { min: 'minimum', max: 'maximum', greater: 'exclusiveMinimum', less: 'exclusiveMaximum' },
+  object: { min: 'minProperties', max: 'maxProperties' }
+};
+
+const STRING_FORMATS = {
+  email: 'email',
+  uri: 'uri',
+  guid: 'uuid',
+  isoDate: 'date-time'
+};
+
+/**
+ * Apply min/max style rules that have a literal limit; rules against a
+ * reference to another field can't be expressed and are skipped
+ * @param {Object} schema - OpenAPI schema being built
+ * @param {Object} description - Joi description
+ */
+const applyLimits = (schema, description) => {
+  const keywords = LIMIT_KEYWORDS[description.type] || {};
+
+  (description.rules || []).forEach(({ name, args = {} }) => {
+    const keyword = keywords[name];
+    if (!keyword || typeof args.limit !== 'number') {
+      return;
+    }
+
+    if (name === 'greater' || name === 'less') {
+      // OpenAPI 3.0 spells exclusive bounds as a flag on minimum/maximum
+      const bound = name === 'greater' ? 'minimum' : 'maximum';
+      schema[bound] = args.limit;
+      schema[keyword] = true;
+      return;
+    }
+
+    [].concat(keyword).forEach(key => {
+      schema[key] = args.limit;
+    });
+  });
+};
+
+const hasRule = (description, name) => (description.rules || []).some(rule => rule.name === name);
+
+/**
+ * Convert a Joi description to an OpenAPI schema
+ * @param {Object} description - Output of schema.describe()
+ * @returns {Object} OpenAPI schema
+ */
+const fromDescription = (description) => {
+  const flags = description.flags || {};
+  const allowed = description.allow || [];
+  const schema = {};
+
+  switch (description.type) {
+    case 'object': {
+      schema.type = 'object';
+      const keys = Object.entries(description.keys || {})
+        .filter(([, child]) => child.flags?.presence !== 'forbidden');
+
+      if (keys.length > 0) {
+        schema.properties = Object.fromEntries(keys.map(([key, child]) => [key, fromDescription(child)]));
+        const required = keys
+          .filter(([, child]) => child.flags?.presence === 'required')
+          .map(([key]) => key);
+        if (required.length > 0) {
+          schema.required = required;
+        }
+      }
+
+      if (description.patterns) {
+        schema.additionalProperties = fromDescription(description.patterns[0].rule);
+      } else if (keys.length > 0 && !flags.unknown) {
+        schema.additionalProperties = false;
+      }
+
+      // Peer groups: xor means exactly one of the keys, or means at least one
+      (description.dependencies || []).forEach(({ rel, peers }) => {
+        const options = peers.map(peer => ({ required: [peer] }));
+        if (rel === 'xor' || rel === 'oxor') {
+          schema.oneOf = options;
+        } else if (rel === 'or') {
+          schema.anyOf = options;
+        }
+      });
+      break;
+    }
+
+    case 'array':
+      schema.type = 'array';
+      schema.items = description.items?.length === 1
+        ? fromDescription(description.items[0])
+        : description.items?.length > 1
+          ? { oneOf: description.items.map(fromDescription) }
+          : {};
+      if (hasRule(description, 'unique')) {
+        schema.uniqueItems = true;
+      }
+      break;
+
+    case 'alternatives':
+      return {
+        // try() lists schemas; conditional() offers its then and otherwise branches
+        oneOf: (description.matches || [])
+          .flatMap(match => (match.schema ? [match.schema] : [match.then, match.otherwise].filter(Boolean)))
+          .map(fromDescription)
+      };
+
+    case 'string':
+      schema.type = 'string';
+      Object.entries(STRING_FORMATS).forEach(([rule, format]) => {
+        if (hasRule(description, rule)) {
+          schema.format = format;
+        }
+      });
+      (description.rules || [])
+        .filter(rule => rule.name === 'pattern' && !rule.args.options?.invert)
+        .forEach(rule => {
+          // Joi describes patterns as /source/flags
+          schema.pattern = String(rule.args.regex).replace(/^\/(.*)\/[a-z]*$/, '$1');
+        });
+      break;
+
+    case 'number': {
+      schema.type = hasRule(description, 'integer') ? 'integer' : 'number';
+      const sign = (description.rules || []).find(rule => rule.name === 'sign');
+      if (sign) {
+        schema[sign.args.sign === 'positive' ? 'minimum' : 'maximum'] = 0;
+        schema[sign.args.sign === 'positive' ? 'exclusiveMinimum' : 'exclusiveMaximum'] = true;
+      }
+      break;
+    }
+
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+
+    default:
+      break;
+  }
+
+  applyLimits(schema, description);
+
+  if (flags.only) {
+    schema.enum = allowed.filter(value => value !== null);
+  }
+  if (allowed.includes(null)) {
+    schema.nullable = true;
+  }
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  return schema;
+};
+
+/**
+ * Convert a Joi schema to an OpenAPI schema
+ * @param {Object} joiSchema - Joi schema
+ * @returns {Object} OpenAPI schema
+ */
+const joiToSchema = (joiSchema) => fromDescription(joiSchema.describe());
+
+/**
+ * Describe a Joi object schema's keys as query or path parameters
+ * @param {Object} joiSchema - Joi object schema
+ * @param {string} location - 'query' or 'path'
+ * @returns {Array} OpenAPI parameter objects
+ */
+const joiToParameters = (joiSchema, location = 'query') => {
+  const { properties = {}, required = [] } = joiToSchema(joiSchema);
+
+  return Object.entries(properties).map(([name, schema]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema
+  }));
+};
+
+module.exports = {
+  joiToSchema,
+  joiToParameters
+};
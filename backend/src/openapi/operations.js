@@ -0,0 +1,654 @@
+const Joi = require('joi');
+const authRouter = require('../routes/auth');
+const suggestionsRouter = require('../routes/suggestions');
+const peptidesRouter = require('../routes/peptides');
+const adminRouter = require('../routes/admin');
+const batchService = require('../services/batchService');
+const { getGoalSchemas, schemas: validationSchemas } = require('../middleware/validation');
+
+/**
+ * Every documented route. Each entry looks like:
+ * {
+ *   method: 'post',
+ *   path: '/auth/register',           // Express syntax, ':id' for path parameters, without the /v1 prefix
+ *   unversioned: true,                // served at the root rather than under each API version
+ *   tag: 'Authentication',
+ *   summary: 'Register a new user account',
+ *   auth: 'none' | 'optional' | 'user' | 'admin',
+ *   params: { id: { type: 'integer' } }, // path parameter schemas, strings by default
+ *   query: Joi schema, or async () => Joi schema,
+ *   body: Joi schema, or async () => Joi schema,
+ *   response: { status, description, schema, contentType },
+ *   errors: ['PEPTIDE_NOT_FOUND']       // codes from utils/errors.js, which sets their status
+ * }
+ *
+ * The startup check in server.js fails if any of these has no handler,
+ * so the list can't drift from the routes the way a hand-written one did.
+ */
+
+const { registerSchema, loginSchema, refreshSchema } = authRouter.schemas;
+const { feedbackSchema } = suggestionsRouter.schemas;
+const admin = adminRouter.schemas;
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// Body of a { success: true, data } response
+const envelope = (data) => ({
+  type: 'object',
+  required: ['success', 'data'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    data
+  }
+});
+
+const dataObject = (properties) => ({ type: 'object', properties });
+
+const listOf = (name, key) => envelope(dataObject({
+  [key]: { type: 'array', items: ref(name) },
+  total: { type: 'integer' }
+}));
+
+const includeFlag = (name) => Joi.object({
+  [name]: Joi.boolean().description(`true to include ${name === 'includeInactive' ? 'deactivated' : 'retired'} entries`)
+});
+
+const suggestionsBody = async () => (await getGoalSchemas()).suggestions;
+
+const operations = [
+  // Authentication
+  {
+    method: 'post',
+    path: '/auth/register',
+    tag: 'Authentication',
+    summary: 'Register a new user account',
+    auth: 'none',
+    body: registerSchema,
+    response: { status: 201, description: 'The new user and tokens', schema: envelope(ref('AuthResult')) },
+    errors: ['VALIDATION_ERROR', 'EMAIL_EXISTS', 'TOO_MANY_ATTEMPTS', 'REGISTRATION_ERROR']
+  },
+  {
+    method: 'post',
+    path: '/auth/login',
+    tag: 'Authentication',
+    summary: 'Log in with email and password',
+    auth: 'none',
+    body: loginSchema,
+    response: { status: 200, description: 'The user and tokens', schema: envelope(ref('AuthResult')) },
+    errors: ['VALIDATION_ERROR', 'INVALID_CREDENTIALS', 'TOO_MANY_ATTEMPTS', 'LOGIN_ERROR']
+  },
+  {
+    method: 'post',
+    path: '/auth/refresh',
+    tag: 'Authentication',
+    summary: 'Exchange a refresh token for a new access token and refresh token',
+    description: 'Refresh tokens are single use. Presenting one that was already exchanged revokes every token '
+      + 'issued since the same login, and the user has to log in again.',
+    auth: 'none',
+    body: refreshSchema,
+    response: { status: 200, description: 'The user and new tokens', schema: envelope(ref('AuthResult')) },
+    errors: [
+      'VALIDATION_ERROR',
+      'REFRESH_TOKEN_INVALID',
+      'REFRESH_TOKEN_EXPIRED',
+      'REFRESH_TOKEN_REVOKED',
+      'REFRESH_TOKEN_REUSED',
+      'TOO_MANY_ATTEMPTS',
+      'TOKEN_REFRESH_ERROR'
+    ]
+  },
+  {
+    method: 'post',
+    path: '/auth/logout',
+    tag: 'Authentication',
+    summary: 'Revoke a refresh token and every token rotated from the same login',
+    auth: 'none',
+    body: refreshSchema,
+    response: {
+      status: 200,
+      description: 'Logged out',
+      schema: envelope(dataObject({ message: { type: 'string' } }))
+    },
+    errors: ['VALIDATION_ERROR', 'TOO_MANY_ATTEMPTS', 'LOGOUT_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/auth/verify',
+    tag: 'Authentication',
+    summary: 'Check that a token is valid',
+    auth: 'user',
+    response: {
+      status: 200,
+      description: 'The token is valid',
+      schema: envelope(dataObject({ valid: { type: 'boolean' }, user: ref('User') }))
+    },
+    errors: []
+  },
+  {
+    method: 'get',
+    path: '/auth/profile',
+    tag: 'Account',
+    summary: 'Get the signed-in user',
+    auth: 'user',
+    response: { status: 200, description: 'The user', schema: envelope(dataObject({ user: ref('User') })) },
+    errors: ['USER_NOT_FOUND', 'PROFILE_FETCH_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/auth/health-profile',
+    tag: 'Account',
+    summary: 'Get recorded conditions and medications',
+    auth: 'user',
+    response: { status: 200, description: 'The health profile', schema: envelope(ref('HealthProfile')) },
+    errors: ['HEALTH_PROFILE_FETCH_ERROR']
+  },
+  {
+    method: 'put',
+    path: '/auth/health-profile',
+    tag: 'Account',
+    summary: 'Replace recorded conditions and medications',
+    auth: 'user',
+    body: validationSchemas.healthProfile,
+    response: { status: 200, description: 'The updated health profile', schema: envelope(ref('HealthProfile')) },
+    errors: ['VALIDATION_ERROR', 'HEALTH_PROFILE_UPDATE_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/auth/suggestions',
+    tag: 'History',
+    summary: 'List saved suggestions, newest first, with feedback',
+    auth: 'user',
+    response: { status: 200, description: 'Saved suggestions', schema: listOf('HistoryEntry', 'suggestions') },
+    errors: ['SUGGESTIONS_FETCH_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/auth/suggestions/:id/pdf',
+    tag: 'History',
+    summary: 'Download a saved suggestion as a PDF',
+    auth: 'user',
+    params: { id: { type: 'integer' } },
+    response: {
+      status: 200,
+      description: 'PDF document',
+      contentType: 'application/pdf',
+      schema: { type: 'string', format: 'binary' }
+    },
+    errors: ['SUGGESTION_NOT_FOUND', 'PDF_EXPORT_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/auth/suggestions/:id/replay',
+    tag: 'History',
+    summary: 'Answer a saved request again with the current catalog and compare',
+    auth: 'user',
+    params: { id: { type: 'integer' } },
+    response: {
+      status: 200,
+      description: 'The original and current answers and the peptides added, removed and kept',
+      schema: envelope(dataObject({
+        original: { type: 'object' },
+        current: { type: 'object' },
+        changes: dataObject({
+          added: { type: 'array', items: { type: 'string' } },
+          removed: { type: 'array', items: { type: 'string' } },
+          kept: { type: 'array', items: { type: 'string' } }
+        })
+      }))
+    },
+    errors: ['SUGGESTION_NOT_FOUND', 'SUGGESTION_REPLAY_ERROR']
+  },
+
+  // Suggestions
+  {
+    method: 'post',
+    path: '/suggestions',
+    tag: 'Suggestions',
+    summary: 'Get ranked peptide suggestions for one or more goals',
+    description: 'Works with or without a token. With ?stream=true the answer is sent as Server-Sent Events: '
+      + '`progress` as each step starts, a `suggestion` for each result as soon as the provider produces it, then `done` '
+      + 'with the whole response, whose `suggestions` are the final ranking.',
+    auth: 'optional',
+    query: Joi.object({
+      stream: Joi.boolean().description('true to stream the answer as Server-Sent Events')
+    }),
+    body: suggestionsBody,
+    response: { status: 200, description: 'Suggestions, exclusions, warnings and meta', schema: ref('SuggestionsResponse') },
+    errors: ['VALIDATION_ERROR', 'GENERATION_ERROR', 'VALIDATION_SYSTEM_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/suggestions/goals',
+    tag: 'Suggestions',
+    summary: 'List active goals with their sub-goals',
+    auth: 'none',
+    response: {
+      status: 200,
+      description: 'The goal registry; supports If-None-Match and If-Modified-Since',
+      schema: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', enum: [true] },
+          goals: { type: 'array', items: ref('GoalOption') }
+        }
+      }
+    },
+    errors: ['GOALS_ERROR']
+  },
+  {
+    method: 'post',
+    path: '/suggestions/export/pdf',
+    tag: 'Suggestions',
+    summary: 'Render suggestions from a results view as a PDF',
+    auth: 'optional',
+    body: async () => (await getGoalSchemas()).pdfExport,
+    response: {
+      status: 200,
+      description: 'PDF document',
+      contentType: 'application/pdf',
+      schema: { type: 'string', format: 'binary' }
+    },
+    errors: ['VALIDATION_ERROR', 'PDF_EXPORT_ERROR']
+  },
+  {
+    method: 'post',
+    path: '/suggestions/batch',
+    tag: 'Suggestions',
+    summary: 'Suggestions for many records from JSON or CSV',
+    description: 'Up to 100 records are answered in the same request; larger batches need ?async=true and are '
+      + 'polled with GET /suggestions/batch/{jobId}. CSV list cells are separated by `;`.',
+    auth: 'user',
+    query: Joi.object({
+      async: Joi.boolean().description('true to queue the batch as a background job')
+    }),
+    body: async () => Joi.array().items(await batchService.getItemSchema()),
+    bodyContentTypes: { 'text/csv': { type: 'string', example: 'externalId,age,healthGoal\npatient-001,42,sleep' } },
+    response: {
+      status: 200,
+      description: 'Per-record results and a summary; 202 with the job when ?async=true',
+      schema: envelope(dataObject({
+        summary: ref('BatchSummary'),
+        results: { type: 'array', items: ref('BatchResult') }
+      }))
+    },
+    errors: ['BATCH_INVALID_INPUT', 'BATCH_TOO_LARGE', 'BATCH_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/suggestions/batch/:jobId',
+    tag: 'Suggestions',
+    summary: 'Poll a batch job; results are included once it completes',
+    auth: 'user',
+    params: { jobId: { type: 'string', format: 'uuid' } },
+    response: { status: 200, description: 'The job', schema: envelope(dataObject({ job: ref('BatchJob') })) },
+    errors: ['BATCH_JOB_NOT_FOUND', 'BATCH_JOB_FETCH_ERROR']
+  },
+  {
+    method: 'post',
+    path: '/suggestions/:historyId/feedback',
+    tag: 'Suggestions',
+    summary: 'Rate peptides from a saved suggestion',
+    auth: 'user',
+    params: { historyId: { type: 'integer' } },
+    body: feedbackSchema,
+    response: {
+      status: 200,
+      description: 'The feedback recorded for the saved suggestion',
+      schema: envelope(dataObject({ feedback: { type: 'array', items: { type: 'object' } } }))
+    },
+    errors: ['VALIDATION_ERROR', 'FEEDBACK_UNKNOWN_PEPTIDE', 'SUGGESTION_NOT_FOUND', 'FEEDBACK_ERROR']
+  },
+
+  // Peptides
+  {
+    method: 'get',
+    path: '/peptides',
+    tag: 'Peptides',
+    summary: 'Search the published catalog by name, description and aliases',
+    auth: 'none',
+    query: async () => peptidesRouter.buildSearchSchema((await getGoalSchemas()).goalKey),
+    response: {
+      status: 200,
+      description: 'Matching peptides; supports If-None-Match and If-Modified-Since',
+      schema: envelope(dataObject({
+        peptides: { type: 'array', items: ref('Peptide') },
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' }
+      }))
+    },
+    errors: ['VALIDATION_ERROR', 'PEPTIDE_SEARCH_ERROR', 'VALIDATION_SYSTEM_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/peptides/:slug',
+    tag: 'Peptides',
+    summary: 'Get a peptide with the goals it serves, their evidence and its protocol',
+    auth: 'none',
+    response: {
+      status: 200,
+      description: 'The peptide; supports If-None-Match and If-Modified-Since',
+      schema: envelope(dataObject({ peptide: ref('Peptide') }))
+    },
+    errors: ['PEPTIDE_NOT_FOUND', 'PEPTIDE_FETCH_ERROR']
+  },
+
+  // Catalog administration
+  {
+    method: 'get',
+    path: '/admin/peptides',
+    tag: 'Admin',
+    summary: 'List catalog peptides',
+    auth: 'admin',
+    query: includeFlag('includeRetired'),
+    response: { status: 200, description: 'Peptides', schema: envelope({ type: 'object' }) },
+    errors: ['PEPTIDES_FETCH_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/admin/peptides/:id',
+    tag: 'Admin',
+    summary: 'Get a catalog peptide with its goals, variants, protocol and references',
+    auth: 'admin',
+    params: { id: { type: 'integer' } },
+    response: { status: 200, description: 'The peptide', schema: envelope({ type: 'object' }) },
+    errors: ['CATALOG_NOT_FOUND', 'PEPTIDE_FETCH_ERROR']
+  },
+  {
+    method: 'post',
+    path: '/admin/peptides',
+    tag: 'Admin',
+    summary: 'Create a catalog peptide',
+    auth: 'admin',
+    body: admin.createPeptideSchema,
+    response: { status: 201, description: 'The new peptide', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'CATALOG_INVALID', 'CATALOG_CONFLICT', 'PEPTIDE_CREATE_ERROR']
+  },
+  {
+    method: 'put',
+    path: '/admin/peptides/:id',
+    tag: 'Admin',
+    summary: 'Update a peptide, its goals, variants, protocol or references',
+    auth: 'admin',
+    params: { id: { type: 'integer' } },
+    body: admin.updatePeptideSchema,
+    response: { status: 200, description: 'The updated peptide', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'CATALOG_INVALID', 'CATALOG_NOT_FOUND', 'CATALOG_CONFLICT', 'PEPTIDE_UPDATE_ERROR']
+  },
+  {
+    method: 'delete',
+    path: '/admin/peptides/:id',
+    tag: 'Admin',
+    summary: 'Retire a peptide',
+    auth: 'admin',
+    params: { id: { type: 'integer' } },
+    response: { status: 200, description: 'The retired peptide', schema: envelope({ type: 'object' }) },
+    errors: ['CATALOG_NOT_FOUND', 'PEPTIDE_RETIRE_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/admin/goals',
+    tag: 'Admin',
+    summary: 'List goals',
+    auth: 'admin',
+    query: includeFlag('includeRetired'),
+    response: { status: 200, description: 'Goals', schema: envelope({ type: 'object' }) },
+    errors: ['GOALS_FETCH_ERROR']
+  },
+  {
+    method: 'post',
+    path: '/admin/goals',
+    tag: 'Admin',
+    summary: 'Create a goal',
+    auth: 'admin',
+    body: admin.createGoalSchema,
+    response: { status: 201, description: 'The new goal', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'CATALOG_INVALID', 'CATALOG_CONFLICT', 'GOAL_CREATE_ERROR']
+  },
+  {
+    method: 'put',
+    path: '/admin/goals/order',
+    tag: 'Admin',
+    summary: 'Reorder goals',
+    auth: 'admin',
+    body: admin.goalOrderSchema,
+    response: { status: 200, description: 'Goals in their new order', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'CATALOG_INVALID', 'CATALOG_NOT_FOUND', 'GOAL_REORDER_ERROR']
+  },
+  {
+    method: 'put',
+    path: '/admin/goals/:key',
+    tag: 'Admin',
+    summary: 'Update a goal',
+    auth: 'admin',
+    body: admin.updateGoalSchema,
+    response: { status: 200, description: 'The updated goal', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'CATALOG_INVALID', 'CATALOG_NOT_FOUND', 'GOAL_UPDATE_ERROR']
+  },
+  {
+    method: 'delete',
+    path: '/admin/goals/:key',
+    tag: 'Admin',
+    summary: 'Retire a goal',
+    auth: 'admin',
+    response: { status: 200, description: 'The retired goal', schema: envelope({ type: 'object' }) },
+    errors: ['CATALOG_INVALID', 'CATALOG_NOT_FOUND', 'GOAL_RETIRE_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/admin/goals/:key/peptides',
+    tag: 'Admin',
+    summary: 'List peptides mapped to a goal, in order',
+    auth: 'admin',
+    response: { status: 200, description: 'Mapped peptides', schema: envelope({ type: 'object' }) },
+    errors: ['CATALOG_NOT_FOUND', 'GOAL_MAPPINGS_FETCH_ERROR']
+  },
+  {
+    method: 'put',
+    path: '/admin/goals/:key/peptides',
+    tag: 'Admin',
+    summary: 'Replace and reorder the peptides mapped to a goal',
+    auth: 'admin',
+    body: admin.goalPeptidesSchema,
+    response: { status: 200, description: 'Mapped peptides', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'CATALOG_INVALID', 'CATALOG_NOT_FOUND', 'GOAL_MAPPINGS_UPDATE_ERROR']
+  },
+  {
+    method: 'post',
+    path: '/admin/goals/:key/peptides',
+    tag: 'Admin',
+    summary: 'Map a peptide to a goal',
+    auth: 'admin',
+    body: admin.goalPeptideSchema,
+    response: { status: 201, description: 'Mapped peptides', schema: envelope({ type: 'object' }) },
+    errors: [
+      'VALIDATION_ERROR',
+      'CATALOG_INVALID',
+      'CATALOG_NOT_FOUND',
+      'CATALOG_CONFLICT',
+      'GOAL_MAPPING_CREATE_ERROR'
+    ]
+  },
+  {
+    method: 'delete',
+    path: '/admin/goals/:key/peptides/:peptideId',
+    tag: 'Admin',
+    summary: 'Unmap a peptide from a goal',
+    auth: 'admin',
+    params: { peptideId: { type: 'integer' } },
+    response: { status: 200, description: 'Mapped peptides', schema: envelope({ type: 'object' }) },
+    errors: ['CATALOG_NOT_FOUND', 'GOAL_MAPPING_DELETE_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/admin/rules',
+    tag: 'Admin',
+    summary: 'List recommendation rules',
+    auth: 'admin',
+    query: includeFlag('includeInactive'),
+    response: { status: 200, description: 'Rules', schema: envelope({ type: 'object' }) },
+    errors: ['RULES_FETCH_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/admin/rules/:id',
+    tag: 'Admin',
+    summary: 'Get a recommendation rule',
+    auth: 'admin',
+    params: { id: { type: 'integer' } },
+    response: { status: 200, description: 'The rule', schema: envelope({ type: 'object' }) },
+    errors: ['CATALOG_NOT_FOUND', 'RULE_FETCH_ERROR']
+  },
+  {
+    method: 'post',
+    path: '/admin/rules',
+    tag: 'Admin',
+    summary: 'Create a recommendation rule',
+    auth: 'admin',
+    body: admin.createRuleSchema,
+    response: { status: 201, description: 'The new rule', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'CATALOG_INVALID', 'CATALOG_NOT_FOUND', 'RULE_CREATE_ERROR']
+  },
+  {
+    method: 'put',
+    path: '/admin/rules/:id',
+    tag: 'Admin',
+    summary: 'Update a recommendation rule',
+    auth: 'admin',
+    params: { id: { type: 'integer' } },
+    body: admin.updateRuleSchema,
+    response: { status: 200, description: 'The updated rule', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'CATALOG_INVALID', 'CATALOG_NOT_FOUND', 'RULE_UPDATE_ERROR']
+  },
+  {
+    method: 'delete',
+    path: '/admin/rules/:id',
+    tag: 'Admin',
+    summary: 'Deactivate a recommendation rule',
+    auth: 'admin',
+    params: { id: { type: 'integer' } },
+    response: { status: 200, description: 'The deactivated rule', schema: envelope({ type: 'object' }) },
+    errors: ['CATALOG_NOT_FOUND', 'RULE_DEACTIVATE_ERROR']
+  },
+  {
+    method: 'post',
+    path: '/admin/catalog/publish',
+    tag: 'Admin',
+    summary: 'Publish catalog edits as a new version',
+    auth: 'admin',
+    body: admin.publishCatalogSchema,
+    response: { status: 201, description: 'The published version', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'CATALOG_PUBLISH_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/admin/catalog/versions',
+    tag: 'Admin',
+    summary: 'List published catalog versions, or the one live at a point in time',
+    auth: 'admin',
+    query: admin.versionQuerySchema,
+    response: { status: 200, description: 'Versions, or the version live at ?at', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'CATALOG_NOT_FOUND', 'CATALOG_VERSIONS_FETCH_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/admin/catalog/versions/:version',
+    tag: 'Admin',
+    summary: 'Get a published catalog version with its contents',
+    auth: 'admin',
+    params: { version: { type: 'integer' } },
+    response: { status: 200, description: 'The version', schema: envelope({ type: 'object' }) },
+    errors: ['CATALOG_NOT_FOUND', 'CATALOG_VERSION_FETCH_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/admin/cache',
+    tag: 'Admin',
+    summary: 'Hit and miss metrics for the anonymous suggestions cache',
+    auth: 'admin',
+    response: { status: 200, description: 'Cache metrics', schema: envelope(dataObject({ cache: ref('CacheStats') })) },
+    errors: []
+  },
+  {
+    method: 'get',
+    path: '/admin/experiments',
+    tag: 'Admin',
+    summary: 'List experiments with their variants',
+    auth: 'admin',
+    response: { status: 200, description: 'Experiments', schema: envelope({ type: 'object' }) },
+    errors: ['EXPERIMENTS_FETCH_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/admin/experiments/:key',
+    tag: 'Admin',
+    summary: 'Get an experiment with per-variant metrics',
+    auth: 'admin',
+    response: { status: 200, description: 'The experiment and its metrics', schema: envelope({ type: 'object' }) },
+    errors: ['CATALOG_NOT_FOUND', 'EXPERIMENT_FETCH_ERROR']
+  },
+  {
+    method: 'post',
+    path: '/admin/experiments',
+    tag: 'Admin',
+    summary: 'Create an experiment',
+    auth: 'admin',
+    body: admin.createExperimentSchema,
+    response: { status: 201, description: 'The new experiment', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'EXPERIMENT_INVALID', 'CATALOG_CONFLICT', 'EXPERIMENT_CREATE_ERROR']
+  },
+  {
+    method: 'put',
+    path: '/admin/experiments/:key',
+    tag: 'Admin',
+    summary: 'Update, start or stop an experiment',
+    auth: 'admin',
+    body: admin.updateExperimentSchema,
+    response: { status: 200, description: 'The updated experiment', schema: envelope({ type: 'object' }) },
+    errors: ['VALIDATION_ERROR', 'EXPERIMENT_INVALID', 'CATALOG_NOT_FOUND', 'EXPERIMENT_UPDATE_ERROR']
+  },
+
+  // System
+  {
+    method: 'get',
+    path: '/health',
+    tag: 'System',
+    unversioned: true,
+    summary: 'Health check',
+    auth: 'none',
+    response: { status: 200, description: 'The service is up', schema: { type: 'object' } },
+    errors: []
+  },
+  {
+    method: 'get',
+    path: '/analytics',
+    tag: 'System',
+    unversioned: true,
+    summary: 'Daily usage analytics',
+    auth: 'none',
+    response: { status: 200, description: 'Analytics by day', schema: envelope({ type: 'object' }) },
+    errors: ['ANALYTICS_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/openapi.json',
+    tag: 'System',
+    unversioned: true,
+    summary: 'This OpenAPI document',
+    auth: 'none',
+    response: { status: 200, description: 'OpenAPI 3.0 document', schema: { type: 'object' } },
+    errors: ['DOCS_ERROR']
+  },
+  {
+    method: 'get',
+    path: '/api-docs',
+    tag: 'System',
+    unversioned: true,
+    summary: 'Same as /openapi.json, kept for existing clients',
+    auth: 'none',
+    response: { status: 200, description: 'OpenAPI 3.0 document', schema: { type: 'object' } },
+    errors: ['DOCS_ERROR']
+  }
+];
+
+module.exports = operations;
@@ -0,0 +1,207 @@
+/* eslint-env browser */
+
+/**
+ * Renders /openapi.json as a browsable list of operations, each with a form
+ * that sends a request to this server. Kept dependency-free and served from
+ * the same origin so it works offline and under the default CSP.
+ */
+(() => {
+  const tokenInput = document.getElementById('token');
+  tokenInput.value = localStorage.getItem('apiDocsToken') || '';
+  tokenInput.addEventListener('change', () => localStorage.setItem('apiDocsToken', tokenInput.value.trim()));
+
+  const el = (tag, props = {}, children = []) => {
+    const node = Object.assign(document.createElement(tag), props);
+    [].concat(children).forEach(child => node.append(child));
+    return node;
+  };
+
+  const resolve = (spec, schema) => {
+    if (schema?.$ref) {
+      return spec.components.schemas[schema.$ref.split('/').pop()];
+    }
+    return schema;
+  };
+
+  // A sample value for a schema, used to prefill request bodies
+  const example = (spec, rawSchema, depth = 0) => {
+    const schema = resolve(spec, rawSchema) || {};
+    if (depth > 4) return null;
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (schema.enum) return schema.enum[0];
+
+    const options = schema.oneOf || schema.anyOf;
+    if (options) {
+      const [first] = options;
+      if (first.type || first.$ref) {
+        return example(spec, first, depth + 1);
+      }
+      // A group of keys of which one is required: fill in the first
+      return example(spec, {
+        ...schema,
+        oneOf: undefined,
+        anyOf: undefined,
+        required: [...(schema.required || []), ...(first.required || [])]
+      }, depth);
+    }
+
+    switch (schema.type) {
+      case 'object': {
+        const required = schema.required || Object.keys(schema.properties || {});
+        return Object.fromEntries(required
+          .filter(key => schema.properties?.[key])
+          .map(key => [key, example(spec, schema.properties[key], depth + 1)]));
+      }
+      case 'array':
+        return schema.minItems ? [example(spec, schema.items, depth + 1)] : [];
+      case 'integer':
+      case 'number':
+        return schema.minimum ?? 1;
+      case 'boolean':
+        return false;
+      case 'string':
+        if (schema.format === 'email') return 'user@example.com';
+        return schema.minLength ? 'x'.repeat(schema.minLength) : 'string';
+      default:
+        return null;
+    }
+  };
+
+  const renderParameters = (parameters) => el('table', {}, [
+    el('tr', {}, ['Name', 'In', 'Type', 'Notes'].map(text => el('th', { textContent: text }))),
+    ...parameters.map(param => el('tr', {}, [
+      el('td', {}, el('code', { textContent: param.name + (param.required ? ' *' : '') })),
+      el('td', { textContent: param.in }),
+      el('td', { textContent: param.schema.enum ? param.schema.enum.join(' | ') : param.schema.type || '' }),
+      el('td', { textContent: param.schema.description || '' })
+    ]))
+  ]);
+
+  const renderResponses = (responses) => el('table', {}, Object.entries(responses).map(([status, response]) =>
+    el('tr', {}, [el('td', {}, el('code', { textContent: status })), el('td', { textContent: response.description })])
+  ));
+
+  const renderTryIt = (spec, path, method, operation) => {
+    const inputs = {};
+    const form = el('form');
+
+    (operation.parameters || []).forEach(param => {
+      inputs[param.name] = el('input', { name: param.name, placeholder: `${param.name} (${param.in})` });
+      form.append(el('div', {}, [el('label', { textContent: `${param.name} ` }), inputs[param.name]]));
+    });
+
+    const bodySchema = operation.requestBody?.content['application/json']?.schema;
+    const bodyInput = bodySchema && el('textarea', { value: JSON.stringify(example(spec, bodySchema), null, 2) });
+    if (bodyInput) {
+      form.append(el('h3', { textContent: 'Body' }), bodyInput);
+    }
+
+    const output = el('div');
+    form.append(el('p', {}, el('button', { type: 'submit', textContent: 'Send' })), output);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      let url = path;
+      const query = new URLSearchParams();
+
+      (operation.parameters || []).forEach(param => {
+        const value = inputs[param.name].value.trim();
+        if (param.in === 'path') {
+          url = url.replace(`{${param.name}}`, encodeURIComponent(value));
+        } else if (value) {
+          query.set(param.name, value);
+        }
+      });
+
+      const headers = {};
+      if (tokenInput.value.trim()) {
+        headers.Authorization = `Bearer ${tokenInput.value.trim()}`;
+      }
+      if (bodyInput) {
+        headers['Content-Type'] = 'application/json';
+      }
+
+      output.replaceChildren(el('p', { textContent: 'Sending…' }));
+      try {
+        const response = await fetch(query.toString() ? `${url}?${query}` : url, {
+          method: method.toUpperCase(),
+          headers,
+          body: bodyInput ? bodyInput.value : undefined
+        });
+        const type = response.headers.get('Content-Type') || '';
+        const text = type.includes('application/pdf') ? `(${type}, ${(await response.blob()).size} bytes)` : await response.text();
+        let pretty = text;
+        try {
+          pretty = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (parseError) {
+          // Not JSON, show as is
+        }
+        output.replaceChildren(
+          el('p', { className: 'status', textContent: `${response.status} ${response.statusText}` }),
+          el('pre', { textContent: pretty })
+        );
+      } catch (error) {
+        output.replaceChildren(el('p', { className: 'error', textContent: error.message }));
+      }
+    });
+
+    return form;
+  };
+
+  const renderOperation = (spec, path, method, operation) => {
+    // An empty security requirement means the token may be left out
+    const security = operation.security || [];
+    let auth = '';
+    if (security.length > 0) {
+      auth = security.some(entry => Object.keys(entry).length === 0) ? 'token optional' : 'token required';
+    }
+
+    const body = el('div', { className: 'body' });
+    if (operation.description) {
+      body.append(el('p', { textContent: operation.description }));
+    }
+    if (operation.parameters?.length) {
+      body.append(el('h3', { textContent: 'Parameters' }), renderParameters(operation.parameters));
+    }
+    if (operation.requestBody) {
+      const content = operation.requestBody.content;
+      body.append(
+        el('h3', { textContent: `Request body (${Object.keys(content).join(', ')})` }),
+        el('pre', { textContent: JSON.stringify(content['application/json'].schema, null, 2) })
+      );
+    }
+    body.append(el('h3', { textContent: 'Responses' }), renderResponses(operation.responses));
+    body.append(el('h3', { textContent: 'Try it' }), renderTryIt(spec, path, method, operation));
+
+    return el('details', {}, [
+      el('summary', {}, [
+        el('span', { className: `method ${method}`, textContent: method.toUpperCase() }),
+        el('span', { className: 'path', textContent: path }),
+        el('span', { textContent: operation.summary }),
+        el('span', { className: 'auth', textContent: auth })
+      ]),
+      body
+    ]);
+  };
+
+  fetch('/openapi.json')
+    .then(response => response.json())
+    .then(spec => {
+      document.getElementById('title').textContent = `${spec.info.title} ${spec.info.version}`;
+      document.getElementById('description').textContent = spec.info.description;
+
+      const container = document.getElementById('operations');
+      spec.tags.forEach(({ name }) => {
+        container.append(el('h2', { textContent: name }));
+        Object.entries(spec.paths).forEach(([path, methods]) => {
+          Object.entries(methods)
+            .filter(([, operation]) => operation.tags.includes(name))
+            .forEach(([method, operation]) => container.append(renderOperation(spec, path, method, operation)));
+        });
+      });
+    })
+    .catch(error => {
+      document.getElementById('description').textContent = `Could not load /openapi.json: ${error.message}`;
+    });
+})();
@@ -0,0 +1,675 @@
+const express = require('express');
+const Joi = require('joi');
+const catalogService = require('../services/catalogService');
+const experimentService = require('../services/experimentService');
+const cacheService = require('../services/cacheService');
+const { EFFECT_TYPES } = require('../services/ruleEngine');
+const { UNITS, FREQUENCIES, TIMES_OF_DAY } = require('../services/protocols');
+const { STUDY_TYPES } = require('../services/evidence');
+const AuthMiddleware = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+const { NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every admin route requires a valid token belonging to an admin
+router.use(AuthMiddleware.verifyToken, AuthMiddleware.requireAdmin);
+
+// Validation schemas
+const slugPattern = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const goalKeyPattern = /^[a-z][a-z0-9_]*$/;
+
+const descriptionVariantSchema = Joi.object({
+  minAge: Joi.number().integer().min(0).max(120).allow(null).optional(),
+  maxAge: Joi.number().integer().min(0).max(120).allow(null).optional()
+    .when('minAge', {
+      is: Joi.number().required(),
+      then: Joi.number().min(Joi.ref('minAge')).messages({
+        'number.min': 'Variant maxAge must not be lower than minAge'
+      })
+    }),
+  authenticatedOnly: Joi.boolean().optional(),
+  description: Joi.string().trim().min(1).max(1000).required()
+});
+
+const protocolSchema = Joi.object({
+  amount: Joi.number().positive().max(10000).required()
+    .messages({
+      'any.required': 'Protocol amount is required'
+    }),
+  unit: Joi.string().valid(...UNITS).required()
+    .messages({
+      'any.only': `Protocol unit must be one of: ${UNITS.join(', ')}`,
+      'any.required': 'Protocol unit is required'
+    }),
+  frequency: Joi.string().valid(...Object.keys(FREQUENCIES)).required()
+    .messages({
+      'any.only': `Protocol frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`,
+      'any.required': 'Protocol frequency is required'
+    }),
+  timeOfDay: Joi.array()
+    .items(Joi.string().valid(...Object.keys(TIMES_OF_DAY)).messages({
+      'any.only': `Time of day must be one of: ${Object.keys(TIMES_OF_DAY).join(', ')}`
+    }))
+    .unique()
+    .default([]),
+  cycleOnWeeks: Joi.number().integer().min(1).max(52).allow(null),
+  cycleOffWeeks: Joi.number().integer().min(0).max(52).allow(null),
+  durationWeeks: Joi.number().integer().min(1).max(104).allow(null),
+  notes: Joi.string().trim().max(500).allow('', null)
+});
+
+const aliasesSchema = Joi.array()
+  .items(Joi.string().trim().min(1).max(100))
+  .max(20)
+  .unique((a, b) => String(a).toLowerCase() === String(b).toLowerCase())
+  .messages({
+    'array.max': 'No more than 20 aliases can be listed',
+    'array.unique': 'Each alias can only be listed once'
+  });
+
+const referenceSchema = Joi.object({
+  goal: Joi.string().pattern(goalKeyPattern).required().messages({
+    'any.required': 'Each reference needs the goal it supports'
+  }),
+  title: Joi.string().trim().min(1).max(500).required().messages({
+    'any.required': 'Each reference needs a title'
+  }),
+  year: Joi.number().integer().min(1900).max(new Date().getFullYear() + 1).allow(null),
+  doi: Joi.string().trim().pattern(/^10\.\d{4,9}\/\S+$/).messages({
+    'string.pattern.base': 'DOI must look like 10.1234/example'
+  }),
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).messages({
+    'string.uri': 'URL must be an http or https link'
+  }),
+  studyType: Joi.string().valid(...Object.keys(STUDY_TYPES)).required().messages({
+    'any.only': `Study type must be one of: ${Object.keys(STUDY_TYPES).join(', ')}`,
+    'any.required': 'Each reference needs a study type'
+  })
+}).or('doi', 'url').messages({
+  'object.missing': 'Each reference needs a DOI or URL'
+});
+
+const goalKeysSchema = Joi.array()
+  .items(Joi.string().pattern(goalKeyPattern))
+  .unique();
+
+const createPeptideSchema = Joi.object({
+  slug: Joi.string()
+    .pattern(slugPattern)
+    .max(100)
+    .required()
+    .messages({
+      'string.pattern.base': 'Slug must be lowercase letters, numbers and single hyphens',
+      'any.required': 'Slug is required'
+    }),
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Name is required'
+    }),
+  description: Joi.string()
+    .trim()
+    .min(1)
+    .max(1000)
+    .required()
+    .messages({
+      'any.required': 'Description is required'
+    }),
+  aliases: aliasesSchema.optional(),
+  goals: goalKeysSchema.optional(),
+  descriptionVariants: Joi.array().items(descriptionVariantSchema).optional(),
+  protocol: protocolSchema.allow(null).optional(),
+  references: Joi.array().items(referenceSchema).optional()
+});
+
+const updatePeptideSchema = Joi.object({
+  slug: Joi.string().pattern(slugPattern).max(100)
+    .messages({
+      'string.pattern.base': 'Slug must be lowercase letters, numbers and single hyphens'
+    }),
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().min(1).max(1000),
+  aliases: aliasesSchema,
+  isActive: Joi.boolean(),
+  goals: goalKeysSchema,
+  descriptionVariants: Joi.array().items(descriptionVariantSchema),
+  protocol: protocolSchema.allow(null),
+  references: Joi.array().items(referenceSchema)
+}).min(1).messages({
+  'object.min': 'At least one field must be provided'
+});
+
+const createGoalSchema = Joi.object({
+  key: Joi.string()
+    .pattern(goalKeyPattern)
+    .max(50)
+    .required()
+    .messages({
+      'string.pattern.base': 'Goal key must be lowercase letters, numbers and underscores',
+      'any.required': 'Goal key is required'
+    }),
+  label: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Label is required'
+    }),
+  description: Joi.string().trim().max(500).allow('', null).optional(),
+  icon: Joi.string().trim().max(20).allow('', null).optional(),
+  parentKey: Joi.string().pattern(goalKeyPattern).allow(null).optional()
+});
+
+const updateGoalSchema = Joi.object({
+  label: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow('', null),
+  icon: Joi.string().trim().max(20).allow('', null),
+  parentKey: Joi.string().pattern(goalKeyPattern).allow(null),
+  isActive: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided'
+});
+
+const goalOrderSchema = Joi.object({
+  keys: goalKeysSchema.min(1).required().messages({
+    'array.unique': 'Goal keys must not repeat',
+    'any.required': 'Goal keys are required'
+  })
+});
+
+const goalPeptidesSchema = Joi.object({
+  peptideIds: Joi.array()
+    .items(Joi.number().integer().positive())
+    .unique()
+    .required()
+    .messages({
+      'array.unique': 'Peptide ids must not repeat',
+      'any.required': 'Peptide ids are required'
+    })
+});
+
+const goalPeptideSchema = Joi.object({
+  peptideId: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'any.required': 'Peptide id is required'
+    })
+});
+
+const ruleConditionsSchema = Joi.object({
+  minAge: Joi.number().integer().min(0).max(120),
+  maxAge: Joi.number().integer().min(0).max(120),
+  goals: goalKeysSchema,
+  authenticated: Joi.boolean(),
+  profile: Joi.object().pattern(
+    Joi.string(),
+    Joi.alternatives().try(
+      Joi.string(),
+      Joi.number(),
+      Joi.boolean(),
+      Joi.array().items(Joi.string(), Joi.number(), Joi.boolean())
+    )
+  )
+});
+
+const ruleFields = {
+  name: Joi.string().trim().min(1).max(200),
+  peptide: Joi.string().pattern(slugPattern).messages({
+    'string.pattern.base': 'Peptide must be a peptide slug'
+  }),
+  effect: Joi.string().valid(...EFFECT_TYPES).messages({
+    'any.only': `Effect must be one of: ${EFFECT_TYPES.join(', ')}`
+  }),
+  amount: Joi.number().min(-100).max(100).allow(null),
+  description: Joi.string().trim().min(1).max(1000).allow(null),
+  conditions: ruleConditionsSchema,
+  priority: Joi.number().integer().min(0).max(10000)
+};
+
+const createRuleSchema = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required().messages({ 'any.required': 'Name is required' }),
+  peptide: ruleFields.peptide.required().messages({ 'any.required': 'Peptide is required' }),
+  effect: ruleFields.effect.required().messages({ 'any.required': 'Effect is required' }),
+  amount: ruleFields.amount.when('effect', {
+    is: 'boost',
+    then: Joi.required().invalid(null).messages({ 'any.required': 'Boost rules need an amount' })
+  }),
+  description: ruleFields.description.when('effect', {
+    is: 'variant',
+    then: Joi.required().invalid(null).messages({ 'any.required': 'Variant rules need a description' })
+  })
+});
+
+const updateRuleSchema = Joi.object({
+  ...ruleFields,
+  isActive: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided'
+});
+
+const experimentKeyPattern = /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/;
+
+const experimentVariantSchema = Joi.object({
+  key: Joi.string().pattern(experimentKeyPattern).required().messages({
+    'string.pattern.base': 'Variant key must be lowercase letters, numbers, hyphens or underscores',
+    'any.required': 'Variant key is required'
+  }),
+  name: Joi.string().trim().max(200).allow('', null),
+  weight: Joi.number().integer().min(1).max(1000).default(1),
+  rules: Joi.array().items(createRuleSchema).max(50).default([]),
+  descriptions: Joi.object()
+    .pattern(Joi.string().pattern(slugPattern), Joi.string().trim().min(1).max(1000))
+    .default({})
+});
+
+const experimentVariantsSchema = Joi.array()
+  .items(experimentVariantSchema)
+  .min(2)
+  .max(10)
+  .unique('key')
+  .messages({
+    'array.min': 'An experiment needs at least two variants',
+    'array.unique': 'Variant keys must be unique'
+  });
+
+const experimentStatusSchema = Joi.string().valid('draft', 'running', 'stopped').messages({
+  'any.only': 'Status must be one of: draft, running, stopped'
+});
+
+const createExperimentSchema = Joi.object({
+  key: Joi.string()
+    .pattern(experimentKeyPattern)
+    .max(100)
+    .required()
+    .messages({
+      'string.pattern.base': 'Experiment key must be lowercase letters, numbers, hyphens or underscores',
+      'any.required': 'Experiment key is required'
+    }),
+  name: Joi.string().trim().min(1).max(200).required().messages({
+    'any.required': 'Name is required'
+  }),
+  description: Joi.string().trim().max(1000).allow('', null),
+  status: experimentStatusSchema,
+  variants: experimentVariantsSchema.required().messages({
+    'any.required': 'Variants are required'
+  })
+});
+
+const updateExperimentSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().max(1000).allow('', null),
+  status: experimentStatusSchema,
+  variants: experimentVariantsSchema
+}).min(1).messages({
+  'object.min': 'At least one field must be provided'
+});
+
+const publishCatalogSchema = Joi.object({
+  notes: Joi.string().trim().max(1000).allow('', null)
+});
+
+const versionQuerySchema = Joi.object({
+  at: Joi.date().iso().messages({
+    'date.format': 'at must be an ISO 8601 date'
+  })
+});
+
+
+const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// GET /admin/peptides - List peptides (?includeRetired=true to include retired)
+router.get('/peptides', asyncErrorHandler(async (req, res) => {
+  const peptides = await catalogService.listPeptides(req.query.includeRetired === 'true');
+
+  res.json({
+    success: true,
+    data: { peptides, total: peptides.length }
+  });
+}, 'PEPTIDES_FETCH_ERROR'));
+
+// GET /admin/peptides/:id - Get a single peptide
+router.get('/peptides/:id', asyncErrorHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  const peptide = id && await catalogService.getPeptideById(id);
+
+  if (!peptide) {
+    throw new NotFoundError('Peptide not found', 'CATALOG_NOT_FOUND');
+  }
+
+  res.json({ success: true, data: { peptide } });
+}, 'PEPTIDE_FETCH_ERROR'));
+
+// POST /admin/peptides - Create a peptide
+router.post('/peptides', validate(createPeptideSchema), asyncErrorHandler(async (req, res) => {
+  const peptide = await catalogService.createPeptide(req.body);
+
+  logger.info('Admin created peptide:', { peptideId: peptide.id, userId: req.user.id });
+
+  res.status(201).json({ success: true, data: { peptide } });
+}, 'PEPTIDE_CREATE_ERROR'));
+
+// PUT /admin/peptides/:id - Update a peptide, its goal mappings, description variants or references
+router.put('/peptides/:id', validate(updatePeptideSchema), asyncErrorHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  const peptide = id && await catalogService.updatePeptide(id, req.body);
+
+  if (!peptide) {
+    throw new NotFoundError('Peptide not found', 'CATALOG_NOT_FOUND');
+  }
+
+  logger.info('Admin updated peptide:', { peptideId: id, userId: req.user.id });
+
+  res.json({ success: true, data: { peptide } });
+}, 'PEPTIDE_UPDATE_ERROR'));
+
+// DELETE /admin/peptides/:id - Retire a peptide (restore with PUT isActive: true)
+router.delete('/peptides/:id', asyncErrorHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  const retired = id && await catalogService.retirePeptide(id);
+
+  if (!retired) {
+    throw new NotFoundError('Peptide not found', 'CATALOG_NOT_FOUND');
+  }
+
+  logger.info('Admin retired peptide:', { peptideId: id, userId: req.user.id });
+
+  res.json({ success: true, data: { message: 'Peptide retired' } });
+}, 'PEPTIDE_RETIRE_ERROR'));
+
+// GET /admin/goals - List goals (?includeRetired=true to include retired)
+router.get('/goals', asyncErrorHandler(async (req, res) => {
+  const goals = await catalogService.listGoals(req.query.includeRetired === 'true');
+
+  res.json({
+    success: true,
+    data: { goals, total: goals.length }
+  });
+}, 'GOALS_FETCH_ERROR'));
+
+// POST /admin/goals - Create a goal
+router.post('/goals', validate(createGoalSchema), asyncErrorHandler(async (req, res) => {
+  const goal = await catalogService.createGoal(req.body);
+
+  logger.info('Admin created goal:', { goal: goal.key, userId: req.user.id });
+
+  res.status(201).json({ success: true, data: { goal } });
+}, 'GOAL_CREATE_ERROR'));
+
+// PUT /admin/goals/order - Reorder goals
+router.put('/goals/order', validate(goalOrderSchema), asyncErrorHandler(async (req, res) => {
+  const goals = await catalogService.reorderGoals(req.body.keys);
+
+  logger.info('Admin reordered goals:', { userId: req.user.id });
+
+  res.json({ success: true, data: { goals } });
+}, 'GOAL_REORDER_ERROR'));
+
+// PUT /admin/goals/:key - Update a goal
+router.put('/goals/:key', validate(updateGoalSchema), asyncErrorHandler(async (req, res) => {
+  const goal = await catalogService.updateGoal(req.params.key, req.body);
+
+  if (!goal) {
+    throw new NotFoundError('Goal not found', 'CATALOG_NOT_FOUND');
+  }
+
+  logger.info('Admin updated goal:', { goal: goal.key, userId: req.user.id });
+
+  res.json({ success: true, data: { goal } });
+}, 'GOAL_UPDATE_ERROR'));
+
+// DELETE /admin/goals/:key - Retire a goal (restore with PUT isActive: true)
+router.delete('/goals/:key', asyncErrorHandler(async (req, res) => {
+  const retired = await catalogService.retireGoal(req.params.key);
+
+  if (!retired) {
+    throw new NotFoundError('Goal not found', 'CATALOG_NOT_FOUND');
+  }
+
+  logger.info('Admin retired goal:', { goal: req.params.key, userId: req.user.id });
+
+  res.json({ success: true, data: { message: 'Goal retired' } });
+}, 'GOAL_RETIRE_ERROR'));
+
+// GET /admin/goals/:key/peptides - List the peptides mapped to a goal
+router.get('/goals/:key/peptides', asyncErrorHandler(async (req, res) => {
+  if (!(await catalogService.getGoal(req.params.key))) {
+    throw new NotFoundError('Goal not found', 'CATALOG_NOT_FOUND');
+  }
+
+  const peptides = await catalogService.getGoalPeptides(req.params.key);
+
+  res.json({ success: true, data: { peptides } });
+}, 'GOAL_MAPPINGS_FETCH_ERROR'));
+
+// PUT /admin/goals/:key/peptides - Replace and reorder the peptides mapped to a goal
+router.put('/goals/:key/peptides', validate(goalPeptidesSchema), asyncErrorHandler(async (req, res) => {
+  if (!(await catalogService.getGoal(req.params.key))) {
+    throw new NotFoundError('Goal not found', 'CATALOG_NOT_FOUND');
+  }
+
+  const peptides = await catalogService.setGoalPeptides(req.params.key, req.body.peptideIds);
+
+  logger.info('Admin updated goal mappings:', { goal: req.params.key, userId: req.user.id });
+
+  res.json({ success: true, data: { peptides } });
+}, 'GOAL_MAPPINGS_UPDATE_ERROR'));
+
+// POST /admin/goals/:key/peptides - Map a peptide to a goal
+router.post('/goals/:key/peptides', validate(goalPeptideSchema), asyncErrorHandler(async (req, res) => {
+  if (!(await catalogService.getGoal(req.params.key))) {
+    throw new NotFoundError('Goal not found', 'CATALOG_NOT_FOUND');
+  }
+
+  const peptides = await catalogService.addGoalPeptide(req.params.key, req.body.peptideId);
+
+  logger.info('Admin added goal mapping:', {
+    goal: req.params.key,
+    peptideId: req.body.peptideId,
+    userId: req.user.id
+  });
+
+  res.status(201).json({ success: true, data: { peptides } });
+}, 'GOAL_MAPPING_CREATE_ERROR'));
+
+// DELETE /admin/goals/:key/peptides/:peptideId - Unmap a peptide from a goal
+router.delete('/goals/:key/peptides/:peptideId', asyncErrorHandler(async (req, res) => {
+  const peptideId = parseId(req.params.peptideId);
+  const removed = peptideId && await catalogService.removeGoalPeptide(req.params.key, peptideId);
+
+  if (!removed) {
+    throw new NotFoundError('Goal mapping not found', 'CATALOG_NOT_FOUND');
+  }
+
+  logger.info('Admin removed goal mapping:', {
+    goal: req.params.key,
+    peptideId,
+    userId: req.user.id
+  });
+
+  res.json({ success: true, data: { message: 'Goal mapping removed' } });
+}, 'GOAL_MAPPING_DELETE_ERROR'));
+
+// GET /admin/rules - List recommendation rules (?includeInactive=true to include deactivated)
+router.get('/rules', asyncErrorHandler(async (req, res) => {
+  const rules = await catalogService.listRules(req.query.includeInactive === 'true');
+
+  res.json({
+    success: true,
+    data: { rules, total: rules.length }
+  });
+}, 'RULES_FETCH_ERROR'));
+
+// GET /admin/rules/:id - Get a recommendation rule
+router.get('/rules/:id', asyncErrorHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  const rule = id && await catalogService.getRule(id);
+
+  if (!rule) {
+    throw new NotFoundError('Rule not found', 'CATALOG_NOT_FOUND');
+  }
+
+  res.json({ success: true, data: { rule } });
+}, 'RULE_FETCH_ERROR'));
+
+// POST /admin/rules - Create a recommendation rule
+router.post('/rules', validate(createRuleSchema), asyncErrorHandler(async (req, res) => {
+  const rule = await catalogService.createRule(req.body);
+
+  logger.info('Admin created rule:', { ruleId: rule.id, userId: req.user.id });
+
+  res.status(201).json({ success: true, data: { rule } });
+}, 'RULE_CREATE_ERROR'));
+
+// PUT /admin/rules/:id - Update a recommendation rule
+router.put('/rules/:id', validate(updateRuleSchema), asyncErrorHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  const rule = id && await catalogService.updateRule(id, req.body);
+
+  if (!rule) {
+    throw new NotFoundError('Rule not found', 'CATALOG_NOT_FOUND');
+  }
+
+  logger.info('Admin updated rule:', { ruleId: id, userId: req.user.id });
+
+  res.json({ success: true, data: { rule } });
+}, 'RULE_UPDATE_ERROR'));
+
+// DELETE /admin/rules/:id - Deactivate a recommendation rule (restore with PUT isActive: true)
+router.delete('/rules/:id', asyncErrorHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  const deactivated = id && await catalogService.deactivateRule(id);
+
+  if (!deactivated) {
+    throw new NotFoundError('Rule not found', 'CATALOG_NOT_FOUND');
+  }
+
+  logger.info('Admin deactivated rule:', { ruleId: id, userId: req.user.id });
+
+  res.json({ success: true, data: { message: 'Rule deactivated' } });
+}, 'RULE_DEACTIVATE_ERROR'));
+
+// POST /admin/catalog/publish - Publish the working catalog so suggestions start using it
+router.post('/catalog/publish', validate(publishCatalogSchema), asyncErrorHandler(async (req, res) => {
+  const version = await catalogService.publish({
+    notes: req.body.notes || null,
+    userId: req.user.id
+  });
+
+  logger.info('Admin published catalog:', { version: version.version, userId: req.user.id });
+
+  res.status(201).json({ success: true, data: { version } });
+}, 'CATALOG_PUBLISH_ERROR'));
+
+// GET /admin/catalog/versions - List published versions (?at=ISO date for the version served then)
+router.get('/catalog/versions', validate(versionQuerySchema, 'query'), asyncErrorHandler(async (req, res) => {
+  if (req.query.at) {
+    const version = await catalogService.getVersionAt(req.query.at);
+
+    if (!version) {
+      throw new NotFoundError('No catalog version was published by then', 'CATALOG_NOT_FOUND');
+    }
+
+    return res.json({ success: true, data: { version } });
+  }
+
+  const versions = await catalogService.listVersions();
+
+  res.json({
+    success: true,
+    data: { versions, total: versions.length }
+  });
+}, 'CATALOG_VERSIONS_FETCH_ERROR'));
+
+// GET /admin/catalog/versions/:version - Get a published version with its goals, peptides and rules
+router.get('/catalog/versions/:version', asyncErrorHandler(async (req, res) => {
+  const id = parseId(req.params.version);
+  const version = id && await catalogService.getVersion(id);
+
+  if (!version) {
+    throw new NotFoundError('Catalog version not found', 'CATALOG_NOT_FOUND');
+  }
+
+  res.json({ success: true, data: { version } });
+}, 'CATALOG_VERSION_FETCH_ERROR'));
+
+// GET /admin/cache - Hit and miss metrics for the anonymous suggestions cache
+router.get('/cache', (req, res) => {
+  res.json({ success: true, data: { cache: cacheService.getStats() } });
+});
+
+// GET /admin/experiments - List experiments with their variants
+router.get('/experiments', asyncErrorHandler(async (req, res) => {
+  const experiments = await experimentService.listExperiments();
+
+  res.json({
+    success: true,
+    data: { experiments, total: experiments.length }
+  });
+}, 'EXPERIMENTS_FETCH_ERROR'));
+
+// GET /admin/experiments/:key - Get an experiment with per-variant outcome metrics
+router.get('/experiments/:key', asyncErrorHandler(async (req, res) => {
+  const experiment = await experimentService.getExperiment(req.params.key);
+
+  if (!experiment) {
+    throw new NotFoundError('Experiment not found', 'CATALOG_NOT_FOUND');
+  }
+
+  const metrics = await experimentService.getMetrics(req.params.key);
+
+  res.json({ success: true, data: { experiment, metrics } });
+}, 'EXPERIMENT_FETCH_ERROR'));
+
+// POST /admin/experiments - Create an experiment
+router.post('/experiments', validate(createExperimentSchema), asyncErrorHandler(async (req, res) => {
+  const experiment = await experimentService.createExperiment(req.body);
+
+  logger.info('Admin created experiment:', { experiment: experiment.key, userId: req.user.id });
+
+  res.status(201).json({ success: true, data: { experiment } });
+}, 'EXPERIMENT_CREATE_ERROR'));
+
+// PUT /admin/experiments/:key - Update an experiment; start or stop it with status
+router.put('/experiments/:key', validate(updateExperimentSchema), asyncErrorHandler(async (req, res) => {
+  const experiment = await experimentService.updateExperiment(req.params.key, req.body);
+
+  if (!experiment) {
+    throw new NotFoundError('Experiment not found', 'CATALOG_NOT_FOUND');
+  }
+
+  logger.info('Admin updated experiment:', { experiment: req.params.key, userId: req.user.id });
+
+  res.json({ success: true, data: { experiment } });
+}, 'EXPERIMENT_UPDATE_ERROR'));
+
+module.exports = router;
+
+// Request schemas, read by the OpenAPI document
+module.exports.schemas = {
+  createPeptideSchema,
+  updatePeptideSchema,
+  createGoalSchema,
+  updateGoalSchema,
+  goalOrderSchema,
+  goalPeptidesSchema,
+  goalPeptideSchema,
+  createRuleSchema,
+  updateRuleSchema,
+  createExperimentSchema,
+  updateExperimentSchema,
+  publishCatalogSchema,
+  versionQuerySchema
+};
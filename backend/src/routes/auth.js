@@ -3,6 +3,16 @@ const Joi = require('joi');
 const rateLimit = require('express-rate-limit');
 const userService = require('../services/userService');
 const AuthMiddleware = require('../middleware/auth');
+const interactionService = require('../services/interactionService');
+const pdfService = require('../services/pdfService');
+const feedbackService = require('../services/feedbackService');
+const suggestionsService = require('../services/suggestionsService');
+const safetyService = require('../services/safetyService');
+const catalogService = require('../services/catalogService');
+const tokenService = require('../services/tokenService');
+const { validate, schemas } = require('../middleware/validation');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+const { AuthenticationError, NotFoundError, RateLimitError } = require('../utils/errors');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
 
@@ -11,14 +21,13 @@ const router = express.Router();
 // Rate limiting for auth endpoints
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 requests per windowMs for auth endpoints
-  message: {
-    success: false,
-    error: {
-      message: 'Too many authentication attempts, please try again later.',
-      code: 'TOO_MANY_ATTEMPTS'
-    }
-  },
+  // limit each IP to 5 requests per windowMs for auth endpoints by default
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 5,
+  handler: (req, res, next, options) => next(new RateLimitError(
+    'Too many authentication attempts, please try again later.',
+    'TOO_MANY_ATTEMPTS',
+    Math.ceil(options.windowMs / 1000)
+  )),
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -47,6 +56,7 @@ const registerSchema = Joi.object({
     .max(50)
     .optional()
     .messages({
+      'string.empty': 'First name cannot be empty',
       'string.min': 'First name cannot be empty',
       'string.max': 'First name cannot exceed 50 characters'
     }),
@@ -56,6 +66,7 @@ const registerSchema = Joi.object({
     .max(50)
     .optional()
     .messages({
+      'string.empty': 'Last name cannot be empty',
       'string.min': 'Last name cannot be empty',
       'string.max': 'Last name cannot exceed 50 characters'
     })
@@ -76,247 +87,314 @@ const loginSchema = Joi.object({
     })
 });
 
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Refresh token is required'
+    })
+});
+
+/**
+ * Access token plus refresh token returned by registration, login and refresh
+ * @param {Object} user - User the access token is for
+ * @param {Object} refresh - { refreshToken, expiresAt } to hand out, a new family by default
+ * @returns {Object} { token, expiresIn, refreshToken, refreshTokenExpiresAt }
+ */
+const issueTokens = async (user, refresh) => {
+  const token = AuthMiddleware.generateToken(user);
+  const { iat, exp } = AuthMiddleware.verifyTokenDirect(token);
+  const { refreshToken, expiresAt } = refresh || await tokenService.issue(user.id);
+
+  return {
+    token,
+    expiresIn: exp - iat,
+    refreshToken,
+    refreshTokenExpiresAt: expiresAt
+  };
+};
+
 
 
 // POST /auth/register - Register new user
-router.post('/register', authLimiter, async (req, res) => {
+router.post('/register', authLimiter, validate(registerSchema), asyncErrorHandler(async (req, res) => {
   const requestId = uuidv4();
-  
-  try {
-    // Validate input
-    const { error, value } = registerSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: error.details[0].message,
-          code: 'VALIDATION_ERROR'
-        }
-      });
+  const { email, password, firstName, lastName } = req.body;
+
+  logger.info('User registration attempt:', {
+    requestId,
+    email,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  // Create user
+  const user = await userService.createUser({
+    email,
+    password,
+    firstName: firstName || '',
+    lastName: lastName || ''
+  });
+
+  const tokens = await issueTokens(user);
+
+  logger.info('User registered successfully:', {
+    requestId,
+    userId: user.id,
+    email: user.email
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      message: 'User registered successfully',
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role
+      },
+      ...tokens
     }
+  });
+}, 'REGISTRATION_ERROR'));
 
-    const { email, password, firstName, lastName } = value;
-
-    logger.info('User registration attempt:', {
-      requestId,
-      email,
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
-    });
-
-    // Create user
-    const user = await userService.createUser({
-      email,
-      password,
-      firstName: firstName || '',
-      lastName: lastName || ''
-    });
-
-    // Generate JWT token
-    const token = AuthMiddleware.generateToken(user);
-
-    logger.info('User registered successfully:', {
-      requestId,
-      userId: user.id,
-      email: user.email
-    });
-
-    res.status(201).json({
-      success: true,
-      data: {
-        message: 'User registered successfully',
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName
-        },
-        token
-      }
-    });
-
-  } catch (error) {
-    logger.error('Registration error:', {
-      requestId,
-      error: error.message,
-      email: req.body.email
-    });
-
-    if (error.message.includes('already exists')) {
-      return res.status(409).json({
-        success: false,
-        error: {
-          message: 'An account with this email already exists',
-          code: 'EMAIL_EXISTS'
-        }
-      });
+// POST /auth/login - Login user
+router.post('/login', authLimiter, validate(loginSchema), asyncErrorHandler(async (req, res) => {
+  const requestId = uuidv4();
+  const { email, password } = req.body;
+
+  logger.info('User login attempt:', {
+    requestId,
+    email,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  // Authenticate user
+  const user = await userService.authenticateUser(email, password);
+
+  const tokens = await issueTokens(user);
+
+  logger.info('User logged in successfully:', {
+    requestId,
+    userId: user.id,
+    email: user.email
+  });
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role
+      },
+      ...tokens
     }
+  });
+}, 'LOGIN_ERROR'));
 
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to register user. Please try again.',
-        code: 'REGISTRATION_ERROR'
-      }
-    });
+// POST /auth/refresh - Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', authLimiter, validate(refreshSchema), asyncErrorHandler(async (req, res) => {
+  const { userId, ...refresh } = await tokenService.rotate(req.body.refreshToken);
+
+  // Read the user again so a changed role or name reaches the new access token
+  const user = await userService.getUserById(userId);
+  if (!user) {
+    throw new AuthenticationError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
   }
-});
 
-// POST /auth/login - Login user
-router.post('/login', authLimiter, async (req, res) => {
-  const requestId = uuidv4();
-  
-  try {
-    // Validate input
-    const { error, value } = loginSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: error.details[0].message,
-          code: 'VALIDATION_ERROR'
-        }
-      });
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role
+      },
+      ...await issueTokens(user, refresh)
     }
+  });
+}, 'TOKEN_REFRESH_ERROR'));
+
+// POST /auth/logout - Revoke a refresh token and every token rotated from the same login
+router.post('/logout', authLimiter, validate(refreshSchema), asyncErrorHandler(async (req, res) => {
+  await tokenService.revoke(req.body.refreshToken);
+
+  res.json({
+    success: true,
+    data: { message: 'Logged out' }
+  });
+}, 'LOGOUT_ERROR'));
+
+// GET /auth/profile - Get user profile (protected)
+router.get('/profile', AuthMiddleware.verifyToken, asyncErrorHandler(async (req, res) => {
+  const user = await userService.getUserById(req.user.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+  }
 
-    const { email, password } = value;
-
-    logger.info('User login attempt:', {
-      requestId,
-      email,
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
-    });
-
-    // Authenticate user
-    const user = await userService.authenticateUser(email, password);
-
-    // Generate JWT token
-    const token = AuthMiddleware.generateToken(user);
-
-    logger.info('User logged in successfully:', {
-      requestId,
-      userId: user.id,
-      email: user.email
-    });
-
-    res.json({
-      success: true,
-      data: {
-        message: 'Login successful',
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName
-        },
-        token
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
       }
-    });
-
-  } catch (error) {
-    logger.error('Login error:', {
-      requestId,
-      error: error.message,
-      email: req.body.email
-    });
-
-    if (error.message.includes('Invalid email or password')) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: 'Invalid email or password',
-          code: 'INVALID_CREDENTIALS'
-        }
-      });
     }
+  });
+}, 'PROFILE_FETCH_ERROR'));
 
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Login failed. Please try again.',
-        code: 'LOGIN_ERROR'
-      }
-    });
-  }
-});
 
-// GET /auth/profile - Get user profile (protected)
-router.get('/profile', AuthMiddleware.verifyToken, async (req, res) => {
-  try {
-    const user = await userService.getUserById(req.user.id);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: 'User not found',
-          code: 'USER_NOT_FOUND'
-        }
-      });
+// GET /auth/suggestions - Get user's suggestion history (protected)
+router.get('/suggestions', AuthMiddleware.verifyToken, asyncErrorHandler(async (req, res) => {
+  const limit = parseInt(req.query.limit) || 10;
+  const history = await userService.getUserSuggestions(req.user.id, limit);
+  const feedback = await feedbackService.getFeedbackForSuggestions(history.map(entry => entry.id));
+  const suggestions = history.map(entry => ({
+    ...entry,
+    feedback: feedback.get(entry.id) || []
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      suggestions,
+      total: suggestions.length
     }
+  });
+}, 'SUGGESTIONS_FETCH_ERROR'));
 
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          createdAt: user.createdAt,
-          updatedAt: user.updatedAt
-        }
-      }
-    });
-
-  } catch (error) {
-    logger.error('Profile fetch error:', {
-      userId: req.user.id,
-      error: error.message
-    });
-
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to fetch profile',
-        code: 'PROFILE_FETCH_ERROR'
-      }
-    });
+
+// Load a saved history entry belonging to the signed-in user
+const findHistoryEntry = async (req) => {
+  const id = parseInt(req.params.id);
+  const entry = Number.isInteger(id)
+    ? await userService.getUserSuggestionById(req.user.id, id)
+    : null;
+
+  if (!entry) {
+    throw new NotFoundError('Suggestion not found', 'SUGGESTION_NOT_FOUND');
   }
-});
 
+  return entry;
+};
 
-// GET /auth/suggestions - Get user's suggestion history (protected)
-router.get('/suggestions', AuthMiddleware.verifyToken, async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-    const suggestions = await userService.getUserSuggestions(req.user.id, limit);
-
-    res.json({
-      success: true,
-      data: {
+// GET /auth/suggestions/:id/pdf - Download a saved history entry as a PDF (protected)
+router.get('/suggestions/:id/pdf', AuthMiddleware.verifyToken, asyncErrorHandler(async (req, res) => {
+  const entry = await findHistoryEntry(req);
+
+  // SQLite timestamps are UTC without a zone designator
+  const generatedAt = new Date(`${entry.createdAt.replace(' ', 'T')}Z`);
+
+  const pdf = await pdfService.generateSuggestionsPdf({
+    age: entry.age,
+    goals: entry.healthGoals.map(({ goal }) => goal),
+    suggestions: entry.suggestions,
+    warnings: entry.warnings,
+    generatedAt
+  });
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${pdfService.getFilename(generatedAt)}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+}, 'PDF_EXPORT_ERROR'));
+
+
+// Rows saved before suggestions carried slugs only have names
+const suggestionKey = (suggestion) => suggestion.slug || suggestion.name;
+
+// GET /auth/suggestions/:id/replay - Answer a saved request again with today's catalog (protected)
+router.get('/suggestions/:id/replay', AuthMiddleware.verifyToken, asyncErrorHandler(async (req, res) => {
+  const entry = await findHistoryEntry(req);
+
+  // Same age, goals and profile; no history or experiments so only the catalog and engine differ
+  const profile = await userService.getUserProfile(req.user.id);
+  const { version: catalogVersion } = await catalogService.getCatalog();
+  const { suggestions: generated, engineVersion } = safetyService.isBlocked(entry.warnings)
+    ? { suggestions: [], engineVersion: null }
+    : await suggestionsService.generateSuggestions(entry.age, entry.healthGoals, true, [], profile);
+
+  const { suggestions, excluded } = interactionService.screen(generated, {
+    conditions: profile.conditions || [],
+    medications: profile.medications || []
+  });
+
+  const originalKeys = entry.suggestions.map(suggestionKey);
+  const currentKeys = suggestions.map(suggestionKey);
+
+  res.json({
+    success: true,
+    data: {
+      original: {
+        createdAt: entry.createdAt,
+        catalogVersion: entry.catalogVersion,
+        engineVersion: entry.engineVersion,
+        suggestions: entry.suggestions
+      },
+      current: {
+        catalogVersion,
+        engineVersion,
         suggestions,
-        total: suggestions.length
+        excluded
+      },
+      changes: {
+        added: currentKeys.filter(key => !originalKeys.includes(key)),
+        removed: originalKeys.filter(key => !currentKeys.includes(key)),
+        kept: currentKeys.filter(key => originalKeys.includes(key))
       }
-    });
-
-  } catch (error) {
-    logger.error('Fetch suggestions error:', {
-      userId: req.user.id,
-      error: error.message
-    });
-
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to fetch suggestion history',
-        code: 'SUGGESTIONS_FETCH_ERROR'
-      }
-    });
-  }
+    }
+  });
+}, 'SUGGESTION_REPLAY_ERROR'));
+
+
+// Describe which recorded terms the interaction dataset recognizes
+const describeHealthProfile = (healthProfile) => ({
+  ...healthProfile,
+  unrecognized: {
+    conditions: healthProfile.conditions.filter(name => !interactionService.resolveTerm('condition', name)),
+    medications: healthProfile.medications.filter(name => !interactionService.resolveTerm('medication', name))
+  },
+  known: interactionService.getKnownTerms()
 });
 
+// GET /auth/health-profile - Get recorded conditions and medications (protected)
+router.get('/health-profile', AuthMiddleware.verifyToken, asyncErrorHandler(async (req, res) => {
+  const healthProfile = await userService.getHealthProfile(req.user.id);
+
+  res.json({
+    success: true,
+    data: describeHealthProfile(healthProfile)
+  });
+}, 'HEALTH_PROFILE_FETCH_ERROR'));
+
+// PUT /auth/health-profile - Replace recorded conditions and medications (protected)
+router.put('/health-profile', AuthMiddleware.verifyToken, validate(schemas.healthProfile), asyncErrorHandler(async (req, res) => {
+  const healthProfile = await userService.setHealthProfile(req.user.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Health profile updated',
+    data: describeHealthProfile(healthProfile)
+  });
+}, 'HEALTH_PROFILE_UPDATE_ERROR'));
+
 
 // GET /auth/verify - Verify token validity (protected)
 router.get('/verify', AuthMiddleware.verifyToken, (req, res) => {
@@ -328,10 +406,14 @@ router.get('/verify', AuthMiddleware.verifyToken, (req, res) => {
         id: req.user.id,
         email: req.user.email,
         firstName: req.user.firstName,
-        lastName: req.user.lastName
+        lastName: req.user.lastName,
+        role: req.user.role
       }
     }
   });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Request schemas, read by the OpenAPI document
+module.exports.schemas = { registerSchema, loginSchema, refreshSchema };
@@ -0,0 +1,65 @@
+const express = require('express');
+const Joi = require('joi');
+const catalogService = require('../services/catalogService');
+const { validate, getGoalSchemas } = require('../middleware/validation');
+const { catalogConditional } = require('../middleware/conditional');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+const { NotFoundError } = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * Query schema for GET /peptides
+ * @param {Object} goalKey - Schema accepting the active goal keys
+ * @returns {Object} Joi schema
+ */
+const buildSearchSchema = (goalKey) => Joi.object({
+  q: Joi.string().trim().max(200).allow('').default(''),
+  goal: goalKey,
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    'number.base': 'Limit must be a number',
+    'number.min': 'Limit must be at least 1',
+    'number.max': 'Limit must be 100 or less'
+  }),
+  offset: Joi.number().integer().min(0).default(0).messages({
+    'number.base': 'Offset must be a number',
+    'number.min': 'Offset cannot be negative'
+  })
+});
+
+// Validation middleware
+const validateSearchQuery = validate(async () => buildSearchSchema((await getGoalSchemas()).goalKey), 'query');
+
+// GET /peptides - Search the catalog by name, description and aliases (?q=, ?goal=, ?limit=, ?offset=)
+router.get('/', validateSearchQuery, catalogConditional, asyncErrorHandler(async (req, res) => {
+  const { peptides, total } = await catalogService.searchPeptides(req.query);
+
+  res.json({
+    success: true,
+    data: {
+      peptides,
+      total,
+      limit: req.query.limit,
+      offset: req.query.offset
+    }
+  });
+}, 'PEPTIDE_SEARCH_ERROR'));
+
+// GET /peptides/:slug - Get a peptide with the goals it serves and its protocol
+router.get('/:slug', catalogConditional, asyncErrorHandler(async (req, res) => {
+  const peptide = await catalogService.getPublishedPeptide(req.params.slug);
+
+  if (!peptide) {
+    throw new NotFoundError('Peptide not found', 'PEPTIDE_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: { peptide }
+  });
+}, 'PEPTIDE_FETCH_ERROR'));
+
+module.exports = router;
+
+// Request schemas, read by the OpenAPI document
+module.exports.buildSearchSchema = buildSearchSchema;
@@ -4,282 +4,580 @@ const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const analyticsService = require('../services/analyticsService');
 const userService = require('../services/userService');
+const suggestionsService = require('../services/suggestionsService');
+const safetyService = require('../services/safetyService');
+const interactionService = require('../services/interactionService');
+const personalizationService = require('../services/personalizationService');
+const pdfService = require('../services/pdfService');
+const feedbackService = require('../services/feedbackService');
+const experimentService = require('../services/experimentService');
+const catalogService = require('../services/catalogService');
+const batchService = require('../services/batchService');
+const { validate, getGoalSchemas, validateProductionConstraints, validatePdfExportRequest } = require('../middleware/validation');
 const AuthMiddleware = require('../middleware/auth');
+const { catalogConditional } = require('../middleware/conditional');
+const { asyncErrorHandler, buildErrorResponse } = require('../middleware/errorHandler');
+const { AppError, ValidationError, NotFoundError } = require('../utils/errors');
 
 const router = express.Router();
 
-// Validation schema
-const suggestionsSchema = Joi.object({
-  age: Joi.number()
-    .integer()
-    .min(18)
-    .max(120)
-    .required()
-    .messages({
-      'number.base': 'Age must be a number',
-      'number.integer': 'Age must be a whole number',
-      'number.min': 'Age must be at least 18',
-      'number.max': 'Age must be 120 or less',
-      'any.required': 'Age is required'
-    }),
-  healthGoal: Joi.string()
-    .valid('energy', 'sleep', 'focus', 'recovery', 'weight_management', 'immune_support')
+// Client-generated id that keeps anonymous visitors in the same experiment variants
+const anonymousIdPattern = /^[A-Za-z0-9-]{8,64}$/;
+
+// How often a streamed response sends a keep-alive comment
+const STREAM_HEARTBEAT_MS = 15000;
+
+// Feedback on one or more peptides from a saved suggestion
+const feedbackSchema = Joi.object({
+  feedback: Joi.array()
+    .items(Joi.object({
+      slug: Joi.string().required().messages({
+        'any.required': 'Each feedback entry needs the peptide slug'
+      }),
+      rating: Joi.number()
+        .integer()
+        .min(1)
+        .max(5)
+        .allow(null)
+        .messages({
+          'number.base': 'Rating must be a number',
+          'number.min': 'Rating must be between 1 and 5',
+          'number.max': 'Rating must be between 1 and 5'
+        }),
+      tried: Joi.boolean().required().messages({
+        'any.required': 'Say whether you tried this peptide'
+      }),
+      sideEffects: Joi.array()
+        .items(Joi.string().trim().min(1).max(100))
+        .max(20)
+        .unique((a, b) => String(a).toLowerCase() === String(b).toLowerCase())
+        .default([])
+        .messages({
+          'array.max': 'No more than 20 side effects can be listed'
+        }),
+      comment: Joi.string().trim().max(1000).allow('', null).messages({
+        'string.max': 'Comments cannot exceed 1000 characters'
+      })
+    }))
+    .min(1)
+    .unique('slug')
     .required()
     .messages({
-      'any.only': 'Health goal must be one of: energy, sleep, focus, recovery, weight_management, immune_support',
-      'any.required': 'Health goal is required'
+      'array.min': 'At least one feedback entry is required',
+      'array.unique': 'Each peptide can only be listed once',
+      'any.required': 'Feedback is required'
     })
 });
 
-// Mock suggestion generator (enhanced based on age and authentication status)
-function generateSuggestions(age, goal, isAuthenticated = false, userHistory = []) {
-  const baseTitle = isAuthenticated ? 'Personalized Peptide Recommendations' : 'General Peptide Recommendations';
-  
-  const suggestions = {
-    energy: [
-      {
-        name: "Peptide Alpha-E",
-        description: `Supports natural energy production. ${age < 30 ? 'Great for young adults building stamina.' : age < 50 ? 'Ideal for maintaining energy levels.' : 'Helps combat age-related energy decline.'}`
-      },
-      {
-        name: "Mitochondrial Boost Complex",
-        description: "Enhances cellular energy metabolism and reduces fatigue."
-      },
-      {
-        name: "Vitality Peptide",
-        description: isAuthenticated ? "Based on your profile, this may help with sustained energy throughout the day." : "May help with sustained energy throughout the day."
-      }
-    ],
-    sleep: [
-      {
-        name: "Deep Rest Peptide",
-        description: `Promotes restful sleep and recovery. ${age > 40 ? 'Particularly beneficial for age-related sleep improvements.' : 'Supports healthy sleep cycles.'}`
-      },
-      {
-        name: "Circadian Balance Formula",
-        description: "Helps regulate natural sleep-wake cycles and improves sleep quality."
-      },
-      {
-        name: "Recovery Sleep Support",
-        description: isAuthenticated ? "Customized for your sleep optimization needs." : "Supports optimal sleep recovery."
-      }
-    ],
-    focus: [
-      {
-        name: "Cognitive Enhancement Peptide",
-        description: `Supports mental clarity and focus. ${age < 35 ? 'Perfect for cognitive performance optimization.' : 'Helps maintain sharp mental function.'}`
-      },
-      {
-        name: "Brain Boost Complex",
-        description: "Enhances concentration and cognitive processing speed."
-      },
-      {
-        name: "Mental Clarity Support",
-        description: isAuthenticated ? "Tailored to your cognitive enhancement goals." : "Supports mental clarity and alertness."
-      }
-    ],
-    recovery: [
-      {
-        name: "Rapid Recovery Peptide",
-        description: `Accelerates muscle recovery and repair. ${age > 35 ? 'Essential for maintaining recovery speed with age.' : 'Optimizes post-workout recovery.'}`
-      },
-      {
-        name: "Tissue Repair Formula",
-        description: "Supports faster healing and reduces recovery time."
-      },
-      {
-        name: "Athletic Recovery Support",
-        description: isAuthenticated ? "Designed for your specific recovery needs." : "Supports comprehensive recovery processes."
-      }
-    ],
-    weight_management: [
-      {
-        name: "Metabolic Support Peptide",
-        description: `Supports healthy metabolism. ${age > 30 ? 'Helps counter age-related metabolic changes.' : 'Optimizes metabolic function.'}`
-      },
-      {
-        name: "Fat Metabolism Enhancer",
-        description: "Promotes efficient fat burning and metabolic health."
-      },
-      {
-        name: "Body Composition Support",
-        description: isAuthenticated ? "Personalized for your weight management journey." : "Supports healthy body composition."
-      }
-    ],
-    immune_support: [
-      {
-        name: "Immune Defense Peptide",
-        description: `Strengthens immune system function. ${age > 50 ? 'Critical for age-related immune support.' : 'Supports robust immune response.'}`
-      },
-      {
-        name: "Immunity Boost Complex",
-        description: "Enhances natural immune defenses and resistance."
-      },
-      {
-        name: "Wellness Protection Formula",
-        description: isAuthenticated ? "Customized immune support based on your profile." : "Supports overall immune wellness."
-      }
-    ]
-  };
+// Validation middleware
+const validateSuggestionsRequest = [
+  validate(async () => (await getGoalSchemas()).suggestions),
+  (req, res, next) => {
+    // Downstream code always works with the normalized, weighted goal list
+    req.body.healthGoals = suggestionsService.normalizeGoals(req.body.healthGoal, req.body.healthGoals);
+    req.body.healthGoal = req.body.healthGoals[0].goal;
+    next();
+  }
+];
 
-  return suggestions[goal] || suggestions.energy;
-}
+/**
+ * Run a validated suggestions request through generation, screening,
+ * personalization and saving
+ * @param {Object} req - Request after validateSuggestionsRequest and validateProductionConstraints
+ * @param {string} requestId - Id used in logs and the response
+ * @param {Function} onProgress - Called with { stage } as each step starts
+ * @param {Function} onSuggestion - For streaming, called with each suggestion as soon as the provider
+ * produces it and it passes screening and the evidence minimum; the response's suggestions are the
+ * final ranking, which personalization may still reorder or shorten
+ * @returns {Object} { response, cache } where response is the JSON body and cache is 'hit', 'miss' or 'bypass'
+ */
+const answerSuggestionsRequest = async (req, requestId, onProgress = () => {}, onSuggestion = null) => {
+  const { age, healthGoal, healthGoals } = req.body;
+  const isAuthenticated = !!req.user;
+  let warnings = req.validationWarnings || [];
+  let userHistory = [];
+  let profile = {};
 
-// Validation middleware
-const validateSuggestionsRequest = async (req, res, next) => {
-  try {
-    const { error, value } = suggestionsSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: error.details[0].message,
-          field: error.details[0].path[0],
-          code: 'VALIDATION_ERROR'
-        }
+  logger.info('Processing suggestions request', {
+    requestId,
+    age,
+    goals: healthGoals.map(({ goal }) => goal),
+    userId: req.user?.id || 'anonymous',
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  // Get user history if authenticated
+  if (isAuthenticated) {
+    onProgress({ stage: 'history' });
+    try {
+      userHistory = await userService.getUserSuggestions(req.user.id, 5);
+    } catch (error) {
+      logger.warn('Failed to fetch user history:', {
+        requestId,
+        userId: req.user.id,
+        error: error.message
+      });
+      // Continue without history
+    }
+
+    try {
+      profile = await userService.getUserProfile(req.user.id);
+    } catch (error) {
+      logger.warn('Failed to fetch user profile:', {
+        requestId,
+        userId: req.user.id,
+        error: error.message
+      });
+      // Continue without profile-based rules
+    }
+
+    // Recorded conditions and medications can rule out suggestions just like ones sent with the request
+    if (profile.conditions?.length || profile.medications?.length) {
+      warnings = safetyService.evaluate({
+        age,
+        goals: healthGoals.map(({ goal }) => goal),
+        conditions: [...profile.conditions, ...(req.body.conditions || [])],
+        medications: [...profile.medications, ...(req.body.medications || [])]
       });
     }
-    req.body = value;
-    next();
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Validation error',
-        code: 'VALIDATION_SYSTEM_ERROR'
-      }
-    });
   }
-};
 
-// POST /suggestions - Get peptide suggestions (works with and without auth)
-router.post('/', AuthMiddleware.optionalAuth, validateSuggestionsRequest, async (req, res) => {
-  const requestId = uuidv4();
-  
+  const blocked = safetyService.isBlocked(warnings);
+
+  // Assign the requester to a variant of each running experiment
+  let subjectId = null;
+  let assignments = [];
   try {
-    const { age, healthGoal } = req.body;
-    const isAuthenticated = !!req.user;
-    let userHistory = [];
+    const anonymousId = req.get('X-Anonymous-Id');
+    ({ subjectId, assignments } = await experimentService.assign({
+      userId: req.user?.id,
+      anonymousId: anonymousIdPattern.test(anonymousId || '') ? anonymousId : null
+    }));
+  } catch (error) {
+    logger.warn('Experiment assignment failed:', {
+      requestId,
+      error: error.message
+    });
+    // Continue without experiments
+  }
+  const experiments = assignments.map(({ experiment, variant }) => ({ experiment, variant }));
 
-    logger.info('Processing suggestions request', {
+  // Log analytics without holding up the response
+  const logAnalytics = async () => {
+    await analyticsService.logSuccessfulRequest(req.body.healthGoal, req.body.age);
+    for (const { goal } of healthGoals) {
+      await analyticsService.logGoalSelection(goal, age, req.user?.id);
+    }
+  };
+  logAnalytics().catch(error => {
+    logger.error('Analytics logging failed:', {
       requestId,
-      age,
-      goal: healthGoal,
-      userId: req.user?.id || 'anonymous',
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
+      error: error.message
     });
+  });
 
-    // Get user history if authenticated
-    if (isAuthenticated) {
-      try {
-        userHistory = await userService.getUserSuggestions(req.user.id, 5);
-      } catch (error) {
-        logger.warn('Failed to fetch user history:', {
-          requestId,
-          userId: req.user.id,
-          error: error.message
-        });
-        // Continue without history
+  // Record which published catalog answered, so the response can be reproduced later
+  const { version: catalogVersion } = await catalogService.getCatalog();
+
+  // Recorded conditions and medications, and the ones sent with the request, to screen against
+  const healthProfile = {
+    conditions: [...(profile.conditions || []), ...(req.body.conditions || [])],
+    medications: [...(profile.medications || []), ...(req.body.medications || [])]
+  };
+
+  // Streamed suggestions go through the same screening and evidence minimum before they are sent
+  const listeners = onSuggestion ? {
+    onSuggestion: (suggestion) => {
+      const { suggestions: [screened] } = interactionService.screen([suggestion], healthProfile);
+      if (screened && suggestionsService.filterByEvidence([screened], req.body.minEvidenceGrade).suggestions.length > 0) {
+        onSuggestion(screened);
       }
-    }
+    },
+    onFallback: (failed) => onProgress({ stage: 'fallback', provider: failed })
+  } : {};
+
+  // Generate suggestions, unless a safety check blocks them
+  onProgress({ stage: 'generating' });
+  const { suggestions: generated, provider, engineVersion, fallbackFrom, cache } = blocked
+    ? { suggestions: [], provider: null, engineVersion: null, fallbackFrom: null, cache: 'bypass' }
+    : await suggestionsService.generateSuggestions(age, healthGoals, isAuthenticated, userHistory, profile, assignments, listeners);
+
+  // Drop or flag peptides that interact with the user's conditions and medications
+  onProgress({ stage: 'screening' });
+  const { suggestions: screened, excluded } = interactionService.screen(generated, healthProfile);
 
-    // Log analytics
+  // Leave out peptides backed by weaker evidence than the client asked for
+  const { suggestions: graded, filtered: lowEvidence } = suggestionsService.filterByEvidence(
+    screened,
+    req.body.minEvidenceGrade
+  );
+
+  // Protocol progress counts from the first time a peptide was suggested, however long ago
+  let firstSuggestedAt = new Map();
+  if (userHistory.length > 0) {
     try {
-      await analyticsService.logSuccessfulRequest(req.body.healthGoal, req.body.age);
-      await analyticsService.logGoalSelection(healthGoal, age, req.user?.id);
-      
+      firstSuggestedAt = await userService.getFirstSuggestedAt(
+        req.user.id,
+        graded.filter(({ protocol }) => protocol).map(({ slug }) => slug)
+      );
     } catch (error) {
-      logger.error('Analytics logging failed:', {
+      logger.warn('Failed to fetch first suggestion dates:', {
         requestId,
+        userId: req.user.id,
         error: error.message
       });
-      // Continue without analytics
+      // Continue counting from the recent history
     }
+  }
 
-    // Generate suggestions
-    const suggestions = generateSuggestions(age, healthGoal, isAuthenticated, userHistory);
-
-    // Save to user history if authenticated
-    if (isAuthenticated) {
-      try {
-        await userService.saveSuggestion(req.user.id, age, healthGoal, suggestions);
-        logger.info('Suggestion saved to user history:', {
-          requestId,
-          userId: req.user.id
-        });
-      } catch (error) {
-        logger.error('Failed to save suggestion to history:', {
-          requestId,
-          userId: req.user.id,
-          error: error.message
-        });
-        // Continue without saving
-      }
-    }
+  // Rotate, progress and re-rank against what this user was suggested before
+  onProgress({ stage: 'personalizing' });
+  const { suggestions, summary: personalization } = personalizationService.personalize(graded, {
+    goals: healthGoals,
+    userHistory,
+    firstSuggestedAt
+  });
 
+  if (excluded.length > 0) {
+    logger.info('Suggestions excluded by interaction screening', {
+      requestId,
+      excluded: excluded.map(({ slug }) => slug),
+      userId: req.user?.id || 'anonymous'
+    });
+  }
 
-    logger.info('Successfully generated suggestions', {
+  if (blocked) {
+    logger.warn('Suggestions withheld by safety check', {
       requestId,
-      suggestionsCount: suggestions.length,
+      codes: warnings.filter(warning => warning.severity === 'block').map(warning => warning.code),
       userId: req.user?.id || 'anonymous'
     });
+  }
+
+  // Save to user history if authenticated
+  let saved = null;
+  if (isAuthenticated) {
+    onProgress({ stage: 'saving' });
+    try {
+      saved = await userService.saveSuggestion(req.user.id, age, healthGoals, suggestions, warnings, experiments, {
+        catalogVersion,
+        engineVersion
+      });
+      logger.info('Suggestion saved to user history:', {
+        requestId,
+        userId: req.user.id
+      });
+    } catch (error) {
+      logger.error('Failed to save suggestion to history:', {
+        requestId,
+        userId: req.user.id,
+        error: error.message
+      });
+      // Continue without saving
+    }
+  }
+
+
+  // Record which variants served this response
+  if (assignments.length > 0) {
+    try {
+      await experimentService.recordExposures({
+        subjectId,
+        assignments,
+        requestId,
+        suggestionId: saved?.id
+      });
+    } catch (error) {
+      logger.error('Failed to record experiment exposures:', {
+        requestId,
+        error: error.message
+      });
+    }
+  }
 
-    res.json({
+  logger.info('Successfully generated suggestions', {
+    requestId,
+    suggestionsCount: suggestions.length,
+    provider,
+    userId: req.user?.id || 'anonymous'
+  });
+
+  return {
+    cache,
+    response: {
       success: true,
       requestId,
       suggestions,
+      excluded,
+      warnings,
+      personalization,
       meta: {
         generatedAt: new Date().toISOString(),
         goalCategory: healthGoal,
+        goals: healthGoals,
         authenticated: isAuthenticated,
+        blocked,
+        provider,
+        fallbackFrom,
+        experiments,
+        catalogVersion,
+        engineVersion,
+        minEvidenceGrade: req.body.minEvidenceGrade || null,
+        lowEvidence,
         timestamp: new Date().toISOString()
       }
-    });
+    }
+  };
+};
 
-  } catch (error) {
-    logger.error('Error generating suggestions', {
+/**
+ * Count a request that failed to generate in analytics
+ * @param {Object} req - Suggestions request
+ * @param {Error} error - What went wrong
+ * @param {string} requestId - Request id
+ * @returns {AppError} Error to report to the client
+ */
+const generationFailed = async (req, error, requestId) => {
+  try {
+    await analyticsService.logFailedRequest(req.body.healthGoal, req.body.age, error.message);
+  } catch (analyticsError) {
+    logger.error('Failed to log analytics for failed request:', analyticsError);
+  }
+
+  return new AppError('GENERATION_ERROR', undefined, { requestId, cause: error });
+};
+
+/**
+ * Answer a suggestions request as Server-Sent Events: a progress event as
+ * each step starts, a suggestion event for each result as soon as the
+ * provider produces it (a streaming provider like the model one hands them
+ * over while it is still writing the rest), then a done event with the whole
+ * JSON response, whose suggestions are the final ranking. A fallback
+ * progress event means the suggestions sent so far are replaced by the
+ * fallback provider's. Failures end the stream with an error event, since
+ * the status line has already been sent.
+ * @param {Object} req - Validated suggestions request
+ * @param {Object} res - Response to stream to
+ * @param {string} requestId - Request id
+ */
+const streamSuggestions = async (req, res, requestId) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const write = (chunk) => {
+    if (!closed) {
+      res.write(chunk);
+    }
+  };
+  const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // A comment line now and then stops proxies closing the stream during a slow generation
+  const heartbeat = setInterval(() => write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+
+  try {
+    send('progress', { stage: 'started', requestId });
+
+    let index = 0;
+    const { response } = await answerSuggestionsRequest(
+      req,
       requestId,
-      error: error.message,
-      stack: error.stack,
-      age: req.body.age,
-      goal: req.body.healthGoal
+      progress => {
+        if (progress.stage === 'fallback') {
+          index = 0;
+        }
+        send('progress', progress);
+      },
+      suggestion => send('suggestion', { index: index++, suggestion })
+    );
+
+    send('done', response);
+  } catch (error) {
+    send('error', buildErrorResponse(await generationFailed(req, error, requestId), req).body);
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+};
+
+// POST /suggestions - Get peptide suggestions (works with and without auth); ?stream=true streams Server-Sent Events
+router.post('/', AuthMiddleware.optionalAuth, validateSuggestionsRequest, validateProductionConstraints, asyncErrorHandler(async (req, res) => {
+  const requestId = uuidv4();
+
+  if (req.query.stream === 'true') {
+    return streamSuggestions(req, res, requestId);
+  }
+
+  try {
+    const { response, cache } = await answerSuggestionsRequest(req, requestId);
+
+    res.set('X-Cache', cache.toUpperCase());
+    res.json(response);
+  } catch (error) {
+    throw await generationFailed(req, error, requestId);
+  }
+}, 'GENERATION_ERROR'));
+
+// POST /suggestions/export/pdf - Render suggestions from a results view as a PDF
+router.post('/export/pdf', AuthMiddleware.optionalAuth, validatePdfExportRequest, asyncErrorHandler(async (req, res) => {
+  const { age, goal, goals, suggestions, warnings, generatedAt } = req.body;
+
+  const pdf = await pdfService.generateSuggestionsPdf({
+    age,
+    goals: goals || [goal],
+    suggestions,
+    warnings,
+    generatedAt
+  });
+
+  logger.info('Suggestions PDF exported', {
+    suggestionsCount: suggestions.length,
+    userId: req.user?.id || 'anonymous'
+  });
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${pdfService.getFilename(generatedAt)}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+}, 'PDF_EXPORT_ERROR'));
+
+// Read batch records from a CSV body, a JSON array or { items: [...] }
+const readBatchItems = (req) => {
+  if (typeof req.body === 'string') {
+    return batchService.parseCsvItems(req.body);
+  }
+  const items = Array.isArray(req.body) ? req.body : req.body?.items;
+  if (!Array.isArray(items)) {
+    throw new ValidationError('Provide an items array or a CSV file', null, 'BATCH_INVALID_INPUT');
+  }
+  return items;
+};
+
+// POST /suggestions/batch - Suggestions for many records from JSON or CSV; ?async=true queues a job (protected)
+router.post('/batch', AuthMiddleware.verifyToken, express.text({ type: 'text/csv', limit: '10mb' }), asyncErrorHandler(async (req, res) => {
+  const items = readBatchItems(req);
+  const runAsync = req.query.async === 'true';
+
+  if (items.length === 0) {
+    throw new ValidationError('The batch has no records', null, 'BATCH_INVALID_INPUT');
+  }
+
+  if (items.length > batchService.maxItems || (!runAsync && items.length > batchService.maxSyncItems)) {
+    throw new AppError('BATCH_TOO_LARGE', runAsync || items.length > batchService.maxItems
+      ? `A batch can have at most ${batchService.maxItems} records`
+      : `Batches over ${batchService.maxSyncItems} records must use ?async=true`);
+  }
+
+  if (runAsync) {
+    const job = await batchService.createJob(req.user.id, items);
+
+    return res.status(202).json({
+      success: true,
+      data: { job }
     });
+  }
 
-    // Log failed request
-    try {
-      await analyticsService.logFailedRequest(req.body.healthGoal, req.body.age, error.message);
-    } catch (analyticsError) {
-      logger.error('Failed to log analytics for failed request:', analyticsError);
-    }
+  const { results, summary } = await batchService.processItems(items);
 
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to generate suggestions. Please try again.',
-        code: 'GENERATION_ERROR',
-        requestId
-      }
+  logger.info('Batch suggestions generated', {
+    userId: req.user.id,
+    ...summary
+  });
+
+  res.json({
+    success: true,
+    data: { summary, results }
+  });
+}, 'BATCH_ERROR'));
+
+// GET /suggestions/batch/:jobId - Poll a batch job; results are included once it completes (protected)
+router.get('/batch/:jobId', AuthMiddleware.verifyToken, asyncErrorHandler(async (req, res) => {
+  const job = await batchService.getJob(req.params.jobId, req.user.id);
+
+  if (!job) {
+    throw new NotFoundError('Batch job not found', 'BATCH_JOB_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    data: { job }
+  });
+}, 'BATCH_JOB_FETCH_ERROR'));
+
+// POST /suggestions/:historyId/feedback - Rate peptides from a saved suggestion (protected)
+router.post('/:historyId/feedback', AuthMiddleware.verifyToken, validate(feedbackSchema), asyncErrorHandler(async (req, res) => {
+  const historyId = parseInt(req.params.historyId);
+  const entry = Number.isInteger(historyId)
+    ? await userService.getUserSuggestionById(req.user.id, historyId)
+    : null;
+
+  if (!entry) {
+    throw new NotFoundError('Suggestion not found', 'SUGGESTION_NOT_FOUND');
+  }
+
+  const unknown = req.body.feedback.filter(item =>
+    !entry.suggestions.some(suggestion => suggestion.slug === item.slug)
+  );
+
+  if (unknown.length > 0) {
+    const message = `Not part of this suggestion: ${unknown.map(item => item.slug).join(', ')}`;
+    throw new ValidationError(message, { feedback: [message] }, 'FEEDBACK_UNKNOWN_PEPTIDE');
+  }
+
+  const feedback = await feedbackService.saveFeedback(req.user.id, historyId, req.body.feedback);
+
+  logger.info('Suggestion feedback recorded', {
+    userId: req.user.id,
+    suggestionId: historyId,
+    peptides: req.body.feedback.map(item => item.slug)
+  });
+
+  try {
+    for (const item of req.body.feedback) {
+      await analyticsService.logFeedback(item);
+    }
+  } catch (analyticsError) {
+    logger.error('Analytics logging failed:', {
+      error: analyticsError.message
     });
   }
-});
 
-// GET /suggestions/goals - Get available health goals
-router.get('/goals', (req, res) => {
-  const goals = [
-    { value: 'energy', label: 'Energy & Vitality' },
-    { value: 'sleep', label: 'Better Sleep' },
-    { value: 'focus', label: 'Mental Focus' },
-    { value: 'recovery', label: 'Recovery & Repair' },
-    { value: 'weight_management', label: 'Weight Management' },
-    { value: 'immune_support', label: 'Immune Support' }
-  ];
+  res.json({
+    success: true,
+    data: {
+      feedback
+    }
+  });
+}, 'FEEDBACK_ERROR'));
+
+// GET /suggestions/goals - Get the goal registry: top-level goals with their sub-goals
+router.get('/goals', catalogConditional, asyncErrorHandler(async (req, res) => {
+  const toOption = ({ key, label, description, icon }) => ({ value: key, label, description, icon });
+  const registry = await catalogService.getGoalRegistry();
 
   res.json({
     success: true,
-    goals
+    goals: registry.map(goal => ({
+      ...toOption(goal),
+      subGoals: goal.subGoals.map(toOption)
+    }))
   });
-});
+}, 'GOALS_ERROR'));
 
+module.exports = router;
 
-module.exports = router;
\ No newline at end of file
+// Request schemas, read by the OpenAPI document
+module.exports.schemas = { feedbackSchema };
@@ -1,4 +1,5 @@
 const express = require('express');
+const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
@@ -8,12 +9,29 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const analyticsService = require('./services/analyticsService');
-const userService = require('./services/userService');
+const catalogService = require('./services/catalogService');
+const tokenService = require('./services/tokenService');
+const interactionService = require('./services/interactionService');
+const batchService = require('./services/batchService');
 const database = require('./config/database');
 
 // Import routes
 const suggestionsRouter = require('./routes/suggestions');
 const authRouter = require('./routes/auth');
+const adminRouter = require('./routes/admin');
+const peptidesRouter = require('./routes/peptides');
+const { buildSpec, checkRoutes } = require('./openapi');
+const { API_VERSIONS, useVersion, unversioned, rejectUnsupportedVersion } = require('./middleware/apiVersion');
+const { globalErrorHandler, asyncErrorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { RateLimitError } = require('./utils/errors');
+
+// Mount path -> router under each API version, shared by app.use and the documented route check
+const routers = {
+  '/auth': authRouter,
+  '/suggestions': suggestionsRouter,
+  '/peptides': peptidesRouter,
+  '/admin': adminRouter
+};
 
 // Initialize Express app
 const app = express();
@@ -22,13 +40,37 @@ const PORT = process.env.PORT || 3001;
 // Initialize database and services
 async function initializeApp() {
   try {
+    // Every documented route must have a handler
+    const { missing, undocumented, unknownCodes } = checkRoutes(app, routers);
+    if (missing.length > 0) {
+      throw new Error(`Documented routes have no handler: ${missing.join(', ')}`);
+    }
+    if (unknownCodes.length > 0) {
+      throw new Error(`Documented error codes missing from the catalog: ${unknownCodes.join(', ')}`);
+    }
+    if (undocumented.length > 0) {
+      logger.warn('Routes missing from the OpenAPI document:', { routes: undocumented });
+    }
+
     // Initialize database
     await database.initialize();
     logger.info('Database initialized successfully');
 
-    // Initialize user service
-    userService.initialize();
-    logger.info('User service initialized successfully');
+    // Drop expired refresh tokens
+    await tokenService.initialize();
+    logger.info('Token service initialized successfully');
+
+    // Seed and load the peptide catalog
+    await catalogService.initialize();
+    logger.info('Catalog service initialized successfully');
+
+    // Load the contraindication and interaction dataset
+    await interactionService.initialize();
+    logger.info('Interaction service initialized successfully');
+
+    // Resume batch jobs interrupted by a restart
+    await batchService.initialize();
+    logger.info('Batch service initialized successfully');
 
   } catch (error) {
     logger.error('Failed to initialize application:', error);
@@ -45,8 +87,8 @@ app.use(helmet({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.'
+  handler: (req, res, next, options) => {
+    next(new RateLimitError(undefined, 'RATE_LIMITED', Math.ceil(options.windowMs / 1000)));
   },
   standardHeaders: true,
   legacyHeaders: false,
@@ -59,7 +101,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Anonymous-Id', 'Accept-Version'],
+  exposedHeaders: ['Content-Disposition', 'X-Cache', 'API-Version', 'Deprecation', 'Sunset', 'Link']
 }));
 
 // Body parsing middleware
@@ -104,116 +147,42 @@ app.get('/health', (req, res) => {
   });
 });
 
-// API routes
-app.use('/auth', authRouter);
-app.use('/suggestions', suggestionsRouter);
-
-// Analytics endpoint
-app.get('/analytics', async (req, res) => {
-  try {
-    const analytics = await analyticsService.getDailyAnalytics();
-    res.json({
-      success: true,
-      data: analytics
-    });
-  } catch (error) {
-    logger.error('Analytics endpoint error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to retrieve analytics' 
-    });
-  }
+// API routes, under /v1 and any later versions
+Object.keys(API_VERSIONS).forEach(version => {
+  const versionRouter = express.Router();
+  Object.entries(routers).forEach(([mountPath, router]) => versionRouter.use(mountPath, router));
+  app.use(`/${version}`, useVersion(version), versionRouter);
 });
+app.use(rejectUnsupportedVersion);
 
-// API documentation endpoint
-app.get('/api-docs', (req, res) => {
+// Deprecated unversioned paths, served as v1 until the sunset
+Object.entries(routers).forEach(([mountPath, router]) => app.use(mountPath, unversioned, router));
+
+// Analytics endpoint
+app.get('/analytics', asyncErrorHandler(async (req, res) => {
+  const analytics = await analyticsService.getDailyAnalytics();
   res.json({
-    title: 'Peptide Suggestions API',
-    version: '1.0.0',
-    description: 'API for personalized peptide recommendations with user authentication',
-    endpoints: {
-      authentication: {
-        'POST /auth/register': 'Register a new user account',
-        'POST /auth/login': 'Login with email and password',
-        'GET /auth/profile': 'Get user profile (requires authentication)',
-        'PUT /auth/profile': 'Update user profile (requires authentication)',
-        'POST /auth/change-password': 'Change user password (requires authentication)',
-        'POST /auth/refresh': 'Refresh JWT token (requires authentication)',
-        'GET /auth/suggestions': 'Get user suggestion history (requires authentication)',
-        'DELETE /auth/account': 'Delete user account (requires authentication)',
-        'GET /auth/verify': 'Verify token validity (requires authentication)'
-      },
-      suggestions: {
-        'POST /suggestions': 'Get peptide suggestions (works with or without authentication)'
-      },
-      system: {
-        'GET /health': 'Health check endpoint',
-        'GET /analytics': 'Get analytics data',
-        'GET /api-docs': 'This documentation'
-      }
-    },
-    authentication: {
-      type: 'Bearer Token',
-      description: 'Include JWT token in Authorization header: "Bearer <token>"'
-    },
-    rateLimit: {
-      general: '100 requests per 15 minutes',
-      authentication: '5 requests per 15 minutes'
-    }
+    success: true,
+    data: analytics
   });
-});
+}, 'ANALYTICS_ERROR'));
+
+// OpenAPI document, built from the route list and their Joi schemas
+const serveSpec = asyncErrorHandler(async (req, res) => {
+  res.json(await buildSpec());
+}, 'DOCS_ERROR');
+
+app.get('/openapi.json', serveSpec);
+app.get('/api-docs', serveSpec);
+
+// Interactive documentation for /openapi.json
+app.use('/docs', express.static(path.join(__dirname, 'openapi', 'ui')));
 
 // 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: {
-      message: `The requested endpoint ${req.method} ${req.path} does not exist`,
-      code: 'ENDPOINT_NOT_FOUND'
-    },
-    availableEndpoints: '/api-docs'
-  });
-});
+app.use(notFoundHandler);
 
 // Global error handler (must be last)
-app.use((error, req, res, next) => {
-  // Generate unique error ID for tracking
-  const errorId = require('uuid').v4();
-  
-  // Default error properties
-  let statusCode = error.statusCode || 500;
-  let message = error.message || 'Internal Server Error';
-  
-  // Log error details
-  logger.error('Server Error', {
-    errorId,
-    message: error.message,
-    statusCode,
-    stack: error.stack,
-    url: req.url,
-    method: req.method,
-    ip: req.ip,
-    userId: req.user?.id,
-    timestamp: new Date().toISOString()
-  });
-  
-  // Prepare error response
-  const errorResponse = {
-    success: false,
-    error: {
-      message,
-      errorId,
-      timestamp: new Date().toISOString()
-    }
-  };
-  
-  // Add stack trace in development
-  if (process.env.NODE_ENV === 'development') {
-    errorResponse.error.stack = error.stack;
-  }
-  
-  res.status(statusCode).json(errorResponse);
-});
+app.use(globalErrorHandler);
 
 // Graceful shutdown
 const gracefulShutdown = async () => {
@@ -242,10 +211,11 @@ initializeApp().then(() => {
     
     logger.info('🔗 Available endpoints:', {
       health: `http://localhost:${PORT}/health`,
-      auth: `http://localhost:${PORT}/auth`,
-      suggestions: `http://localhost:${PORT}/suggestions`,
+      auth: `http://localhost:${PORT}/v1/auth`,
+      suggestions: `http://localhost:${PORT}/v1/suggestions`,
       analytics: `http://localhost:${PORT}/analytics`,
-      docs: `http://localhost:${PORT}/api-docs`
+      openapi: `http://localhost:${PORT}/openapi.json`,
+      docs: `http://localhost:${PORT}/docs`
     });
   });
 }).catch((error) => {
@@ -4,7 +4,7 @@ const { analytics } = require('../utils/logger'); // Import the analytics functi
 
 class AnalyticsService {
   constructor() {
-    this.analyticsFile = path.join(process.cwd(), 'data', 'analytics.json');
+    this.analyticsFile = process.env.ANALYTICS_FILE || path.join(process.cwd(), 'data', 'analytics.json');
     this.ensureDataDirectory();
     
     // In-memory counters for quick access
@@ -14,6 +14,9 @@ class AnalyticsService {
       errors: 0,
       successfulRequests: 0
     };
+
+    // Pending writes to the analytics file
+    this.writes = Promise.resolve();
     
     // Reset counters daily
     this.resetCountersDaily();
@@ -23,7 +26,7 @@ class AnalyticsService {
    * Ensure data directory exists
    */
   async ensureDataDirectory() {
-    const dataDir = path.join(process.cwd(), 'data');
+    const dataDir = path.dirname(this.analyticsFile);
     try {
       await fs.access(dataDir);
     } catch (error) {
@@ -97,12 +100,63 @@ class AnalyticsService {
   }
   
   /**
-   * Update daily analytics in persistent storage
+   * Log feedback on a suggested peptide
+   * @param {Object} feedback - { slug, rating, tried, sideEffects }
+   */
+  async logFeedback({ slug, rating, tried, sideEffects = [] }) {
+    const timestamp = new Date().toISOString();
+    const date = timestamp.split('T')[0];
+
+    analytics('suggestion_feedback', {
+      slug,
+      rating,
+      tried,
+      sideEffectsReported: sideEffects.length > 0,
+      date,
+      timestamp
+    });
+
+    await this.updateDailyAnalytics(date, 'feedback', { slug, rating, tried, sideEffects });
+  }
+
+  /**
+   * Log that an experiment variant served a suggestions response
+   * @param {string} experiment - Experiment key
+   * @param {string} variant - Variant key
+   */
+  async logExposure(experiment, variant) {
+    const timestamp = new Date().toISOString();
+    const date = timestamp.split('T')[0];
+
+    analytics('experiment_exposure', {
+      experiment,
+      variant,
+      date,
+      timestamp
+    });
+
+    await this.updateDailyAnalytics(date, 'exposure', { experiment, variant });
+  }
+
+  /**
+   * Update daily analytics in persistent storage. Writes run one at a time,
+   * so events logged without waiting can't overwrite each other.
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {string} eventType - Type of event
    * @param {any} data - Event data
    */
-  async updateDailyAnalytics(date, eventType, data) {
+  updateDailyAnalytics(date, eventType, data) {
+    this.writes = this.writes.then(() => this.writeDailyAnalytics(date, eventType, data));
+    return this.writes;
+  }
+
+  /**
+   * Apply one event to the analytics file
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} eventType - Type of event
+   * @param {any} data - Event data
+   */
+  async writeDailyAnalytics(date, eventType, data) {
     try {
       let analytics = {};
       
@@ -125,7 +179,9 @@ class AnalyticsService {
           averageResponseTime: 0,
           uniqueIPs: [],
           firstRequest: null,
-          lastRequest: null
+          lastRequest: null,
+          feedback: this.getEmptyFeedbackData(),
+          experiments: {}
         };
       }
       
@@ -134,7 +190,6 @@ class AnalyticsService {
       // Ensure uniqueIPs is a Set
       dayData.uniqueIPs = new Set(dayData.uniqueIPs);
       
-      console.log("ddddd", dayData);
       switch (eventType) {
         case 'goalSelection':
           if (!dayData.goalSelections[data]) {
@@ -167,6 +222,35 @@ class AnalyticsService {
             dayData.firstRequest = dayData.lastRequest;
           }
           break;
+
+        case 'feedback': {
+          // Days recorded before feedback existed have no feedback section
+          const feedback = dayData.feedback || this.getEmptyFeedbackData();
+          feedback.submissions++;
+          if (data.tried) {
+            feedback.tried++;
+          }
+          if (data.sideEffects.length > 0) {
+            feedback.sideEffectReports++;
+          }
+          if (data.rating) {
+            const ratings = feedback.ratings[data.slug] || { count: 0, total: 0 };
+            ratings.count++;
+            ratings.total += data.rating;
+            feedback.ratings[data.slug] = ratings;
+          }
+          dayData.feedback = feedback;
+          break;
+        }
+
+        case 'exposure': {
+          const experiments = dayData.experiments || {};
+          const variants = experiments[data.experiment] || {};
+          variants[data.variant] = (variants[data.variant] || 0) + 1;
+          experiments[data.experiment] = variants;
+          dayData.experiments = experiments;
+          break;
+        }
       }
       
       // Convert Set to Array for JSON serialization
@@ -256,7 +340,22 @@ class AnalyticsService {
       averageResponseTime: 0,
       uniqueIPs: [],
       firstRequest: null,
-      lastRequest: null
+      lastRequest: null,
+      feedback: this.getEmptyFeedbackData(),
+      experiments: {}
+    };
+  }
+
+  /**
+   * Get empty feedback counters for a day
+   * @returns {Object} { submissions, tried, sideEffectReports, ratings: { slug: { count, total } } }
+   */
+  getEmptyFeedbackData() {
+    return {
+      submissions: 0,
+      tried: 0,
+      sideEffectReports: 0,
+      ratings: {}
     };
   }
   
@@ -279,6 +378,7 @@ class AnalyticsService {
     
     const msUntilMidnight = tomorrow.getTime() - now.getTime();
     
+    // Unref'd so the timers never keep the process alive on their own
     setTimeout(() => {
       this.dailyCounters = {
         requests: 0,
@@ -295,9 +395,9 @@ class AnalyticsService {
           errors: 0,
           successfulRequests: 0
         };
-      }, 24 * 60 * 60 * 1000);
+      }, 24 * 60 * 60 * 1000).unref();
       
-    }, msUntilMidnight);
+    }, msUntilMidnight).unref();
   }
   
   /**
@@ -325,6 +425,12 @@ class AnalyticsService {
         failedRequests: 0,
         errorRate: 0,
         popularGoals: {},
+        feedback: {
+          submissions: 0,
+          tried: 0,
+          sideEffectReports: 0,
+          averageRatings: {}
+        },
         uniqueIPs: [],
         dailyAverages: {
           requests: 0,
@@ -333,6 +439,8 @@ class AnalyticsService {
         }
       };
       
+      const ratingTotals = {};
+
       Object.values(analytics.data).forEach(dayData => {
         summary.totalRequests += dayData.totalRequests;
         summary.successfulRequests += dayData.successfulRequests;
@@ -343,10 +451,29 @@ class AnalyticsService {
           summary.popularGoals[goal] = (summary.popularGoals[goal] || 0) + count;
         });
         
+        // Merge feedback
+        const feedback = dayData.feedback || this.getEmptyFeedbackData();
+        summary.feedback.submissions += feedback.submissions;
+        summary.feedback.tried += feedback.tried;
+        summary.feedback.sideEffectReports += feedback.sideEffectReports;
+        Object.entries(feedback.ratings).forEach(([slug, { count, total }]) => {
+          const ratings = ratingTotals[slug] || { count: 0, total: 0 };
+          ratings.count += count;
+          ratings.total += total;
+          ratingTotals[slug] = ratings;
+        });
+        
         // Collect unique IPs
         dayData.uniqueIPs.forEach(ip => summary.uniqueIPs.add(ip));
       });
       
+      Object.entries(ratingTotals).forEach(([slug, { count, total }]) => {
+        summary.feedback.averageRatings[slug] = {
+          averageRating: Math.round(total / count * 100) / 100,
+          ratings: count
+        };
+      });
+      
       // Calculate error rate
       if (summary.totalRequests > 0) {
         summary.errorRate = (summary.failedRequests / summary.totalRequests * 100).toFixed(2);
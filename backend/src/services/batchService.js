@@ -0,0 +1,351 @@
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const suggestionsService = require('./suggestionsService');
+const safetyService = require('./safetyService');
+const interactionService = require('./interactionService');
+const catalogService = require('./catalogService');
+const { getGoalSchemas } = require('../middleware/validation');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+// Largest batch accepted at all, and largest answered in the same request
+const MAX_BATCH_ITEMS = 5000;
+const MAX_SYNC_ITEMS = 100;
+
+// How often a running job writes its progress
+const PROGRESS_INTERVAL = 25;
+
+// CSV columns read into each record; list columns hold ';'-separated values
+const CSV_COLUMNS = ['externalId', 'age', 'healthGoal', 'healthGoals', 'conditions', 'medications', 'minEvidenceGrade'];
+const LIST_COLUMNS = ['healthGoals', 'conditions', 'medications'];
+
+const externalIdSchema = Joi.string()
+  .trim()
+  .min(1)
+  .max(100)
+  .required()
+  .messages({
+    'string.base': 'externalId must be text',
+    'string.empty': 'externalId is required',
+    'string.max': 'externalId cannot exceed 100 characters',
+    'any.required': 'externalId is required'
+  });
+
+/**
+ * Suggestions for many records in one call, for clinics onboarding patients.
+ * Each record is validated and answered on its own, the same way as
+ * POST /suggestions for an anonymous request, so one bad record does not
+ * fail the batch. Large batches run as background jobs, one at a time.
+ */
+class BatchService {
+  constructor() {
+    this.maxItems = MAX_BATCH_ITEMS;
+    this.maxSyncItems = MAX_SYNC_ITEMS;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Queue jobs that were waiting or running when the server last stopped
+   */
+  async initialize() {
+    const pending = await database.all(
+      "SELECT id FROM batch_jobs WHERE status IN ('queued', 'running') ORDER BY createdAt"
+    );
+
+    for (const { id } of pending) {
+      await database.run("UPDATE batch_jobs SET status = 'queued', processed = 0 WHERE id = ?", [id]);
+      this.enqueue(id);
+    }
+
+    if (pending.length > 0) {
+      logger.info('Resumed batch jobs', { jobs: pending.length });
+    }
+  }
+
+  /**
+   * Read records from CSV text with a header row
+   * @param {string} text - CSV with externalId, age and healthGoal or healthGoals columns
+   * @returns {Array} Records shaped like JSON batch items
+   */
+  parseCsvItems(text) {
+    const [header, ...rows] = this.parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+      throw new ValidationError('CSV input is empty', null, 'BATCH_INVALID_INPUT');
+    }
+
+    const columns = header.map(column => column.trim());
+    const missing = ['externalId', 'age'].filter(column => !columns.includes(column));
+    if (!columns.includes('healthGoal') && !columns.includes('healthGoals')) {
+      missing.push('healthGoal');
+    }
+    if (missing.length > 0) {
+      throw new ValidationError(`CSV input is missing columns: ${missing.join(', ')}`, null, 'BATCH_INVALID_INPUT');
+    }
+
+    return rows.map(cells => {
+      const item = {};
+
+      columns.forEach((column, index) => {
+        const value = (cells[index] || '').trim();
+        if (!value || !CSV_COLUMNS.includes(column)) {
+          return;
+        }
+
+        item[column] = LIST_COLUMNS.includes(column)
+          ? value.split(';').map(entry => entry.trim()).filter(Boolean)
+          : value;
+      });
+
+      return item;
+    });
+  }
+
+  /**
+   * Split CSV text into rows of cells, handling quoted fields and CRLF line endings
+   * @param {string} text - CSV text
+   * @returns {Array} Non-blank rows
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  /**
+   * Schema for one batch record: a POST /suggestions body with an externalId
+   * @returns {Object} Joi schema
+   */
+  async getItemSchema() {
+    const { suggestions: suggestionsSchema } = await getGoalSchemas();
+    return suggestionsSchema.keys({ externalId: externalIdSchema });
+  }
+
+  /**
+   * Answer every record in a batch
+   * @param {Array} items - Records of { externalId, age, healthGoal | healthGoals, conditions, medications, minEvidenceGrade }
+   * @param {Function} onProgress - Called with the number of records processed so far
+   * @returns {Object} { results, summary }
+   */
+  async processItems(items, onProgress = () => {}) {
+    const schema = await this.getItemSchema();
+    const { version: catalogVersion } = await catalogService.getCatalog();
+    const results = [];
+
+    for (const [index, item] of items.entries()) {
+      results.push(await this.processItem(item, index, schema));
+
+      if ((index + 1) % PROGRESS_INTERVAL === 0) {
+        await onProgress(index + 1);
+      }
+    }
+
+    return { results, summary: this.summarize(results, catalogVersion) };
+  }
+
+  /**
+   * Validate and answer a single record
+   * @returns {Object} { index, externalId, status: completed | invalid | failed, ... }
+   */
+  async processItem(item, index, schema) {
+    const externalId = typeof item?.externalId === 'string' ? item.externalId : null;
+    const { error, value } = schema.validate(item, { abortEarly: false });
+
+    if (error) {
+      return {
+        index,
+        externalId,
+        status: 'invalid',
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    const healthGoals = suggestionsService.normalizeGoals(value.healthGoal, value.healthGoals);
+    const warnings = safetyService.evaluate({
+      age: value.age,
+      goals: healthGoals.map(({ goal }) => goal),
+      conditions: value.conditions,
+      medications: value.medications
+    });
+    const blocked = safetyService.isBlocked(warnings);
+
+    try {
+      const { suggestions: generated, engineVersion } = blocked
+        ? { suggestions: [], engineVersion: null }
+        : await suggestionsService.generateSuggestions(value.age, healthGoals);
+
+      const { suggestions: screened, excluded } = interactionService.screen(generated, {
+        conditions: value.conditions || [],
+        medications: value.medications || []
+      });
+      const { suggestions, filtered: lowEvidence } = suggestionsService.filterByEvidence(
+        screened,
+        value.minEvidenceGrade
+      );
+
+      return {
+        index,
+        externalId: value.externalId,
+        status: 'completed',
+        age: value.age,
+        goals: healthGoals,
+        blocked,
+        suggestions,
+        excluded,
+        lowEvidence,
+        warnings,
+        engineVersion
+      };
+    } catch (generateError) {
+      logger.error('Batch item failed', { index, externalId, error: generateError.message });
+
+      return {
+        index,
+        externalId: value.externalId,
+        status: 'failed',
+        errors: [{ field: null, message: 'Failed to generate suggestions' }]
+      };
+    }
+  }
+
+  /**
+   * Count results by status
+   * @returns {Object} { total, completed, invalid, failed, catalogVersion }
+   */
+  summarize(results, catalogVersion) {
+    const count = status => results.filter(result => result.status === status).length;
+
+    return {
+      total: results.length,
+      completed: count('completed'),
+      invalid: count('invalid'),
+      failed: count('failed'),
+      catalogVersion
+    };
+  }
+
+  /**
+   * Store a batch as a job and queue it for processing
+   * @param {number} userId - Submitting user
+   * @param {Array} items - Batch records
+   * @returns {Object} Job status
+   */
+  async createJob(userId, items) {
+    const id = uuidv4();
+
+    await database.run(
+      `INSERT INTO batch_jobs (id, userId, status, total, items, createdAt)
+       VALUES (?, ?, 'queued', ?, ?, datetime('now'))`,
+      [id, userId, items.length, JSON.stringify(items)]
+    );
+
+    logger.info('Batch job queued', { jobId: id, userId, total: items.length });
+    this.enqueue(id);
+
+    return this.getJob(id, userId);
+  }
+
+  /**
+   * Get a job belonging to a user, with its results once completed
+   * @param {string} id - Job ID
+   * @param {number} userId - Submitting user
+   * @returns {Object|null} { id, status, total, processed, summary, results, error, createdAt, startedAt, completedAt }
+   */
+  async getJob(id, userId) {
+    const row = await database.get(
+      `SELECT id, status, total, processed, results, summary, error, createdAt, startedAt, completedAt
+       FROM batch_jobs
+       WHERE id = ? AND userId = ?`,
+      [id, userId]
+    );
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      ...row,
+      summary: row.summary ? JSON.parse(row.summary) : null,
+      results: row.results ? JSON.parse(row.results) : null
+    };
+  }
+
+  // Jobs run one after another so a large upload cannot starve live requests
+  enqueue(id) {
+    this.queue = this.queue.then(() => this.runJob(id));
+  }
+
+  async runJob(id) {
+    try {
+      const { items } = await database.get('SELECT items FROM batch_jobs WHERE id = ?', [id]);
+
+      await database.run(
+        "UPDATE batch_jobs SET status = 'running', startedAt = datetime('now') WHERE id = ?",
+        [id]
+      );
+
+      const { results, summary } = await this.processItems(JSON.parse(items), processed =>
+        database.run('UPDATE batch_jobs SET processed = ? WHERE id = ?', [processed, id])
+      );
+
+      await database.run(
+        `UPDATE batch_jobs
+         SET status = 'completed', processed = ?, results = ?, summary = ?, completedAt = datetime('now')
+         WHERE id = ?`,
+        [results.length, JSON.stringify(results), JSON.stringify(summary), id]
+      );
+
+      logger.info('Batch job completed', { jobId: id, ...summary });
+    } catch (error) {
+      logger.error('Batch job failed', { jobId: id, error: error.message });
+
+      await database.run(
+        "UPDATE batch_jobs SET status = 'failed', error = ?, completedAt = datetime('now') WHERE id = ?",
+        [error.message, id]
+      ).catch(() => {});
+    }
+  }
+}
+
+module.exports = new BatchService();
@@ -0,0 +1,133 @@
+const logger = require('../utils/logger');
+
+// How long a cached response is served, and how many are kept; a TTL of 0 turns caching off
+const TTL_SECONDS = parseInt(process.env.SUGGESTIONS_CACHE_TTL_SECONDS ?? '300', 10);
+const MAX_ENTRIES = parseInt(process.env.SUGGESTIONS_CACHE_MAX_ENTRIES ?? '1000', 10);
+
+/**
+ * In-memory cache for anonymous suggestion responses.
+ *
+ * Anonymous suggestions depend only on the request, the published catalog
+ * and aggregate feedback, so keys include the catalog version and publishing
+ * clears the cache. The TTL bounds how long new feedback takes to reach
+ * cached rankings. Least recently used entries are evicted first.
+ */
+class CacheService {
+  constructor() {
+    this.ttlMs = TTL_SECONDS * 1000;
+    this.maxEntries = MAX_ENTRIES;
+    // Map iteration order doubles as recency order, oldest first
+    this.entries = new Map();
+    this.resetStats();
+  }
+
+  /**
+   * Whether caching is turned on
+   * @returns {boolean} False when the TTL or size is 0
+   */
+  isEnabled() {
+    return this.ttlMs > 0 && this.maxEntries > 0;
+  }
+
+  /**
+   * Build a key from the values a response depends on
+   * @param {Object} parts - Values that identify the response
+   * @returns {string} Cache key
+   */
+  buildKey(parts) {
+    return JSON.stringify(parts);
+  }
+
+  /**
+   * Get a cached value, counting the hit or miss
+   * @param {string} key - Cache key
+   * @returns {any} A copy of the cached value, or undefined
+   */
+  get(key) {
+    if (!this.isEnabled()) {
+      return undefined;
+    }
+
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) {
+        this.entries.delete(key);
+        this.stats.expired++;
+      }
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Move to the back so it is evicted last
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+
+    // Callers decorate suggestions, so they never share the cached objects
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Cache a value, evicting the least recently used entry when full
+   * @param {string} key - Cache key
+   * @param {any} value - Value to cache
+   */
+  set(key, value) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + this.ttlMs });
+  }
+
+  /**
+   * Drop every cached value
+   * @param {string} reason - Why, for the log
+   */
+  invalidate(reason) {
+    if (this.entries.size > 0) {
+      logger.info('Suggestions cache invalidated', { reason, entries: this.entries.size });
+    }
+    this.entries.clear();
+    this.stats.invalidations++;
+  }
+
+  /**
+   * Zero the hit and miss counters
+   */
+  resetStats() {
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      expired: 0,
+      invalidations: 0,
+      since: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Hit and miss metrics for monitoring
+   * @returns {Object} { enabled, ttlSeconds, maxEntries, entries, hits, misses, hitRate, evictions, expired, invalidations, since }
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.isEnabled(),
+      ttlSeconds: this.ttlMs / 1000,
+      maxEntries: this.maxEntries,
+      entries: this.entries.size,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round(this.stats.hits / lookups * 1000) / 1000 : null
+    };
+  }
+}
+
+module.exports = new CacheService();
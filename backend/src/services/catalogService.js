@@ -0,0 +1,1287 @@
+const fs = require('fs').promises;
+const path = require('path');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const cacheService = require('./cacheService');
+const { gradeReferences, strongestGrade } = require('./evidence');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const SEED_FILE = path.join(__dirname, '../../data/catalog.json');
+
+class CatalogService {
+  constructor() {
+    this.catalog = null;
+  }
+
+  /**
+   * Seed the catalog on first start, publish it if nothing has been
+   * published yet, and warm the in-memory copy
+   */
+  async initialize() {
+    await this.seedIfEmpty();
+    await this.syncSeedGoals();
+    await this.seedProtocolsIfEmpty();
+    await this.seedReferencesIfEmpty();
+
+    const { count } = await database.get('SELECT COUNT(*) AS count FROM catalog_versions');
+    if (count === 0) {
+      await this.publish({ notes: 'Initial catalog' });
+    }
+
+    await this.getCatalog();
+  }
+
+  /**
+   * Load data/catalog.json into an empty database. Once seeded, the
+   * database is the source of truth and the file is no longer read.
+   */
+  async seedIfEmpty() {
+    const { count } = await database.get('SELECT COUNT(*) AS count FROM peptides');
+    if (count > 0) {
+      return;
+    }
+
+    const seed = JSON.parse(await fs.readFile(SEED_FILE, 'utf8'));
+
+    await database.transaction(async () => {
+      for (const [index, goal] of seed.goals.entries()) {
+        await database.run(
+          `INSERT OR IGNORE INTO goals (key, label, description, icon, parentKey, sortOrder)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [goal.key, goal.label, goal.description || null, goal.icon || null, goal.parent || null, index + 1]
+        );
+      }
+
+      for (const peptide of seed.peptides) {
+        const { lastID: peptideId } = await database.run(
+          'INSERT INTO peptides (slug, name, description, aliases) VALUES (?, ?, ?, ?)',
+          [peptide.slug, peptide.name, peptide.description, JSON.stringify(peptide.aliases || [])]
+        );
+
+        for (const goalKey of peptide.goals || []) {
+          await this.appendGoalMapping(goalKey, peptideId);
+        }
+
+        await this.replaceDescriptionVariants(peptideId, peptide.descriptionVariants || []);
+        await this.replaceProtocol(peptideId, peptide.protocol || null);
+        await this.replaceReferences(peptideId, peptide.references || []);
+      }
+
+      for (const rule of seed.rules || []) {
+        await this.insertRule(rule);
+      }
+    });
+
+    logger.info('Peptide catalog seeded', {
+      goals: seed.goals.length,
+      peptides: seed.peptides.length
+    });
+  }
+
+  /**
+   * Add goals introduced in data/catalog.json after the catalog was seeded,
+   * mapped to the seed peptides that list them, and fill in missing
+   * descriptions and icons. Goals that already exist, including retired
+   * ones, are otherwise left alone.
+   */
+  async syncSeedGoals() {
+    const seed = JSON.parse(await fs.readFile(SEED_FILE, 'utf8'));
+    const added = [];
+
+    await database.transaction(async () => {
+      for (const goal of seed.goals) {
+        const { changes } = await database.run(
+          `INSERT OR IGNORE INTO goals (key, label, description, icon, parentKey, sortOrder)
+           SELECT ?, ?, ?, ?, ?, COALESCE(MAX(sortOrder), 0) + 1 FROM goals`,
+          [goal.key, goal.label, goal.description || null, goal.icon || null, goal.parent || null]
+        );
+
+        if (changes === 0) {
+          await database.run(
+            `UPDATE goals
+             SET description = COALESCE(description, ?), icon = COALESCE(icon, ?)
+             WHERE key = ?`,
+            [goal.description || null, goal.icon || null, goal.key]
+          );
+          continue;
+        }
+
+        added.push(goal.key);
+        for (const peptide of seed.peptides.filter(entry => (entry.goals || []).includes(goal.key))) {
+          // Seed peptides added to the file after the catalog was seeded are not in it
+          const peptideId = await this.findPeptideIdBySlug(peptide.slug);
+          if (peptideId) {
+            await this.appendGoalMapping(goal.key, peptideId);
+          }
+        }
+      }
+    });
+
+    if (added.length > 0) {
+      logger.info('Seed goals added to catalog', { goals: added });
+    }
+  }
+
+  /**
+   * Backfill protocols from data/catalog.json for catalogs seeded before
+   * protocols existed. Runs only while no peptide has a protocol.
+   */
+  async seedProtocolsIfEmpty() {
+    const { count } = await database.get('SELECT COUNT(*) AS count FROM peptide_protocols');
+    if (count > 0) {
+      return;
+    }
+
+    const seed = JSON.parse(await fs.readFile(SEED_FILE, 'utf8'));
+    let seeded = 0;
+
+    await database.transaction(async () => {
+      for (const peptide of seed.peptides.filter(entry => entry.protocol)) {
+        const peptideId = await this.findPeptideIdBySlug(peptide.slug);
+        if (peptideId) {
+          await this.replaceProtocol(peptideId, peptide.protocol);
+          seeded++;
+        }
+      }
+    });
+
+    if (seeded > 0) {
+      logger.info('Peptide protocols seeded', { protocols: seeded });
+    }
+  }
+
+  /**
+   * Backfill references from data/catalog.json for catalogs seeded before
+   * the seed file cited any. Runs only while no peptide has a reference.
+   */
+  async seedReferencesIfEmpty() {
+    const { count } = await database.get('SELECT COUNT(*) AS count FROM peptide_references');
+    if (count > 0) {
+      return;
+    }
+
+    const seed = JSON.parse(await fs.readFile(SEED_FILE, 'utf8'));
+    let seeded = 0;
+
+    await database.transaction(async () => {
+      for (const peptide of seed.peptides.filter(entry => entry.references)) {
+        const peptideId = await this.findPeptideIdBySlug(peptide.slug);
+        if (peptideId) {
+          await this.replaceReferences(peptideId, peptide.references);
+          seeded++;
+        }
+      }
+    });
+
+    if (seeded > 0) {
+      logger.info('Peptide references seeded', { peptides: seeded });
+    }
+  }
+
+  /**
+   * Get the published catalog that suggestions are served from, loading it on first use
+   * @returns {Object} { version, publishedAt, goals, peptides, rules } with mappings and variants attached
+   */
+  async getCatalog() {
+    // Concurrent first reads share one load, so the search index is rebuilt once
+    if (!this.catalog) {
+      this.catalog = this.loadPublished().catch(error => {
+        this.catalog = null;
+        throw error;
+      });
+    }
+    return this.catalog;
+  }
+
+  /**
+   * Load the latest published version and index its peptides for search
+   */
+  async loadPublished() {
+    const latest = await database.get('SELECT MAX(version) AS version FROM catalog_versions');
+    const catalog = await this.getVersion(latest.version);
+    await this.indexPeptides(catalog.peptides);
+    return catalog;
+  }
+
+  /**
+   * Replace the full-text search index with a catalog's peptides, in one
+   * transaction so searches never see it empty or half filled
+   * @param {Array} peptides - Published peptides
+   */
+  async indexPeptides(peptides) {
+    await database.transaction(async () => {
+      await database.run('DELETE FROM peptide_search');
+
+      for (const peptide of peptides) {
+        await database.run(
+          'INSERT INTO peptide_search (slug, name, description, aliases) VALUES (?, ?, ?, ?)',
+          // Versions published before aliases existed have none
+          [peptide.slug, peptide.name, peptide.description, (peptide.aliases || []).join(' ')]
+        );
+      }
+    });
+  }
+
+  /**
+   * Search the published catalog's peptides by name, description and aliases
+   * @param {Object} options - { q, goal, limit, offset }; every word in q must match, as a prefix
+   * @returns {Object} { peptides: [{ slug, name, description, aliases, goals }], total }
+   */
+  async searchPeptides({ q = '', goal = null, limit = 20, offset = 0 } = {}) {
+    const { goals, peptides } = await this.getCatalog();
+    const words = q.match(/[\p{L}\p{N}]+/gu) || [];
+
+    let matches = goal ? await this.getPeptidesForGoal(goal) : peptides;
+
+    if (words.length > 0) {
+      const rows = await database.all(
+        `SELECT slug FROM peptide_search
+         WHERE peptide_search MATCH ?
+         ORDER BY bm25(peptide_search, 0, 10, 1, 5)`,
+        [words.map(word => `"${word}"*`).join(' ')]
+      );
+      const ranked = rows.map(row => row.slug);
+
+      matches = matches
+        .filter(peptide => ranked.includes(peptide.slug))
+        .sort((a, b) => ranked.indexOf(a.slug) - ranked.indexOf(b.slug));
+    }
+
+    return {
+      peptides: matches
+        .slice(offset, offset + limit)
+        .map(peptide => this.toPublicPeptide(peptide, goals)),
+      total: matches.length
+    };
+  }
+
+  /**
+   * Get a peptide from the published catalog
+   * @param {string} slug - Peptide slug
+   * @returns {Object|null} { slug, name, description, aliases, goals, protocol, catalogVersion }
+   */
+  async getPublishedPeptide(slug) {
+    const { version, goals, peptides } = await this.getCatalog();
+    const peptide = peptides.find(entry => entry.slug === slug);
+
+    if (!peptide) {
+      return null;
+    }
+
+    return {
+      ...this.toPublicPeptide(peptide, goals),
+      protocol: peptide.protocol,
+      catalogVersion: version
+    };
+  }
+
+  /**
+   * Evidence behind a published peptide's claims for the requested goals.
+   * A sub-goal served through its parent's mapping uses the parent's claim.
+   * @param {string} slug - Peptide slug
+   * @param {Array} goalKeys - Goals the peptide was suggested for
+   * @returns {Object} { grade, claims: [{ goal, grade, references }] }, grade is the strongest claim's
+   */
+  async getEvidence(slug, goalKeys) {
+    const { goals, peptides } = await this.getCatalog();
+    const peptide = peptides.find(entry => entry.slug === slug);
+
+    // A sub-goal claim without references of its own stands on its parent goal's
+    const hasReferences = claim => claim?.references?.length > 0;
+
+    const claims = goalKeys
+      .map(goalKey => {
+        const parentKey = goals.find(goal => goal.key === goalKey)?.parentKey;
+        const own = peptide?.goals.find(claim => claim.goal === goalKey);
+        const parent = peptide?.goals.find(claim => claim.goal === parentKey);
+        return hasReferences(own) || !hasReferences(parent) ? own || parent : parent;
+      })
+      .filter((claim, index, list) => claim && list.indexOf(claim) === index)
+      .map(claim => ({
+        goal: claim.goal,
+        // Regraded so versions published while an empty claim meant D read as ungraded
+        grade: gradeReferences(claim.references || []),
+        references: claim.references || []
+      }));
+
+    return {
+      grade: strongestGrade(claims.map(claim => claim.grade)),
+      claims
+    };
+  }
+
+  /**
+   * Shape a catalog peptide for public browsing, with the goals it serves
+   */
+  toPublicPeptide(peptide, goals) {
+    return {
+      slug: peptide.slug,
+      name: peptide.name,
+      description: peptide.description,
+      aliases: peptide.aliases || [],
+      goals: peptide.goals
+        .map(claim => ({ claim, goal: goals.find(entry => entry.key === claim.goal) }))
+        .filter(({ goal }) => goal)
+        .map(({ claim, goal: { key, label, icon, parentKey } }) => ({
+          key,
+          label,
+          icon,
+          parentKey,
+          // Versions published before evidence grading have no references, so are ungraded
+          evidenceGrade: gradeReferences(claim.references || []),
+          references: claim.references || []
+        }))
+    };
+  }
+
+  /**
+   * Drop the cached catalog, and responses built from it, so the next read picks up the latest publish
+   */
+  invalidate() {
+    this.catalog = null;
+    cacheService.invalidate('catalog published');
+  }
+
+  /**
+   * Snapshot the working catalog as a new version and start serving it.
+   * Admin edits only reach users once they are published.
+   * @param {Object} options - { notes, userId }
+   * @returns {Object} { version, notes, publishedBy, publishedAt }
+   */
+  async publish({ notes = null, userId = null } = {}) {
+    const snapshot = await this.loadCatalog();
+
+    const { lastID } = await database.run(
+      `INSERT INTO catalog_versions (snapshot, notes, publishedBy, publishedAt)
+       VALUES (?, ?, ?, datetime('now'))`,
+      [JSON.stringify(snapshot), notes, userId]
+    );
+
+    this.invalidate();
+    logger.info('Catalog published', {
+      version: lastID,
+      goals: snapshot.goals.length,
+      peptides: snapshot.peptides.length,
+      rules: snapshot.rules.length
+    });
+
+    return database.get(
+      'SELECT version, notes, publishedBy, publishedAt FROM catalog_versions WHERE version = ?',
+      [lastID]
+    );
+  }
+
+  /**
+   * List published versions, newest first, without their snapshots
+   * @returns {Array} [{ version, notes, publishedBy, publishedAt }]
+   */
+  async listVersions() {
+    return database.all(
+      'SELECT version, notes, publishedBy, publishedAt FROM catalog_versions ORDER BY version DESC'
+    );
+  }
+
+  /**
+   * Get a published version with its full catalog
+   * @param {number} version - Catalog version
+   * @returns {Object|null} { version, notes, publishedBy, publishedAt, goals, peptides, rules }
+   */
+  async getVersion(version) {
+    const row = await database.get('SELECT * FROM catalog_versions WHERE version = ?', [version]);
+    if (!row) {
+      return null;
+    }
+
+    const { snapshot, ...details } = row;
+    return { ...details, ...JSON.parse(snapshot) };
+  }
+
+  /**
+   * The version that was being served at a point in time
+   * @param {Date|string} at - Point in time
+   * @returns {Object|null} { version, notes, publishedBy, publishedAt }, or null if nothing was published yet
+   */
+  async getVersionAt(at) {
+    const row = await database.get(
+      `SELECT version, notes, publishedBy, publishedAt
+       FROM catalog_versions
+       WHERE publishedAt <= datetime(?)
+       ORDER BY version DESC
+       LIMIT 1`,
+      [new Date(at).toISOString()]
+    );
+    return row || null;
+  }
+
+  /**
+   * Read the working catalog (active goals, peptides and rules) from the database
+   * @returns {Object} Catalog snapshot
+   */
+  async loadCatalog() {
+    const goalRows = await database.all(
+      `SELECT key, label, description, icon, parentKey, sortOrder
+       FROM goals
+       WHERE isActive = 1
+       ORDER BY sortOrder, key`
+    );
+
+    // Sub-goals of a retired goal are retired with it
+    const goals = goalRows.filter(goal =>
+      !goal.parentKey || goalRows.some(parent => parent.key === goal.parentKey)
+    );
+
+    const peptideRows = await database.all(
+      `SELECT id, slug, name, description, aliases
+       FROM peptides
+       WHERE isActive = 1
+       ORDER BY id`
+    );
+
+    const mappings = await database.all(
+      'SELECT peptideId, goalKey, sortOrder FROM peptide_goals ORDER BY goalKey, sortOrder'
+    );
+
+    const variants = await database.all(
+      `SELECT id, peptideId, minAge, maxAge, authenticatedOnly, description, priority
+       FROM peptide_description_variants
+       ORDER BY peptideId, priority, id`
+    );
+
+    const protocols = await database.all('SELECT * FROM peptide_protocols');
+
+    const references = await database.all(
+      `SELECT peptideId, goalKey, title, year, doi, url, studyType
+       FROM peptide_references
+       ORDER BY peptideId, goalKey, sortOrder, id`
+    );
+
+    const rules = await database.all(
+      `SELECT r.id, r.name, p.slug AS peptide, r.effect, r.amount, r.description, r.conditions, r.priority
+       FROM recommendation_rules r
+       JOIN peptides p ON p.id = r.peptideId
+       WHERE r.isActive = 1
+       ORDER BY r.priority, r.id`
+    );
+
+    const activeGoalKeys = new Set(goals.map(goal => goal.key));
+
+    const peptides = peptideRows.map(row => ({
+      ...row,
+      aliases: JSON.parse(row.aliases || '[]'),
+      goals: mappings
+        .filter(mapping => mapping.peptideId === row.id && activeGoalKeys.has(mapping.goalKey))
+        .map(mapping => this.toClaim(
+          mapping.goalKey,
+          mapping.sortOrder,
+          references.filter(reference => reference.peptideId === row.id && reference.goalKey === mapping.goalKey)
+        )),
+      descriptionVariants: variants
+        .filter(variant => variant.peptideId === row.id)
+        .map(({ peptideId, authenticatedOnly, ...variant }) => ({
+          ...variant,
+          authenticatedOnly: authenticatedOnly === 1
+        })),
+      protocol: this.toProtocol(protocols.find(protocol => protocol.peptideId === row.id))
+    }));
+
+    return {
+      goals,
+      peptides,
+      rules: rules.map(rule => this.toEngineRule(rule))
+    };
+  }
+
+  /**
+   * Shape a recommendation_rules row the way the rule engine expects
+   * @param {Object} row - Rule row joined with its peptide slug
+   * @returns {Object} Engine rule
+   */
+  toEngineRule(row) {
+    return {
+      id: `rule:${row.id}`,
+      name: row.name,
+      peptide: row.peptide,
+      priority: row.priority,
+      conditions: JSON.parse(row.conditions),
+      effect: {
+        type: row.effect,
+        amount: row.amount ?? undefined,
+        description: row.description ?? undefined
+      }
+    };
+  }
+
+  /**
+   * Get the active peptides mapped to a goal, in display order.
+   * Sub-goals are followed by their parent goal's peptides.
+   * @param {string} goalKey - Goal key, e.g. 'energy'
+   * @returns {Array} Peptides mapped to the goal
+   */
+  async getPeptidesForGoal(goalKey) {
+    const { goals, peptides } = await this.getCatalog();
+
+    const mappedTo = (key) => peptides
+      .map(peptide => ({
+        peptide,
+        mapping: peptide.goals.find(goal => goal.goal === key)
+      }))
+      .filter(({ mapping }) => mapping)
+      .sort((a, b) => a.mapping.sortOrder - b.mapping.sortOrder)
+      .map(({ peptide }) => peptide);
+
+    const own = mappedTo(goalKey);
+    const parentKey = goals.find(goal => goal.key === goalKey)?.parentKey;
+
+    if (!parentKey) {
+      return own;
+    }
+
+    return [...own, ...mappedTo(parentKey).filter(peptide => !own.includes(peptide))];
+  }
+
+  /**
+   * Active goals as a registry: top-level goals in display order, each with its sub-goals
+   * @returns {Array} [{ key, label, description, icon, subGoals: [...] }]
+   */
+  async getGoalRegistry() {
+    const { goals } = await this.getCatalog();
+    const toEntry = ({ key, label, description, icon }) => ({ key, label, description, icon });
+
+    return goals
+      .filter(goal => !goal.parentKey)
+      .map(goal => ({
+        ...toEntry(goal),
+        subGoals: goals.filter(child => child.parentKey === goal.key).map(toEntry)
+      }));
+  }
+
+  /**
+   * List peptides for administration, including retired ones on request
+   * @param {boolean} includeRetired - Whether to include retired peptides
+   * @returns {Array} Peptides with goal mappings and description variants
+   */
+  async listPeptides(includeRetired = false) {
+    const rows = await database.all(
+      `SELECT id FROM peptides
+       ${includeRetired ? '' : 'WHERE isActive = 1'}
+       ORDER BY id`
+    );
+
+    return Promise.all(rows.map(row => this.getPeptideById(row.id)));
+  }
+
+  /**
+   * Get a single peptide, active or retired
+   * @param {number} id - Peptide id
+   * @returns {Object|null} Peptide with goal mappings and description variants
+   */
+  async getPeptideById(id) {
+    const peptide = await database.get(
+      'SELECT id, slug, name, description, aliases, isActive, createdAt, updatedAt FROM peptides WHERE id = ?',
+      [id]
+    );
+
+    if (!peptide) {
+      return null;
+    }
+
+    const goals = await database.all(
+      'SELECT goalKey AS goal, sortOrder FROM peptide_goals WHERE peptideId = ? ORDER BY goalKey',
+      [id]
+    );
+
+    const variants = await database.all(
+      `SELECT id, minAge, maxAge, authenticatedOnly, description, priority
+       FROM peptide_description_variants
+       WHERE peptideId = ?
+       ORDER BY priority, id`,
+      [id]
+    );
+
+    const protocol = await database.get('SELECT * FROM peptide_protocols WHERE peptideId = ?', [id]);
+
+    const references = await database.all(
+      `SELECT goalKey AS goal, title, year, doi, url, studyType
+       FROM peptide_references
+       WHERE peptideId = ?
+       ORDER BY goalKey, sortOrder, id`,
+      [id]
+    );
+
+    return {
+      ...peptide,
+      aliases: JSON.parse(peptide.aliases || '[]'),
+      isActive: peptide.isActive === 1,
+      goals: goals.map(goal => ({
+        ...goal,
+        evidenceGrade: gradeReferences(references.filter(reference => reference.goal === goal.goal))
+      })),
+      references,
+      descriptionVariants: variants.map(variant => ({
+        ...variant,
+        authenticatedOnly: variant.authenticatedOnly === 1
+      })),
+      protocol: this.toProtocol(protocol)
+    };
+  }
+
+  /**
+   * Create a peptide, optionally mapping it to goals and adding variants
+   * @param {Object} data - { slug, name, description, aliases, goals, descriptionVariants, protocol, references }
+   * @returns {Object} Created peptide
+   */
+  async createPeptide(data) {
+    const existing = await database.get('SELECT id FROM peptides WHERE slug = ?', [data.slug]);
+    if (existing) {
+      throw new ConflictError(`Peptide with slug '${data.slug}' already exists`);
+    }
+
+    await this.assertGoalsExist(data.goals || []);
+    this.assertReferencesMapped(data.references || [], data.goals || []);
+
+    const peptideId = await database.transaction(async () => {
+      const { lastID } = await database.run(
+        `INSERT INTO peptides (slug, name, description, aliases, createdAt, updatedAt)
+         VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))`,
+        [data.slug, data.name, data.description, JSON.stringify(data.aliases || [])]
+      );
+
+      for (const goalKey of data.goals || []) {
+        await this.appendGoalMapping(goalKey, lastID);
+      }
+
+      await this.replaceDescriptionVariants(lastID, data.descriptionVariants || []);
+      await this.replaceProtocol(lastID, data.protocol || null);
+      await this.replaceReferences(lastID, data.references || []);
+      return lastID;
+    });
+
+    logger.info('Peptide created', { peptideId, slug: data.slug });
+    return this.getPeptideById(peptideId);
+  }
+
+  /**
+   * Update a peptide. Provided goals, descriptionVariants and protocol replace the existing ones;
+   * a null protocol removes it.
+   * @param {number} id - Peptide id
+   * @param {Object} data - Fields to update
+   * @returns {Object|null} Updated peptide, or null if it does not exist
+   */
+  async updatePeptide(id, data) {
+    const peptide = await this.getPeptideById(id);
+    if (!peptide) {
+      return null;
+    }
+
+    if (data.slug && data.slug !== peptide.slug) {
+      const existing = await database.get('SELECT id FROM peptides WHERE slug = ?', [data.slug]);
+      if (existing) {
+        throw new ConflictError(`Peptide with slug '${data.slug}' already exists`);
+      }
+    }
+
+    if (data.goals) {
+      await this.assertGoalsExist(data.goals);
+    }
+
+    if (data.references) {
+      this.assertReferencesMapped(data.references, data.goals ?? peptide.goals.map(({ goal }) => goal));
+    }
+
+    await database.transaction(async () => {
+      await database.run(
+        `UPDATE peptides
+         SET slug = ?, name = ?, description = ?, aliases = ?, isActive = ?, updatedAt = datetime('now')
+         WHERE id = ?`,
+        [
+          data.slug ?? peptide.slug,
+          data.name ?? peptide.name,
+          data.description ?? peptide.description,
+          JSON.stringify(data.aliases ?? peptide.aliases),
+          (data.isActive ?? peptide.isActive) ? 1 : 0,
+          id
+        ]
+      );
+
+      if (data.goals) {
+        const current = peptide.goals.map(goal => goal.goal);
+
+        for (const goalKey of current.filter(goalKey => !data.goals.includes(goalKey))) {
+          await database.run('DELETE FROM peptide_goals WHERE peptideId = ? AND goalKey = ?', [id, goalKey]);
+        }
+
+        for (const goalKey of data.goals.filter(goalKey => !current.includes(goalKey))) {
+          await this.appendGoalMapping(goalKey, id);
+        }
+      }
+
+      if (data.descriptionVariants) {
+        await this.replaceDescriptionVariants(id, data.descriptionVariants);
+      }
+
+      if (data.protocol !== undefined) {
+        await this.replaceProtocol(id, data.protocol);
+      }
+
+      if (data.references) {
+        await this.replaceReferences(id, data.references);
+      }
+    });
+
+    logger.info('Peptide updated', { peptideId: id });
+    return this.getPeptideById(id);
+  }
+
+  /**
+   * Retire a peptide so it is no longer suggested. Mappings are kept so it can be restored.
+   * @param {number} id - Peptide id
+   * @returns {boolean} Whether the peptide exists
+   */
+  async retirePeptide(id) {
+    const { changes } = await database.run(
+      `UPDATE peptides SET isActive = 0, updatedAt = datetime('now') WHERE id = ?`,
+      [id]
+    );
+
+    logger.info('Peptide retired', { peptideId: id });
+    return changes > 0;
+  }
+
+  /**
+   * List goals for administration, including retired ones on request
+   * @param {boolean} includeRetired - Whether to include retired goals
+   * @returns {Array} Goals in display order
+   */
+  async listGoals(includeRetired = false) {
+    const goals = await database.all(
+      `SELECT key, label, description, icon, parentKey, sortOrder, isActive, createdAt, updatedAt
+       FROM goals
+       ${includeRetired ? '' : 'WHERE isActive = 1'}
+       ORDER BY sortOrder, key`
+    );
+
+    return goals.map(goal => ({ ...goal, isActive: goal.isActive === 1 }));
+  }
+
+  /**
+   * Get a single goal, active or retired
+   * @param {string} key - Goal key
+   * @returns {Object|null} Goal
+   */
+  async getGoal(key) {
+    const goal = await database.get(
+      `SELECT key, label, description, icon, parentKey, sortOrder, isActive, createdAt, updatedAt
+       FROM goals WHERE key = ?`,
+      [key]
+    );
+
+    return goal ? { ...goal, isActive: goal.isActive === 1 } : null;
+  }
+
+  /**
+   * Create a goal at the end of the display order
+   * @param {Object} data - { key, label, description, icon, parentKey }
+   * @returns {Object} Created goal
+   */
+  async createGoal(data) {
+    if (await this.getGoal(data.key)) {
+      throw new ConflictError(`Goal '${data.key}' already exists`);
+    }
+
+    await this.assertValidParent(data.key, data.parentKey);
+
+    const { next } = await database.get('SELECT COALESCE(MAX(sortOrder), 0) + 1 AS next FROM goals');
+
+    await database.run(
+      `INSERT INTO goals (key, label, description, icon, parentKey, sortOrder, createdAt, updatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+      [data.key, data.label, data.description || null, data.icon || null, data.parentKey || null, next]
+    );
+
+    logger.info('Goal created', { goal: data.key });
+    return this.getGoal(data.key);
+  }
+
+  /**
+   * Update a goal's label, description, icon, parent or active flag
+   * @param {string} key - Goal key
+   * @param {Object} data - Fields to update; parentKey null makes it a top-level goal
+   * @returns {Object|null} Updated goal, or null if it does not exist
+   */
+  async updateGoal(key, data) {
+    const goal = await this.getGoal(key);
+    if (!goal) {
+      return null;
+    }
+
+    if (data.parentKey !== undefined) {
+      await this.assertValidParent(key, data.parentKey);
+    }
+
+    const pick = (field) => (data[field] !== undefined ? data[field] : goal[field]);
+
+    await database.run(
+      `UPDATE goals
+       SET label = ?, description = ?, icon = ?, parentKey = ?, isActive = ?, updatedAt = datetime('now')
+       WHERE key = ?`,
+      [
+        data.label ?? goal.label,
+        pick('description'),
+        pick('icon'),
+        pick('parentKey'),
+        (data.isActive ?? goal.isActive) ? 1 : 0,
+        key
+      ]
+    );
+
+    logger.info('Goal updated', { goal: key });
+    return this.getGoal(key);
+  }
+
+  /**
+   * Retire a goal so it no longer produces suggestions
+   * @param {string} key - Goal key
+   * @returns {boolean} Whether the goal exists
+   */
+  async retireGoal(key) {
+    const { changes } = await database.run(
+      `UPDATE goals SET isActive = 0, updatedAt = datetime('now') WHERE key = ?`,
+      [key]
+    );
+
+    logger.info('Goal retired', { goal: key });
+    return changes > 0;
+  }
+
+  /**
+   * Set the display order of goals. Goals not listed keep their relative order after the listed ones.
+   * @param {Array<string>} keys - Goal keys in the desired order
+   * @returns {Array} Goals in their new order
+   */
+  async reorderGoals(keys) {
+    await this.assertGoalsExist(keys);
+
+    const goals = await this.listGoals(true);
+    const ordered = [
+      ...keys,
+      ...goals.map(goal => goal.key).filter(key => !keys.includes(key))
+    ];
+
+    await database.transaction(async () => {
+      for (const [index, key] of ordered.entries()) {
+        await database.run(
+          `UPDATE goals SET sortOrder = ?, updatedAt = datetime('now') WHERE key = ?`,
+          [index + 1, key]
+        );
+      }
+    });
+
+    logger.info('Goals reordered', { order: ordered });
+    return this.listGoals(true);
+  }
+
+  /**
+   * Get the peptides mapped to a goal for administration, including retired peptides
+   * @param {string} goalKey - Goal key
+   * @returns {Array} Mapped peptides in display order
+   */
+  async getGoalPeptides(goalKey) {
+    const rows = await database.all(
+      `SELECT p.id, p.slug, p.name, p.isActive, pg.sortOrder
+       FROM peptide_goals pg
+       JOIN peptides p ON p.id = pg.peptideId
+       WHERE pg.goalKey = ?
+       ORDER BY pg.sortOrder, p.id`,
+      [goalKey]
+    );
+
+    return rows.map(row => ({ ...row, isActive: row.isActive === 1 }));
+  }
+
+  /**
+   * Replace the peptides mapped to a goal; the array order becomes the display order
+   * @param {string} goalKey - Goal key
+   * @param {Array<number>} peptideIds - Peptide ids in the desired order
+   * @returns {Array} Mapped peptides in display order
+   */
+  async setGoalPeptides(goalKey, peptideIds) {
+    await this.assertPeptidesExist(peptideIds);
+
+    await database.transaction(async () => {
+      await database.run('DELETE FROM peptide_goals WHERE goalKey = ?', [goalKey]);
+
+      for (const [index, peptideId] of peptideIds.entries()) {
+        await database.run(
+          'INSERT INTO peptide_goals (peptideId, goalKey, sortOrder) VALUES (?, ?, ?)',
+          [peptideId, goalKey, index + 1]
+        );
+      }
+    });
+
+    logger.info('Goal mappings updated', { goal: goalKey, peptideIds });
+    return this.getGoalPeptides(goalKey);
+  }
+
+  /**
+   * Map a peptide to a goal, appended after the existing mappings
+   * @param {string} goalKey - Goal key
+   * @param {number} peptideId - Peptide id
+   * @returns {Array} Mapped peptides in display order
+   */
+  async addGoalPeptide(goalKey, peptideId) {
+    await this.assertPeptidesExist([peptideId]);
+
+    const existing = await database.get(
+      'SELECT peptideId FROM peptide_goals WHERE goalKey = ? AND peptideId = ?',
+      [goalKey, peptideId]
+    );
+    if (existing) {
+      throw new ConflictError(`Peptide ${peptideId} is already mapped to '${goalKey}'`);
+    }
+
+    await this.appendGoalMapping(goalKey, peptideId);
+
+    logger.info('Goal mapping added', { goal: goalKey, peptideId });
+    return this.getGoalPeptides(goalKey);
+  }
+
+  /**
+   * Remove a peptide from a goal
+   * @param {string} goalKey - Goal key
+   * @param {number} peptideId - Peptide id
+   * @returns {boolean} Whether the mapping existed
+   */
+  async removeGoalPeptide(goalKey, peptideId) {
+    const { changes } = await database.run(
+      'DELETE FROM peptide_goals WHERE goalKey = ? AND peptideId = ?',
+      [goalKey, peptideId]
+    );
+
+    logger.info('Goal mapping removed', { goal: goalKey, peptideId });
+    return changes > 0;
+  }
+
+  /**
+   * List recommendation rules for administration, including inactive ones on request
+   * @param {boolean} includeInactive - Whether to include deactivated rules
+   * @returns {Array} Rules in evaluation order
+   */
+  async listRules(includeInactive = false) {
+    const rows = await database.all(
+      `SELECT r.*, p.slug AS peptide
+       FROM recommendation_rules r
+       JOIN peptides p ON p.id = r.peptideId
+       ${includeInactive ? '' : 'WHERE r.isActive = 1'}
+       ORDER BY r.priority, r.id`
+    );
+
+    return rows.map(row => this.toAdminRule(row));
+  }
+
+  /**
+   * Get a single recommendation rule
+   * @param {number} id - Rule id
+   * @returns {Object|null} Rule
+   */
+  async getRule(id) {
+    const row = await database.get(
+      `SELECT r.*, p.slug AS peptide
+       FROM recommendation_rules r
+       JOIN peptides p ON p.id = r.peptideId
+       WHERE r.id = ?`,
+      [id]
+    );
+
+    return row ? this.toAdminRule(row) : null;
+  }
+
+  /**
+   * Create a recommendation rule
+   * @param {Object} data - { name, peptide (slug), effect, amount, description, conditions, priority }
+   * @returns {Object} Created rule
+   */
+  async createRule(data) {
+    const id = await this.insertRule(data);
+
+    logger.info('Recommendation rule created', { ruleId: id, peptide: data.peptide });
+    return this.getRule(id);
+  }
+
+  /**
+   * Update a recommendation rule
+   * @param {number} id - Rule id
+   * @param {Object} data - Fields to update
+   * @returns {Object|null} Updated rule, or null if it does not exist
+   */
+  async updateRule(id, data) {
+    const rule = await this.getRule(id);
+    if (!rule) {
+      return null;
+    }
+
+    const merged = { ...rule, ...data };
+    const peptideId = await this.getPeptideIdBySlug(merged.peptide);
+
+    await database.run(
+      `UPDATE recommendation_rules
+       SET name = ?, peptideId = ?, effect = ?, amount = ?, description = ?,
+           conditions = ?, priority = ?, isActive = ?, updatedAt = datetime('now')
+       WHERE id = ?`,
+      [
+        merged.name,
+        peptideId,
+        merged.effect,
+        merged.amount ?? null,
+        merged.description ?? null,
+        JSON.stringify(merged.conditions || {}),
+        merged.priority,
+        merged.isActive ? 1 : 0,
+        id
+      ]
+    );
+
+    logger.info('Recommendation rule updated', { ruleId: id });
+    return this.getRule(id);
+  }
+
+  /**
+   * Deactivate a recommendation rule (restore with isActive: true)
+   * @param {number} id - Rule id
+   * @returns {boolean} Whether the rule exists
+   */
+  async deactivateRule(id) {
+    const { changes } = await database.run(
+      `UPDATE recommendation_rules SET isActive = 0, updatedAt = datetime('now') WHERE id = ?`,
+      [id]
+    );
+
+    logger.info('Recommendation rule deactivated', { ruleId: id });
+    return changes > 0;
+  }
+
+  async insertRule(data) {
+    const peptideId = await this.getPeptideIdBySlug(data.peptide);
+
+    const { lastID } = await database.run(
+      `INSERT INTO recommendation_rules
+         (name, peptideId, effect, amount, description, conditions, priority, createdAt, updatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+      [
+        data.name,
+        peptideId,
+        data.effect,
+        data.amount ?? null,
+        data.description ?? null,
+        JSON.stringify(data.conditions || {}),
+        data.priority ?? 100
+      ]
+    );
+
+    return lastID;
+  }
+
+  toAdminRule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      peptide: row.peptide,
+      effect: row.effect,
+      amount: row.amount,
+      description: row.description,
+      conditions: JSON.parse(row.conditions),
+      priority: row.priority,
+      isActive: row.isActive === 1,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt
+    };
+  }
+
+  // Null when no peptide has the slug, for callers that skip unknown ones
+  async findPeptideIdBySlug(slug) {
+    const peptide = await database.get('SELECT id FROM peptides WHERE slug = ?', [slug]);
+    return peptide ? peptide.id : null;
+  }
+
+  async getPeptideIdBySlug(slug) {
+    const peptideId = await this.findPeptideIdBySlug(slug);
+    if (!peptideId) {
+      throw new NotFoundError(`Peptide '${slug}' not found`, 'CATALOG_NOT_FOUND');
+    }
+    return peptideId;
+  }
+
+  async appendGoalMapping(goalKey, peptideId) {
+    const { next } = await database.get(
+      'SELECT COALESCE(MAX(sortOrder), 0) + 1 AS next FROM peptide_goals WHERE goalKey = ?',
+      [goalKey]
+    );
+
+    await database.run(
+      'INSERT INTO peptide_goals (peptideId, goalKey, sortOrder) VALUES (?, ?, ?)',
+      [peptideId, goalKey, next]
+    );
+  }
+
+  async replaceDescriptionVariants(peptideId, variants) {
+    await database.run('DELETE FROM peptide_description_variants WHERE peptideId = ?', [peptideId]);
+
+    for (const [priority, variant] of variants.entries()) {
+      await database.run(
+        `INSERT INTO peptide_description_variants
+           (peptideId, minAge, maxAge, authenticatedOnly, description, priority)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          peptideId,
+          variant.minAge ?? null,
+          variant.maxAge ?? null,
+          variant.authenticatedOnly ? 1 : 0,
+          variant.description,
+          priority
+        ]
+      );
+    }
+  }
+
+  async replaceProtocol(peptideId, protocol) {
+    await database.run('DELETE FROM peptide_protocols WHERE peptideId = ?', [peptideId]);
+
+    if (!protocol) {
+      return;
+    }
+
+    await database.run(
+      `INSERT INTO peptide_protocols
+         (peptideId, amount, unit, frequency, timeOfDay, cycleOnWeeks, cycleOffWeeks, durationWeeks, notes, updatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+      [
+        peptideId,
+        protocol.amount,
+        protocol.unit,
+        protocol.frequency,
+        JSON.stringify(protocol.timeOfDay || []),
+        protocol.cycleOnWeeks ?? null,
+        protocol.cycleOffWeeks ?? null,
+        protocol.durationWeeks ?? null,
+        protocol.notes || null
+      ]
+    );
+  }
+
+  async replaceReferences(peptideId, references) {
+    await database.run('DELETE FROM peptide_references WHERE peptideId = ?', [peptideId]);
+
+    for (const [index, reference] of references.entries()) {
+      await database.run(
+        `INSERT INTO peptide_references (peptideId, goalKey, title, year, doi, url, studyType, sortOrder)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          peptideId,
+          reference.goal,
+          reference.title,
+          reference.year ?? null,
+          reference.doi || null,
+          reference.url || null,
+          reference.studyType,
+          index + 1
+        ]
+      );
+    }
+  }
+
+  /**
+   * Shape a peptide-goal mapping and its references as a graded claim
+   * @returns {Object} { goal, sortOrder, evidenceGrade, references }
+   */
+  toClaim(goalKey, sortOrder, rows) {
+    const references = rows.map(({ title, year, doi, url, studyType }) => ({ title, year, doi, url, studyType }));
+
+    return {
+      goal: goalKey,
+      sortOrder,
+      evidenceGrade: gradeReferences(references),
+      references
+    };
+  }
+
+  /**
+   * Shape a peptide_protocols row as a protocol object
+   * @param {Object|undefined} row - Protocol row
+   * @returns {Object|null} Protocol, or null if the peptide has none
+   */
+  toProtocol(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      amount: row.amount,
+      unit: row.unit,
+      frequency: row.frequency,
+      timeOfDay: JSON.parse(row.timeOfDay),
+      cycleOnWeeks: row.cycleOnWeeks,
+      cycleOffWeeks: row.cycleOffWeeks,
+      durationWeeks: row.durationWeeks,
+      notes: row.notes
+    };
+  }
+
+  /**
+   * Check that a goal can be placed under a parent. Sub-goals are one level deep.
+   * @param {string} key - Goal being created or moved
+   * @param {string|null} parentKey - Proposed parent, null for a top-level goal
+   */
+  async assertValidParent(key, parentKey) {
+    if (!parentKey) {
+      return;
+    }
+
+    if (parentKey === key) {
+      throw new ValidationError(`Goal '${key}' cannot be its own parent`, null, 'CATALOG_INVALID');
+    }
+
+    const parent = await this.getGoal(parentKey);
+    if (!parent) {
+      throw new NotFoundError(`Goal '${parentKey}' not found`, 'CATALOG_NOT_FOUND');
+    }
+
+    if (parent.parentKey) {
+      throw new ValidationError(`Goal '${parentKey}' is a sub-goal and cannot have sub-goals`, null, 'CATALOG_INVALID');
+    }
+
+    const child = await database.get('SELECT key FROM goals WHERE parentKey = ? LIMIT 1', [key]);
+    if (child) {
+      throw new ValidationError(`Goal '${key}' has sub-goals and cannot become a sub-goal`, null, 'CATALOG_INVALID');
+    }
+  }
+
+  assertReferencesMapped(references, goalKeys) {
+    references.forEach(({ goal }) => {
+      if (!goalKeys.includes(goal)) {
+        throw new ValidationError(
+          `References for '${goal}' cannot be added; the peptide is not mapped to that goal`,
+          null,
+          'CATALOG_INVALID'
+        );
+      }
+    });
+  }
+
+  async assertGoalsExist(keys) {
+    for (const key of keys) {
+      if (!(await this.getGoal(key))) {
+        throw new NotFoundError(`Goal '${key}' not found`, 'CATALOG_NOT_FOUND');
+      }
+    }
+  }
+
+  async assertPeptidesExist(ids) {
+    for (const id of ids) {
+      const peptide = await database.get('SELECT id FROM peptides WHERE id = ?', [id]);
+      if (!peptide) {
+        throw new NotFoundError(`Peptide ${id} not found`, 'CATALOG_NOT_FOUND');
+      }
+    }
+  }
+}
+
+module.exports = new CatalogService();
@@ -0,0 +1,92 @@
+/**
+ * Evidence behind peptide-goal claims.
+ *
+ * A reference looks like:
+ * {
+ *   goal: 'energy',
+ *   title: 'Effect of ... on fatigue: a randomized trial',
+ *   year: 2021,
+ *   doi: '10.1000/example.123',
+ *   url: 'https://example.org/article',
+ *   studyType: 'rct'
+ * }
+ *
+ * A claim's grade follows from the strongest studies cited for it:
+ * A - a meta-analysis or systematic review, or two or more randomized controlled trials
+ * B - one randomized controlled trial
+ * C - observational studies in people
+ * D - preclinical studies, case reports or expert opinion
+ *
+ * A claim that cites nothing is ungraded (null) rather than D, so "no
+ * evidence yet" can be told apart from weak evidence.
+ */
+
+const STUDY_TYPES = {
+  meta_analysis: 'Meta-analysis',
+  systematic_review: 'Systematic review',
+  rct: 'Randomized controlled trial',
+  cohort: 'Cohort study',
+  case_control: 'Case-control study',
+  cross_sectional: 'Cross-sectional study',
+  case_report: 'Case report',
+  animal: 'Animal study',
+  in_vitro: 'In vitro study',
+  expert_opinion: 'Expert opinion'
+};
+
+// Strongest first
+const GRADES = {
+  A: 'High',
+  B: 'Moderate',
+  C: 'Low',
+  D: 'Very low'
+};
+
+const OBSERVATIONAL = ['cohort', 'case_control', 'cross_sectional'];
+
+/**
+ * Grade a claim from the references cited for it
+ * @param {Array} references - References for one peptide-goal claim
+ * @returns {string|null} 'A' to 'D', or null when nothing is cited
+ */
+const gradeReferences = (references = []) => {
+  if (references.length === 0) {
+    return null;
+  }
+
+  const count = (types) => references.filter(reference => types.includes(reference.studyType)).length;
+
+  if (count(['meta_analysis', 'systematic_review']) > 0 || count(['rct']) >= 2) {
+    return 'A';
+  }
+  if (count(['rct']) === 1) {
+    return 'B';
+  }
+  if (count(OBSERVATIONAL) > 0) {
+    return 'C';
+  }
+  return 'D';
+};
+
+/**
+ * Whether a grade is at least as strong as a minimum. Ungraded claims meet none.
+ * @param {string|null} grade - Grade to check
+ * @param {string} minimum - Weakest acceptable grade
+ * @returns {boolean} True if the grade meets the minimum
+ */
+const meetsGrade = (grade, minimum) => grade !== null && grade.localeCompare(minimum) <= 0;
+
+/**
+ * Strongest of several grades
+ * @param {Array} grades - Grades, null for ungraded claims
+ * @returns {string|null} Strongest grade, null when none is graded
+ */
+const strongestGrade = (grades) => grades.filter(Boolean).sort()[0] || null;
+
+module.exports = {
+  STUDY_TYPES,
+  GRADES,
+  gradeReferences,
+  meetsGrade,
+  strongestGrade
+};
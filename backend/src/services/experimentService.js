@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+const catalogService = require('./catalogService');
+const analyticsService = require('./analyticsService');
+const logger = require('../utils/logger');
+const { ConflictError, ValidationError } = require('../utils/errors');
+
+/**
+ * A/B experiments on recommendation rules and description copy.
+ *
+ * A variant looks like:
+ * {
+ *   key: 'boost-repair',
+ *   name: 'Boost tissue repair',
+ *   weight: 1,
+ *   rules: [{ name, peptide, effect, amount, description, conditions, priority }],
+ *   descriptions: { 'tissue-repair-formula': 'Alternative copy' }
+ * }
+ *
+ * Rules use the same shape as /admin/rules and are evaluated together with
+ * the catalog's rules. Subjects are 'user:<id>' for signed-in users and
+ * 'anon:<id>' for the X-Anonymous-Id header; each keeps its variant for the
+ * life of the experiment.
+ */
+class ExperimentService {
+  /**
+   * List experiments with their variants
+   * @returns {Array} Experiments, newest first
+   */
+  async listExperiments() {
+    const experiments = await database.all(
+      'SELECT key, name, description, status, createdAt, updatedAt FROM experiments ORDER BY createdAt DESC, key'
+    );
+
+    return Promise.all(experiments.map(async experiment => ({
+      ...experiment,
+      variants: await this.getVariants(experiment.key)
+    })));
+  }
+
+  /**
+   * Get an experiment with its variants
+   * @param {string} key - Experiment key
+   * @returns {Object|null} Experiment, or null if it does not exist
+   */
+  async getExperiment(key) {
+    const experiment = await database.get(
+      'SELECT key, name, description, status, createdAt, updatedAt FROM experiments WHERE key = ?',
+      [key]
+    );
+
+    if (!experiment) {
+      return null;
+    }
+
+    return { ...experiment, variants: await this.getVariants(key) };
+  }
+
+  /**
+   * Create an experiment. New experiments start as drafts unless a status is given.
+   * @param {Object} data - { key, name, description, status, variants }
+   * @returns {Object} Created experiment
+   */
+  async createExperiment(data) {
+    if (await this.getExperiment(data.key)) {
+      throw new ConflictError(`Experiment '${data.key}' already exists`);
+    }
+
+    await this.assertRulePeptidesExist(data.variants);
+
+    try {
+      await database.transaction(async () => {
+        await database.run(
+          `INSERT INTO experiments (key, name, description, status, createdAt, updatedAt)
+           VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))`,
+          [data.key, data.name, data.description || null, data.status || 'draft']
+        );
+        await this.replaceVariants(data.key, data.variants);
+      });
+    } catch (error) {
+      // A concurrent create with the same key got in after the check above
+      if (error.code === 'SQLITE_CONSTRAINT' && error.message.includes('experiments.key')) {
+        throw new ConflictError(`Experiment '${data.key}' already exists`);
+      }
+      throw error;
+    }
+
+    logger.info('Experiment created', { experiment: data.key, variants: data.variants.length });
+    return this.getExperiment(data.key);
+  }
+
+  /**
+   * Update an experiment's details, status or variants.
+   * Variants are fixed once an experiment has started so results stay comparable.
+   * @param {string} key - Experiment key
+   * @param {Object} data - Fields to update
+   * @returns {Object|null} Updated experiment, or null if it does not exist
+   */
+  async updateExperiment(key, data) {
+    const experiment = await this.getExperiment(key);
+    if (!experiment) {
+      return null;
+    }
+
+    if (data.variants) {
+      if (experiment.status !== 'draft') {
+        throw new ValidationError(
+          `Variants of experiment '${key}' cannot change once it has started`,
+          null,
+          'EXPERIMENT_INVALID'
+        );
+      }
+      await this.assertRulePeptidesExist(data.variants);
+    }
+
+    if (data.status === 'draft' && experiment.status !== 'draft') {
+      throw new ValidationError(`Experiment '${key}' has started and cannot return to draft`, null, 'EXPERIMENT_INVALID');
+    }
+
+    await database.transaction(async () => {
+      await database.run(
+        `UPDATE experiments
+         SET name = ?, description = ?, status = ?, updatedAt = datetime('now')
+         WHERE key = ?`,
+        [
+          data.name ?? experiment.name,
+          data.description !== undefined ? data.description : experiment.description,
+          data.status ?? experiment.status,
+          key
+        ]
+      );
+
+      if (data.variants) {
+        await this.replaceVariants(key, data.variants);
+      }
+    });
+
+    logger.info('Experiment updated', { experiment: key, status: data.status ?? experiment.status });
+    return this.getExperiment(key);
+  }
+
+  /**
+   * Assign a subject to a variant of every running experiment
+   * @param {Object} subject - { userId, anonymousId }
+   * @returns {Object} { subjectId, assignments: [{ experiment, variant, rules, descriptions }] }
+   */
+  async assign({ userId, anonymousId }) {
+    const subjectId = this.getSubjectId({ userId, anonymousId });
+    if (!subjectId) {
+      return { subjectId: null, assignments: [] };
+    }
+
+    const experiments = await database.all("SELECT key FROM experiments WHERE status = 'running' ORDER BY key");
+    const assignments = [];
+
+    for (const { key } of experiments) {
+      const variants = await this.getVariants(key);
+      if (variants.length === 0) {
+        continue;
+      }
+
+      const stored = await database.get(
+        'SELECT variantKey FROM experiment_assignments WHERE experimentKey = ? AND subjectId = ?',
+        [key, subjectId]
+      );
+
+      let variant = stored && variants.find(entry => entry.key === stored.variantKey);
+
+      if (!variant) {
+        variant = this.pickVariant(key, subjectId, variants);
+        await database.run(
+          `INSERT INTO experiment_assignments (experimentKey, subjectId, variantKey)
+           VALUES (?, ?, ?)
+           ON CONFLICT (experimentKey, subjectId) DO UPDATE SET
+             variantKey = excluded.variantKey,
+             assignedAt = datetime('now')`,
+          [key, subjectId, variant.key]
+        );
+      }
+
+      assignments.push({
+        experiment: key,
+        variant: variant.key,
+        rules: variant.rules.map((rule, index) => this.toEngineRule(key, variant.key, rule, index)),
+        descriptions: variant.descriptions
+      });
+    }
+
+    return { subjectId, assignments };
+  }
+
+  /**
+   * Record that a suggestions response was served by the subject's variants
+   * @param {Object} exposure - { subjectId, assignments, requestId, suggestionId }
+   */
+  async recordExposures({ subjectId, assignments, requestId, suggestionId = null }) {
+    for (const { experiment, variant } of assignments) {
+      await database.run(
+        `INSERT INTO experiment_exposures (experimentKey, variantKey, subjectId, requestId, suggestionId)
+         VALUES (?, ?, ?, ?, ?)`,
+        [experiment, variant, subjectId, requestId, suggestionId]
+      );
+      await analyticsService.logExposure(experiment, variant);
+    }
+  }
+
+  /**
+   * Outcome metrics per variant
+   * @param {string} key - Experiment key
+   * @returns {Array|null} [{ variant, subjects, exposures, returningSubjects, returnRate,
+   *   ratings, averageRating, triedRate }], or null if the experiment does not exist
+   */
+  async getMetrics(key) {
+    const experiment = await this.getExperiment(key);
+    if (!experiment) {
+      return null;
+    }
+
+    const exposureRows = await database.all(
+      `SELECT variantKey,
+              COUNT(*) AS exposures,
+              COUNT(DISTINCT subjectId) AS subjects
+       FROM experiment_exposures
+       WHERE experimentKey = ?
+       GROUP BY variantKey`,
+      [key]
+    );
+
+    // A return visit is an exposure on a later day than the subject's first
+    const returningRows = await database.all(
+      `SELECT variantKey, COUNT(*) AS returningSubjects
+       FROM (
+         SELECT variantKey, subjectId
+         FROM experiment_exposures
+         WHERE experimentKey = ?
+         GROUP BY variantKey, subjectId
+         HAVING COUNT(DISTINCT date(createdAt)) > 1
+       )
+       GROUP BY variantKey`,
+      [key]
+    );
+
+    const feedbackRows = await database.all(
+      `SELECT e.variantKey,
+              COUNT(f.rating) AS ratings,
+              AVG(f.rating) AS averageRating,
+              COUNT(f.id) AS feedback,
+              SUM(f.tried) AS tried
+       FROM experiment_exposures e
+       JOIN suggestion_feedback f ON f.suggestionId = e.suggestionId
+       WHERE e.experimentKey = ?
+       GROUP BY e.variantKey`,
+      [key]
+    );
+
+    return experiment.variants.map(({ key: variant }) => {
+      const exposure = exposureRows.find(row => row.variantKey === variant) || { exposures: 0, subjects: 0 };
+      const returning = returningRows.find(row => row.variantKey === variant)?.returningSubjects || 0;
+      const feedback = feedbackRows.find(row => row.variantKey === variant);
+
+      return {
+        variant,
+        subjects: exposure.subjects,
+        exposures: exposure.exposures,
+        returningSubjects: returning,
+        returnRate: exposure.subjects > 0 ? Math.round(returning / exposure.subjects * 1000) / 1000 : null,
+        ratings: feedback?.ratings || 0,
+        averageRating: feedback?.averageRating ? Math.round(feedback.averageRating * 100) / 100 : null,
+        triedRate: feedback?.feedback ? Math.round(feedback.tried / feedback.feedback * 1000) / 1000 : null
+      };
+    });
+  }
+
+  /**
+   * Subject id for a user or anonymous visitor
+   * @param {Object} subject - { userId, anonymousId }
+   * @returns {string|null} 'user:<id>', 'anon:<id>', or null when neither is known
+   */
+  getSubjectId({ userId, anonymousId }) {
+    if (userId) {
+      return `user:${userId}`;
+    }
+    return anonymousId ? `anon:${anonymousId}` : null;
+  }
+
+  /**
+   * Deterministically pick a variant by weight, so a subject lands in the
+   * same variant even if its stored assignment is lost
+   * @param {string} experimentKey - Experiment key
+   * @param {string} subjectId - Subject id
+   * @param {Array} variants - Variants with weights
+   * @returns {Object} Chosen variant
+   */
+  pickVariant(experimentKey, subjectId, variants) {
+    const hash = crypto.createHash('sha256').update(`${experimentKey}:${subjectId}`).digest();
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+    for (const variant of variants) {
+      point -= variant.weight;
+      if (point < 0) {
+        return variant;
+      }
+    }
+
+    return variants[variants.length - 1];
+  }
+
+  /**
+   * Shape a variant rule the way the rule engine expects
+   */
+  toEngineRule(experimentKey, variantKey, rule, index) {
+    return {
+      id: `experiment:${experimentKey}:${variantKey}:${index + 1}`,
+      name: rule.name,
+      peptide: rule.peptide,
+      priority: rule.priority ?? 100,
+      conditions: rule.conditions || {},
+      effect: {
+        type: rule.effect,
+        amount: rule.amount ?? undefined,
+        description: rule.description ?? undefined
+      }
+    };
+  }
+
+  async getVariants(experimentKey) {
+    const rows = await database.all(
+      'SELECT key, name, weight, rules, descriptions FROM experiment_variants WHERE experimentKey = ? ORDER BY id',
+      [experimentKey]
+    );
+
+    return rows.map(row => ({
+      key: row.key,
+      name: row.name,
+      weight: row.weight,
+      rules: JSON.parse(row.rules || '[]'),
+      descriptions: JSON.parse(row.descriptions || '{}')
+    }));
+  }
+
+  async replaceVariants(experimentKey, variants) {
+    await database.run('DELETE FROM experiment_variants WHERE experimentKey = ?', [experimentKey]);
+
+    for (const variant of variants) {
+      await database.run(
+        `INSERT INTO experiment_variants (experimentKey, key, name, weight, rules, descriptions)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          experimentKey,
+          variant.key,
+          variant.name || null,
+          variant.weight ?? 1,
+          JSON.stringify(variant.rules || []),
+          JSON.stringify(variant.descriptions || {})
+        ]
+      );
+    }
+  }
+
+  async assertRulePeptidesExist(variants) {
+    const slugs = new Set(variants.flatMap(variant => [
+      ...(variant.rules || []).map(rule => rule.peptide),
+      ...Object.keys(variant.descriptions || {})
+    ]));
+
+    for (const slug of slugs) {
+      if (await catalogService.findPeptideIdBySlug(slug) === null) {
+        throw new ValidationError(`Peptide '${slug}' not found`, null, 'EXPERIMENT_INVALID');
+      }
+    }
+  }
+}
+
+module.exports = new ExperimentService();
@@ -0,0 +1,133 @@
+const database = require('../config/database');
+
+// How far the best and worst average ratings can move a peptide's score
+const RATING_WEIGHT = 0.3;
+
+// Ratings needed before feedback carries half its full weight
+const RATING_PRIOR = 5;
+
+// How far a peptide reported to cause side effects by everyone who tried it is pushed down
+const SIDE_EFFECT_WEIGHT = 0.2;
+
+class FeedbackService {
+  /**
+   * Record feedback on peptides from a saved suggestion, replacing any earlier
+   * feedback the user gave on the same peptide for that suggestion
+   * @param {number} userId - User ID
+   * @param {number} suggestionId - user_suggestions row ID
+   * @param {Array} items - [{ slug, rating, tried, sideEffects, comment }]
+   * @returns {Array} All feedback on the suggestion
+   */
+  async saveFeedback(userId, suggestionId, items) {
+    // Read back inside the transaction so concurrent posts each see their own write
+    return database.transaction(async () => {
+      for (const item of items) {
+        await database.run(
+          `INSERT INTO suggestion_feedback
+             (suggestionId, userId, peptideSlug, rating, tried, sideEffects, comment)
+           VALUES (?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (suggestionId, peptideSlug) DO UPDATE SET
+             rating = excluded.rating,
+             tried = excluded.tried,
+             sideEffects = excluded.sideEffects,
+             comment = excluded.comment,
+             updatedAt = datetime('now')`,
+          [
+            suggestionId,
+            userId,
+            item.slug,
+            item.rating ?? null,
+            item.tried ? 1 : 0,
+            JSON.stringify(item.sideEffects || []),
+            item.comment || null
+          ]
+        );
+      }
+
+      const feedback = await this.getFeedbackForSuggestions([suggestionId]);
+      return feedback.get(suggestionId) || [];
+    });
+  }
+
+  /**
+   * Feedback recorded on a set of saved suggestions
+   * @param {Array} suggestionIds - user_suggestions row IDs
+   * @returns {Map} suggestionId -> [{ slug, rating, tried, sideEffects, comment, updatedAt }]
+   */
+  async getFeedbackForSuggestions(suggestionIds) {
+    const feedback = new Map();
+    if (suggestionIds.length === 0) {
+      return feedback;
+    }
+
+    const rows = await database.all(
+      `SELECT suggestionId, peptideSlug, rating, tried, sideEffects, comment, updatedAt
+       FROM suggestion_feedback
+       WHERE suggestionId IN (${suggestionIds.map(() => '?').join(', ')})
+       ORDER BY id`,
+      suggestionIds
+    );
+
+    rows.forEach(row => {
+      const entries = feedback.get(row.suggestionId) || [];
+      entries.push({
+        slug: row.peptideSlug,
+        rating: row.rating,
+        tried: row.tried === 1,
+        sideEffects: JSON.parse(row.sideEffects || '[]'),
+        comment: row.comment,
+        updatedAt: row.updatedAt
+      });
+      feedback.set(row.suggestionId, entries);
+    });
+
+    return feedback;
+  }
+
+  /**
+   * Feedback aggregated per peptide across all users
+   * @returns {Map} slug -> { averageRating, ratings, tried, sideEffectReports }
+   */
+  async getPeptideStats() {
+    const rows = await database.all(
+      `SELECT peptideSlug,
+              AVG(rating) AS averageRating,
+              COUNT(rating) AS ratings,
+              SUM(tried) AS tried,
+              SUM(CASE WHEN sideEffects IS NOT NULL AND sideEffects != '[]' THEN 1 ELSE 0 END) AS sideEffectReports
+       FROM suggestion_feedback
+       GROUP BY peptideSlug`
+    );
+
+    return new Map(rows.map(row => [row.peptideSlug, {
+      averageRating: row.averageRating === null ? null : Math.round(row.averageRating * 100) / 100,
+      ratings: row.ratings,
+      tried: row.tried,
+      sideEffectReports: row.sideEffectReports
+    }]));
+  }
+
+  /**
+   * Score multiplier for a peptide's aggregate feedback. Ratings above 3
+   * raise it and below 3 lower it, with more ratings carrying more weight;
+   * side effect reports lower it in proportion to how many who tried it had them.
+   * @param {Object} stats - Entry from getPeptideStats
+   * @returns {number} Multiplier, 1 when there is no feedback
+   */
+  rankingFactor({ averageRating, ratings, tried, sideEffectReports }) {
+    let factor = 1;
+
+    if (ratings > 0) {
+      const confidence = ratings / (ratings + RATING_PRIOR);
+      factor *= 1 + RATING_WEIGHT * ((averageRating - 3) / 2) * confidence;
+    }
+
+    if (tried > 0) {
+      factor *= 1 - SIDE_EFFECT_WEIGHT * Math.min(1, sideEffectReports / tried);
+    }
+
+    return factor;
+  }
+}
+
+module.exports = new FeedbackService();
@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Bundled dataset; INTERACTIONS_FILE can point at a replacement with the same shape
+const INTERACTIONS_FILE = process.env.INTERACTIONS_FILE || path.join(__dirname, '../../data/interactions.json');
+
+const TERM_TYPES = ['condition', 'medication'];
+
+/**
+ * Lowercase, trim and collapse whitespace so free-text entries match dataset terms
+ * @param {string} name - Term as entered by the user
+ * @returns {string} Normalized term
+ */
+const normalizeTerm = (name) => String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+
+class InteractionService {
+  constructor() {
+    this.terms = { condition: [], medication: [] };
+    this.lookup = { condition: new Map(), medication: new Map() };
+    this.interactions = [];
+  }
+
+  /**
+   * Load the interaction dataset and index its terms and aliases
+   */
+  async initialize() {
+    const dataset = JSON.parse(await fs.readFile(INTERACTIONS_FILE, 'utf8'));
+
+    this.terms = { condition: dataset.conditions || [], medication: dataset.medications || [] };
+    this.lookup = { condition: new Map(), medication: new Map() };
+
+    TERM_TYPES.forEach(type => {
+      this.terms[type].forEach(term => {
+        [term.key, term.label, ...(term.aliases || [])].forEach(name => {
+          this.lookup[type].set(normalizeTerm(name), term.key);
+        });
+      });
+    });
+
+    this.interactions = (dataset.interactions || []).map(interaction => ({
+      type: interaction.condition ? 'condition' : 'medication',
+      key: interaction.condition || interaction.medication,
+      peptides: interaction.peptides,
+      action: interaction.action === 'exclude' ? 'exclude' : 'flag',
+      reason: interaction.reason
+    }));
+
+    logger.info('Interaction dataset loaded', {
+      conditions: this.terms.condition.length,
+      medications: this.terms.medication.length,
+      interactions: this.interactions.length
+    });
+  }
+
+  /**
+   * Known conditions and medications, for clients building pickers
+   * @returns {Object} { conditions: [{ key, label }], medications: [{ key, label }] }
+   */
+  getKnownTerms() {
+    const toOption = ({ key, label }) => ({ key, label });
+    return {
+      conditions: this.terms.condition.map(toOption),
+      medications: this.terms.medication.map(toOption)
+    };
+  }
+
+  /**
+   * Map a user-entered term to its dataset key
+   * @param {string} type - 'condition' or 'medication'
+   * @param {string} name - Term as entered by the user
+   * @returns {string|null} Dataset key, or null if the term is not recognized
+   */
+  resolveTerm(type, name) {
+    return this.lookup[type].get(normalizeTerm(name)) || null;
+  }
+
+  /**
+   * Resolve listed conditions and medications to dataset terms, once per term
+   * @param {Object} healthProfile - { conditions: [name], medications: [name] }
+   * @returns {Array} [{ type, name, key }]
+   */
+  resolveProfile(healthProfile = {}) {
+    return [
+      ...(healthProfile.conditions || []).map(name => ({ type: 'condition', name })),
+      ...(healthProfile.medications || []).map(name => ({ type: 'medication', name }))
+    ]
+      .map(entry => ({ ...entry, key: this.resolveTerm(entry.type, entry.name) }))
+      // Unrecognized terms can't be screened; synonyms of one term are screened once
+      .filter((entry, index, all) => entry.key &&
+        all.findIndex(other => other.type === entry.type && other.key === entry.key) === index);
+  }
+
+  /**
+   * Conditions and medications that rule out every peptide, such as pregnancy
+   * @param {Object} healthProfile - { conditions: [name], medications: [name] }
+   * @returns {Array} [{ type, term, key, reason }]
+   */
+  findContraindicatedForAll(healthProfile = {}) {
+    return this.resolveProfile(healthProfile).flatMap(entry => this.interactions
+      .filter(interaction =>
+        interaction.type === entry.type &&
+        interaction.key === entry.key &&
+        interaction.action === 'exclude' &&
+        interaction.peptides.includes('*')
+      )
+      .map(({ reason }) => ({ type: entry.type, term: entry.name, key: entry.key, reason })));
+  }
+
+  /**
+   * Screen suggestions against a user's conditions and medications.
+   * Excluded peptides are removed; flagged peptides stay with their interactions listed.
+   * @param {Array} suggestions - Suggestions from suggestionsService
+   * @param {Object} healthProfile - { conditions: [name], medications: [name] }
+   * @returns {Object} { suggestions, excluded: [{ slug, name, reasons }] }
+   */
+  screen(suggestions, healthProfile = {}) {
+    const entries = this.resolveProfile(healthProfile);
+
+    const screened = [];
+    const excluded = [];
+
+    suggestions.forEach(suggestion => {
+      const matches = [];
+
+      entries.forEach(entry => {
+        this.interactions
+          .filter(interaction =>
+            interaction.type === entry.type &&
+            interaction.key === entry.key &&
+            (interaction.peptides.includes('*') || interaction.peptides.includes(suggestion.slug))
+          )
+          .forEach(interaction => matches.push({
+            type: entry.type,
+            term: entry.name,
+            key: entry.key,
+            action: interaction.action,
+            reason: interaction.reason
+          }));
+      });
+
+      if (matches.some(match => match.action === 'exclude')) {
+        excluded.push({
+          slug: suggestion.slug,
+          name: suggestion.name,
+          reasons: matches.filter(match => match.action === 'exclude')
+        });
+      } else {
+        screened.push({ ...suggestion, interactions: matches });
+      }
+    });
+
+    return { suggestions: screened, excluded };
+  }
+}
+
+module.exports = new InteractionService();
@@ -0,0 +1,103 @@
+const { jsPDF } = require('jspdf');
+const catalogService = require('./catalogService');
+
+const DISCLAIMER = 'These suggestions are for informational purposes only and are not medical advice. ' +
+  'Consult a qualified healthcare provider before starting any peptide or supplement.';
+
+const PAGE_MARGIN = 20;
+const LINE_HEIGHT = 6;
+
+const SEVERITY_LABELS = {
+  block: 'IMPORTANT',
+  caution: 'CAUTION',
+  info: 'NOTE'
+};
+
+class PdfService {
+  /**
+   * Render a set of suggestions as a PDF document
+   * @param {Object} report - { age, goals: [goalKey], suggestions, warnings, generatedAt }
+   * @returns {Buffer} PDF bytes
+   */
+  async generateSuggestionsPdf({ age, goals, suggestions, warnings = [], generatedAt = new Date() }) {
+    const { goals: catalogGoals } = await catalogService.getCatalog();
+    const goalLabel = (key) => catalogGoals.find(goal => goal.key === key)?.label || key;
+
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const textWidth = pageWidth - PAGE_MARGIN * 2;
+    let y = PAGE_MARGIN;
+
+    // Write wrapped text, starting a new page when it would overflow
+    const write = (text, { size = 11, style = 'normal', indent = 0, spacing = 0 } = {}) => {
+      doc.setFont('helvetica', style);
+      doc.setFontSize(size);
+
+      doc.splitTextToSize(String(text), textWidth - indent).forEach(line => {
+        if (y > pageHeight - PAGE_MARGIN) {
+          doc.addPage();
+          y = PAGE_MARGIN;
+        }
+        doc.text(line, PAGE_MARGIN + indent, y);
+        y += LINE_HEIGHT * (size / 11);
+      });
+
+      y += spacing;
+    };
+
+    write('Peptide Suggestions', { size: 20, style: 'bold', spacing: 4 });
+    write(`Health goal${goals.length > 1 ? 's' : ''}: ${goals.map(goalLabel).join(', ')}`);
+    write(`Age: ${age}`);
+    write(`Generated: ${new Date(generatedAt).toLocaleString('en-US')}`, { spacing: 6 });
+
+    if (warnings.length > 0) {
+      write('Safety Warnings', { size: 14, style: 'bold', spacing: 2 });
+      warnings.forEach(warning => {
+        write(`${SEVERITY_LABELS[warning.severity] || 'NOTE'}: ${warning.message}`, { indent: 4, spacing: 2 });
+      });
+      y += 4;
+    }
+
+    write('Recommendations', { size: 14, style: 'bold', spacing: 2 });
+
+    if (suggestions.length === 0) {
+      write('No suggestions were produced for this request.', { indent: 4, spacing: 4 });
+    }
+
+    suggestions.forEach((suggestion, index) => {
+      write(`${index + 1}. ${suggestion.name}`, { size: 12, style: 'bold' });
+      write(suggestion.description, { indent: 4 });
+
+      if (suggestion.dosage) {
+        write(`Dosage: ${suggestion.dosage}`, { indent: 4 });
+      }
+
+      if (suggestion.timing) {
+        write(`Timing: ${suggestion.timing}`, { indent: 4 });
+      }
+
+      (suggestion.interactions || []).forEach(interaction => {
+        write(`Interaction (${interaction.term}): ${interaction.reason}`, { indent: 4, style: 'italic' });
+      });
+
+      y += 4;
+    });
+
+    write('Disclaimer', { size: 10, style: 'bold' });
+    write(DISCLAIMER, { size: 9 });
+
+    return Buffer.from(doc.output('arraybuffer'));
+  }
+
+  /**
+   * Download filename for a report
+   * @param {Date|string} generatedAt - When the suggestions were generated
+   * @returns {string} Filename such as peptide-suggestions-2024-01-31.pdf
+   */
+  getFilename(generatedAt = new Date()) {
+    return `peptide-suggestions-${new Date(generatedAt).toISOString().slice(0, 10)}.pdf`;
+  }
+}
+
+module.exports = new PdfService();
@@ -0,0 +1,164 @@
+const { getProtocolPhase } = require('./protocols');
+
+// Each earlier suggestion of a peptide divides its score by 1 + ROTATION_RATE
+const ROTATION_RATE = 0.25;
+
+// A peptide suggested on this many visits in a row sits out the next one
+const ROTATE_OUT_AFTER = 3;
+
+// Score multiplier for peptides serving a goal the user did not ask for last time
+const NEW_GOAL_BOOST = 1.25;
+
+/**
+ * Parse a SQLite UTC timestamp ("YYYY-MM-DD HH:MM:SS")
+ * @param {string} value - Timestamp from a user_suggestions row
+ * @returns {Date} Parsed date
+ */
+const parseTimestamp = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+// History rows saved before suggestions carried slugs only have names
+const isSameSuggestion = (previous, suggestion) =>
+  previous.slug ? previous.slug === suggestion.slug : previous.name === suggestion.name;
+
+class PersonalizationService {
+  /**
+   * Adapt ranked suggestions to a returning user's recent history:
+   * - peptides suggested before rotate down, unless the user is mid-way through their protocol
+   * - peptides suggested on each of the last ROTATE_OUT_AFTER visits are left out this time,
+   *   as long as something else remains to suggest
+   * - peptides for goals added since the last request move up
+   * - each repeat suggestion with a protocol carries the user's progress through it
+   * @param {Array} suggestions - Ranked suggestions
+   * @param {Object} context - { goals: weighted goals, userHistory: recent rows, newest first,
+   *   firstSuggestedAt: Map of slug -> timestamp of its first suggestion, now }
+   * @returns {Object} { suggestions, summary }, summary is null when there is no history
+   */
+  personalize(suggestions, { goals, userHistory = [], firstSuggestedAt = new Map(), now = new Date() }) {
+    if (userHistory.length === 0) {
+      return { suggestions, summary: null };
+    }
+
+    const [last] = userHistory;
+    const currentGoals = goals.map(({ goal }) => goal);
+    const lastGoals = last.healthGoals.map(({ goal }) => goal);
+    const addedGoals = currentGoals.filter(goal => !lastGoals.includes(goal));
+
+    const recent = userHistory.slice(0, ROTATE_OUT_AFTER);
+    const rotateOut = new Set();
+
+    const personalized = suggestions.map(suggestion => {
+      const appearances = userHistory.filter(entry =>
+        entry.suggestions.some(previous => isSameSuggestion(previous, suggestion))
+      );
+      const reasons = [];
+      let factor = 1;
+
+      const progress = suggestion.protocol && appearances.length > 0
+        ? this.getProgress(
+          suggestion.protocol,
+          firstSuggestedAt.get(suggestion.slug) || appearances[appearances.length - 1].createdAt,
+          now
+        )
+        : null;
+
+      if (progress) {
+        reasons.push({ type: 'progress', ...progress });
+      }
+
+      // Someone in the "on" weeks of a protocol keeps it; anything else rotates
+      if (appearances.length > 0 && progress?.phase !== 'on') {
+        factor /= 1 + ROTATION_RATE * appearances.length;
+        reasons.push({ type: 'rotation', timesSuggested: appearances.length });
+      }
+
+      const newGoals = (suggestion.goals || []).filter(goal => addedGoals.includes(goal));
+      if (newGoals.length > 0) {
+        factor *= NEW_GOAL_BOOST;
+        newGoals.forEach(goal => reasons.push({ type: 'goal_change', goal, change: 'added' }));
+      }
+
+      // Suggested on each of the last few visits, outside an active protocol: sit this one out
+      if (progress?.phase !== 'on'
+        && recent.length === ROTATE_OUT_AFTER
+        && recent.every(entry => entry.suggestions.some(previous => isSameSuggestion(previous, suggestion)))) {
+        rotateOut.add(suggestion.slug);
+      }
+
+      return {
+        ...suggestion,
+        score: Math.round(suggestion.score * factor * 1000) / 1000,
+        reasons: [...(suggestion.reasons || []), ...reasons],
+        ...(progress && { progress })
+      };
+    });
+
+    // Array#sort is stable, so equal scores keep the provider's order
+    personalized.sort((a, b) => b.score - a.score);
+
+    // Rotating everything out would leave nothing to suggest, so then nothing is
+    const kept = personalized.filter(({ slug }) => !rotateOut.has(slug));
+    const remaining = kept.length > 0 ? kept : personalized;
+    const rotatedOut = personalized.filter(suggestion => !remaining.includes(suggestion));
+
+    return {
+      suggestions: remaining,
+      summary: this.summarize(remaining, { currentGoals, lastGoals, last, userHistory, rotatedOut })
+    };
+  }
+
+  /**
+   * How far the user is through a protocol, counted from the first time it was suggested
+   * @param {Object} protocol - Structured protocol
+   * @param {string} firstSuggestedAt - user_suggestions timestamp of the first suggestion
+   * @param {Date} now - Current time
+   * @returns {Object} { startedAt, week, phase, durationWeeks }
+   */
+  getProgress(protocol, firstSuggestedAt, now) {
+    const startedAt = parseTimestamp(firstSuggestedAt);
+
+    return {
+      startedAt: startedAt.toISOString(),
+      ...getProtocolPhase(protocol, startedAt, now),
+      durationWeeks: protocol.durationWeeks ?? null
+    };
+  }
+
+  /**
+   * Describe what changed since the user's previous request
+   * @returns {Object} { previousRequestAt, recentRequests, goals, suggestions, rotated, rotatedOut, progressing }
+   */
+  summarize(suggestions, { currentGoals, lastGoals, last, userHistory, rotatedOut }) {
+    const lastSuggestions = last.suggestions;
+
+    return {
+      previousRequestAt: parseTimestamp(last.createdAt).toISOString(),
+      recentRequests: userHistory.length,
+      goals: {
+        added: currentGoals.filter(goal => !lastGoals.includes(goal)),
+        removed: lastGoals.filter(goal => !currentGoals.includes(goal)),
+        kept: currentGoals.filter(goal => lastGoals.includes(goal))
+      },
+      suggestions: {
+        added: suggestions
+          .filter(suggestion => !lastSuggestions.some(previous => isSameSuggestion(previous, suggestion)))
+          .map(({ slug }) => slug),
+        removed: lastSuggestions
+          .filter(previous => !suggestions.some(suggestion => isSameSuggestion(previous, suggestion)))
+          .map(previous => previous.slug || previous.name),
+        kept: suggestions
+          .filter(suggestion => lastSuggestions.some(previous => isSameSuggestion(previous, suggestion)))
+          .map(({ slug }) => slug)
+      },
+      rotated: suggestions
+        .flatMap(({ slug, reasons }) => reasons
+          .filter(reason => reason.type === 'rotation')
+          .map(({ timesSuggested }) => ({ slug, timesSuggested }))),
+      rotatedOut: rotatedOut.map(({ slug, name }) => ({ slug, name })),
+      progressing: suggestions
+        .filter(suggestion => suggestion.progress)
+        .map(({ slug, progress }) => ({ slug, week: progress.week, phase: progress.phase }))
+    };
+  }
+}
+
+module.exports = new PersonalizationService();
@@ -0,0 +1,122 @@
+/**
+ * Structured dosing protocols.
+ *
+ * A protocol looks like:
+ * {
+ *   amount: 250,
+ *   unit: 'mcg',
+ *   frequency: 'daily',
+ *   timeOfDay: ['morning'],
+ *   cycleOnWeeks: 8,
+ *   cycleOffWeeks: 4,
+ *   durationWeeks: 12,
+ *   notes: 'Take on an empty stomach'
+ * }
+ *
+ * Cycle and duration are optional; a protocol without a cycle is taken continuously.
+ */
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const UNITS = ['mcg', 'mg', 'g', 'IU', 'ml', 'capsule', 'tablet'];
+
+const FREQUENCIES = {
+  daily: 'once daily',
+  twice_daily: 'twice daily',
+  every_other_day: 'every other day',
+  three_times_weekly: 'three times a week',
+  twice_weekly: 'twice a week',
+  weekly: 'once a week',
+  as_needed: 'as needed'
+};
+
+const TIMES_OF_DAY = {
+  morning: 'morning',
+  midday: 'midday',
+  afternoon: 'afternoon',
+  evening: 'evening',
+  bedtime: 'bedtime',
+  pre_workout: 'before workouts',
+  post_workout: 'after workouts',
+  with_meals: 'with meals'
+};
+
+/**
+ * Join labels as "a", "a and b" or "a, b and c"
+ * @param {Array} items - Labels
+ * @returns {string} Joined text
+ */
+const joinLabels = (items) => items.length > 1
+  ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+  : items.join('');
+
+/**
+ * Pluralize a weeks count
+ * @param {number} count - Number of weeks
+ * @returns {string} e.g. "1 week", "8 weeks"
+ */
+const weeks = (count) => `${count} week${count === 1 ? '' : 's'}`;
+
+/**
+ * Summarize a protocol as the dosage/timing text used in exports and history
+ * @param {Object|null} protocol - Structured protocol
+ * @returns {Object} { dosage, timing }, both undefined when there is no protocol
+ */
+const describeProtocol = (protocol) => {
+  if (!protocol) {
+    return { dosage: undefined, timing: undefined };
+  }
+
+  const countable = ['capsule', 'tablet'].includes(protocol.unit) && protocol.amount !== 1;
+  const unit = countable ? `${protocol.unit}s` : protocol.unit;
+  const dosage = `${protocol.amount} ${unit} ${FREQUENCIES[protocol.frequency] || protocol.frequency}`;
+
+  const timing = [];
+  if (protocol.timeOfDay.length > 0) {
+    const times = joinLabels(protocol.timeOfDay.map(time => TIMES_OF_DAY[time] || time));
+    timing.push(times.charAt(0).toUpperCase() + times.slice(1));
+  }
+  if (protocol.cycleOnWeeks) {
+    timing.push(protocol.cycleOffWeeks
+      ? `${weeks(protocol.cycleOnWeeks)} on, ${weeks(protocol.cycleOffWeeks)} off`
+      : `${weeks(protocol.cycleOnWeeks)} on`);
+  }
+  if (protocol.durationWeeks) {
+    timing.push(`${weeks(protocol.durationWeeks)} total`);
+  }
+
+  return {
+    dosage,
+    timing: timing.length > 0 ? timing.join('; ') : undefined
+  };
+};
+
+/**
+ * Where someone who started a protocol at a given time is today
+ * @param {Object} protocol - Structured protocol
+ * @param {Date} startedAt - When the protocol was first suggested
+ * @param {Date} now - Current time
+ * @returns {Object} { week, phase } where week is 1-based and phase is 'on', 'off' or 'complete'
+ */
+const getProtocolPhase = (protocol, startedAt, now = new Date()) => {
+  const week = Math.floor(Math.max(0, now - startedAt) / WEEK_MS) + 1;
+
+  if (protocol.durationWeeks && week > protocol.durationWeeks) {
+    return { week, phase: 'complete' };
+  }
+
+  if (protocol.cycleOnWeeks && protocol.cycleOffWeeks) {
+    const onCycle = (week - 1) % (protocol.cycleOnWeeks + protocol.cycleOffWeeks) < protocol.cycleOnWeeks;
+    return { week, phase: onCycle ? 'on' : 'off' };
+  }
+
+  return { week, phase: 'on' };
+};
+
+module.exports = {
+  UNITS,
+  FREQUENCIES,
+  TIMES_OF_DAY,
+  describeProtocol,
+  getProtocolPhase
+};
@@ -0,0 +1,29 @@
+const ruleProvider = require('./ruleProvider');
+const openaiProvider = require('./openaiProvider');
+
+/**
+ * Suggestion providers by name. Each exposes:
+ *   name            - identifier reported in responses
+ *   isConfigured()  - whether it can be called
+ *   getVersion()    - what produces its output, recorded on saved history
+ *   generate(req)   - async, resolves to suggestions as { slug, name, description, goals, score, reasons }
+ *   streams         - optional; true if generate(req, onSuggestion) awaits onSuggestion with each
+ *                     suggestion as soon as it is produced
+ */
+const providers = {
+  [ruleProvider.name]: ruleProvider,
+  [openaiProvider.name]: openaiProvider
+};
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider, or null if unknown
+ */
+const getProvider = (name) => providers[name] || null;
+
+module.exports = {
+  providers,
+  getProvider,
+  fallbackProvider: ruleProvider
+};
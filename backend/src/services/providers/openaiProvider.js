@@ -0,0 +1,297 @@
+const OpenAI = require('openai');
+const Joi = require('joi');
+const logger = require('../../utils/logger');
+const ruleProvider = require('./ruleProvider');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const SYSTEM_PROMPT = [
+  'You rank peptide supplements for a wellness app.',
+  'Choose only from the candidate peptides you are given, identified by slug, and order them from most to least suitable for the user.',
+  'Respond with JSON only, in the form {"suggestions": [{"slug": "...", "description": "...", "rationale": "..."}]}.',
+  'description is one or two sentences for the user; rationale briefly explains the ranking.',
+  'Do not give medical advice, dosages or diagnoses.'
+].join(' ');
+
+/**
+ * Suggestion objects the model has finished writing so far, from the start of
+ * a possibly incomplete JSON answer of the form {"suggestions": [{...}, ...]}
+ * @param {string} content - Message content received so far
+ * @returns {Array} Parsed items, in order; an item that is not valid JSON is null
+ */
+const completedItems = (content) => {
+  const key = content.indexOf('"suggestions"');
+  const start = key === -1 ? -1 : content.indexOf('[', key);
+  if (start === -1) {
+    return [];
+  }
+
+  const items = [];
+  let depth = 0;
+  let itemStart = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start + 1; i < content.length; i++) {
+    const char = content[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) {
+        itemStart = i;
+      }
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          items.push(JSON.parse(content.slice(itemStart, i + 1)));
+        } catch (error) {
+          items.push(null);
+        }
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Suggestion provider for any OpenAI-compatible chat completions API.
+ * The model ranks and rewords the peptides the rule provider considers
+ * eligible, so catalog mappings and exclusion rules still apply.
+ */
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    // The answer is streamed, so generate can hand over each suggestion as the model writes it
+    this.streams = true;
+    this.client = null;
+  }
+
+  /**
+   * Read settings from the environment
+   * @returns {Object} { apiKey, baseURL, model, timeout }
+   */
+  getConfig() {
+    return {
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+      baseURL: process.env.LLM_BASE_URL || undefined,
+      model: process.env.LLM_MODEL || DEFAULT_MODEL,
+      timeout: parseInt(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+    };
+  }
+
+  /**
+   * Whether an API key is available
+   * @returns {boolean} True if the provider can be called
+   */
+  isConfigured() {
+    return !!this.getConfig().apiKey;
+  }
+
+  /**
+   * Provider and model, e.g. 'openai:gpt-4o-mini'
+   * @returns {string} Version string
+   */
+  getVersion() {
+    return `${this.name}:${this.getConfig().model}`;
+  }
+
+  /**
+   * Lazily build the client; retries are disabled so failures fall back quickly
+   * @returns {OpenAI} Client instance
+   */
+  getClient() {
+    if (!this.client) {
+      const { apiKey, baseURL, timeout } = this.getConfig();
+      this.client = new OpenAI({ apiKey, baseURL, timeout, maxRetries: 0 });
+    }
+    return this.client;
+  }
+
+  /**
+   * Ask the model to rank the eligible peptides
+   * @param {Object} request - { age, goals, isAuthenticated, userHistory, profile }
+   * @param {Function} onSuggestion - If given, the answer is streamed and this is awaited with each
+   *   suggestion as soon as the model has written it out, in ranked order
+   * @returns {Array} Suggestions as { slug, name, description, goals, score, reasons }
+   */
+  async generate(request, onSuggestion = null) {
+    const candidates = await ruleProvider.generate(request);
+    if (candidates.length === 0) {
+      return candidates;
+    }
+
+    const { model } = this.getConfig();
+    const params = {
+      model,
+      temperature: 0.2,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: JSON.stringify(this.buildPrompt(request, candidates)) }
+      ]
+    };
+
+    const { content, usage } = onSuggestion
+      ? await this.streamCompletion(params, candidates, onSuggestion)
+      : await this.complete(params);
+    const ranked = this.parseOutput(content, candidates.map(({ slug }) => slug));
+
+    logger.info('LLM suggestions generated', {
+      model,
+      candidates: candidates.length,
+      returned: ranked.length,
+      streamed: !!onSuggestion,
+      usage
+    });
+
+    return ranked.map((item, index) => this.toSuggestion(item, index, candidates, model));
+  }
+
+  /**
+   * Request the whole completion at once
+   * @param {Object} params - Chat completion parameters
+   * @returns {Object} { content, usage }
+   */
+  async complete(params) {
+    const completion = await this.getClient().chat.completions.create(params);
+    return { content: completion.choices?.[0]?.message?.content, usage: completion.usage };
+  }
+
+  /**
+   * Stream the completion, passing on each suggestion once the model has
+   * finished writing it. Items that would fail validation are held back;
+   * parseOutput still validates the whole answer at the end.
+   * @param {Object} params - Chat completion parameters
+   * @param {Array} candidates - Eligible suggestions from the rule provider
+   * @param {Function} onSuggestion - Awaited with each suggestion
+   * @returns {Object} { content, usage }
+   */
+  async streamCompletion(params, candidates, onSuggestion) {
+    const stream = await this.getClient().chat.completions.create({
+      ...params,
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    const itemSchema = this.getItemSchema(candidates.map(({ slug }) => slug));
+    const sent = new Set();
+    let content = '';
+    let usage;
+    let scanned = 0;
+
+    for await (const chunk of stream) {
+      content += chunk.choices?.[0]?.delta?.content || '';
+      usage = chunk.usage || usage;
+
+      const items = completedItems(content);
+      for (const item of items.slice(scanned)) {
+        const { error, value } = itemSchema.validate(item);
+        if (!error && !sent.has(value.slug)) {
+          await onSuggestion(this.toSuggestion(value, sent.size, candidates, params.model));
+          sent.add(value.slug);
+        }
+      }
+      scanned = items.length;
+    }
+
+    return { content, usage };
+  }
+
+  /**
+   * Merge a model item into its candidate, scored by its rank
+   * @param {Object} item - { slug, description, rationale } from the model
+   * @param {number} index - Rank, from 0
+   * @param {Array} candidates - Eligible suggestions from the rule provider
+   * @param {string} model - Model name
+   * @returns {Object} Suggestion
+   */
+  toSuggestion({ slug, description, rationale }, index, candidates, model) {
+    const candidate = candidates.find(entry => entry.slug === slug);
+    return {
+      ...candidate,
+      description: description || candidate.description,
+      score: Math.round((1 / (index + 1)) * 1000) / 1000,
+      reasons: [...candidate.reasons, { type: 'model', model, rationale }]
+    };
+  }
+
+  /**
+   * Describe the request and candidates without any identifying user details
+   * @param {Object} request - Suggestion request
+   * @param {Array} candidates - Eligible suggestions from the rule provider
+   * @returns {Object} Prompt payload
+   */
+  buildPrompt({ age, goals }, candidates) {
+    return {
+      age,
+      goals,
+      candidates: candidates.map(({ slug, name, description, goals: coveredGoals }) => ({
+        slug,
+        name,
+        description,
+        goals: coveredGoals
+      }))
+    };
+  }
+
+  /**
+   * Schema for one suggestion in the model output
+   * @param {Array} slugs - Allowed slugs
+   * @returns {Joi.ObjectSchema} Item schema
+   */
+  getItemSchema(slugs) {
+    return Joi.object({
+      slug: Joi.string().valid(...slugs).required(),
+      description: Joi.string().trim().max(500).allow(''),
+      rationale: Joi.string().trim().max(500).allow('')
+    }).unknown(true);
+  }
+
+  /**
+   * Parse and validate model output, restricting slugs to the candidates
+   * @param {string} content - Raw message content
+   * @param {Array} slugs - Allowed slugs
+   * @returns {Array} [{ slug, description, rationale }]
+   */
+  parseOutput(content, slugs) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error('Model returned invalid JSON');
+    }
+
+    const schema = Joi.object({
+      suggestions: Joi.array()
+        .items(this.getItemSchema(slugs))
+        .min(1)
+        .max(slugs.length)
+        .unique('slug')
+        .required()
+    }).unknown(true);
+
+    const { error, value } = schema.validate(parsed);
+    if (error) {
+      throw new Error(`Model output failed validation: ${error.details[0].message}`);
+    }
+
+    return value.suggestions;
+  }
+}
+
+module.exports = new OpenAIProvider();
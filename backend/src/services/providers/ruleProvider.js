@@ -0,0 +1,206 @@
+const catalogService = require('../catalogService');
+const ruleEngine = require('../ruleEngine');
+const feedbackService = require('../feedbackService');
+const { describeProtocol } = require('../protocols');
+
+// Goal used when none of the requested goals has anything mapped to it
+const FALLBACK_GOAL = 'energy';
+
+/**
+ * Suggestion provider backed by the peptide catalog and recommendation rules.
+ * Deterministic and local, so it is also the fallback for every other provider.
+ */
+class RuleProvider {
+  constructor() {
+    this.name = 'rules';
+  }
+
+  /**
+   * Always available
+   * @returns {boolean} True
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Rules are versioned with the catalog, so the provider name is enough
+   * @returns {string} 'rules'
+   */
+  getVersion() {
+    return this.name;
+  }
+
+  /**
+   * Generate a merged, ranked list of peptide suggestions for one or more goals
+   * @param {Object} request - { age, goals, isAuthenticated, userHistory, profile, experiments }
+   *   where experiments are variant assignments from experimentService.assign
+   * @returns {Array} Suggestions as { slug, name, description, goals, score, reasons, protocol, dosage, timing }
+   */
+  async generate(request) {
+    const { age, goals, isAuthenticated = false, userHistory = [], profile = {}, experiments = [] } = request;
+    const catalog = await catalogService.getCatalog();
+    const candidates = await this.matchGoals(goals);
+
+    const rules = [
+      ...catalog.peptides.flatMap(peptide => ruleEngine.rulesFromDescriptionVariants(peptide)),
+      ...catalog.rules,
+      ...experiments.flatMap(assignment => assignment.rules)
+    ];
+
+    const context = {
+      age,
+      goals: goals.map(({ goal }) => goal),
+      isAuthenticated,
+      profile
+    };
+
+    const { candidates: evaluated } = ruleEngine.evaluateRules(rules, candidates, context, catalog.peptides);
+
+    if (evaluated.length === 0 && !goals.some(({ goal }) => goal === FALLBACK_GOAL)) {
+      return this.generate({ ...request, goals: [{ goal: FALLBACK_GOAL, weight: 1 }] });
+    }
+
+    // Aggregate user feedback nudges well-rated peptides up and poorly rated ones down
+    const feedback = await feedbackService.getPeptideStats();
+    evaluated.forEach(candidate => {
+      const stats = feedback.get(candidate.peptide.slug);
+      if (stats) {
+        candidate.feedback = stats;
+        candidate.score *= feedbackService.rankingFactor(stats);
+      }
+    });
+
+    // Peptides added by include rules come after goal matches with the same score
+    const goalIndex = candidate => candidate.firstGoalIndex ?? goals.length;
+    const goalRank = candidate => candidate.firstRank ?? 0;
+
+    return evaluated
+      .sort((a, b) =>
+        b.score - a.score ||
+        goalIndex(a) - goalIndex(b) ||
+        goalRank(a) - goalRank(b)
+      )
+      .map(candidate => ({
+        slug: candidate.peptide.slug,
+        name: candidate.peptide.name,
+        // Experiment copy takes precedence over catalog and rule descriptions
+        description: experiments.find(assignment => assignment.descriptions[candidate.peptide.slug])
+          ?.descriptions[candidate.peptide.slug] ?? candidate.description,
+        goals: candidate.goals,
+        score: Math.round(candidate.score * 1000) / 1000,
+        reasons: this.explain(candidate, context, userHistory),
+        protocol: candidate.peptide.protocol,
+        ...describeProtocol(candidate.peptide.protocol)
+      }));
+  }
+
+  /**
+   * List the factors that produced a suggestion, in a machine-readable form
+   * @param {Object} candidate - Evaluated candidate with goalMatches, appliedRules and feedback
+   * @param {Object} context - { age, goals, isAuthenticated, profile }
+   * @param {Array} userHistory - Recent user_suggestions rows
+   * @returns {Array} Reasons, each with a type of goal, age_bracket, profile, rule, feedback or history
+   */
+  explain(candidate, context, userHistory) {
+    const reasons = (candidate.goalMatches || []).map(({ goal, rank, weight }) => ({
+      type: 'goal',
+      goal,
+      rank,
+      weight
+    }));
+
+    candidate.appliedRules.forEach(rule => {
+      const { minAge, maxAge, profile } = rule.conditions || {};
+      const hasAgeBracket = (minAge !== undefined && minAge !== null) || (maxAge !== undefined && maxAge !== null);
+
+      if (hasAgeBracket) {
+        reasons.push({
+          type: 'age_bracket',
+          age: context.age,
+          minAge: minAge ?? null,
+          maxAge: maxAge ?? null,
+          ruleId: rule.id
+        });
+      }
+
+      Object.keys(profile || {}).forEach(field => {
+        reasons.push({
+          type: 'profile',
+          field,
+          value: context.profile[field],
+          ruleId: rule.id
+        });
+      });
+
+      // Variant rules only change wording; include and boost change what is suggested
+      if (rule.type === 'include' || rule.type === 'boost') {
+        reasons.push({
+          type: 'rule',
+          effect: rule.type,
+          ruleId: rule.id,
+          name: rule.name
+        });
+      }
+    });
+
+    if (candidate.feedback?.ratings > 0) {
+      reasons.push({
+        type: 'feedback',
+        averageRating: candidate.feedback.averageRating,
+        ratings: candidate.feedback.ratings
+      });
+    }
+
+    const previous = userHistory.filter(entry =>
+      entry.suggestions.some(suggestion =>
+        suggestion.slug ? suggestion.slug === candidate.peptide.slug : suggestion.name === candidate.peptide.name
+      )
+    );
+
+    if (previous.length > 0) {
+      reasons.push({
+        type: 'history',
+        timesSuggested: previous.length,
+        lastSuggestedAt: previous[0].createdAt
+      });
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Collect the peptides mapped to each requested goal and score them.
+   * Higher-placed peptides in higher-weighted goals score more, and a
+   * peptide serving several requested goals accumulates score.
+   * @param {Array} goals - Weighted goals from normalizeGoals
+   * @returns {Map} slug -> { peptide, goals, goalMatches, score, firstGoalIndex, firstRank }
+   */
+  async matchGoals(goals) {
+    const candidates = new Map();
+
+    for (const [goalIndex, { goal, weight }] of goals.entries()) {
+      const peptides = await catalogService.getPeptidesForGoal(goal);
+
+      peptides.forEach((peptide, rank) => {
+        const candidate = candidates.get(peptide.slug) || {
+          peptide,
+          goals: [],
+          goalMatches: [],
+          score: 0,
+          firstGoalIndex: goalIndex,
+          firstRank: rank
+        };
+
+        candidate.goals.push(goal);
+        candidate.goalMatches.push({ goal, rank: rank + 1, weight });
+        candidate.score += weight / (rank + 1);
+        candidates.set(peptide.slug, candidate);
+      });
+    }
+
+    return candidates;
+  }
+}
+
+module.exports = new RuleProvider();
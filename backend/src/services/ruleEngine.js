@@ -0,0 +1,189 @@
+/**
+ * Declarative recommendation rules.
+ *
+ * A rule targets one peptide and looks like:
+ * {
+ *   id: 'rule:3',
+ *   name: 'Boost tissue repair for over 50s',
+ *   peptide: 'tissue-repair-formula',
+ *   priority: 100,
+ *   conditions: { minAge, maxAge, goals: [...], authenticated: true|false, profile: { field: value|[values] } },
+ *   effect: { type: 'include'|'exclude'|'boost'|'variant', amount, description }
+ * }
+ *
+ * Rules are evaluated in ascending priority, ties broken by id, so the outcome
+ * never depends on load order. include/exclude/boost apply in that order, so a
+ * later rule can undo an earlier one. For variants the first matching rule wins.
+ *
+ * Nothing here touches the database or Express.
+ */
+
+const EFFECT_TYPES = ['include', 'exclude', 'boost', 'variant'];
+
+// Score given to a peptide added by an include rule without an amount
+const DEFAULT_INCLUDE_SCORE = 0.1;
+
+/**
+ * Check a single profile condition against the user's profile
+ * @param {any} expected - Expected value or list of accepted values
+ * @param {any} actual - Profile value, may itself be a list
+ * @returns {boolean} Whether the profile satisfies the condition
+ */
+const matchesProfileValue = (expected, actual) => {
+  const accepted = Array.isArray(expected) ? expected : [expected];
+  const values = Array.isArray(actual) ? actual : [actual];
+  return values.some(value => accepted.includes(value));
+};
+
+/**
+ * Check whether a rule's conditions hold for a request
+ * @param {Object} conditions - Rule conditions, every present condition must hold
+ * @param {Object} context - { age, goals, isAuthenticated, profile }
+ * @returns {boolean} Whether the rule applies
+ */
+const matchesConditions = (conditions = {}, context) => {
+  const { minAge, maxAge, goals, authenticated, profile } = conditions;
+
+  if (minAge !== undefined && minAge !== null && context.age < minAge) {
+    return false;
+  }
+
+  if (maxAge !== undefined && maxAge !== null && context.age > maxAge) {
+    return false;
+  }
+
+  if (goals && goals.length > 0 && !goals.some(goal => context.goals.includes(goal))) {
+    return false;
+  }
+
+  if (authenticated !== undefined && authenticated !== null && authenticated !== context.isAuthenticated) {
+    return false;
+  }
+
+  if (profile) {
+    const userProfile = context.profile || {};
+    return Object.entries(profile).every(([field, expected]) =>
+      matchesProfileValue(expected, userProfile[field])
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Order rules deterministically: priority ascending, then id
+ * @param {Array} rules - Rules to order
+ * @returns {Array} A sorted copy
+ */
+const sortRules = (rules) => [...rules].sort((a, b) =>
+  (a.priority ?? 0) - (b.priority ?? 0) ||
+  String(a.id).localeCompare(String(b.id), undefined, { numeric: true })
+);
+
+/**
+ * Turn a peptide's age-bracket/audience description variants into variant rules
+ * @param {Object} peptide - Catalog peptide with descriptionVariants
+ * @returns {Array} Variant rules
+ */
+const rulesFromDescriptionVariants = (peptide) => peptide.descriptionVariants.map(variant => ({
+  id: `variant:${variant.id}`,
+  name: `${peptide.slug} description variant`,
+  peptide: peptide.slug,
+  priority: variant.priority,
+  conditions: {
+    minAge: variant.minAge,
+    maxAge: variant.maxAge,
+    authenticated: variant.authenticatedOnly ? true : undefined
+  },
+  effect: { type: 'variant', description: variant.description }
+}));
+
+/**
+ * Apply rules to a set of goal-matched candidates
+ * @param {Array} rules - Rules to evaluate
+ * @param {Map} candidates - slug -> { peptide, goals, score }, as matched from the requested goals
+ * @param {Object} context - { age, goals, isAuthenticated, profile }
+ * @param {Array} peptides - Active catalog peptides, used to resolve include rules
+ * @returns {Object} { candidates, applied } where candidates carry description and appliedRules
+ */
+const evaluateRules = (rules, candidates, context, peptides) => {
+  const working = new Map();
+  const excluded = new Map();
+  const applied = [];
+
+  candidates.forEach((candidate, slug) => {
+    working.set(slug, { ...candidate, description: null, appliedRules: [] });
+  });
+
+  for (const rule of sortRules(rules)) {
+    if (!EFFECT_TYPES.includes(rule.effect.type) || !matchesConditions(rule.conditions, context)) {
+      continue;
+    }
+
+    const slug = rule.peptide;
+    const { type, amount, description } = rule.effect;
+    const record = { id: rule.id, name: rule.name, type, conditions: rule.conditions };
+
+    if (type === 'include') {
+      const peptide = peptides.find(candidate => candidate.slug === slug);
+      if (!peptide) {
+        continue;
+      }
+
+      const restored = excluded.get(slug);
+      excluded.delete(slug);
+
+      if (!working.has(slug)) {
+        working.set(slug, restored || {
+          peptide,
+          goals: [],
+          score: amount ?? DEFAULT_INCLUDE_SCORE,
+          description: null,
+          appliedRules: []
+        });
+      }
+    } else if (type === 'exclude') {
+      if (working.has(slug)) {
+        excluded.set(slug, working.get(slug));
+        working.delete(slug);
+      }
+      applied.push({ ...record, peptide: slug });
+      continue;
+    }
+
+    const candidate = working.get(slug);
+    if (!candidate) {
+      continue;
+    }
+
+    if (type === 'boost') {
+      candidate.score += amount ?? 0;
+    }
+
+    if (type === 'variant') {
+      if (candidate.description !== null) {
+        continue;
+      }
+      candidate.description = description;
+    }
+
+    candidate.appliedRules.push(record);
+    applied.push({ ...record, peptide: slug });
+  }
+
+  return {
+    candidates: Array.from(working.values()).map(candidate => ({
+      ...candidate,
+      description: candidate.description ?? candidate.peptide.description
+    })),
+    applied
+  };
+};
+
+module.exports = {
+  EFFECT_TYPES,
+  matchesConditions,
+  sortRules,
+  rulesFromDescriptionVariants,
+  evaluateRules
+};
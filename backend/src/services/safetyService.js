@@ -0,0 +1,93 @@
+const logger = require('../utils/logger');
+const interactionService = require('./interactionService');
+
+// Ordered from least to most serious
+const SEVERITIES = ['info', 'caution', 'block'];
+
+/**
+ * Safety checks run on every suggestion request. Each check returns true when
+ * its warning applies to the request context { age, goals, conditions, medications }.
+ * A message may be a function of that context. A 'block' warning withholds
+ * suggestions altogether.
+ */
+const CHECKS = [
+  {
+    code: 'CONTRAINDICATED',
+    severity: 'block',
+    message: ({ conditions, medications }) => {
+      const [first] = interactionService.findContraindicatedForAll({ conditions, medications });
+      return `${first.reason} (${first.term}), so no peptides can be suggested. Please consult a healthcare provider`;
+    },
+    applies: ({ conditions, medications }) =>
+      interactionService.findContraindicatedForAll({ conditions, medications }).length > 0
+  },
+  {
+    code: 'AGE_UNDER_21',
+    severity: 'caution',
+    message: 'Peptide therapy for individuals under 21 requires additional medical supervision',
+    applies: ({ age }) => age < 21
+  },
+  {
+    code: 'AGE_OVER_70',
+    severity: 'caution',
+    message: 'Enhanced medical monitoring recommended for individuals over 70',
+    applies: ({ age }) => age > 70
+  },
+  {
+    code: 'RECOVERY_UNDER_25',
+    severity: 'info',
+    goal: 'recovery',
+    message: 'Young individuals typically have excellent natural recovery - consider lifestyle modifications first',
+    applies: ({ age, goals }) => goals.includes('recovery') && age < 25
+  },
+  {
+    code: 'LONGEVITY_UNDER_30',
+    severity: 'info',
+    goal: 'longevity',
+    message: 'Longevity peptides are typically most beneficial after age 30',
+    applies: ({ age, goals }) => goals.includes('longevity') && age < 30
+  }
+];
+
+class SafetyService {
+  constructor() {
+    this.severities = SEVERITIES;
+  }
+
+  /**
+   * Run every safety check against a request
+   * @param {Object} context - { age, goals: [goalKey], conditions: [name], medications: [name] }
+   * @returns {Array} Warnings as { code, severity, message, goal? }, most serious first
+   */
+  evaluate(context) {
+    const request = { conditions: [], medications: [], ...context };
+
+    return CHECKS
+      .filter(check => {
+        try {
+          return check.applies(request);
+        } catch (error) {
+          logger.error('Safety check failed:', { code: check.code, error: error.message });
+          return false;
+        }
+      })
+      .map(({ code, severity, message, goal }) => ({
+        code,
+        severity,
+        message: typeof message === 'function' ? message(request) : message,
+        ...(goal && { goal })
+      }))
+      .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+  }
+
+  /**
+   * Whether any warning should stop suggestions being returned
+   * @param {Array} warnings - Warnings from evaluate
+   * @returns {boolean} True if a block-level warning is present
+   */
+  isBlocked(warnings) {
+    return warnings.some(warning => warning.severity === 'block');
+  }
+}
+
+module.exports = new SafetyService();
@@ -1,296 +1,207 @@
-const express = require('express');
-const Joi = require('joi');
-const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
-const analyticsService = require('../services/analyticsService');
-const userService = require('../services/userService');
-const AuthMiddleware = require('../middleware/auth');
-
-const router = express.Router();
-
-// Validation schema
-const suggestionsSchema = Joi.object({
-  age: Joi.number()
-    .integer()
-    .min(18)
-    .max(120)
-    .required()
-    .messages({
-      'number.base': 'Age must be a number',
-      'number.integer': 'Age must be a whole number',
-      'number.min': 'Age must be at least 18',
-      'number.max': 'Age must be 120 or less',
-      'any.required': 'Age is required'
-    }),
-  healthGoal: Joi.string()
-    .valid('energy', 'sleep', 'focus', 'recovery', 'weight_management', 'immune_support')
-    .required()
-    .messages({
-      'any.only': 'Health goal must be one of: energy, sleep, focus, recovery, weight_management, immune_support',
-      'any.required': 'Health goal is required'
-    })
-});
+const { getProvider, fallbackProvider } = require('./providers');
+const catalogService = require('./catalogService');
+const cacheService = require('./cacheService');
+const { meetsGrade } = require('./evidence');
+const { version: APP_VERSION } = require('../../package.json');
+
+class SuggestionsService {
+  /**
+   * Turn a single goal or an ordered goal list into weighted goals.
+   * Goals without an explicit weight get 1, 1/2, 1/3... by position.
+   * @param {string} healthGoal - Single goal key
+   * @param {Array} healthGoals - Goal keys or { goal, weight } objects, in priority order
+   * @returns {Array} [{ goal, weight }]
+   */
+  normalizeGoals(healthGoal, healthGoals) {
+    const goals = healthGoals || [healthGoal];
+
+    return goals.map((entry, index) => {
+      const goal = typeof entry === 'string' ? entry : entry.goal;
+      const weight = typeof entry === 'object' && entry.weight !== undefined
+        ? entry.weight
+        : 1 / (index + 1);
+
+      return { goal, weight };
+    });
+  }
 
-// Mock suggestion generator (enhanced based on age and authentication status)
-function generateSuggestions(age, goal, isAuthenticated = false, userHistory = []) {
-  const baseTitle = isAuthenticated ? 'Personalized Peptide Recommendations' : 'General Peptide Recommendations';
-  
-  const suggestions = {
-    energy: [
-      {
-        name: "Peptide Alpha-E",
-        description: `Supports natural energy production. ${age < 30 ? 'Great for young adults building stamina.' : age < 50 ? 'Ideal for maintaining energy levels.' : 'Helps combat age-related energy decline.'}`
-      },
-      {
-        name: "Mitochondrial Boost Complex",
-        description: "Enhances cellular energy metabolism and reduces fatigue."
-      },
-      {
-        name: "Vitality Peptide",
-        description: isAuthenticated ? "Based on your profile, this may help with sustained energy throughout the day." : "May help with sustained energy throughout the day."
-      }
-    ],
-    sleep: [
-      {
-        name: "Deep Rest Peptide",
-        description: `Promotes restful sleep and recovery. ${age > 40 ? 'Particularly beneficial for age-related sleep improvements.' : 'Supports healthy sleep cycles.'}`
-      },
-      {
-        name: "Circadian Balance Formula",
-        description: "Helps regulate natural sleep-wake cycles and improves sleep quality."
-      },
-      {
-        name: "Recovery Sleep Support",
-        description: isAuthenticated ? "Customized for your sleep optimization needs." : "Supports optimal sleep recovery."
-      }
-    ],
-    focus: [
-      {
-        name: "Cognitive Enhancement Peptide",
-        description: `Supports mental clarity and focus. ${age < 35 ? 'Perfect for cognitive performance optimization.' : 'Helps maintain sharp mental function.'}`
-      },
-      {
-        name: "Brain Boost Complex",
-        description: "Enhances concentration and cognitive processing speed."
-      },
-      {
-        name: "Mental Clarity Support",
-        description: isAuthenticated ? "Tailored to your cognitive enhancement goals." : "Supports mental clarity and alertness."
-      }
-    ],
-    recovery: [
-      {
-        name: "Rapid Recovery Peptide",
-        description: `Accelerates muscle recovery and repair. ${age > 35 ? 'Essential for maintaining recovery speed with age.' : 'Optimizes post-workout recovery.'}`
-      },
-      {
-        name: "Tissue Repair Formula",
-        description: "Supports faster healing and reduces recovery time."
-      },
-      {
-        name: "Athletic Recovery Support",
-        description: isAuthenticated ? "Designed for your specific recovery needs." : "Supports comprehensive recovery processes."
-      }
-    ],
-    weight_management: [
-      {
-        name: "Metabolic Support Peptide",
-        description: `Supports healthy metabolism. ${age > 30 ? 'Helps counter age-related metabolic changes.' : 'Optimizes metabolic function.'}`
-      },
-      {
-        name: "Fat Metabolism Enhancer",
-        description: "Promotes efficient fat burning and metabolic health."
-      },
-      {
-        name: "Body Composition Support",
-        description: isAuthenticated ? "Personalized for your weight management journey." : "Supports healthy body composition."
-      }
-    ],
-    immune_support: [
-      {
-        name: "Immune Defense Peptide",
-        description: `Strengthens immune system function. ${age > 50 ? 'Critical for age-related immune support.' : 'Supports robust immune response.'}`
-      },
-      {
-        name: "Immunity Boost Complex",
-        description: "Enhances natural immune defenses and resistance."
-      },
-      {
-        name: "Wellness Protection Formula",
-        description: isAuthenticated ? "Customized immune support based on your profile." : "Supports overall immune wellness."
-      }
-    ]
-  };
+  /**
+   * The provider selected by SUGGESTIONS_PROVIDER, or the rule provider
+   * if it is unknown or not configured
+   * @returns {Object} Suggestion provider
+   */
+  getActiveProvider() {
+    const name = process.env.SUGGESTIONS_PROVIDER || fallbackProvider.name;
+    const provider = getProvider(name);
+
+    if (!provider) {
+      logger.warn('Unknown suggestions provider, using fallback', { provider: name });
+      return fallbackProvider;
+    }
 
-  // Add personalization note for authenticated users
-  const baseResponse = {
-    title: baseTitle,
-    suggestions: suggestions[goal] || suggestions.energy,
-    disclaimer: "These suggestions are for informational purposes only. Consult with a healthcare professional before starting any new supplement regimen.",
-    generatedAt: new Date().toISOString()
-  };
+    if (!provider.isConfigured()) {
+      logger.warn('Suggestions provider is not configured, using fallback', { provider: name });
+      return fallbackProvider;
+    }
 
-  if (isAuthenticated) {
-    baseResponse.personalization = {
-      note: "These recommendations are personalized based on your profile and previous interactions.",
-      historyCount: userHistory.length,
-      lastGoal: userHistory.length > 0 ? userHistory[0].healthGoal : null
-    };
+    return provider;
   }
 
-  return baseResponse;
-}
-
-// POST /suggestions - Get peptide suggestions (works with and without auth)
-router.post('/', AuthMiddleware.optionalAuth, async (req, res) => {
-  const requestId = uuidv4();
-  
-  try {
-    // Validate request body
-    const { error, value } = suggestionsSchema.validate(req.body);
-    if (error) {
-      logger.warn('Validation error in suggestions:', {
-        requestId,
-        error: error.details[0].message,
-        body: req.body,
-        ip: req.ip
-      });
+  /**
+   * Identify the code and provider that produced a set of suggestions
+   * @param {Object} provider - Suggestion provider
+   * @returns {string} e.g. '1.0.0+rules' or '1.0.0+openai:gpt-4o-mini'
+   */
+  getEngineVersion(provider) {
+    return `${APP_VERSION}+${provider.getVersion()}`;
+  }
 
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: error.details[0].message,
-          field: error.details[0].path[0],
-          code: 'VALIDATION_ERROR'
-        }
-      });
+  /**
+   * Generate a merged, ranked list of peptide suggestions for one or more goals.
+   * If the active provider fails, the rule provider answers instead.
+   * Anonymous requests are answered from cacheService when possible.
+   * @param {number} age - User age
+   * @param {Array} goals - Weighted goals from normalizeGoals
+   * @param {boolean} isAuthenticated - Whether the request is authenticated
+   * @param {Array} userHistory - Recent user_suggestions rows
+   * @param {Object} profile - User profile attributes available to rule conditions
+   * @param {Array} experiments - Experiment variant assignments for the requester
+   * @param {Object} listeners - For streaming: onSuggestion is awaited with each suggestion, with its evidence,
+   *   as soon as the provider has it, and onFallback with the failed provider's name when suggestions it
+   *   already handed over are replaced by the fallback's
+   * @returns {Object} { suggestions, provider, engineVersion, fallbackFrom, cache } where fallbackFrom names the provider that failed
+   *   and cache is 'hit', 'miss' or 'bypass'; each suggestion carries the evidence behind its claims
+   */
+  async generateSuggestions(age, goals, isAuthenticated = false, userHistory = [], profile = {}, experiments = [], listeners = {}) {
+    const request = { age, goals, isAuthenticated, userHistory, profile, experiments };
+    const provider = this.getActiveProvider();
+
+    if (isAuthenticated || !cacheService.isEnabled()) {
+      return { ...await this.generateWith(provider, request, listeners), cache: 'bypass' };
     }
 
-    const { age, healthGoal } = value;
-    const isAuthenticated = !!req.user;
-    let userHistory = [];
-
-    logger.info('Generating suggestions:', {
-      requestId,
+    // Running experiments never change their variants, so variant keys identify their rules and copy
+    const { version: catalogVersion } = await catalogService.getCatalog();
+    const key = cacheService.buildKey({
+      catalogVersion,
+      provider: provider.name,
       age,
-      goal: healthGoal,
-      userId: req.user?.id || 'anonymous',
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
+      goals,
+      experiments: experiments.map(({ experiment, variant }) => `${experiment}:${variant}`)
     });
 
-    // Get user history if authenticated
-    if (isAuthenticated) {
-      try {
-        userHistory = await userService.getUserSuggestions(req.user.id, 5);
-      } catch (error) {
-        logger.warn('Failed to fetch user history:', {
-          requestId,
-          userId: req.user.id,
-          error: error.message
-        });
-        // Continue without history
+    const cached = cacheService.get(key);
+    if (cached) {
+      for (const suggestion of listeners.onSuggestion ? cached.suggestions : []) {
+        await listeners.onSuggestion(suggestion);
       }
+      return { ...cached, cache: 'hit' };
     }
 
-    // Log analytics
-    try {
-      await analyticsService.logGoalSelection(healthGoal, age, req.user?.id);
-    } catch (error) {
-      logger.error('Analytics logging failed:', {
-        requestId,
-        error: error.message
-      });
-      // Continue without analytics
+    const result = await this.generateWith(provider, request, listeners);
+    // A fallback answer reflects a passing provider outage, so it is not kept
+    if (!result.fallbackFrom) {
+      cacheService.set(key, result);
     }
+    return { ...result, cache: 'miss' };
+  }
 
-    // Generate suggestions
-    const suggestions = generateSuggestions(age, healthGoal, isAuthenticated, userHistory);
-
-    // Save to user history if authenticated
-    if (isAuthenticated) {
-      try {
-        await userService.saveSuggestion(req.user.id, age, healthGoal, suggestions.suggestions);
-        logger.info('Suggestion saved to user history:', {
-          requestId,
-          userId: req.user.id
-        });
-      } catch (error) {
-        logger.error('Failed to save suggestion to history:', {
-          requestId,
-          userId: req.user.id,
-          error: error.message
-        });
-        // Continue without saving
+  /**
+   * Generate suggestions with a provider, falling back to the rule provider if it fails
+   * @param {Object} provider - Suggestion provider
+   * @param {Object} request - { age, goals, isAuthenticated, userHistory, profile, experiments }
+   * @param {Object} listeners - { onSuggestion, onFallback }, see generateSuggestions
+   * @returns {Object} { suggestions, provider, engineVersion, fallbackFrom }
+   */
+  async generateWith(provider, request, listeners = {}) {
+    try {
+      return {
+        suggestions: await this.runProvider(provider, request, listeners.onSuggestion),
+        provider: provider.name,
+        engineVersion: this.getEngineVersion(provider),
+        fallbackFrom: null
+      };
+    } catch (error) {
+      if (provider === fallbackProvider) {
+        throw error;
       }
-    }
 
-    logger.info('Suggestions generated successfully:', {
-      requestId,
-      suggestionsCount: suggestions.suggestions.length,
-      userId: req.user?.id || 'anonymous'
-    });
+      logger.warn('Suggestions provider failed, falling back', {
+        provider: provider.name,
+        fallback: fallbackProvider.name,
+        error: error.message
+      });
 
-    res.json({
-      success: true,
-      data: suggestions,
-      meta: {
-        requestId,
-        authenticated: isAuthenticated,
-        timestamp: new Date().toISOString()
+      if (listeners.onFallback) {
+        await listeners.onFallback(provider.name);
       }
-    });
 
-  } catch (error) {
-    logger.error('Error generating suggestions:', {
-      requestId,
-      error: error.message,
-      stack: error.stack,
-      age: req.body.age,
-      goal: req.body.healthGoal
-    });
+      return {
+        suggestions: await this.runProvider(fallbackProvider, request, listeners.onSuggestion),
+        provider: fallbackProvider.name,
+        engineVersion: this.getEngineVersion(fallbackProvider),
+        fallbackFrom: provider.name
+      };
+    }
+  }
 
-    // Log failed request
-    try {
-      await analyticsService.logFailedRequest(req.body.healthGoal, req.body.age, error.message);
-    } catch (analyticsError) {
-      logger.error('Failed to log analytics for failed request:', analyticsError);
+  /**
+   * Generate with one provider and attach evidence. With onSuggestion, a
+   * streaming provider hands over each suggestion as it produces it; any
+   * other provider's are handed over together once it is done.
+   * @param {Object} provider - Suggestion provider
+   * @param {Object} request - Suggestion request
+   * @param {Function} onSuggestion - Awaited with each suggestion and its evidence, or null
+   * @returns {Array} Suggestions with evidence
+   */
+  async runProvider(provider, request, onSuggestion = null) {
+    if (onSuggestion && provider.streams) {
+      const suggestions = await provider.generate(request, async suggestion => {
+        const [withEvidence] = await this.attachEvidence([suggestion]);
+        await onSuggestion(withEvidence);
+      });
+      return this.attachEvidence(suggestions);
     }
 
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to generate suggestions. Please try again.',
-        code: 'GENERATION_ERROR',
-        requestId
-      }
-    });
+    const suggestions = await this.attachEvidence(await provider.generate(request));
+    for (const suggestion of onSuggestion ? suggestions : []) {
+      await onSuggestion(suggestion);
+    }
+    return suggestions;
   }
-});
 
-// error handling middleware
-router.use((error, req, res, next) => {
-  const errorId = uuidv4();
-  
-  logger.error('Suggestions route error:', {
-    errorId,
-    message: error.message,
-    stack: error.stack,
-    url: req.url,
-    method: req.method,
-    body: req.body,
-    userId: req.user?.id,
-    ip: req.ip
-  });
+  /**
+   * Add the graded references behind each suggestion's goal claims
+   * @param {Array} suggestions - Suggestions with slug and goals
+   * @returns {Array} Suggestions with evidence: { grade, claims }
+   */
+  async attachEvidence(suggestions) {
+    return Promise.all(suggestions.map(async suggestion => ({
+      ...suggestion,
+      evidence: await catalogService.getEvidence(suggestion.slug, suggestion.goals || [])
+    })));
+  }
 
-  res.status(500).json({
-    success: false,
-    error: {
-      message: 'An unexpected error occurred',
-      code: 'INTERNAL_ERROR',
-      errorId
+  /**
+   * Drop suggestions whose evidence is weaker than a minimum grade. Ungraded
+   * suggestions, which cite no studies, never meet a minimum.
+   * @param {Array} suggestions - Suggestions with evidence
+   * @param {string} minGrade - Weakest acceptable grade, 'A' to 'D', or undefined to keep everything
+   * @returns {Object} { suggestions, filtered } where filtered lists the dropped { slug, name, grade }
+   */
+  filterByEvidence(suggestions, minGrade) {
+    if (!minGrade) {
+      return { suggestions, filtered: [] };
     }
-  });
-});
 
-module.exports = router;
\ No newline at end of file
+    return {
+      suggestions: suggestions.filter(({ evidence }) => meetsGrade(evidence.grade, minGrade)),
+      filtered: suggestions
+        .filter(({ evidence }) => !meetsGrade(evidence.grade, minGrade))
+        .map(({ slug, name, evidence }) => ({ slug, name, grade: evidence.grade }))
+    };
+  }
+}
+
+module.exports = new SuggestionsService();
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const { AuthenticationError } = require('../utils/errors');
+
+// How long a refresh token can be exchanged; each exchange issues a new one
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Opaque refresh tokens, exchanged for a new access token and a new refresh
+ * token on every use. Tokens from one login form a family; presenting a
+ * token that was already exchanged means it leaked, so the whole family is
+ * revoked and the user has to log in again.
+ */
+class TokenService {
+  /**
+   * Drop tokens that can no longer be exchanged
+   */
+  async initialize() {
+    const { changes } = await database.run("DELETE FROM refresh_tokens WHERE expiresAt <= datetime('now')");
+    if (changes > 0) {
+      logger.info('Expired refresh tokens removed', { count: changes });
+    }
+  }
+
+  /**
+   * Issue a refresh token. Only its hash is stored.
+   * @param {number} userId - User ID
+   * @param {string} familyId - Family to continue, a new one by default
+   * @returns {Object} { refreshToken, expiresAt }
+   */
+  async issue(userId, familyId = uuidv4()) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+    const { lastID } = await database.run(
+      `INSERT INTO refresh_tokens (userId, familyId, tokenHash, expiresAt)
+       VALUES (?, ?, ?, datetime('now', ?))`,
+      [userId, familyId, hashToken(refreshToken), `+${REFRESH_TOKEN_TTL_DAYS} days`]
+    );
+    const { expiresAt } = await database.get('SELECT expiresAt FROM refresh_tokens WHERE id = ?', [lastID]);
+
+    return { refreshToken, expiresAt: new Date(`${expiresAt}Z`).toISOString() };
+  }
+
+  /**
+   * Exchange a refresh token for the next one in its family
+   * @param {string} refreshToken - Token from login, registration or the last refresh
+   * @returns {Object} { userId, refreshToken, expiresAt }
+   */
+  async rotate(refreshToken) {
+    const row = await database.get(
+      `SELECT id, userId, familyId, usedAt, revokedAt, expiresAt <= datetime('now') AS expired
+       FROM refresh_tokens
+       WHERE tokenHash = ?`,
+      [hashToken(refreshToken)]
+    );
+
+    if (!row) {
+      throw new AuthenticationError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+
+    if (row.usedAt) {
+      await this.rejectReuse(row);
+    }
+
+    if (row.revokedAt) {
+      throw new AuthenticationError('Refresh token has been revoked', 'REFRESH_TOKEN_REVOKED');
+    }
+
+    if (row.expired) {
+      throw new AuthenticationError('Refresh token has expired', 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    // Marking the token used and issuing its successor commit together, so a
+    // failure between them cannot leave the family without a usable token
+    const next = await database.transaction(async () => {
+      // Only one exchange can mark the token used; a concurrent one counts as reuse
+      const { changes } = await database.run(
+        "UPDATE refresh_tokens SET usedAt = datetime('now') WHERE id = ? AND usedAt IS NULL AND revokedAt IS NULL",
+        [row.id]
+      );
+
+      return changes === 0 ? null : this.issue(row.userId, row.familyId);
+    });
+
+    if (!next) {
+      await this.rejectReuse(row);
+    }
+
+    return { userId: row.userId, ...next };
+  }
+
+  /**
+   * Revoke the family of a token that was presented after being exchanged
+   * @param {Object} row - refresh_tokens row
+   * @throws {AuthenticationError} Always
+   */
+  async rejectReuse({ userId, familyId }) {
+    await this.revokeFamily(familyId);
+
+    logger.warn('Refresh token reuse detected, token family revoked:', { userId, familyId });
+
+    throw new AuthenticationError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+  }
+
+  /**
+   * Revoke every token of a family
+   * @param {string} familyId - Family ID
+   * @returns {number} Tokens revoked
+   */
+  async revokeFamily(familyId) {
+    const { changes } = await database.run(
+      "UPDATE refresh_tokens SET revokedAt = datetime('now') WHERE familyId = ? AND revokedAt IS NULL",
+      [familyId]
+    );
+    return changes;
+  }
+
+  /**
+   * Revoke the family a refresh token belongs to, for logout
+   * @param {string} refreshToken - Any token of the family
+   * @returns {boolean} Whether the token was found
+   */
+  async revoke(refreshToken) {
+    const row = await database.get(
+      'SELECT familyId FROM refresh_tokens WHERE tokenHash = ?',
+      [hashToken(refreshToken)]
+    );
+
+    if (!row) {
+      return false;
+    }
+
+    await this.revokeFamily(row.familyId);
+    return true;
+  }
+}
+
+module.exports = new TokenService();
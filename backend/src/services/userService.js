@@ -1,16 +1,12 @@
 const bcrypt = require('bcryptjs');
 const database = require('../config/database');
 const logger = require('../utils/logger');
+const { AuthenticationError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
 
-class UserService {
-  constructor() {
-    this.db = null;
-  }
-
-  initialize() {
-    this.db = database.getDatabase();
-  }
+// Everyone registers as a user; scripts/setRole.js promotes existing accounts
+const ROLES = ['user', 'admin'];
 
+class UserService {
   // Hash password
   async hashPassword(password) {
     const saltRounds = 12;
@@ -24,76 +20,140 @@ class UserService {
 
   // Create new user
   async createUser(userData) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        const { email, password, firstName = '', lastName = '' } = userData;
-
-        // Check if user already exists
-        const existingUser = await this.getUserByEmail(email);
-        if (existingUser) {
-          return reject(new Error('User with this email already exists'));
-        }
-
-        // Hash password
-        const hashedPassword = await this.hashPassword(password);
-
-        const query = `
-          INSERT INTO users (email, password, firstName, lastName, createdAt, updatedAt)
-          VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
-        `;
-
-        this.db.run(query, [email, hashedPassword, firstName, lastName], function(err) {
-          if (err) {
-            logger.error('Error creating user:', err);
-            reject(new Error('Failed to create user'));
-          } else {
-            logger.info('User created successfully:', { userId: this.lastID, email });
-            resolve({
-              id: this.lastID,
-              email,
-              firstName,
-              lastName,
-              createdAt: new Date().toISOString()
-            });
-          }
-        });
-      } catch (error) {
-        logger.error('Create user error:', error);
-        reject(error);
-      }
-    });
+    const { email, password, firstName = '', lastName = '' } = userData;
+
+    // Check if user already exists
+    const existingUser = await this.getUserByEmail(email);
+    if (existingUser) {
+      throw new ConflictError('An account with this email already exists', 'EMAIL_EXISTS');
+    }
+
+    // Hash password
+    const hashedPassword = await this.hashPassword(password);
+
+    const query = `
+      INSERT INTO users (email, password, firstName, lastName, role, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, 'user', datetime('now'), datetime('now'))
+    `;
+
+    let lastID;
+    try {
+      ({ lastID } = await database.run(query, [email, hashedPassword, firstName, lastName]));
+    } catch (err) {
+      logger.error('Error creating user:', err);
+      throw new Error('Failed to create user');
+    }
+
+    logger.info('User created successfully:', { userId: lastID, email });
+    return {
+      id: lastID,
+      email,
+      firstName,
+      lastName,
+      role: 'user',
+      createdAt: new Date().toISOString()
+    };
   }
 
   // Get user by email
   async getUserByEmail(email) {
-    return new Promise((resolve, reject) => {
-      const query = 'SELECT * FROM users WHERE email = ?';
-      
-      this.db.get(query, [email], (err, row) => {
-        if (err) {
-          logger.error('Error fetching user by email:', err);
-          reject(new Error('Database error'));
-        } else {
-          resolve(row || null);
-        }
-      });
-    });
+    try {
+      return await database.get('SELECT * FROM users WHERE email = ?', [email]);
+    } catch (err) {
+      logger.error('Error fetching user by email:', err);
+      throw new Error('Database error');
+    }
+  }
+
+  // Give an existing account a role, e.g. to make it an admin
+  async setRole(email, role) {
+    if (!ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const { changes } = await database.run(
+      "UPDATE users SET role = ?, updatedAt = datetime('now') WHERE email = ?",
+      [role, email]
+    );
+    if (changes === 0) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    logger.info('User role changed:', { email, role });
+    const { id, firstName, lastName } = await this.getUserByEmail(email);
+    return { id, email, firstName, lastName, role };
   }
 
   // Get user by ID
   async getUserById(id) {
-    return new Promise((resolve, reject) => {
-      const query = 'SELECT id, email, firstName, lastName, createdAt, updatedAt FROM users WHERE id = ?';
-      
-      this.db.get(query, [id], (err, row) => {
-        if (err) {
-          logger.error('Error fetching user by ID:', err);
-          reject(new Error('Database error'));
-        } else {
-          resolve(row || null);
-        }
-      });
+    try {
+      return await database.get(
+        'SELECT id, email, firstName, lastName, role, createdAt, updatedAt FROM users WHERE id = ?',
+        [id]
+      );
+    } catch (err) {
+      logger.error('Error fetching user by ID:', err);
+      throw new Error('Database error');
+    }
+  }
+
+  // Get the profile attributes recommendation rules can match on
+  async getUserProfile(userId) {
+    const user = await this.getUserById(userId);
+    if (!user) {
+      return {};
+    }
+
+    const healthProfile = await this.getHealthProfile(userId);
+
+    return {
+      role: user.role,
+      conditions: healthProfile.conditions,
+      medications: healthProfile.medications
+    };
+  }
+
+  // Get the conditions and medications a user has recorded
+  async getHealthProfile(userId) {
+    const rows = await database.all(
+      'SELECT type, name FROM user_health_profile WHERE userId = ? ORDER BY id',
+      [userId]
+    );
+
+    return {
+      conditions: rows.filter(row => row.type === 'condition').map(row => row.name),
+      medications: rows.filter(row => row.type === 'medication').map(row => row.name)
+    };
+  }
+
+  // Replace a user's recorded conditions and medications
+  async setHealthProfile(userId, { conditions = [], medications = [] }) {
+    // Read back inside the transaction so concurrent saves each return their own profile
+    const healthProfile = await database.transaction(async () => {
+      await database.run('DELETE FROM user_health_profile WHERE userId = ?', [userId]);
+
+      const entries = [
+        ...conditions.map(name => ['condition', name]),
+        ...medications.map(name => ['medication', name])
+      ];
+
+      for (const [type, name] of entries) {
+        await database.run(
+          'INSERT OR IGNORE INTO user_health_profile (userId, type, name) VALUES (?, ?, ?)',
+          [userId, type, name]
+        );
+      }
+
+      return this.getHealthProfile(userId);
+    });
+
+    logger.info('Health profile updated:', {
+      userId,
+      conditions: conditions.length,
+      medications: medications.length
     });
+
+    return healthProfile;
   }
 
   // Authenticate user
@@ -102,13 +162,13 @@ class UserService {
       const user = await this.getUserByEmail(email);
       
       if (!user) {
-        throw new Error('Invalid email or password');
+        throw new AuthenticationError('Invalid email or password', 'INVALID_CREDENTIALS');
       }
 
       const isPasswordValid = await this.comparePassword(password, user.password);
       
       if (!isPasswordValid) {
-        throw new Error('Invalid email or password');
+        throw new AuthenticationError('Invalid email or password', 'INVALID_CREDENTIALS');
       }
 
       // Return user without password
@@ -121,57 +181,99 @@ class UserService {
   }
 
 
-  // Save user suggestion
-  async saveSuggestion(userId, age, healthGoal, suggestions) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        INSERT INTO user_suggestions (userId, age, healthGoal, suggestions, createdAt)
-        VALUES (?, ?, ?, ?, datetime('now'))
-      `;
-
-      this.db.run(query, [userId, age, healthGoal, JSON.stringify(suggestions)], function(err) {
-        if (err) {
-          logger.error('Error saving suggestion:', err);
-          reject(new Error('Failed to save suggestion'));
-        } else {
-          logger.info('Suggestion saved successfully:', { userId, suggestionId: this.lastID });
-          resolve({
-            id: this.lastID,
-            userId,
-            age,
-            healthGoal,
-            suggestions,
-            createdAt: new Date().toISOString()
-          });
-        }
-      });
-    });
+  // Save user suggestion, with the catalog and engine versions that produced it
+  async saveSuggestion(userId, age, healthGoals, suggestions, warnings = [], experiments = [], { catalogVersion = null, engineVersion = null } = {}) {
+    const query = `
+      INSERT INTO user_suggestions (userId, age, healthGoal, healthGoals, suggestions, warnings, experiments, catalogVersion, engineVersion, createdAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `;
+    const healthGoal = healthGoals[0].goal;
+
+    let lastID;
+    try {
+      ({ lastID } = await database.run(query, [userId, age, healthGoal, JSON.stringify(healthGoals), JSON.stringify(suggestions), JSON.stringify(warnings), JSON.stringify(experiments), catalogVersion, engineVersion]));
+    } catch (err) {
+      logger.error('Error saving suggestion:', err);
+      throw new Error('Failed to save suggestion');
+    }
+
+    logger.info('Suggestion saved successfully:', { userId, suggestionId: lastID });
+    return {
+      id: lastID,
+      userId,
+      age,
+      healthGoal,
+      healthGoals,
+      suggestions,
+      warnings,
+      experiments,
+      catalogVersion,
+      engineVersion,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // Get a single saved suggestion belonging to a user
+  async getUserSuggestionById(userId, id) {
+    const row = await database.get(
+      `SELECT id, age, healthGoal, healthGoals, suggestions, warnings, experiments, catalogVersion, engineVersion, createdAt
+       FROM user_suggestions
+       WHERE id = ? AND userId = ?`,
+      [id, userId]
+    );
+
+    return row ? this.parseSuggestionRow(row) : null;
+  }
+
+  // When each of the given peptides was first suggested to a user, across their whole history
+  async getFirstSuggestedAt(userId, slugs) {
+    if (slugs.length === 0) {
+      return new Map();
+    }
+
+    const rows = await database.all(
+      `SELECT json_extract(suggestion.value, '$.slug') AS slug, MIN(user_suggestions.createdAt) AS firstSuggestedAt
+       FROM user_suggestions, json_each(user_suggestions.suggestions) AS suggestion
+       WHERE user_suggestions.userId = ?
+         AND json_extract(suggestion.value, '$.slug') IN (${slugs.map(() => '?').join(', ')})
+       GROUP BY slug`,
+      [userId, ...slugs]
+    );
+
+    return new Map(rows.map(row => [row.slug, row.firstSuggestedAt]));
+  }
+
+  // Decode the JSON columns of a user_suggestions row
+  parseSuggestionRow(row) {
+    return {
+      ...row,
+      // Rows saved before multi-goal requests only have the single healthGoal
+      healthGoals: row.healthGoals ? JSON.parse(row.healthGoals) : [{ goal: row.healthGoal, weight: 1 }],
+      suggestions: JSON.parse(row.suggestions),
+      warnings: row.warnings ? JSON.parse(row.warnings) : [],
+      experiments: row.experiments ? JSON.parse(row.experiments) : []
+    };
   }
 
   // Get user's suggestion history
   async getUserSuggestions(userId, limit = 10) {
-    return new Promise((resolve, reject) => {
-      const query = `
-        SELECT id, age, healthGoal, suggestions, createdAt
-        FROM user_suggestions
-        WHERE userId = ?
-        ORDER BY createdAt DESC
-        LIMIT ?
-      `;
-
-      this.db.all(query, [userId, limit], (err, rows) => {
-        if (err) {
-          logger.error('Error fetching user suggestions:', err);
-          reject(new Error('Failed to fetch suggestions'));
-        } else {
-          const suggestions = rows.map(row => ({
-            ...row,
-            suggestions: JSON.parse(row.suggestions)
-          }));
-          resolve(suggestions);
-        }
-      });
-    });
+    const query = `
+      SELECT id, age, healthGoal, healthGoals, suggestions, warnings, experiments, catalogVersion, engineVersion, createdAt
+      FROM user_suggestions
+      WHERE userId = ?
+      ORDER BY createdAt DESC, id DESC
+      LIMIT ?
+    `;
+
+    let rows;
+    try {
+      rows = await database.all(query, [userId, limit]);
+    } catch (err) {
+      logger.error('Error fetching user suggestions:', err);
+      throw new Error('Failed to fetch suggestions');
+    }
+
+    return rows.map(row => this.parseSuggestionRow(row));
   }
 
   
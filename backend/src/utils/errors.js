@@ -0,0 +1,206 @@
+/**
+ * Error codes the API answers with, and the HTTP status and default
+ * message of each. Every error response carries one of these codes; the
+ * OpenAPI document and the startup check both read from this list.
+ */
+const ERROR_CODES = {
+  // General
+  INTERNAL_ERROR: { status: 500, message: 'Internal Server Error' },
+  VALIDATION_ERROR: { status: 400, message: 'Validation failed' },
+  VALIDATION_SYSTEM_ERROR: { status: 500, message: 'Validation error' },
+  INVALID_JSON: { status: 400, message: 'Request body is not valid JSON' },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'Request body is too large' },
+  ENDPOINT_NOT_FOUND: { status: 404, message: 'Endpoint not found' },
+  NOT_FOUND: { status: 404, message: 'Resource not found' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests from this IP, please try again later.' },
+  SERVICE_UNAVAILABLE: { status: 503, message: 'Service is currently unavailable' },
+  UNSUPPORTED_API_VERSION: { status: 400, message: 'API version is not supported' },
+  API_VERSION_NOT_FOUND: { status: 404, message: 'API version does not exist' },
+  UNVERSIONED_API_GONE: { status: 410, message: 'Unversioned API paths have been retired' },
+  DOCS_ERROR: { status: 500, message: 'Failed to build API documentation' },
+  ANALYTICS_ERROR: { status: 500, message: 'Failed to retrieve analytics' },
+
+  // Authentication
+  TOKEN_MISSING: { status: 401, message: 'Access token is required' },
+  TOKEN_INVALID: { status: 401, message: 'Invalid token' },
+  TOKEN_EXPIRED: { status: 401, message: 'Token has expired' },
+  TOKEN_MALFORMED: { status: 401, message: 'Malformed token' },
+  REFRESH_TOKEN_INVALID: { status: 401, message: 'Invalid refresh token' },
+  REFRESH_TOKEN_EXPIRED: { status: 401, message: 'Refresh token has expired' },
+  REFRESH_TOKEN_REVOKED: { status: 401, message: 'Refresh token has been revoked' },
+  REFRESH_TOKEN_REUSED: { status: 401, message: 'Refresh token has already been used' },
+  TOKEN_REFRESH_ERROR: { status: 500, message: 'Failed to refresh token' },
+  LOGOUT_ERROR: { status: 500, message: 'Failed to log out' },
+  AUTH_SYSTEM_ERROR: { status: 500, message: 'Authentication system error' },
+  ADMIN_REQUIRED: { status: 403, message: 'Admin access is required' },
+  TOO_MANY_ATTEMPTS: { status: 429, message: 'Too many authentication attempts, please try again later.' },
+  INVALID_CREDENTIALS: { status: 401, message: 'Invalid email or password' },
+  EMAIL_EXISTS: { status: 409, message: 'An account with this email already exists' },
+  REGISTRATION_ERROR: { status: 500, message: 'Failed to register user. Please try again.' },
+  LOGIN_ERROR: { status: 500, message: 'Login failed. Please try again.' },
+
+  // Account and history
+  USER_NOT_FOUND: { status: 404, message: 'User not found' },
+  PROFILE_FETCH_ERROR: { status: 500, message: 'Failed to fetch profile' },
+  HEALTH_PROFILE_FETCH_ERROR: { status: 500, message: 'Failed to fetch health profile' },
+  HEALTH_PROFILE_UPDATE_ERROR: { status: 500, message: 'Failed to update health profile' },
+  SUGGESTIONS_FETCH_ERROR: { status: 500, message: 'Failed to fetch suggestion history' },
+  SUGGESTION_NOT_FOUND: { status: 404, message: 'Suggestion not found' },
+  SUGGESTION_REPLAY_ERROR: { status: 500, message: 'Failed to replay suggestion' },
+  PDF_EXPORT_ERROR: { status: 500, message: 'Failed to export PDF' },
+
+  // Suggestions
+  GENERATION_ERROR: { status: 500, message: 'Failed to generate suggestions. Please try again.' },
+  GOALS_ERROR: { status: 500, message: 'Failed to load health goals' },
+  BATCH_INVALID_INPUT: { status: 400, message: 'Batch input is invalid' },
+  BATCH_TOO_LARGE: { status: 413, message: 'Batch is too large' },
+  BATCH_ERROR: { status: 500, message: 'Failed to process batch' },
+  BATCH_JOB_NOT_FOUND: { status: 404, message: 'Batch job not found' },
+  BATCH_JOB_FETCH_ERROR: { status: 500, message: 'Failed to fetch batch job' },
+  FEEDBACK_UNKNOWN_PEPTIDE: { status: 400, message: 'Feedback names a peptide that was not suggested' },
+  FEEDBACK_ERROR: { status: 500, message: 'Failed to save feedback' },
+
+  // Peptides
+  PEPTIDE_SEARCH_ERROR: { status: 500, message: 'Failed to search peptides' },
+  PEPTIDE_NOT_FOUND: { status: 404, message: 'Peptide not found' },
+  PEPTIDE_FETCH_ERROR: { status: 500, message: 'Failed to fetch peptide' },
+
+  // Catalog administration
+  CATALOG_CONFLICT: { status: 409, message: 'Conflicts with existing catalog data' },
+  CATALOG_NOT_FOUND: { status: 404, message: 'Catalog entry not found' },
+  CATALOG_INVALID: { status: 400, message: 'Catalog change is not allowed' },
+  PEPTIDES_FETCH_ERROR: { status: 500, message: 'Failed to fetch peptides' },
+  PEPTIDE_CREATE_ERROR: { status: 500, message: 'Failed to create peptide' },
+  PEPTIDE_UPDATE_ERROR: { status: 500, message: 'Failed to update peptide' },
+  PEPTIDE_RETIRE_ERROR: { status: 500, message: 'Failed to retire peptide' },
+  GOALS_FETCH_ERROR: { status: 500, message: 'Failed to fetch goals' },
+  GOAL_CREATE_ERROR: { status: 500, message: 'Failed to create goal' },
+  GOAL_REORDER_ERROR: { status: 500, message: 'Failed to reorder goals' },
+  GOAL_UPDATE_ERROR: { status: 500, message: 'Failed to update goal' },
+  GOAL_RETIRE_ERROR: { status: 500, message: 'Failed to retire goal' },
+  GOAL_MAPPINGS_FETCH_ERROR: { status: 500, message: 'Failed to fetch goal mappings' },
+  GOAL_MAPPINGS_UPDATE_ERROR: { status: 500, message: 'Failed to update goal mappings' },
+  GOAL_MAPPING_CREATE_ERROR: { status: 500, message: 'Failed to add goal mapping' },
+  GOAL_MAPPING_DELETE_ERROR: { status: 500, message: 'Failed to remove goal mapping' },
+  RULES_FETCH_ERROR: { status: 500, message: 'Failed to fetch rules' },
+  RULE_FETCH_ERROR: { status: 500, message: 'Failed to fetch rule' },
+  RULE_CREATE_ERROR: { status: 500, message: 'Failed to create rule' },
+  RULE_UPDATE_ERROR: { status: 500, message: 'Failed to update rule' },
+  RULE_DEACTIVATE_ERROR: { status: 500, message: 'Failed to deactivate rule' },
+  CATALOG_PUBLISH_ERROR: { status: 500, message: 'Failed to publish catalog' },
+  CATALOG_VERSIONS_FETCH_ERROR: { status: 500, message: 'Failed to fetch catalog versions' },
+  CATALOG_VERSION_FETCH_ERROR: { status: 500, message: 'Failed to fetch catalog version' },
+  EXPERIMENT_INVALID: { status: 400, message: 'Experiment change is not allowed' },
+  EXPERIMENTS_FETCH_ERROR: { status: 500, message: 'Failed to fetch experiments' },
+  EXPERIMENT_FETCH_ERROR: { status: 500, message: 'Failed to fetch experiment' },
+  EXPERIMENT_CREATE_ERROR: { status: 500, message: 'Failed to create experiment' },
+  EXPERIMENT_UPDATE_ERROR: { status: 500, message: 'Failed to update experiment' }
+};
+
+/**
+ * Base class for errors the API reports to clients. The code picks the
+ * HTTP status from ERROR_CODES; anything else thrown is a 500.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_CODES
+   * @param {string} message - Client-facing message, defaults to the code's
+   * @param {Object} options - { fields, field, requestId, retryAfter, cause }
+   */
+  constructor(code, message, { fields, field, requestId, retryAfter, cause } = {}) {
+    const { status = 500, message: defaultMessage } = ERROR_CODES[code] || {};
+
+    super(message || defaultMessage || 'Internal Server Error', { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = status;
+    this.fields = fields;
+    this.field = field;
+    this.requestId = requestId;
+    this.retryAfter = retryAfter;
+    this.isOperational = true;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+class ValidationError extends AppError {
+  /**
+   * @param {string} message - Message for the first problem
+   * @param {Object} fields - Field -> messages for every problem, e.g. { age: ['Age is required'] }
+   * @param {string} code - A 400 code
+   */
+  constructor(message, fields = null, code = 'VALIDATION_ERROR') {
+    super(code, message, { fields, field: fields ? Object.keys(fields)[0] : undefined });
+  }
+
+  /**
+   * Build from a failed Joi validation. Nested fields are keyed by their
+   * dotted path ('feedback.0.slug'); errors about the object as a whole, such
+   * as a missing one-of pair, go under the first key they name, or `fallbackField`.
+   * @param {Object} joiError - error from schema.validate()
+   * @param {string} fallbackField - Key for errors that name no field
+   * @returns {ValidationError}
+   */
+  static fromJoi(joiError, fallbackField = 'body') {
+    const fields = {};
+
+    joiError.details.forEach(({ path, message, context }) => {
+      const field = path.join('.') || context?.peers?.[0] || fallbackField;
+      fields[field] = fields[field] || [];
+      if (!fields[field].includes(message)) {
+        fields[field].push(message);
+      }
+    });
+
+    return new ValidationError(joiError.details[0].message, fields);
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(message, code = 'TOKEN_INVALID') {
+    super(code, message);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, code = 'ADMIN_REQUIRED') {
+    super(code, message);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND') {
+    super(code, message);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'CATALOG_CONFLICT') {
+    super(code, message);
+  }
+}
+
+class RateLimitError extends AppError {
+  constructor(message, code = 'RATE_LIMITED', retryAfter = 60) {
+    super(code, message, { retryAfter });
+  }
+}
+
+class ServiceUnavailableError extends AppError {
+  constructor(service = 'Service') {
+    super('SERVICE_UNAVAILABLE', `${service} is currently unavailable`);
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  ServiceUnavailableError
+};
@@ -0,0 +1,94 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const interactionService = require('../src/services/interactionService');
+
+const suggestionsRouter = require('../src/routes/suggestions');
+
+// Mount the suggestions router the way server.js does, with the dates read from the environment.
+// The errors the isolated middleware raises are only recognised by the handler from the same registry.
+const buildApp = (env = {}) => {
+  const app = express();
+
+  Object.assign(process.env, env);
+  try {
+    jest.isolateModules(() => {
+      const { useVersion, unversioned } = require('../src/middleware/apiVersion');
+      const { globalErrorHandler } = require('../src/middleware/errorHandler');
+      require('../src/utils/logger').logger.silent = true;
+
+      app.use(express.json());
+      app.use('/v1', useVersion('v1'), express.Router().use('/suggestions', suggestionsRouter));
+      app.use('/suggestions', unversioned, suggestionsRouter);
+      app.use(globalErrorHandler);
+    });
+  } finally {
+    Object.keys(env).forEach(name => delete process.env[name]);
+  }
+
+  return app;
+};
+
+describe('unversioned paths', () => {
+  const scheduled = {
+    UNVERSIONED_API_DEPRECATED_AT: '2026-01-01T00:00:00Z',
+    UNVERSIONED_API_SUNSET: '2099-01-01T00:00:00Z'
+  };
+  const body = { age: 40, healthGoal: 'sleep' };
+
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+    await interactionService.initialize();
+  });
+
+  afterAll(() => database.close());
+
+  test('answer like /v1 and only they carry the deprecation headers', async () => {
+    const app = buildApp(scheduled);
+    const versioned = await request(app).post('/v1/suggestions').send(body);
+    const legacy = await request(app).post('/suggestions').send(body);
+
+    expect(versioned.status).toBe(200);
+    expect(legacy.status).toBe(200);
+    // Only the request id and the times differ between two requests
+    const withoutRequestData = ({ requestId, meta: { generatedAt, timestamp, ...meta }, ...rest }) => ({ ...rest, meta });
+    expect(withoutRequestData(legacy.body)).toEqual(withoutRequestData(versioned.body));
+
+    expect(versioned.headers['api-version']).toBe('v1');
+    expect(versioned.headers).not.toHaveProperty('deprecation');
+    expect(versioned.headers).not.toHaveProperty('sunset');
+    expect(versioned.headers).not.toHaveProperty('link');
+
+    expect(legacy.headers).toMatchObject({
+      'api-version': 'v1',
+      deprecation: `@${Date.parse(scheduled.UNVERSIONED_API_DEPRECATED_AT) / 1000}`,
+      sunset: new Date(scheduled.UNVERSIONED_API_SUNSET).toUTCString(),
+      link: '</v1/suggestions>; rel="successor-version"'
+    });
+  });
+
+  test('only point to /v1 when no retirement is scheduled', async () => {
+    const response = await request(buildApp()).post('/suggestions').send(body);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.link).toBe('</v1/suggestions>; rel="successor-version"');
+    expect(response.headers).not.toHaveProperty('deprecation');
+    expect(response.headers).not.toHaveProperty('sunset');
+  });
+
+  test('answer 410 from the sunset date', async () => {
+    const app = buildApp({ UNVERSIONED_API_SUNSET: '2020-01-01T00:00:00Z' });
+
+    const legacy = await request(app).post('/suggestions').send(body);
+    expect(legacy.status).toBe(410);
+    expect(legacy.body.error.code).toBe('UNVERSIONED_API_GONE');
+    expect((await request(app).post('/v1/suggestions').send(body)).status).toBe(200);
+  });
+
+  test('reject a date setting that is not a date', () => {
+    expect(() => buildApp({ UNVERSIONED_API_SUNSET: 'someday' }))
+      .toThrow("UNVERSIONED_API_SUNSET must be an ISO date, got 'someday'");
+  });
+});
@@ -0,0 +1,198 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const interactionService = require('../src/services/interactionService');
+const suggestionsService = require('../src/services/suggestionsService');
+const batchService = require('../src/services/batchService');
+const authRouter = require('../src/routes/auth');
+const suggestionsRouter = require('../src/routes/suggestions');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/auth', authRouter);
+app.use('/v1/suggestions', suggestionsRouter);
+app.use(globalErrorHandler);
+
+describe('batchService.parseCsvItems', () => {
+  test('reads quoted fields with commas, escaped quotes and line breaks', () => {
+    const csv = [
+      'externalId,age,healthGoal,conditions,medications',
+      '"a,1",40,sleep,"asthma; ""mild"" eczema","line one',
+      'line two"',
+      'b-2,35,recovery,,'
+    ].join('\r\n');
+
+    expect(batchService.parseCsvItems(csv)).toEqual([
+      {
+        externalId: 'a,1',
+        age: '40',
+        healthGoal: 'sleep',
+        conditions: ['asthma', '"mild" eczema'],
+        medications: ['line one\r\nline two']
+      },
+      { externalId: 'b-2', age: '35', healthGoal: 'recovery' }
+    ]);
+  });
+
+  test('splits list columns on semicolons, ignores unknown columns and blank rows', () => {
+    const csv = '\uFEFFexternalId,age,healthGoals,notes\nc-3,50," sleep ; recovery ",ignored\n\n ,\n';
+
+    expect(batchService.parseCsvItems(csv)).toEqual([
+      { externalId: 'c-3', age: '50', healthGoals: ['sleep', 'recovery'] }
+    ]);
+  });
+
+  test('rejects CSV without the required columns', () => {
+    expect(() => batchService.parseCsvItems('externalId,goal\nx,sleep'))
+      .toThrow(expect.objectContaining({ code: 'BATCH_INVALID_INPUT', message: expect.stringContaining('age, healthGoal') }));
+    expect(() => batchService.parseCsvItems(''))
+      .toThrow(expect.objectContaining({ code: 'BATCH_INVALID_INPUT' }));
+  });
+});
+
+describe('POST /v1/suggestions/batch', () => {
+  let token;
+
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+    await interactionService.initialize();
+
+    const response = await request(app)
+      .post('/v1/auth/register')
+      .send({ email: 'batch@example.com', password: 'Passw0rd!', firstName: 'Bo', lastName: 'Chen' });
+    token = response.body.data.token;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(async () => {
+    await batchService.queue;
+    await database.close();
+  });
+
+  const submit = (body, query = '') => {
+    const req = request(app).post(`/v1/suggestions/batch${query}`).set('Authorization', `Bearer ${token}`);
+    return typeof body === 'string' ? req.set('Content-Type', 'text/csv').send(body) : req.send(body);
+  };
+
+  const items = [
+    { externalId: 'p-1', age: 40, healthGoal: 'sleep' },
+    { externalId: 'p-2', age: 5, healthGoal: 'sleep' },
+    { externalId: 'p-3', age: 52, healthGoals: ['recovery', 'sleep'], conditions: ['asthma'] }
+  ];
+  const csv = [
+    'externalId,age,healthGoal,healthGoals,conditions',
+    'p-1,40,sleep,,',
+    'p-2,5,sleep,,',
+    'p-3,52,,recovery;sleep,asthma'
+  ].join('\n');
+
+  test('an invalid record is reported without failing the others', async () => {
+    const response = await submit(items);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toMatchObject({ total: 3, completed: 2, invalid: 1, failed: 0, catalogVersion: expect.any(Number) });
+
+    const [first, second, third] = response.body.data.results;
+    expect(first).toMatchObject({ index: 0, externalId: 'p-1', status: 'completed' });
+    expect(first.suggestions.length).toBeGreaterThan(0);
+    expect(second).toMatchObject({ index: 1, externalId: 'p-2', status: 'invalid' });
+    expect(second.errors).toEqual([expect.objectContaining({ field: 'age' })]);
+    expect(third).toMatchObject({ index: 2, externalId: 'p-3', status: 'completed' });
+  });
+
+  test('a record whose generation throws is marked failed and the rest complete', async () => {
+    const generate = suggestionsService.generateSuggestions.bind(suggestionsService);
+    jest.spyOn(suggestionsService, 'generateSuggestions').mockImplementation((age, ...rest) =>
+      (age === 40 ? Promise.reject(new Error('provider down')) : generate(age, ...rest)));
+
+    const response = await submit(items);
+
+    expect(response.body.data.summary).toMatchObject({ completed: 1, invalid: 1, failed: 1 });
+    expect(response.body.data.results[0]).toMatchObject({
+      externalId: 'p-1',
+      status: 'failed',
+      errors: [{ field: null, message: 'Failed to generate suggestions' }]
+    });
+    expect(response.body.data.results[2].status).toBe('completed');
+  });
+
+  test('CSV and JSON bodies with the same records give the same results', async () => {
+    const fromJson = await submit(items);
+    const fromCsv = await submit(csv);
+
+    expect(fromCsv.status).toBe(200);
+    expect(fromCsv.body.data).toEqual(fromJson.body.data);
+  });
+
+  test('rejects empty and oversized batches', async () => {
+    const empty = await submit({ items: [] });
+    expect(empty.status).toBe(400);
+    expect(empty.body.error.code).toBe('BATCH_INVALID_INPUT');
+
+    const tooManyForSync = Array.from({ length: batchService.maxSyncItems + 1 }, (_, index) => ({
+      externalId: `r-${index}`, age: 40, healthGoal: 'sleep'
+    }));
+    const sync = await submit(tooManyForSync);
+    expect(sync.status).toBe(413);
+    expect(sync.body.error.code).toBe('BATCH_TOO_LARGE');
+    expect(sync.body.error.message).toMatch(/async=true/);
+
+    const tooManyForAsync = Array.from({ length: batchService.maxItems + 1 }, () => ({}));
+    const queued = await submit(tooManyForAsync, '?async=true');
+    expect(queued.body.error.code).toBe('BATCH_TOO_LARGE');
+  });
+
+  test('?async=true queues a job that can be polled until its results are ready', async () => {
+    const queued = await submit(csv, '?async=true');
+
+    expect(queued.status).toBe(202);
+    expect(queued.body.data.job).toMatchObject({ status: 'queued', total: 3, processed: 0, results: null });
+
+    const poll = () => request(app)
+      .get(`/v1/suggestions/batch/${queued.body.data.job.id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    let job = queued.body.data.job;
+    for (let attempt = 0; attempt < 50 && !['completed', 'failed'].includes(job.status); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      job = (await poll()).body.data.job;
+    }
+
+    expect(job).toMatchObject({ status: 'completed', processed: 3, startedAt: expect.any(String), completedAt: expect.any(String) });
+    expect(job.summary).toMatchObject({ total: 3, completed: 2, invalid: 1 });
+    expect(job.results.map(result => result.externalId)).toEqual(['p-1', 'p-2', 'p-3']);
+  });
+
+  test('initialize resumes jobs that were queued or running when the server stopped', async () => {
+    const { id: userId } = await database.get('SELECT id FROM users WHERE email = ?', ['batch@example.com']);
+    await database.run(
+      `INSERT INTO batch_jobs (id, userId, status, total, processed, items, createdAt)
+       VALUES ('interrupted', ?, 'running', 1, 1, ?, datetime('now'))`,
+      [userId, JSON.stringify([items[0]])]
+    );
+
+    await batchService.initialize();
+    await batchService.queue;
+
+    const job = await batchService.getJob('interrupted', userId);
+    expect(job).toMatchObject({ status: 'completed', processed: 1, summary: { total: 1, completed: 1 } });
+  });
+
+  test('a job is only visible to the user who submitted it', async () => {
+    const queued = await submit(items, '?async=true');
+    const other = await request(app)
+      .post('/v1/auth/register')
+      .send({ email: 'batch-other@example.com', password: 'Passw0rd!', firstName: 'Ola', lastName: 'Berg' });
+
+    const response = await request(app)
+      .get(`/v1/suggestions/batch/${queued.body.data.job.id}`)
+      .set('Authorization', `Bearer ${other.body.data.token}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('BATCH_JOB_NOT_FOUND');
+  });
+});
@@ -0,0 +1,127 @@
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const cacheService = require('../src/services/cacheService');
+const suggestionsService = require('../src/services/suggestionsService');
+const { fallbackProvider } = require('../src/services/providers');
+
+describe('cacheService', () => {
+  const defaults = { ttlMs: cacheService.ttlMs, maxEntries: cacheService.maxEntries };
+
+  beforeEach(() => {
+    cacheService.invalidate('test');
+    cacheService.resetStats();
+  });
+
+  afterEach(() => {
+    Object.assign(cacheService, defaults);
+    jest.useRealTimers();
+  });
+
+  test('counts hits and misses and reports the hit rate', () => {
+    expect(cacheService.getStats()).toMatchObject({ hits: 0, misses: 0, hitRate: null });
+
+    cacheService.get('a');
+    cacheService.set('a', { value: 1 });
+    cacheService.get('a');
+    cacheService.get('a');
+
+    expect(cacheService.getStats()).toMatchObject({ entries: 1, hits: 2, misses: 1, hitRate: 0.667 });
+  });
+
+  test('hands out copies so callers cannot change the cached value', () => {
+    const value = { suggestions: [{ slug: 'x' }] };
+    cacheService.set('a', value);
+    value.suggestions.push({ slug: 'y' });
+    cacheService.get('a').suggestions.push({ slug: 'z' });
+
+    expect(cacheService.get('a')).toEqual({ suggestions: [{ slug: 'x' }] });
+  });
+
+  test('evicts the least recently used entry when full', () => {
+    cacheService.maxEntries = 2;
+    cacheService.set('a', 1);
+    cacheService.set('b', 2);
+    cacheService.get('a');
+    cacheService.set('c', 3);
+
+    expect(cacheService.get('b')).toBeUndefined();
+    expect(cacheService.get('a')).toBe(1);
+    expect(cacheService.getStats()).toMatchObject({ entries: 2, evictions: 1 });
+  });
+
+  test('expires entries after the TTL', () => {
+    jest.useFakeTimers();
+    cacheService.set('a', 1);
+    jest.advanceTimersByTime(cacheService.ttlMs);
+
+    expect(cacheService.get('a')).toBeUndefined();
+    expect(cacheService.getStats()).toMatchObject({ entries: 0, expired: 1, misses: 1 });
+  });
+
+  test('does nothing when the TTL is 0', () => {
+    cacheService.ttlMs = 0;
+    cacheService.set('a', 1);
+
+    expect(cacheService.get('a')).toBeUndefined();
+    expect(cacheService.getStats()).toMatchObject({ enabled: false, entries: 0, hits: 0, misses: 0 });
+  });
+});
+
+describe('cached suggestions', () => {
+  const goals = suggestionsService.normalizeGoals('sleep');
+
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+  });
+
+  beforeEach(() => {
+    cacheService.invalidate('test');
+    cacheService.resetStats();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => database.close());
+
+  test('answers a repeated anonymous request from the cache', async () => {
+    const first = await suggestionsService.generateSuggestions(40, goals);
+    const second = await suggestionsService.generateSuggestions(40, goals);
+
+    expect(first.cache).toBe('miss');
+    expect(second.cache).toBe('hit');
+    expect(second.suggestions).toEqual(first.suggestions);
+    expect(cacheService.getStats()).toMatchObject({ hits: 1, misses: 1, entries: 1 });
+  });
+
+  test('bypasses the cache for signed-in requests', async () => {
+    const result = await suggestionsService.generateSuggestions(40, goals, true);
+
+    expect(result.cache).toBe('bypass');
+    expect(cacheService.getStats()).toMatchObject({ hits: 0, misses: 0, entries: 0 });
+  });
+
+  test('publishing the catalog clears cached responses', async () => {
+    await suggestionsService.generateSuggestions(40, goals);
+    await catalogService.publish({ notes: 'cache test' });
+
+    expect(cacheService.getStats()).toMatchObject({ entries: 0, invalidations: 1 });
+    expect((await suggestionsService.generateSuggestions(40, goals)).cache).toBe('miss');
+  });
+
+  test('does not keep a fallback answer', async () => {
+    jest.spyOn(suggestionsService, 'getActiveProvider').mockReturnValue({
+      name: 'broken',
+      streams: false,
+      getVersion: () => 'broken:1',
+      generate: () => Promise.reject(new Error('provider down'))
+    });
+
+    const first = await suggestionsService.generateSuggestions(40, goals);
+    const second = await suggestionsService.generateSuggestions(40, goals);
+
+    expect(first).toMatchObject({ provider: fallbackProvider.name, fallbackFrom: 'broken', cache: 'miss' });
+    expect(second).toMatchObject({ fallbackFrom: 'broken', cache: 'miss' });
+    expect(cacheService.getStats()).toMatchObject({ hits: 0, misses: 2, entries: 0 });
+  });
+});
@@ -0,0 +1,35 @@
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+
+describe('catalogService', () => {
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+  });
+
+  afterAll(() => database.close());
+
+  test('searches running during a rebuild see the whole index', async () => {
+    const { peptides } = await catalogService.getCatalog();
+    const { total } = await catalogService.searchPeptides({ q: 'sleep' });
+    expect(total).toBeGreaterThan(0);
+
+    const [, ...searches] = await Promise.all([
+      catalogService.indexPeptides(peptides),
+      ...Array.from({ length: 5 }, () => catalogService.searchPeptides({ q: 'sleep' }))
+    ]);
+
+    searches.forEach(search => expect(search.total).toBe(total));
+  });
+
+  test('backfilling seed protocols skips seed peptides the catalog no longer has', async () => {
+    await database.run("DELETE FROM peptides WHERE slug = 'vitality-peptide'");
+    await database.run('DELETE FROM peptide_protocols');
+
+    await expect(catalogService.seedProtocolsIfEmpty()).resolves.toBeUndefined();
+    expect(await catalogService.findPeptideIdBySlug('vitality-peptide')).toBeNull();
+
+    const { count } = await database.get('SELECT COUNT(*) AS count FROM peptide_protocols');
+    expect(count).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,84 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const peptidesRouter = require('../src/routes/peptides');
+const suggestionsRouter = require('../src/routes/suggestions');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/peptides', peptidesRouter);
+app.use('/v1/suggestions', suggestionsRouter);
+app.use(globalErrorHandler);
+
+describe('conditional GET on catalog responses', () => {
+  let slug;
+
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+    [{ slug }] = (await catalogService.getCatalog()).peptides;
+  });
+
+  afterAll(() => database.close());
+
+  describe.each([
+    ['/v1/suggestions/goals'],
+    ['/v1/peptides'],
+    ['/v1/peptides/:slug']
+  ])('%s', path => {
+    const url = () => path.replace(':slug', slug);
+
+    test('names the catalog version and its publish time', async () => {
+      const { version } = await catalogService.getCatalog();
+      const response = await request(app).get(url());
+
+      expect(response.status).toBe(200);
+      expect(response.headers).toMatchObject({
+        'cache-control': 'no-cache',
+        etag: `W/"catalog-${version}"`,
+        'last-modified': expect.stringMatching(/GMT$/)
+      });
+    });
+
+    test('answers 304 with no body for a matching If-None-Match', async () => {
+      const { headers } = await request(app).get(url());
+      const response = await request(app).get(url()).set('If-None-Match', headers.etag);
+
+      expect(response.status).toBe(304);
+      expect(response.text).toBe('');
+    });
+
+    test('answers 304 for If-Modified-Since at the publish time and 200 before it', async () => {
+      const { headers } = await request(app).get(url());
+      const lastModified = new Date(headers['last-modified']);
+
+      const unchanged = await request(app).get(url()).set('If-Modified-Since', headers['last-modified']);
+      const earlier = await request(app).get(url())
+        .set('If-Modified-Since', new Date(lastModified.getTime() - 1000).toUTCString());
+
+      expect(unchanged.status).toBe(304);
+      expect(earlier.status).toBe(200);
+    });
+
+    test('answers 200 with a new ETag once a catalog version is published', async () => {
+      const { headers } = await request(app).get(url());
+      const { version } = await catalogService.publish({ notes: 'conditional test' });
+
+      const response = await request(app).get(url()).set('If-None-Match', headers.etag);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBe(`W/"catalog-${version}"`);
+      expect(response.body.success).toBe(true);
+    });
+  });
+
+  test('a missing peptide keeps its 404 when the validators match', async () => {
+    const { headers } = await request(app).get(`/v1/peptides/${slug}`);
+    const response = await request(app).get('/v1/peptides/no-such-peptide').set('If-None-Match', headers.etag);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('PEPTIDE_NOT_FOUND');
+  });
+});
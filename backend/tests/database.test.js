@@ -0,0 +1,72 @@
+const database = require('../src/config/database');
+
+describe('database', () => {
+  beforeAll(async () => {
+    await database.initialize();
+    await database.run('CREATE TABLE counters (name TEXT PRIMARY KEY, value INTEGER NOT NULL)');
+  });
+
+  afterAll(() => database.close());
+
+  beforeEach(() => database.run('DELETE FROM counters'));
+
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('runs overlapping transactions one at a time', async () => {
+    const increment = name => database.transaction(async () => {
+      const row = await database.get('SELECT value FROM counters WHERE name = ?', [name]);
+      await delay(5);
+      await database.run(
+        'INSERT INTO counters (name, value) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET value = excluded.value',
+        [name, (row?.value || 0) + 1]
+      );
+    });
+
+    await Promise.all(Array.from({ length: 8 }, () => increment('shared')));
+
+    expect(await database.get('SELECT value FROM counters WHERE name = ?', ['shared'])).toEqual({ value: 8 });
+  });
+
+  test('keeps statements from outside a transaction out of its rollback', async () => {
+    let started;
+    const begun = new Promise(resolve => { started = resolve; });
+
+    const failing = database.transaction(async () => {
+      await database.run("INSERT INTO counters (name, value) VALUES ('inside', 1)");
+      started();
+      await delay(10);
+      throw new Error('abort');
+    });
+
+    await begun;
+    const outside = database.run("INSERT INTO counters (name, value) VALUES ('outside', 1)");
+
+    await expect(failing).rejects.toThrow('abort');
+    await outside;
+
+    const rows = await database.all('SELECT name FROM counters ORDER BY name');
+    expect(rows).toEqual([{ name: 'outside' }]);
+  });
+
+  test('joins a transaction started inside another', async () => {
+    await database.transaction(async () => {
+      await database.run("INSERT INTO counters (name, value) VALUES ('outer', 1)");
+      await database.transaction(() => database.run("INSERT INTO counters (name, value) VALUES ('inner', 1)"));
+    });
+
+    expect(await database.all('SELECT name FROM counters ORDER BY name')).toEqual([{ name: 'inner' }, { name: 'outer' }]);
+  });
+
+  test('enforces foreign keys and cascades deletes', async () => {
+    await database.run("INSERT INTO users (email, password) VALUES ('cascade@example.com', 'x')");
+    const { id } = await database.get("SELECT id FROM users WHERE email = 'cascade@example.com'");
+    await database.run("INSERT INTO refresh_tokens (userId, familyId, tokenHash, expiresAt) VALUES (?, 'f', 'h', datetime('now'))", [id]);
+
+    await expect(
+      database.run("INSERT INTO refresh_tokens (userId, familyId, tokenHash, expiresAt) VALUES (-1, 'f', 'h2', datetime('now'))")
+    ).rejects.toThrow('FOREIGN KEY constraint failed');
+
+    await database.run('DELETE FROM users WHERE id = ?', [id]);
+    expect(await database.all('SELECT id FROM refresh_tokens WHERE userId = ?', [id])).toEqual([]);
+  });
+});
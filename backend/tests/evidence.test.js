@@ -0,0 +1,73 @@
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const { gradeReferences, meetsGrade, strongestGrade } = require('../src/services/evidence');
+const suggestionsService = require('../src/services/suggestionsService');
+
+describe('evidence grading', () => {
+  const cite = (...studyTypes) => studyTypes.map(studyType => ({ studyType }));
+
+  test('grades cited studies from A to D', () => {
+    expect(gradeReferences(cite('rct', 'rct'))).toBe('A');
+    expect(gradeReferences(cite('rct', 'animal'))).toBe('B');
+    expect(gradeReferences(cite('cohort'))).toBe('C');
+    expect(gradeReferences(cite('in_vitro', 'expert_opinion'))).toBe('D');
+  });
+
+  test('leaves claims that cite nothing ungraded rather than D', () => {
+    expect(gradeReferences([])).toBeNull();
+    expect(strongestGrade([null, null])).toBeNull();
+    expect(strongestGrade([null, 'D', 'B'])).toBe('B');
+  });
+
+  test('ungraded claims meet no minimum grade', () => {
+    expect(meetsGrade('D', 'D')).toBe(true);
+    expect(meetsGrade('C', 'B')).toBe(false);
+    expect(meetsGrade(null, 'D')).toBe(false);
+  });
+
+  test('the evidence filter drops ungraded suggestions and lists them apart from weak ones', () => {
+    const suggestion = (slug, grade) => ({ slug, name: slug, evidence: { grade, claims: [] } });
+
+    const { suggestions, filtered } = suggestionsService.filterByEvidence(
+      [suggestion('strong', 'B'), suggestion('weak', 'D'), suggestion('uncited', null)],
+      'C'
+    );
+
+    expect(suggestions.map(({ slug }) => slug)).toEqual(['strong']);
+    expect(filtered).toEqual([
+      { slug: 'weak', name: 'weak', grade: 'D' },
+      { slug: 'uncited', name: 'uncited', grade: null }
+    ]);
+  });
+});
+
+describe('evidence on the seeded catalog', () => {
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+  });
+
+  afterAll(() => database.close());
+
+  const suggest = async goal => (await suggestionsService.generateSuggestions(40, [{ goal, weight: 1 }])).suggestions;
+
+  test('grades seeded claims from their references and leaves uncited ones ungraded', async () => {
+    const grades = Object.fromEntries((await suggest('weight_management')).map(({ slug, evidence }) => [slug, evidence.grade]));
+
+    expect(grades).toMatchObject({
+      'metabolic-support-peptide': 'A',
+      'body-composition-support': 'B',
+      'fat-metabolism-enhancer': null
+    });
+  });
+
+  test('a minimum grade keeps the seeded suggestions that meet it', async () => {
+    const { suggestions, filtered } = suggestionsService.filterByEvidence(await suggest('weight_management'), 'B');
+
+    expect(suggestions.map(({ slug }) => slug)).toEqual(expect.arrayContaining(['metabolic-support-peptide', 'body-composition-support']));
+    expect(filtered.map(({ slug }) => slug)).toContain('fat-metabolism-enhancer');
+
+    const joints = suggestionsService.filterByEvidence(await suggest('joint_health'), 'B').suggestions;
+    expect(joints.map(({ slug }) => slug)).toEqual(['athletic-recovery-support']);
+  });
+});
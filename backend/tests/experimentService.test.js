@@ -0,0 +1,71 @@
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const experimentService = require('../src/services/experimentService');
+
+const experiment = (key, peptide = 'tissue-repair-formula') => ({
+  key,
+  name: 'Boost tissue repair',
+  variants: [
+    { key: 'control', weight: 1 },
+    {
+      key: 'boost',
+      weight: 1,
+      rules: [{ name: 'Boost repair', peptide, effect: 'boost', amount: 10 }],
+      descriptions: { [peptide]: 'Alternative copy' }
+    }
+  ]
+});
+
+describe('experimentService.createExperiment', () => {
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => database.close());
+
+  test('creates a draft experiment with its variants', async () => {
+    const created = await experimentService.createExperiment(experiment('repair-copy'));
+
+    expect(created).toMatchObject({ key: 'repair-copy', status: 'draft' });
+    expect(created.variants.map(variant => variant.key)).toEqual(['control', 'boost']);
+  });
+
+  test('rejects a variant naming an unknown peptide as invalid', async () => {
+    await expect(experimentService.createExperiment(experiment('unknown-peptide', 'no-such-peptide')))
+      .rejects.toMatchObject({ code: 'EXPERIMENT_INVALID', statusCode: 400, message: "Peptide 'no-such-peptide' not found" });
+    expect(await experimentService.getExperiment('unknown-peptide')).toBeNull();
+  });
+
+  test('rejects an existing key as a conflict', async () => {
+    await experimentService.createExperiment(experiment('taken'));
+
+    await expect(experimentService.createExperiment(experiment('taken')))
+      .rejects.toMatchObject({ code: 'CATALOG_CONFLICT', statusCode: 409 });
+  });
+
+  test('a create that loses a race for the key is a conflict and leaves no partial variants', async () => {
+    await experimentService.createExperiment(experiment('raced'));
+    // The losing request checked for the key before the winner inserted it
+    jest.spyOn(experimentService, 'getExperiment').mockResolvedValueOnce(null);
+
+    await expect(experimentService.createExperiment({ ...experiment('raced'), name: 'Second' }))
+      .rejects.toMatchObject({ code: 'CATALOG_CONFLICT', statusCode: 409 });
+
+    const stored = await experimentService.getExperiment('raced');
+    expect(stored.name).toBe('Boost tissue repair');
+    expect(stored.variants).toHaveLength(2);
+  });
+
+  test('concurrent creates with the same key give one experiment and one conflict', async () => {
+    const results = await Promise.allSettled([
+      experimentService.createExperiment(experiment('concurrent')),
+      experimentService.createExperiment(experiment('concurrent'))
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,42 @@
+const database = require('../src/config/database');
+const userService = require('../src/services/userService');
+const feedbackService = require('../src/services/feedbackService');
+
+describe('feedbackService.saveFeedback', () => {
+  let user;
+  let suggestion;
+
+  beforeAll(async () => {
+    await database.initialize();
+    user = await userService.createUser({ email: 'feedback@example.com', password: 'Passw0rd!' });
+    suggestion = await userService.saveSuggestion(user.id, 40, [{ goal: 'sleep', weight: 1 }], [{ slug: 'deep-rest-peptide' }]);
+  });
+
+  afterAll(() => database.close());
+
+  test('saves overlapping posts and health profile saves without failing or losing writes', async () => {
+    const slugs = ['deep-rest-peptide', 'vitality-peptide', 'brain-boost-complex', 'tissue-repair-formula'];
+
+    const results = await Promise.all([
+      ...slugs.map((slug, i) => feedbackService.saveFeedback(user.id, suggestion.id, [{ slug, rating: i + 1, tried: true }])),
+      userService.setHealthProfile(user.id, { conditions: ['insomnia'] }),
+      userService.setHealthProfile(user.id, { conditions: ['anxiety'] })
+    ]);
+
+    results.slice(0, slugs.length).forEach((feedback, i) => {
+      expect(feedback).toContainEqual(expect.objectContaining({ slug: slugs[i], rating: i + 1, tried: true }));
+    });
+
+    const saved = (await feedbackService.getFeedbackForSuggestions([suggestion.id])).get(suggestion.id);
+    expect(saved.map(({ slug }) => slug).sort()).toEqual([...slugs].sort());
+  });
+
+  test('replaces earlier feedback on the same peptide', async () => {
+    await feedbackService.saveFeedback(user.id, suggestion.id, [{ slug: 'deep-rest-peptide', rating: 2, tried: false }]);
+    const feedback = await feedbackService.saveFeedback(user.id, suggestion.id, [{ slug: 'deep-rest-peptide', rating: 5, tried: true }]);
+
+    expect(feedback.filter(({ slug }) => slug === 'deep-rest-peptide')).toEqual([
+      expect.objectContaining({ rating: 5, tried: true })
+    ]);
+  });
+});
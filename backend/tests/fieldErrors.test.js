@@ -0,0 +1,126 @@
+const express = require('express');
+const Joi = require('joi');
+const request = require('supertest');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const interactionService = require('../src/services/interactionService');
+const userService = require('../src/services/userService');
+const authRouter = require('../src/routes/auth');
+const adminRouter = require('../src/routes/admin');
+const peptidesRouter = require('../src/routes/peptides');
+const suggestionsRouter = require('../src/routes/suggestions');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+const { ValidationError } = require('../src/utils/errors');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/auth', authRouter);
+app.use('/v1/admin', adminRouter);
+app.use('/v1/peptides', peptidesRouter);
+app.use('/v1/suggestions', suggestionsRouter);
+app.use(globalErrorHandler);
+
+describe('ValidationError.fromJoi', () => {
+  const schema = Joi.object({
+    name: Joi.string().min(3).pattern(/^[a-z]+$/),
+    items: Joi.array().items(Joi.object({ slug: Joi.string().required() })),
+    a: Joi.string(),
+    b: Joi.string()
+  }).xor('a', 'b');
+
+  test('keys every message by its dotted field path, first problem first', () => {
+    const { error } = schema.validate({ name: 'A', items: [{ slug: 'x' }, {}], a: 'x' }, { abortEarly: false });
+    const validationError = ValidationError.fromJoi(error);
+
+    expect(validationError).toMatchObject({ code: 'VALIDATION_ERROR', statusCode: 400, field: 'name' });
+    expect(validationError.message).toBe(validationError.fields.name[0]);
+    expect(Object.keys(validationError.fields)).toEqual(['name', 'items.1.slug']);
+    expect(validationError.fields.name).toHaveLength(2);
+  });
+
+  test('files errors about the whole object under the first key they name, or the fallback', () => {
+    const both = schema.validate({ a: 'x', b: 'y' }).error;
+    expect(Object.keys(ValidationError.fromJoi(both).fields)).toEqual(['a']);
+
+    const notAnObject = schema.validate('text').error;
+    expect(Object.keys(ValidationError.fromJoi(notAnObject, 'query').fields)).toEqual(['query']);
+  });
+});
+
+describe('field errors from the API', () => {
+  let admin;
+
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+    await interactionService.initialize();
+
+    await request(app)
+      .post('/v1/auth/register')
+      .send({ email: 'fields-admin@example.com', password: 'Passw0rd!', firstName: 'Ava', lastName: 'Lund' });
+    await userService.setRole('fields-admin@example.com', 'admin');
+    admin = (await request(app)
+      .post('/v1/auth/login')
+      .send({ email: 'fields-admin@example.com', password: 'Passw0rd!' })).body.data.token;
+  });
+
+  afterAll(() => database.close());
+
+  const expectFields = (response, fields) => {
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({ code: 'VALIDATION_ERROR', field: Object.keys(fields)[0], fields });
+    expect(response.body.error.message).toBe(Object.values(fields)[0][0]);
+  };
+
+  test('registration reports every problem against the form input it belongs to', async () => {
+    const response = await request(app)
+      .post('/v1/auth/register')
+      .send({ email: 'not-an-email', password: 'short', firstName: '  ', lastName: 'x'.repeat(51) });
+
+    expectFields(response, {
+      email: ['Please provide a valid email address'],
+      password: [
+        'Password must be at least 8 characters long',
+        'Password must contain at least one uppercase letter, one lowercase letter, and one number'
+      ],
+      firstName: ['First name cannot be empty'],
+      lastName: ['Last name cannot exceed 50 characters']
+    });
+  });
+
+  test('login reports both missing fields', async () => {
+    const response = await request(app).post('/v1/auth/login').send({});
+
+    expectFields(response, { email: ['Email is required'], password: ['Password is required'] });
+  });
+
+  test('suggestions name nested goal fields and file the one-of rule under healthGoal', async () => {
+    const nested = await request(app)
+      .post('/v1/suggestions')
+      .send({ age: 40, healthGoals: ['sleep', { goal: 'sleep', weight: 'heavy' }] });
+    expectFields(nested, { 'healthGoals.1.weight': ['Goal weight must be a number'] });
+
+    const both = await request(app)
+      .post('/v1/suggestions')
+      .send({ age: 12, healthGoal: 'sleep', healthGoals: ['sleep'] });
+    expectFields(both, {
+      age: ['Age must be at least 18'],
+      healthGoal: ['Provide either healthGoal or healthGoals, not both']
+    });
+  });
+
+  test('query strings and admin bodies go through the same validator', async () => {
+    const search = await request(app).get('/v1/peptides?limit=0&offset=-1');
+    expectFields(search, { limit: ['Limit must be at least 1'], offset: ['Offset cannot be negative'] });
+
+    const peptide = await request(app)
+      .post('/v1/admin/peptides')
+      .set('Authorization', `Bearer ${admin}`)
+      .send({ slug: 'Bad Slug' });
+    expectFields(peptide, {
+      slug: ['Slug must be lowercase letters, numbers and single hyphens'],
+      name: ['Name is required'],
+      description: ['Description is required']
+    });
+  });
+});
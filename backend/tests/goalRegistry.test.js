@@ -0,0 +1,108 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const interactionService = require('../src/services/interactionService');
+const userService = require('../src/services/userService');
+const authRouter = require('../src/routes/auth');
+const adminRouter = require('../src/routes/admin');
+const peptidesRouter = require('../src/routes/peptides');
+const suggestionsRouter = require('../src/routes/suggestions');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/auth', authRouter);
+app.use('/v1/admin', adminRouter);
+app.use('/v1/peptides', peptidesRouter);
+app.use('/v1/suggestions', suggestionsRouter);
+app.use(globalErrorHandler);
+
+describe('goal registry', () => {
+  let admin;
+
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+    await interactionService.initialize();
+
+    await request(app)
+      .post('/v1/auth/register')
+      .send({ email: 'goals-admin@example.com', password: 'Passw0rd!', firstName: 'Ines', lastName: 'Roy' });
+    await userService.setRole('goals-admin@example.com', 'admin');
+    admin = (await request(app)
+      .post('/v1/auth/login')
+      .send({ email: 'goals-admin@example.com', password: 'Passw0rd!' })).body.data.token;
+  });
+
+  afterAll(() => database.close());
+
+  const asAdmin = req => req.set('Authorization', `Bearer ${admin}`);
+  const publish = () => asAdmin(request(app).post('/v1/admin/catalog/publish')).send({});
+  const goalValues = async () => (await request(app).get('/v1/suggestions/goals')).body.goals
+    .flatMap(goal => [goal.value, ...goal.subGoals.map(subGoal => subGoal.value)]);
+  const suggest = healthGoal => request(app).post('/v1/suggestions').send({ age: 40, healthGoal });
+
+  test('GET /v1/suggestions/goals serves top-level goals with their sub-goals', async () => {
+    const { body } = await request(app).get('/v1/suggestions/goals');
+    const { goals } = await catalogService.getCatalog();
+
+    expect(body.success).toBe(true);
+    expect(body.goals.map(goal => goal.value)).toEqual(goals.filter(goal => !goal.parentKey).map(goal => goal.key));
+
+    const sleep = body.goals.find(goal => goal.value === 'sleep');
+    expect(sleep).toEqual({
+      value: 'sleep',
+      label: expect.any(String),
+      description: expect.anything(),
+      icon: expect.anything(),
+      subGoals: goals.filter(goal => goal.parentKey === 'sleep').map(goal => expect.objectContaining({ value: goal.key }))
+    });
+  });
+
+  test('validation accepts exactly the goals the registry serves', async () => {
+    const values = await goalValues();
+
+    for (const value of values) {
+      expect((await suggest(value)).status).toBe(200);
+    }
+
+    const unknown = await suggest('flying');
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error.fields.healthGoal).toEqual([`Health goal must be one of: ${values.join(', ')}`]);
+  });
+
+  test('a goal an admin adds is accepted everywhere once published, not before', async () => {
+    const created = await asAdmin(request(app).post('/v1/admin/goals'))
+      .send({ key: 'stress_relief', label: 'Stress Relief', icon: '🧘', parentKey: 'sleep' });
+    expect(created.status).toBe(201);
+
+    // Still the published registry, and the schemas built from it
+    expect(await goalValues()).not.toContain('stress_relief');
+    expect((await suggest('stress_relief')).status).toBe(400);
+
+    await publish();
+
+    expect(await goalValues()).toContain('stress_relief');
+    const sleep = (await request(app).get('/v1/suggestions/goals')).body.goals.find(goal => goal.value === 'sleep');
+    expect(sleep.subGoals).toContainEqual(expect.objectContaining({ value: 'stress_relief', label: 'Stress Relief' }));
+
+    const accepted = await suggest('stress_relief');
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.meta.goals).toEqual([{ goal: 'stress_relief', weight: 1 }]);
+    expect((await request(app).get('/v1/peptides?goal=stress_relief')).status).toBe(200);
+    expect((await request(app).post('/v1/suggestions/export/pdf')
+      .send({ age: 40, goal: 'stress_relief', suggestions: [{ name: 'A', description: 'B' }] })).status).toBe(200);
+  });
+
+  test('a retired goal is rejected once published', async () => {
+    expect((await asAdmin(request(app).delete('/v1/admin/goals/stress_relief'))).status).toBe(200);
+    expect((await suggest('stress_relief')).status).toBe(200);
+
+    await publish();
+
+    expect(await goalValues()).not.toContain('stress_relief');
+    expect((await suggest('stress_relief')).status).toBe(400);
+    expect((await request(app).get('/v1/peptides?goal=stress_relief')).status).toBe(400);
+  });
+});
@@ -0,0 +1,47 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const interactionService = require('../src/services/interactionService');
+const authRouter = require('../src/routes/auth');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/auth', authRouter);
+app.use(globalErrorHandler);
+
+describe('PUT /v1/auth/health-profile', () => {
+  let token;
+
+  beforeAll(async () => {
+    await database.initialize();
+    await interactionService.initialize();
+
+    const response = await request(app)
+      .post('/v1/auth/register')
+      .send({ email: 'profile@example.com', password: 'Passw0rd!', firstName: 'Pat', lastName: 'Lee' });
+    ({ token } = response.body.data);
+  });
+
+  afterAll(() => database.close());
+
+  test('saves concurrent updates without failing any of them', async () => {
+    const updates = Array.from({ length: 8 }, (_, i) => ({ conditions: [`condition ${i}`], medications: [`medication ${i}`] }));
+
+    const responses = await Promise.all(updates.map(update => request(app)
+      .put('/v1/auth/health-profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send(update)));
+
+    responses.forEach((response, i) => {
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject(updates[i]);
+    });
+
+    // Each save replaced the whole profile, so exactly one of them remains
+    const { body } = await request(app)
+      .get('/v1/auth/health-profile')
+      .set('Authorization', `Bearer ${token}`);
+    expect(updates).toContainEqual({ conditions: body.data.conditions, medications: body.data.medications });
+  });
+});
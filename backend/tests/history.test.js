@@ -0,0 +1,88 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const interactionService = require('../src/services/interactionService');
+const userService = require('../src/services/userService');
+const authRouter = require('../src/routes/auth');
+const suggestionsRouter = require('../src/routes/suggestions');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/auth', authRouter);
+app.use('/v1/suggestions', suggestionsRouter);
+app.use(globalErrorHandler);
+
+describe('suggestion history and replay', () => {
+  let token;
+  let userId;
+
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+    await interactionService.initialize();
+
+    const response = await request(app)
+      .post('/v1/auth/register')
+      .send({ email: 'history@example.com', password: 'Passw0rd!', firstName: 'Hana', lastName: 'Ito' });
+    token = response.body.data.token;
+    userId = response.body.data.user.id;
+  });
+
+  afterAll(() => database.close());
+
+  const ask = body => request(app).post('/v1/suggestions').set('Authorization', `Bearer ${token}`).send(body);
+  const history = () => request(app).get('/v1/auth/suggestions').set('Authorization', `Bearer ${token}`);
+
+  test('lists requests made in the same second newest first', async () => {
+    const first = await userService.saveSuggestion(userId, 40, [{ goal: 'sleep', weight: 1 }], []);
+    const second = await userService.saveSuggestion(userId, 41, [{ goal: 'sleep', weight: 1 }], []);
+    await database.run("UPDATE user_suggestions SET createdAt = '2026-01-01 12:00:00' WHERE id IN (?, ?)", [first.id, second.id]);
+
+    const { body } = await history();
+
+    expect(body.data.suggestions.map(entry => entry.id)).toEqual([second.id, first.id]);
+    await database.run('DELETE FROM user_suggestions WHERE id IN (?, ?)', [first.id, second.id]);
+  });
+
+  test('replay keeps the answer and version saved then and compares it with the latest publish', async () => {
+    const { version: original } = await catalogService.getCatalog();
+    await ask({ age: 40, healthGoal: 'sleep' });
+    const [entry] = (await history()).body.data.suggestions;
+    expect(entry.catalogVersion).toBe(original);
+
+    // The request was made an hour before the next publish
+    await database.run("UPDATE catalog_versions SET publishedAt = datetime('now', '-2 hours') WHERE version = ?", [original]);
+    await database.run("UPDATE user_suggestions SET createdAt = datetime('now', '-1 hour') WHERE id = ?", [entry.id]);
+
+    const [retired] = entry.suggestions;
+    await catalogService.retirePeptide(await catalogService.findPeptideIdBySlug(retired.slug));
+    const { version: latest } = await catalogService.publish({ notes: 'retire a sleep peptide' });
+    expect(latest).toBeGreaterThan(original);
+
+    const { body } = await request(app)
+      .get(`/v1/auth/suggestions/${entry.id}/replay`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(body.data.original).toMatchObject({ catalogVersion: original, engineVersion: entry.engineVersion });
+    expect(body.data.original.suggestions).toEqual(entry.suggestions);
+    expect(body.data.current.catalogVersion).toBe(latest);
+    expect(body.data.current.suggestions.map(suggestion => suggestion.slug)).not.toContain(retired.slug);
+    expect(body.data.changes.removed).toContain(retired.slug);
+
+    // The version served when the request was made is the one it recorded
+    const { createdAt } = (await history()).body.data.suggestions[0];
+    const servedThen = await catalogService.getVersionAt(`${createdAt.replace(' ', 'T')}Z`);
+    expect(servedThen.version).toBe(original);
+    expect((await catalogService.getVersion(original)).peptides.map(peptide => peptide.slug)).toContain(retired.slug);
+    expect((await catalogService.getVersionAt(new Date())).version).toBe(latest);
+  });
+
+  test('replay of a missing entry is not found', async () => {
+    const response = await request(app).get('/v1/auth/suggestions/999999/replay').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('SUGGESTION_NOT_FOUND');
+  });
+});
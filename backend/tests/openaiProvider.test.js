@@ -0,0 +1,191 @@
+const OpenAI = require('openai');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const suggestionsService = require('../src/services/suggestionsService');
+const openaiProvider = require('../src/services/providers/openaiProvider');
+const ruleProvider = require('../src/services/providers/ruleProvider');
+
+const goals = [{ goal: 'sleep', weight: 1 }];
+
+// A chat completions response whose message is `content`
+const completion = content => new Response(JSON.stringify({
+  id: 'chatcmpl-test',
+  object: 'chat.completion',
+  created: 0,
+  model: 'test-model',
+  choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }
+}), { status: 200, headers: { 'Content-Type': 'application/json' } });
+
+// A streamed chat completions response; `push` sends the next piece of content and `end` finishes it
+const streamed = () => {
+  let controller;
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({ start: (c) => { controller = c; } });
+  const event = data => controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
+
+  return {
+    response: new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } }),
+    push: content => event({
+      id: 'chatcmpl-test',
+      object: 'chat.completion.chunk',
+      created: 0,
+      model: 'test-model',
+      choices: [{ index: 0, delta: { content }, finish_reason: null }]
+    }),
+    end: () => {
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+      controller.close();
+    }
+  };
+};
+
+// Resolves once `check` passes, polling between event loop turns
+const until = async (check) => {
+  while (!check()) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+// A request that only ends when the client gives up on it
+const hang = (url, init) => new Promise((resolve, reject) => {
+  init.signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted', 'AbortError')));
+});
+
+describe('openai provider', () => {
+  let fetch;
+  let ruleSlugs;
+
+  beforeAll(async () => {
+    process.env.SUGGESTIONS_PROVIDER = 'openai';
+    process.env.LLM_API_KEY = 'test-key';
+    process.env.LLM_MODEL = 'test-model';
+
+    await database.initialize();
+    await catalogService.initialize();
+
+    const candidates = await ruleProvider.generate({ age: 40, goals, isAuthenticated: true, userHistory: [], profile: {}, experiments: [] });
+    ruleSlugs = candidates.map(({ slug }) => slug);
+  });
+
+  beforeEach(() => {
+    fetch = jest.fn();
+    jest.spyOn(openaiProvider, 'getClient').mockReturnValue(
+      new OpenAI({ apiKey: 'test-key', timeout: 50, maxRetries: 0, fetch })
+    );
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => {
+    delete process.env.SUGGESTIONS_PROVIDER;
+    delete process.env.LLM_API_KEY;
+    delete process.env.LLM_MODEL;
+    return database.close();
+  });
+
+  const generate = () => suggestionsService.generateSuggestions(40, goals, true);
+
+  test('uses the model ranking and copy when the output is valid', async () => {
+    const ranked = [...ruleSlugs].reverse();
+    fetch.mockResolvedValue(completion(JSON.stringify({
+      suggestions: ranked.map(slug => ({ slug, description: `Model copy for ${slug}`, rationale: 'Fits the goal' }))
+    })));
+
+    const result = await generate();
+
+    expect(result).toMatchObject({ provider: 'openai', fallbackFrom: null, engineVersion: expect.stringContaining('openai:test-model') });
+    expect(result.suggestions.map(({ slug }) => slug)).toEqual(ranked);
+    expect(result.suggestions[0].description).toBe(`Model copy for ${ranked[0]}`);
+    expect(result.suggestions[0].reasons).toContainEqual({ type: 'model', model: 'test-model', rationale: 'Fits the goal' });
+
+    // Only the rule provider's eligible peptides are offered to the model
+    const [, init] = fetch.mock.calls[0];
+    const prompt = JSON.parse(JSON.parse(init.body).messages[1].content);
+    expect(prompt.candidates.map(({ slug }) => slug)).toEqual(ruleSlugs);
+  });
+
+  test('falls back to the rule provider when the model times out', async () => {
+    fetch.mockImplementation(hang);
+
+    const result = await generate();
+
+    expect(result).toMatchObject({ provider: 'rules', fallbackFrom: 'openai' });
+    expect(result.suggestions.map(({ slug }) => slug)).toEqual(ruleSlugs);
+  });
+
+  test('falls back to the rule provider when the output is not JSON', async () => {
+    fetch.mockResolvedValue(completion('Here are my suggestions: deep-rest-peptide'));
+
+    const result = await generate();
+
+    expect(result).toMatchObject({ provider: 'rules', fallbackFrom: 'openai' });
+    expect(result.suggestions.map(({ slug }) => slug)).toEqual(ruleSlugs);
+  });
+
+  test.each([
+    ['names a peptide that was not a candidate', { suggestions: [{ slug: 'made-up-peptide' }] }],
+    ['lists no suggestions', { suggestions: [] }],
+    ['repeats a peptide', () => ({ suggestions: [{ slug: ruleSlugs[0] }, { slug: ruleSlugs[0] }] })],
+    ['has the wrong shape', { peptides: ['deep-rest-peptide'] }]
+  ])('falls back to the rule provider when the output %s', async (label, output) => {
+    fetch.mockResolvedValue(completion(JSON.stringify(typeof output === 'function' ? output() : output)));
+
+    const result = await generate();
+
+    expect(result).toMatchObject({ provider: 'rules', fallbackFrom: 'openai' });
+  });
+
+  test('falls back to the rule provider when the API answers with an error', async () => {
+    fetch.mockResolvedValue(new Response(JSON.stringify({ error: { message: 'Server error' } }), { status: 500 }));
+
+    const result = await generate();
+
+    expect(result).toMatchObject({ provider: 'rules', fallbackFrom: 'openai' });
+  });
+
+  test('hands over each suggestion while the model is still writing the rest', async () => {
+    const ranked = [...ruleSlugs].reverse();
+    const items = ranked.map(slug => JSON.stringify({ slug, description: `Model copy for ${slug}`, rationale: 'Fits' }));
+    const stream = streamed();
+    fetch.mockResolvedValue(stream.response);
+
+    const received = [];
+    const result = suggestionsService.generateSuggestions(40, goals, true, [], {}, [], {
+      onSuggestion: suggestion => received.push(suggestion)
+    });
+
+    // The first item arrives split over two chunks, the rest has not been written yet
+    stream.push(`{"suggestions": [${items[0].slice(0, 10)}`);
+    stream.push(`${items[0].slice(10)}, ${items[1].slice(0, 5)}`);
+    await until(() => received.length === 1);
+    expect(received[0]).toMatchObject({ slug: ranked[0], description: `Model copy for ${ranked[0]}`, evidence: expect.any(Object) });
+
+    stream.push(`${items[1].slice(5)}, ${items.slice(2).join(', ')}]}`);
+    stream.end();
+
+    const { suggestions, provider } = await result;
+    expect(provider).toBe('openai');
+    expect(received.map(({ slug }) => slug)).toEqual(ranked);
+    expect(suggestions.map(({ slug }) => slug)).toEqual(ranked);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({ stream: true });
+  });
+
+  test('tells listeners when a failed stream is replaced by the fallback', async () => {
+    const stream = streamed();
+    fetch.mockResolvedValue(stream.response);
+
+    const events = [];
+    const result = suggestionsService.generateSuggestions(40, goals, true, [], {}, [], {
+      onSuggestion: ({ slug }) => events.push(slug),
+      onFallback: provider => events.push(`fallback:${provider}`)
+    });
+
+    stream.push(`{"suggestions": [{"slug": "${ruleSlugs[0]}"}, {"slug": "made-up`);
+    stream.push('-peptide"}]}');
+    stream.end();
+
+    expect(await result).toMatchObject({ provider: 'rules', fallbackFrom: 'openai' });
+    expect(events).toEqual([ruleSlugs[0], 'fallback:openai', ...ruleSlugs]);
+  });
+});
@@ -0,0 +1,161 @@
+const express = require('express');
+const Joi = require('joi');
+const request = require('supertest');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const authRouter = require('../src/routes/auth');
+const suggestionsRouter = require('../src/routes/suggestions');
+const peptidesRouter = require('../src/routes/peptides');
+const adminRouter = require('../src/routes/admin');
+const operations = require('../src/openapi/operations');
+const { buildSpec, checkRoutes } = require('../src/openapi');
+const { joiToSchema, joiToParameters } = require('../src/openapi/joiToSchema');
+const { getGoalSchemas } = require('../src/middleware/validation');
+const { ERROR_CODES } = require('../src/utils/errors');
+
+// Mounted as in server.js
+const routers = {
+  '/auth': authRouter,
+  '/suggestions': suggestionsRouter,
+  '/peptides': peptidesRouter,
+  '/admin': adminRouter
+};
+
+const app = express();
+app.get('/openapi.json', async (req, res) => res.json(await buildSpec()));
+['/health', '/analytics', '/api-docs'].forEach(path => app.get(path, (req, res) => res.end()));
+
+const resolve = async schema => (typeof schema === 'function' ? schema() : schema);
+const pathOf = operation => `${operation.unversioned ? '' : '/v1'}${operation.path}`.replace(/:(\w+)/g, '{$1}');
+
+describe('GET /openapi.json', () => {
+  let spec;
+
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+    spec = (await request(app).get('/openapi.json')).body;
+  });
+
+  afterAll(() => database.close());
+
+  test('documents every operation, and every operation has a handler', () => {
+    expect(spec.openapi).toBe('3.0.3');
+    operations.forEach(operation => expect(spec.paths[pathOf(operation)]).toHaveProperty(operation.method));
+
+    const { missing, unknownCodes } = checkRoutes(app, routers);
+    expect(missing).toEqual([]);
+    expect(unknownCodes).toEqual([]);
+  });
+
+  test('request bodies and query parameters are the routes\' Joi schemas', async () => {
+    for (const operation of operations) {
+      const documented = spec.paths[pathOf(operation)][operation.method];
+      const body = await resolve(operation.body);
+      const query = await resolve(operation.query);
+
+      if (body) {
+        expect(documented.requestBody.content['application/json'].schema).toEqual(joiToSchema(body));
+      } else {
+        expect(documented).not.toHaveProperty('requestBody');
+      }
+      expect(documented.parameters.filter(parameter => parameter.in === 'query'))
+        .toEqual(query ? joiToParameters(query, 'query') : []);
+    }
+  });
+
+  test('the register and suggestions bodies carry the rules Joi enforces', async () => {
+    const register = spec.paths['/v1/auth/register'].post.requestBody.content['application/json'].schema;
+    expect(register.required).toEqual(expect.arrayContaining(['email', 'password']));
+    expect(register.properties.email).toMatchObject({ type: 'string', format: 'email' });
+
+    const suggestions = spec.paths['/v1/suggestions'].post.requestBody.content['application/json'].schema;
+    const { goals } = await catalogService.getCatalog();
+    expect(suggestions.properties.age).toMatchObject({ type: 'integer', minimum: 18, maximum: 120 });
+    expect(suggestions.properties.healthGoal.enum).toEqual(goals.map(goal => goal.key));
+    expect(suggestions.properties.healthGoals).toMatchObject({ type: 'array', minItems: 1, maxItems: goals.length, uniqueItems: true });
+    expect(suggestions.required).toEqual(['age']);
+    expect(suggestions.additionalProperties).toBe(false);
+
+    // The same schema the route validates with
+    expect(suggestions).toEqual(joiToSchema((await getGoalSchemas()).suggestions));
+  });
+
+  test('goal enums follow the published catalog', async () => {
+    await catalogService.createGoal({ key: 'openapi_goal', label: 'OpenAPI Goal' });
+    await catalogService.publish({ notes: 'openapi test' });
+
+    const { body } = await request(app).get('/openapi.json');
+    const suggestions = body.paths['/v1/suggestions'].post.requestBody.content['application/json'].schema;
+    const goalParameter = body.paths['/v1/peptides'].get.parameters.find(parameter => parameter.name === 'goal');
+
+    expect(suggestions.properties.healthGoal.enum).toContain('openapi_goal');
+    expect(goalParameter.schema.enum).toContain('openapi_goal');
+  });
+
+  test('each error response lists the codes with that status in the error catalog', () => {
+    Object.values(spec.paths).flatMap(Object.values).forEach(operation => {
+      Object.entries(operation.responses)
+        .filter(([status]) => Number(status) >= 400)
+        .forEach(([status, response]) => {
+          const codes = response.content['application/json'].schema.allOf[1].properties.error.properties.code.enum;
+          codes.forEach(code => expect(ERROR_CODES[code].status).toBe(Number(status)));
+        });
+    });
+  });
+
+  test('authenticated operations declare the bearer scheme and token errors', () => {
+    const profile = spec.paths['/v1/auth/profile'].get;
+    const login = spec.paths['/v1/auth/login'].post;
+
+    expect(profile.security).toEqual([{ bearerAuth: [] }]);
+    expect(profile.responses[401].description).toContain('TOKEN_MISSING');
+    expect(login).not.toHaveProperty('security');
+    expect(spec.paths['/v1/suggestions'].post.security).toEqual([{ bearerAuth: [] }, {}]);
+  });
+});
+
+describe('joiToSchema', () => {
+  test('converts types, limits, formats and nullability', () => {
+    expect(joiToSchema(Joi.object({
+      email: Joi.string().email().max(255).required(),
+      slug: Joi.string().pattern(/^[a-z-]+$/).min(2),
+      count: Joi.number().integer().min(1).max(10).default(5),
+      weight: Joi.number().positive(),
+      level: Joi.string().valid('A', 'B').allow(null),
+      at: Joi.date().iso(),
+      tags: Joi.array().items(Joi.string()).max(3).unique()
+    }))).toEqual({
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email', maxLength: 255 },
+        slug: { type: 'string', pattern: '^[a-z-]+$', minLength: 2 },
+        count: { type: 'integer', minimum: 1, maximum: 10, default: 5 },
+        weight: { type: 'number', minimum: 0, exclusiveMinimum: true },
+        level: { type: 'string', enum: ['A', 'B'], nullable: true },
+        at: { type: 'string', format: 'date-time' },
+        tags: { type: 'array', items: { type: 'string' }, maxItems: 3, uniqueItems: true }
+      },
+      required: ['email'],
+      additionalProperties: false
+    });
+  });
+
+  test('turns xor groups and alternatives into oneOf', () => {
+    const schema = joiToSchema(Joi.object({
+      one: Joi.string(),
+      many: Joi.array().items(Joi.alternatives().conditional(Joi.string(), {
+        then: Joi.string(),
+        otherwise: Joi.object({ goal: Joi.string().required() })
+      }))
+    }).xor('one', 'many'));
+
+    expect(schema.oneOf).toEqual([{ required: ['one'] }, { required: ['many'] }]);
+    expect(schema.properties.many.items).toEqual({
+      oneOf: [
+        { type: 'string' },
+        { type: 'object', properties: { goal: { type: 'string' } }, required: ['goal'], additionalProperties: false }
+      ]
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const interactionService = require('../src/services/interactionService');
+const authRouter = require('../src/routes/auth');
+const suggestionsRouter = require('../src/routes/suggestions');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/auth', authRouter);
+app.use('/v1/suggestions', suggestionsRouter);
+app.use(globalErrorHandler);
+
+// Read the response as bytes; jsPDF writes text uncompressed, so it can be searched as latin1
+const asPdf = req => req
+  .buffer(true)
+  .parse((res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks).toString('latin1')));
+  });
+
+const goalLabel = async key => (await catalogService.getCatalog()).goals.find(goal => goal.key === key).label;
+
+const register = async (email) => (await request(app)
+  .post('/v1/auth/register')
+  .send({ email, password: 'Passw0rd!', firstName: 'Pia', lastName: 'Nord' })).body.data.token;
+
+describe('PDF export', () => {
+  let token;
+
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+    await interactionService.initialize();
+    token = await register('pdf@example.com');
+  });
+
+  afterAll(() => database.close());
+
+  describe('POST /v1/suggestions/export/pdf', () => {
+    test('renders the suggestions a results view sends back', async () => {
+      const results = (await request(app).post('/v1/suggestions').send({ age: 40, healthGoals: ['sleep', 'recovery'] })).body;
+      const [first] = results.suggestions;
+
+      const response = await asPdf(request(app).post('/v1/suggestions/export/pdf').send({
+        age: 40,
+        goals: ['sleep', 'recovery'],
+        suggestions: results.suggestions,
+        warnings: [{ severity: 'caution', message: 'Check with your doctor first' }],
+        generatedAt: '2026-03-04T10:00:00.000Z'
+      }));
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="peptide-suggestions-2026-03-04.pdf"');
+      expect(response.body.startsWith('%PDF-')).toBe(true);
+      expect(Number(response.headers['content-length'])).toBe(response.body.length);
+
+      expect(response.body).toContain(`Health goals: ${await goalLabel('sleep')}, ${await goalLabel('recovery')}`);
+      expect(response.body).toContain('Age: 40');
+      expect(response.body).toContain(`1. ${first.name}`);
+      expect(response.body).toContain(`Dosage: ${first.dosage}`);
+      expect(response.body).toContain('CAUTION: Check with your doctor first');
+      expect(response.body).toContain('Disclaimer');
+    });
+
+    test('rejects a request without suggestions or with an unknown goal', async () => {
+      const empty = await request(app).post('/v1/suggestions/export/pdf').send({ age: 40, goal: 'sleep', suggestions: [] });
+      expect(empty.status).toBe(400);
+      expect(empty.body.error.fields).toEqual({ suggestions: ['At least one suggestion is required for PDF export'] });
+
+      const unknown = await request(app).post('/v1/suggestions/export/pdf').send({
+        age: 40,
+        goal: 'flying',
+        suggestions: [{ name: 'A', description: 'B' }]
+      });
+      expect(unknown.status).toBe(400);
+      expect(Object.keys(unknown.body.error.fields)).toEqual(['goal']);
+    });
+  });
+
+  describe('GET /v1/auth/suggestions/:id/pdf', () => {
+    let entry;
+
+    beforeAll(async () => {
+      await request(app).post('/v1/suggestions').set('Authorization', `Bearer ${token}`).send({ age: 52, healthGoal: 'sleep' });
+      [entry] = (await request(app).get('/v1/auth/suggestions').set('Authorization', `Bearer ${token}`)).body.data.suggestions;
+    });
+
+    test('renders a saved history entry, dated when it was made', async () => {
+      const response = await asPdf(request(app).get(`/v1/auth/suggestions/${entry.id}/pdf`).set('Authorization', `Bearer ${token}`));
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition'])
+        .toBe(`attachment; filename="peptide-suggestions-${entry.createdAt.slice(0, 10)}.pdf"`);
+      expect(response.body).toContain(`Health goal: ${await goalLabel('sleep')}`);
+      expect(response.body).toContain('Age: 52');
+      entry.suggestions.forEach((suggestion, index) => expect(response.body).toContain(`${index + 1}. ${suggestion.name}`));
+    });
+
+    test('needs a token and only serves the owner\'s entries', async () => {
+      const anonymous = await request(app).get(`/v1/auth/suggestions/${entry.id}/pdf`);
+      expect(anonymous.status).toBe(401);
+
+      const other = await request(app)
+        .get(`/v1/auth/suggestions/${entry.id}/pdf`)
+        .set('Authorization', `Bearer ${await register('pdf-other@example.com')}`);
+      expect(other.status).toBe(404);
+      expect(other.body.error.code).toBe('SUGGESTION_NOT_FOUND');
+    });
+  });
+});
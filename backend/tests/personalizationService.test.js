@@ -0,0 +1,112 @@
+const database = require('../src/config/database');
+const userService = require('../src/services/userService');
+const personalizationService = require('../src/services/personalizationService');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const goals = [{ goal: 'sleep', weight: 1 }];
+
+// A user_suggestions row as the history query returns it
+const visit = (daysAgo, slugs) => ({
+  createdAt: new Date(now - daysAgo * 24 * 60 * 60 * 1000).toISOString().slice(0, 19).replace('T', ' '),
+  healthGoals: goals,
+  suggestions: slugs.map(slug => ({ slug }))
+});
+
+const suggestion = (slug, score, extra = {}) => ({ slug, name: slug, score, goals: ['sleep'], reasons: [], ...extra });
+
+describe('personalizationService.personalize', () => {
+  test('counts protocol weeks from the first suggestion, not the oldest recent visit', () => {
+    const protocol = { durationWeeks: 12 };
+    const userHistory = [visit(1, ['deep-rest-peptide']), visit(2, ['deep-rest-peptide'])];
+    const firstSuggestedAt = new Map([['deep-rest-peptide', visit(30, []).createdAt]]);
+
+    const { suggestions } = personalizationService.personalize(
+      [suggestion('deep-rest-peptide', 1, { protocol })],
+      { goals, userHistory, firstSuggestedAt, now }
+    );
+
+    expect(suggestions[0].progress).toMatchObject({ week: 5, phase: 'on' });
+  });
+
+  test('falls back to the oldest recent visit without a first suggestion date', () => {
+    const { suggestions } = personalizationService.personalize(
+      [suggestion('deep-rest-peptide', 1, { protocol: { durationWeeks: 12 } })],
+      { goals, userHistory: [visit(1, ['deep-rest-peptide']), visit(8, ['deep-rest-peptide'])], now }
+    );
+
+    expect(suggestions[0].progress.week).toBe(2);
+  });
+
+  test('leaves out peptides suggested on each of the last three visits', () => {
+    const userHistory = [1, 2, 3].map(daysAgo => visit(daysAgo, ['deep-rest-peptide']));
+
+    const { suggestions, summary } = personalizationService.personalize(
+      [suggestion('deep-rest-peptide', 2), suggestion('circadian-balance-formula', 1)],
+      { goals, userHistory, now }
+    );
+
+    expect(suggestions.map(({ slug }) => slug)).toEqual(['circadian-balance-formula']);
+    expect(summary.rotatedOut).toEqual([{ slug: 'deep-rest-peptide', name: 'deep-rest-peptide' }]);
+  });
+
+  test('keeps peptides that skipped one of the last three visits, moved down', () => {
+    const userHistory = [visit(1, ['deep-rest-peptide']), visit(2, []), visit(3, ['deep-rest-peptide'])];
+
+    const { suggestions, summary } = personalizationService.personalize(
+      [suggestion('deep-rest-peptide', 2), suggestion('circadian-balance-formula', 1.4)],
+      { goals, userHistory, now }
+    );
+
+    expect(suggestions.map(({ slug }) => slug)).toEqual(['circadian-balance-formula', 'deep-rest-peptide']);
+    expect(summary.rotated).toEqual([{ slug: 'deep-rest-peptide', timesSuggested: 2 }]);
+    expect(summary.rotatedOut).toEqual([]);
+  });
+
+  test('keeps a peptide in the on weeks of its protocol', () => {
+    const userHistory = [1, 2, 3].map(daysAgo => visit(daysAgo, ['deep-rest-peptide']));
+
+    const { suggestions } = personalizationService.personalize(
+      [suggestion('deep-rest-peptide', 2, { protocol: { durationWeeks: 12 } }), suggestion('circadian-balance-formula', 1)],
+      { goals, userHistory, now }
+    );
+
+    expect(suggestions.map(({ slug }) => slug)).toEqual(['deep-rest-peptide', 'circadian-balance-formula']);
+  });
+
+  test('keeps everything when every peptide would be left out', () => {
+    const userHistory = [1, 2, 3].map(daysAgo => visit(daysAgo, ['deep-rest-peptide']));
+
+    const { suggestions, summary } = personalizationService.personalize(
+      [suggestion('deep-rest-peptide', 2)],
+      { goals, userHistory, now }
+    );
+
+    expect(suggestions.map(({ slug }) => slug)).toEqual(['deep-rest-peptide']);
+    expect(summary.rotatedOut).toEqual([]);
+  });
+});
+
+describe('userService.getFirstSuggestedAt', () => {
+  beforeAll(() => database.initialize());
+  afterAll(() => database.close());
+
+  test('finds the earliest suggestion of each peptide beyond the recent history', async () => {
+    const user = await userService.createUser({ email: 'history@example.com', password: 'Passw0rd!' });
+    const save = async (createdAt, slugs) => {
+      const { id } = await userService.saveSuggestion(user.id, 40, goals, slugs.map(slug => ({ slug })));
+      await database.run('UPDATE user_suggestions SET createdAt = ? WHERE id = ?', [createdAt, id]);
+    };
+
+    await save('2026-01-01 08:00:00', ['deep-rest-peptide']);
+    for (let day = 10; day < 20; day++) {
+      await save(`2026-10-${day} 08:00:00`, ['deep-rest-peptide', 'circadian-balance-formula']);
+    }
+
+    const firstSuggestedAt = await userService.getFirstSuggestedAt(user.id, ['deep-rest-peptide', 'circadian-balance-formula', 'vitality-peptide']);
+
+    expect(Object.fromEntries(firstSuggestedAt)).toEqual({
+      'deep-rest-peptide': '2026-01-01 08:00:00',
+      'circadian-balance-formula': '2026-10-10 08:00:00'
+    });
+  });
+});
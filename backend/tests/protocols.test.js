@@ -0,0 +1,147 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const interactionService = require('../src/services/interactionService');
+const userService = require('../src/services/userService');
+const { describeProtocol, getProtocolPhase } = require('../src/services/protocols');
+const authRouter = require('../src/routes/auth');
+const adminRouter = require('../src/routes/admin');
+const peptidesRouter = require('../src/routes/peptides');
+const suggestionsRouter = require('../src/routes/suggestions');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/auth', authRouter);
+app.use('/v1/admin', adminRouter);
+app.use('/v1/peptides', peptidesRouter);
+app.use('/v1/suggestions', suggestionsRouter);
+app.use(globalErrorHandler);
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const protocol = (fields = {}) => ({
+  amount: 250,
+  unit: 'mcg',
+  frequency: 'daily',
+  timeOfDay: ['morning'],
+  cycleOnWeeks: null,
+  cycleOffWeeks: null,
+  durationWeeks: null,
+  notes: null,
+  ...fields
+});
+
+describe('describeProtocol', () => {
+  test.each([
+    ['a single dose', protocol(), { dosage: '250 mcg once daily', timing: 'Morning' }],
+    ['countable units and several times', protocol({ amount: 2, unit: 'capsule', frequency: 'twice_daily', timeOfDay: ['morning', 'with_meals', 'bedtime'] }),
+      { dosage: '2 capsules twice daily', timing: 'Morning, with meals and bedtime' }],
+    ['no time of day', protocol({ amount: 1, unit: 'tablet', timeOfDay: [] }), { dosage: '1 tablet once daily', timing: undefined }],
+    ['an on/off cycle and duration', protocol({ cycleOnWeeks: 8, cycleOffWeeks: 4, durationWeeks: 24 }),
+      { dosage: '250 mcg once daily', timing: 'Morning; 8 weeks on, 4 weeks off; 24 weeks total' }],
+    ['an on-only cycle of one week', protocol({ timeOfDay: ['post_workout'], cycleOnWeeks: 1, durationWeeks: 1 }),
+      { dosage: '250 mcg once daily', timing: 'After workouts; 1 week on; 1 week total' }],
+    ['no protocol', null, { dosage: undefined, timing: undefined }]
+  ])('describes %s', (name, input, expected) => {
+    expect(describeProtocol(input)).toEqual(expected);
+  });
+});
+
+describe('getProtocolPhase', () => {
+  const startedAt = new Date('2026-01-01T00:00:00Z');
+  const weekOf = week => new Date(startedAt.getTime() + (week - 1) * WEEK_MS + 1000);
+  const cycled = protocol({ cycleOnWeeks: 2, cycleOffWeeks: 1, durationWeeks: 6 });
+
+  test('counts weeks from the start and follows the on/off cycle', () => {
+    expect([1, 2, 3, 4, 5, 6].map(week => getProtocolPhase(cycled, startedAt, weekOf(week))))
+      .toEqual([
+        { week: 1, phase: 'on' },
+        { week: 2, phase: 'on' },
+        { week: 3, phase: 'off' },
+        { week: 4, phase: 'on' },
+        { week: 5, phase: 'on' },
+        { week: 6, phase: 'off' }
+      ]);
+  });
+
+  test('is complete after the duration and always on without a cycle', () => {
+    expect(getProtocolPhase(cycled, startedAt, weekOf(7))).toEqual({ week: 7, phase: 'complete' });
+    expect(getProtocolPhase(protocol(), startedAt, weekOf(40))).toEqual({ week: 40, phase: 'on' });
+    expect(getProtocolPhase(protocol(), startedAt, new Date(startedAt.getTime() - WEEK_MS))).toEqual({ week: 1, phase: 'on' });
+  });
+});
+
+describe('protocols in the API', () => {
+  let admin;
+  let peptide;
+
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+    await interactionService.initialize();
+
+    await request(app)
+      .post('/v1/auth/register')
+      .send({ email: 'protocols@example.com', password: 'Passw0rd!', firstName: 'Ada', lastName: 'Min' });
+    await userService.setRole('protocols@example.com', 'admin');
+    admin = (await request(app)
+      .post('/v1/auth/login')
+      .send({ email: 'protocols@example.com', password: 'Passw0rd!' })).body.data.token;
+
+    peptide = (await catalogService.getCatalog()).peptides.find(entry => entry.slug === 'deep-rest-peptide');
+  });
+
+  afterAll(() => database.close());
+
+  const updateProtocol = body => request(app)
+    .put(`/v1/admin/peptides/${peptide.id}`)
+    .set('Authorization', `Bearer ${admin}`)
+    .send({ protocol: body });
+  const publish = () => request(app).post('/v1/admin/catalog/publish').set('Authorization', `Bearer ${admin}`).send({});
+  const suggestion = async () => (await request(app).post('/v1/suggestions').send({ age: 40, healthGoal: 'sleep' }))
+    .body.suggestions.find(entry => entry.slug === 'deep-rest-peptide');
+
+  test('suggestions and the catalog serve the published schedule with its summary', async () => {
+    const schedule = protocol({ amount: 2, unit: 'capsule', timeOfDay: ['bedtime'], cycleOnWeeks: 5, cycleOffWeeks: 1, durationWeeks: 18, notes: 'With water' });
+    expect((await updateProtocol(schedule)).status).toBe(200);
+
+    // Unpublished edits don't reach users
+    expect((await suggestion()).protocol).not.toEqual(schedule);
+
+    await publish();
+
+    expect(await suggestion()).toMatchObject({
+      protocol: schedule,
+      dosage: '2 capsules once daily',
+      timing: 'Bedtime; 5 weeks on, 1 week off; 18 weeks total'
+    });
+    const { body } = await request(app).get('/v1/peptides/deep-rest-peptide');
+    expect(body.data.peptide.protocol).toEqual(schedule);
+  });
+
+  test('a peptide without a protocol has no schedule or dosage', async () => {
+    await updateProtocol(null);
+    await publish();
+
+    const result = await suggestion();
+    expect(result.protocol).toBeNull();
+    expect(result).not.toHaveProperty('dosage');
+    expect(result).not.toHaveProperty('timing');
+  });
+
+  test('rejects an invalid schedule field by field', async () => {
+    const response = await updateProtocol({ amount: 0, unit: 'spoon', frequency: 'hourly', timeOfDay: ['noon'], cycleOnWeeks: 0 });
+
+    expect(response.status).toBe(400);
+    expect(Object.keys(response.body.error.fields).sort()).toEqual([
+      'protocol.amount',
+      'protocol.cycleOnWeeks',
+      'protocol.frequency',
+      'protocol.timeOfDay.0',
+      'protocol.unit'
+    ]);
+    expect(response.body.error.fields['protocol.unit'][0]).toMatch(/^Protocol unit must be one of: mcg/);
+  });
+});
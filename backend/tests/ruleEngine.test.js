@@ -0,0 +1,249 @@
+const {
+  matchesConditions,
+  sortRules,
+  rulesFromDescriptionVariants,
+  evaluateRules
+} = require('../src/services/ruleEngine');
+
+const context = {
+  age: 45,
+  goals: ['sleep', 'energy'],
+  isAuthenticated: true,
+  profile: { role: 'user', conditions: ['insomnia', 'asthma'] }
+};
+
+const peptide = (slug, extra = {}) => ({ slug, name: slug, description: `${slug} description`, ...extra });
+
+const peptides = [peptide('deep-rest-peptide'), peptide('vitality-peptide'), peptide('tissue-repair-formula')];
+
+// Goal-matched candidates as the rule provider builds them
+const candidatesFor = (...entries) => new Map(entries.map(([slug, score]) => [slug, {
+  peptide: peptides.find(candidate => candidate.slug === slug),
+  goals: ['sleep'],
+  score
+}]));
+
+const rule = (id, peptideSlug, effect, extra = {}) => ({ id, name: `rule ${id}`, peptide: peptideSlug, effect, ...extra });
+
+describe('matchesConditions', () => {
+  test('matches when there are no conditions', () => {
+    expect(matchesConditions(undefined, context)).toBe(true);
+    expect(matchesConditions({}, context)).toBe(true);
+  });
+
+  test('treats age bounds as inclusive', () => {
+    expect(matchesConditions({ minAge: 45, maxAge: 45 }, context)).toBe(true);
+    expect(matchesConditions({ minAge: 46 }, context)).toBe(false);
+    expect(matchesConditions({ maxAge: 44 }, context)).toBe(false);
+    expect(matchesConditions({ minAge: null, maxAge: null }, context)).toBe(true);
+  });
+
+  test('matches any requested goal', () => {
+    expect(matchesConditions({ goals: ['energy', 'focus'] }, context)).toBe(true);
+    expect(matchesConditions({ goals: ['focus'] }, context)).toBe(false);
+    expect(matchesConditions({ goals: [] }, context)).toBe(true);
+  });
+
+  test('checks whether the requester is signed in', () => {
+    expect(matchesConditions({ authenticated: true }, context)).toBe(true);
+    expect(matchesConditions({ authenticated: false }, context)).toBe(false);
+    expect(matchesConditions({ authenticated: false }, { ...context, isAuthenticated: false })).toBe(true);
+  });
+
+  test('matches profile fields against a value or any of a list', () => {
+    expect(matchesConditions({ profile: { role: 'user' } }, context)).toBe(true);
+    expect(matchesConditions({ profile: { role: ['admin', 'user'] } }, context)).toBe(true);
+    expect(matchesConditions({ profile: { conditions: 'asthma' } }, context)).toBe(true);
+    expect(matchesConditions({ profile: { conditions: ['diabetes'] } }, context)).toBe(false);
+    expect(matchesConditions({ profile: { role: 'user', conditions: 'diabetes' } }, context)).toBe(false);
+    expect(matchesConditions({ profile: { role: 'user' } }, { ...context, profile: undefined })).toBe(false);
+  });
+
+  test('requires every present condition to hold', () => {
+    expect(matchesConditions({ minAge: 40, goals: ['sleep'], authenticated: true, profile: { role: 'user' } }, context)).toBe(true);
+    expect(matchesConditions({ minAge: 40, goals: ['focus'], authenticated: true }, context)).toBe(false);
+  });
+});
+
+describe('sortRules', () => {
+  test('orders by ascending priority, then numerically by id', () => {
+    const rules = [
+      { id: 'rule:10', priority: 5 },
+      { id: 'rule:2', priority: 5 },
+      { id: 'rule:7', priority: 1 },
+      { id: 'rule:1' }
+    ];
+
+    expect(sortRules(rules).map(({ id }) => id)).toEqual(['rule:1', 'rule:7', 'rule:2', 'rule:10']);
+  });
+
+  test('does not change the input order', () => {
+    const rules = [{ id: 'b', priority: 2 }, { id: 'a', priority: 1 }];
+    sortRules(rules);
+    expect(rules.map(({ id }) => id)).toEqual(['b', 'a']);
+  });
+});
+
+describe('rulesFromDescriptionVariants', () => {
+  test('turns description variants into variant rules', () => {
+    const rules = rulesFromDescriptionVariants(peptide('deep-rest-peptide', {
+      descriptionVariants: [{ id: 3, minAge: 50, maxAge: null, authenticatedOnly: 1, priority: 10, description: 'For over 50s' }]
+    }));
+
+    expect(rules).toEqual([{
+      id: 'variant:3',
+      name: 'deep-rest-peptide description variant',
+      peptide: 'deep-rest-peptide',
+      priority: 10,
+      conditions: { minAge: 50, maxAge: null, authenticated: true },
+      effect: { type: 'variant', description: 'For over 50s' }
+    }]);
+  });
+});
+
+describe('evaluateRules', () => {
+  const scores = ({ candidates }) => Object.fromEntries(candidates.map(({ peptide: { slug }, score }) => [slug, score]));
+
+  test('leaves candidates alone when no rule matches', () => {
+    const result = evaluateRules(
+      [rule('rule:1', 'deep-rest-peptide', { type: 'boost', amount: 1 }, { conditions: { maxAge: 30 } })],
+      candidatesFor(['deep-rest-peptide', 1]),
+      context,
+      peptides
+    );
+
+    expect(scores(result)).toEqual({ 'deep-rest-peptide': 1 });
+    expect(result.candidates[0].description).toBe('deep-rest-peptide description');
+    expect(result.applied).toEqual([]);
+  });
+
+  test('include adds a peptide scored by its amount, or the default', () => {
+    const result = evaluateRules(
+      [
+        rule('rule:1', 'vitality-peptide', { type: 'include', amount: 0.6 }),
+        rule('rule:2', 'tissue-repair-formula', { type: 'include' }),
+        rule('rule:3', 'unknown-peptide', { type: 'include', amount: 1 })
+      ],
+      candidatesFor(['deep-rest-peptide', 1]),
+      context,
+      peptides
+    );
+
+    expect(scores(result)).toEqual({ 'deep-rest-peptide': 1, 'vitality-peptide': 0.6, 'tissue-repair-formula': 0.1 });
+    expect(result.applied.map(({ id }) => id)).toEqual(['rule:1', 'rule:2']);
+  });
+
+  test('include does not change a peptide that is already a candidate', () => {
+    const result = evaluateRules(
+      [rule('rule:1', 'deep-rest-peptide', { type: 'include', amount: 5 })],
+      candidatesFor(['deep-rest-peptide', 1]),
+      context,
+      peptides
+    );
+
+    expect(scores(result)).toEqual({ 'deep-rest-peptide': 1 });
+  });
+
+  test('exclude removes a candidate and is recorded', () => {
+    const result = evaluateRules(
+      [rule('rule:1', 'deep-rest-peptide', { type: 'exclude' })],
+      candidatesFor(['deep-rest-peptide', 1], ['vitality-peptide', 0.5]),
+      context,
+      peptides
+    );
+
+    expect(scores(result)).toEqual({ 'vitality-peptide': 0.5 });
+    expect(result.applied).toEqual([expect.objectContaining({ id: 'rule:1', type: 'exclude', peptide: 'deep-rest-peptide' })]);
+  });
+
+  test('boost adds its amount to the score and records the rule on the candidate', () => {
+    const result = evaluateRules(
+      [
+        rule('rule:1', 'deep-rest-peptide', { type: 'boost', amount: 0.5 }),
+        rule('rule:2', 'deep-rest-peptide', { type: 'boost', amount: -0.25 }),
+        rule('rule:3', 'vitality-peptide', { type: 'boost', amount: 1 })
+      ],
+      candidatesFor(['deep-rest-peptide', 1]),
+      context,
+      peptides
+    );
+
+    expect(scores(result)).toEqual({ 'deep-rest-peptide': 1.25 });
+    expect(result.candidates[0].appliedRules.map(({ id }) => id)).toEqual(['rule:1', 'rule:2']);
+  });
+
+  test('the first matching variant picks the description', () => {
+    const result = evaluateRules(
+      [
+        rule('rule:1', 'deep-rest-peptide', { type: 'variant', description: 'Under 30s copy' }, { priority: 1, conditions: { maxAge: 30 } }),
+        rule('rule:2', 'deep-rest-peptide', { type: 'variant', description: 'Later copy' }, { priority: 20 }),
+        rule('rule:3', 'deep-rest-peptide', { type: 'variant', description: 'Signed-in copy' }, { priority: 10, conditions: { authenticated: true } })
+      ],
+      candidatesFor(['deep-rest-peptide', 1]),
+      context,
+      peptides
+    );
+
+    expect(result.candidates[0].description).toBe('Signed-in copy');
+    expect(result.applied.map(({ id }) => id)).toEqual(['rule:3']);
+  });
+
+  test('later rules by priority override earlier ones', () => {
+    const excludeThenInclude = evaluateRules(
+      [
+        rule('rule:1', 'deep-rest-peptide', { type: 'include' }, { priority: 20 }),
+        rule('rule:2', 'deep-rest-peptide', { type: 'exclude' }, { priority: 10 })
+      ],
+      candidatesFor(['deep-rest-peptide', 1]),
+      context,
+      peptides
+    );
+    // Restored with its goal-matched score rather than the include default
+    expect(scores(excludeThenInclude)).toEqual({ 'deep-rest-peptide': 1 });
+
+    const includeThenExclude = evaluateRules(
+      [
+        rule('rule:1', 'deep-rest-peptide', { type: 'include' }, { priority: 10 }),
+        rule('rule:2', 'deep-rest-peptide', { type: 'exclude' }, { priority: 20 })
+      ],
+      candidatesFor(['deep-rest-peptide', 1]),
+      context,
+      peptides
+    );
+    expect(scores(includeThenExclude)).toEqual({});
+  });
+
+  test('a boost after an exclude has nothing to boost', () => {
+    const result = evaluateRules(
+      [
+        rule('rule:1', 'deep-rest-peptide', { type: 'exclude' }, { priority: 1 }),
+        rule('rule:2', 'deep-rest-peptide', { type: 'boost', amount: 1 }, { priority: 2 })
+      ],
+      candidatesFor(['deep-rest-peptide', 1]),
+      context,
+      peptides
+    );
+
+    expect(scores(result)).toEqual({});
+    expect(result.applied.map(({ id }) => id)).toEqual(['rule:1']);
+  });
+
+  test('skips unknown effect types', () => {
+    const result = evaluateRules(
+      [rule('rule:1', 'deep-rest-peptide', { type: 'double' })],
+      candidatesFor(['deep-rest-peptide', 1]),
+      context,
+      peptides
+    );
+
+    expect(scores(result)).toEqual({ 'deep-rest-peptide': 1 });
+    expect(result.applied).toEqual([]);
+  });
+
+  test('does not modify the candidates passed in', () => {
+    const candidates = candidatesFor(['deep-rest-peptide', 1]);
+    evaluateRules([rule('rule:1', 'deep-rest-peptide', { type: 'boost', amount: 1 })], candidates, context, peptides);
+
+    expect(candidates.get('deep-rest-peptide').score).toBe(1);
+  });
+});
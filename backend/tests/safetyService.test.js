@@ -0,0 +1,34 @@
+const interactionService = require('../src/services/interactionService');
+const safetyService = require('../src/services/safetyService');
+
+describe('safetyService.evaluate', () => {
+  beforeAll(() => interactionService.initialize());
+
+  const codes = warnings => warnings.map(({ code }) => code);
+
+  test('raises age and goal warnings without blocking', () => {
+    const warnings = safetyService.evaluate({ age: 19, goals: ['recovery'] });
+
+    expect(codes(warnings)).toEqual(['AGE_UNDER_21', 'RECOVERY_UNDER_25']);
+    expect(safetyService.isBlocked(warnings)).toBe(false);
+  });
+
+  test('blocks when a condition rules out every peptide, listing it first', () => {
+    const warnings = safetyService.evaluate({ age: 19, goals: ['sleep'], conditions: ['Breastfeeding'] });
+
+    expect(codes(warnings)).toEqual(['CONTRAINDICATED', 'AGE_UNDER_21']);
+    expect(warnings[0]).toMatchObject({ severity: 'block', message: expect.stringContaining('Breastfeeding') });
+    expect(safetyService.isBlocked(warnings)).toBe(true);
+  });
+
+  test('does not block for conditions that only rule out some peptides', () => {
+    const warnings = safetyService.evaluate({ age: 40, goals: ['sleep'], conditions: ['cancer'], medications: ['sedative'] });
+
+    expect(warnings).toEqual([]);
+    expect(safetyService.isBlocked(warnings)).toBe(false);
+  });
+
+  test('does not block for conditions that only flag every peptide', () => {
+    expect(safetyService.evaluate({ age: 40, goals: ['sleep'], conditions: ['kidney disease'] })).toEqual([]);
+  });
+});
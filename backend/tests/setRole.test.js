@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const database = require('../src/config/database');
+const userService = require('../src/services/userService');
+
+const script = path.join(__dirname, '../scripts/setRole.js');
+const databasePath = path.join(os.tmpdir(), `set-role-test-${process.pid}.db`);
+
+// Run the script as `npm run set-role` would, against the test database
+const setRole = (...args) => {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [script, ...args], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, DATABASE_PATH: databasePath },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  return { status, stdout: stdout.trim(), stderr: stderr.trim() };
+};
+
+describe('scripts/setRole.js', () => {
+  beforeAll(async () => {
+    process.env.DATABASE_PATH = databasePath;
+    await database.initialize();
+    await userService.createUser({ email: 'promote@example.com', password: 'Passw0rd!' });
+    await database.close();
+  });
+
+  afterAll(() => {
+    process.env.DATABASE_PATH = ':memory:';
+    fs.rmSync(databasePath, { force: true });
+  });
+
+  test('gives an existing account the role', () => {
+    const result = setRole('promote@example.com', 'admin');
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toMatch(/^promote@example\.com \(id \d+\) is now admin$/m);
+  });
+
+  test('exits with 1 for an unknown email', () => {
+    const result = setRole('nobody@example.com', 'admin');
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('User not found');
+  });
+
+  test('exits with 1 for an invalid role', () => {
+    const result = setRole('promote@example.com', 'owner');
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('Role must be one of: user, admin');
+  });
+
+  test('exits with 1 and prints usage without both arguments', () => {
+    const result = setRole('promote@example.com');
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('Usage: npm run set-role -- <email> <user|admin>');
+  });
+});
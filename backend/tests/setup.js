@@ -0,0 +1,9 @@
+// Each test file gets its own in-memory database and quiet logs
+process.env.DATABASE_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+// Suites make more auth requests than the production limit allows
+process.env.AUTH_RATE_LIMIT_MAX = '1000';
+// Route suites log analytics; keep them out of data/analytics.json
+process.env.ANALYTICS_FILE = require('path').join(require('os').tmpdir(), `analytics-test-${process.pid}.json`);
+
+require('../src/utils/logger').logger.silent = true;
@@ -0,0 +1,202 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const interactionService = require('../src/services/interactionService');
+const authRouter = require('../src/routes/auth');
+const suggestionsRouter = require('../src/routes/suggestions');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/auth', authRouter);
+app.use('/v1/suggestions', suggestionsRouter);
+app.use(globalErrorHandler);
+
+const suggest = (body, token) => {
+  const req = request(app).post('/v1/suggestions');
+  return (token ? req.set('Authorization', `Bearer ${token}`) : req).send(body);
+};
+
+describe('POST /v1/suggestions', () => {
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+    await interactionService.initialize();
+  });
+
+  afterAll(() => database.close());
+
+  describe('with several goals', () => {
+    test('returns one ranked list without duplicates, noting the goals each peptide covers', async () => {
+      const { body } = await suggest({ age: 40, healthGoals: ['sleep', 'recovery'] });
+
+      const slugs = body.suggestions.map(suggestion => suggestion.slug);
+      expect(new Set(slugs).size).toBe(slugs.length);
+      expect(body.suggestions.flatMap(suggestion => suggestion.goals)).toEqual(expect.arrayContaining(['sleep', 'recovery']));
+      body.suggestions.forEach(suggestion => expect(['sleep', 'recovery']).toEqual(expect.arrayContaining(suggestion.goals)));
+
+      const scores = body.suggestions.map(suggestion => suggestion.score);
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+      expect(body.meta.goals).toEqual([{ goal: 'sleep', weight: 1 }, { goal: 'recovery', weight: 0.5 }]);
+    });
+
+    test('ranks by the weights given', async () => {
+      const sleepFirst = await suggest({ age: 40, healthGoals: ['sleep', 'recovery'] });
+      const recoveryWeighted = await suggest({ age: 40, healthGoals: ['sleep', { goal: 'recovery', weight: 3 }] });
+
+      expect(sleepFirst.body.suggestions[0].goals).toContain('sleep');
+      expect(recoveryWeighted.body.suggestions[0].goals).toContain('recovery');
+      expect(recoveryWeighted.body.meta.goals).toEqual([{ goal: 'sleep', weight: 1 }, { goal: 'recovery', weight: 3 }]);
+    });
+
+    test('lists a peptide serving two requested goals once, under both', async () => {
+      const { version } = await catalogService.getCatalog();
+      const shared = (await catalogService.getVersion(version)).peptides
+        .find(peptide => peptide.goals.length > 1);
+      const [first, second] = shared.goals.map(claim => claim.goal);
+
+      const { body } = await suggest({ age: 40, healthGoals: [first, second] });
+      const matches = body.suggestions.filter(suggestion => suggestion.slug === shared.slug);
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0].goals).toEqual(expect.arrayContaining([first, second]));
+    });
+
+    test('saves the full goal set on the history entry', async () => {
+      const { body: { data: login } } = await request(app)
+        .post('/v1/auth/register')
+        .send({ email: 'goals@example.com', password: 'Passw0rd!', firstName: 'Gia', lastName: 'Le' });
+
+      await suggest({ age: 40, healthGoals: ['sleep', { goal: 'recovery', weight: 2 }] }, login.token);
+      const history = await request(app).get('/v1/auth/suggestions').set('Authorization', `Bearer ${login.token}`);
+
+      expect(history.body.data.suggestions[0]).toMatchObject({
+        healthGoal: 'sleep',
+        healthGoals: [{ goal: 'sleep', weight: 1 }, { goal: 'recovery', weight: 2 }]
+      });
+    });
+
+    test.each([
+      [{ healthGoal: 'sleep', healthGoals: ['sleep'] }, { healthGoal: ['Provide either healthGoal or healthGoals, not both'] }],
+      [{}, { healthGoal: ['Health goal is required'] }],
+      [{ healthGoals: [] }, { healthGoals: ['At least one health goal is required'] }],
+      [{ healthGoals: ['sleep', { goal: 'sleep', weight: 2 }] }, { 'healthGoals.1': ['Each health goal can only be listed once'] }],
+      [{ healthGoals: ['sleep', { goal: 'recovery', weight: 0 }] }, { 'healthGoals.1.weight': ['Goal weight must be greater than 0'] }],
+      [{ healthGoals: [{ goal: 'recovery', weight: 11 }] }, { 'healthGoals.0.weight': ['Goal weight must be 10 or less'] }],
+      [{ healthGoals: [{ weight: 2 }] }, { 'healthGoals.0.goal': ['Health goal is required'] }],
+      [{ healthGoals: [5] }, { 'healthGoals.0': ['Each health goal must be a goal key or an object with a goal and weight'] }]
+    ])('rejects %j', async (goals, fields) => {
+      const response = await suggest({ age: 40, ...goals });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatchObject({ code: 'VALIDATION_ERROR', fields });
+    });
+
+    test('reports unknown goals by position', async () => {
+      const response = await suggest({ age: 40, healthGoals: ['sleep', 'flying', { goal: 'telepathy' }] });
+
+      expect(Object.keys(response.body.error.fields)).toEqual(['healthGoals.1', 'healthGoals.2.goal']);
+      expect(response.body.error.fields['healthGoals.1'][0]).toMatch(/^Health goal must be one of: .*sleep/);
+    });
+
+    test('rejects more goals than the catalog offers', async () => {
+      const { goals } = await catalogService.getCatalog();
+      const keys = goals.map(goal => goal.key);
+      const response = await suggest({ age: 40, healthGoals: [...keys, keys[0]] });
+
+      expect(response.body.error.fields.healthGoals).toEqual([`No more than ${keys.length} health goals can be requested`]);
+    });
+  });
+
+  describe('reasons', () => {
+    let token;
+
+    beforeAll(async () => {
+      const { body: { data } } = await request(app)
+        .post('/v1/auth/register')
+        .send({ email: 'reasons@example.com', password: 'Passw0rd!', firstName: 'Rui', lastName: 'Sato' });
+      token = data.token;
+    });
+
+    const reasonsOf = (suggestions, slug) => suggestions.find(suggestion => suggestion.slug === slug).reasons;
+
+    test('name the requested goal each suggestion matched, with its rank and weight', async () => {
+      const { body } = await suggest({ age: 40, healthGoals: ['sleep', { goal: 'recovery', weight: 2 }] });
+
+      body.suggestions.forEach(suggestion => {
+        const goalReasons = suggestion.reasons.filter(reason => reason.type === 'goal');
+        expect(goalReasons.map(reason => reason.goal)).toEqual(suggestion.goals);
+        goalReasons.forEach(reason => expect(reason).toEqual({
+          type: 'goal',
+          goal: reason.goal,
+          rank: expect.any(Number),
+          weight: reason.goal === 'sleep' ? 1 : 2
+        }));
+      });
+    });
+
+    test('include the age bracket of a rule that applied only for the requester\'s age', async () => {
+      const older = await suggest({ age: 40, healthGoal: 'recovery' });
+      const younger = await suggest({ age: 25, healthGoal: 'recovery' });
+
+      const bracket = older.body.suggestions
+        .flatMap(suggestion => suggestion.reasons)
+        .find(reason => reason.type === 'age_bracket');
+      expect(bracket).toMatchObject({ age: 40, ruleId: expect.anything() });
+      expect(bracket.minAge ?? 0).toBeLessThanOrEqual(40);
+      expect(bracket.maxAge ?? Infinity).toBeGreaterThanOrEqual(40);
+
+      const youngerBrackets = younger.body.suggestions
+        .flatMap(suggestion => suggestion.reasons)
+        .filter(reason => reason.type === 'age_bracket');
+      youngerBrackets.forEach(reason => {
+        expect(reason.age).toBe(25);
+        expect(reason.minAge ?? 0).toBeLessThanOrEqual(25);
+      });
+    });
+
+    test('name the profile field and the rule behind a boost', async () => {
+      const rule = await catalogService.createRule({
+        name: 'Signed-in sleep support',
+        peptide: 'circadian-balance-formula',
+        effect: 'boost',
+        amount: 5,
+        conditions: { goals: ['sleep'], authenticated: true, profile: { role: 'user' } }
+      });
+      await catalogService.publish({ notes: 'reasons test' });
+
+      const signedIn = await suggest({ age: 40, healthGoal: 'sleep' }, token);
+      const anonymous = await suggest({ age: 40, healthGoal: 'sleep' });
+
+      expect(reasonsOf(signedIn.body.suggestions, 'circadian-balance-formula')).toEqual(expect.arrayContaining([
+        { type: 'profile', field: 'role', value: 'user', ruleId: `rule:${rule.id}` },
+        { type: 'rule', effect: 'boost', ruleId: `rule:${rule.id}`, name: 'Signed-in sleep support' }
+      ]));
+      expect(reasonsOf(anonymous.body.suggestions, 'circadian-balance-formula').map(reason => reason.type))
+        .toEqual(['goal']);
+    });
+
+    test('count earlier suggestions of the same peptide and carry its ratings', async () => {
+      const first = await suggest({ age: 40, healthGoal: 'sleep' }, token);
+      const [{ id: historyId }] = (await request(app)
+        .get('/v1/auth/suggestions')
+        .set('Authorization', `Bearer ${token}`)).body.data.suggestions;
+      const [{ slug }] = first.body.suggestions;
+
+      await request(app)
+        .post(`/v1/suggestions/${historyId}/feedback`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ feedback: [{ slug, rating: 4, tried: true }] });
+
+      const { body } = await suggest({ age: 40, healthGoal: 'sleep' }, token);
+
+      expect(reasonsOf(body.suggestions, slug)).toEqual(expect.arrayContaining([
+        { type: 'history', timesSuggested: expect.any(Number), lastSuggestedAt: expect.any(String) },
+        { type: 'feedback', averageRating: 4, ratings: 1 }
+      ]));
+      expect(reasonsOf(body.suggestions, slug).find(reason => reason.type === 'history').timesSuggested)
+        .toBeGreaterThanOrEqual(2);
+    });
+  });
+});
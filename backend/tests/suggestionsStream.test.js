@@ -0,0 +1,98 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const catalogService = require('../src/services/catalogService');
+const interactionService = require('../src/services/interactionService');
+const suggestionsService = require('../src/services/suggestionsService');
+const suggestionsRouter = require('../src/routes/suggestions');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/suggestions', suggestionsRouter);
+app.use(globalErrorHandler);
+
+// Collect the raw stream and split it into { event, data } in the order sent
+const stream = body => request(app)
+  .post('/v1/suggestions?stream=true')
+  .send(body)
+  .buffer(true)
+  .parse((res, callback) => {
+    let text = '';
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => callback(null, text));
+  })
+  .then(response => ({
+    response,
+    events: response.body
+      .split('\n\n')
+      .filter(block => block.startsWith('event:'))
+      .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+      })
+  }));
+
+describe('POST /v1/suggestions?stream=true', () => {
+  beforeAll(async () => {
+    await database.initialize();
+    await catalogService.initialize();
+    await interactionService.initialize();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => database.close());
+
+  test('sends progress, then each suggestion, then done with the final ranking', async () => {
+    const { response, events } = await stream({ age: 40, healthGoal: 'sleep' });
+
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+
+    const names = events.map(({ event, data }) => (event === 'progress' ? `progress:${data.stage}` : event));
+    const suggestionCount = names.filter(name => name === 'suggestion').length;
+    expect(suggestionCount).toBeGreaterThan(0);
+    expect(names).toEqual([
+      'progress:started',
+      'progress:generating',
+      ...Array(suggestionCount).fill('suggestion'),
+      'progress:screening',
+      'progress:personalizing',
+      'done'
+    ]);
+
+    const streamed = events.filter(({ event }) => event === 'suggestion');
+    expect(streamed.map(({ data }) => data.index)).toEqual([...Array(suggestionCount).keys()]);
+
+    const done = events[events.length - 1].data;
+    expect(done).toMatchObject({ success: true, meta: expect.objectContaining({ blocked: false }) });
+    expect(done.suggestions.map(({ slug }) => slug)).toEqual(streamed.map(({ data }) => data.suggestion.slug));
+  });
+
+  test('does not stream suggestions that screening would exclude', async () => {
+    const { events } = await stream({ age: 40, healthGoals: ['recovery', 'sleep'], conditions: ['cancer'] });
+
+    const done = events[events.length - 1].data;
+    const streamedSlugs = events.filter(({ event }) => event === 'suggestion').map(({ data }) => data.suggestion.slug);
+
+    expect(done.excluded.length).toBeGreaterThan(0);
+    done.excluded.forEach(({ slug }) => expect(streamedSlugs).not.toContain(slug));
+  });
+
+  test('ends with an error event when generation fails', async () => {
+    jest.spyOn(suggestionsService, 'generateSuggestions').mockRejectedValue(new Error('Provider exploded'));
+
+    const { response, events } = await stream({ age: 40, healthGoal: 'sleep' });
+
+    expect(response.status).toBe(200);
+    expect(events.map(({ event }) => event)).toEqual(['progress', 'progress', 'error']);
+    expect(events[2].data).toMatchObject({ success: false, error: { code: 'GENERATION_ERROR' } });
+  });
+
+  test('answers validation errors with plain JSON before streaming', async () => {
+    const response = await request(app).post('/v1/suggestions?stream=true').send({ age: 10, healthGoal: 'sleep' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+});
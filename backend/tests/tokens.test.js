@@ -0,0 +1,142 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const database = require('../src/config/database');
+const AuthMiddleware = require('../src/middleware/auth');
+const authRouter = require('../src/routes/auth');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/v1/auth', authRouter);
+app.post('/v1/optional', AuthMiddleware.optionalAuth, (req, res) => res.json({ user: req.user }));
+app.use(globalErrorHandler);
+
+const refresh = refreshToken => request(app).post('/v1/auth/refresh').send({ refreshToken });
+
+describe('refresh tokens', () => {
+  let login;
+
+  beforeAll(async () => {
+    await database.initialize();
+
+    const response = await request(app)
+      .post('/v1/auth/register')
+      .send({ email: 'tokens@example.com', password: 'Passw0rd!', firstName: 'Tao', lastName: 'Kim' });
+    login = response.body.data;
+  });
+
+  afterAll(() => database.close());
+
+  const logIn = async () => (await request(app)
+    .post('/v1/auth/login')
+    .send({ email: 'tokens@example.com', password: 'Passw0rd!' })).body.data;
+
+  test('refresh returns a new access token and refresh token', async () => {
+    const response = await refresh(login.refreshToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ user: { email: 'tokens@example.com' }, token: expect.any(String) });
+    expect(response.body.data.refreshToken).not.toBe(login.refreshToken);
+    expect(AuthMiddleware.verifyTokenDirect(response.body.data.token)).toMatchObject({ email: 'tokens@example.com' });
+  });
+
+  test('an exchanged token is rejected and revokes its family, live descendant included', async () => {
+    const first = await logIn();
+    const second = (await refresh(first.refreshToken)).body.data;
+
+    const reused = await refresh(first.refreshToken);
+    expect(reused.status).toBe(401);
+    expect(reused.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+
+    const descendant = await refresh(second.refreshToken);
+    expect(descendant.status).toBe(401);
+    expect(descendant.body.error.code).toBe('REFRESH_TOKEN_REVOKED');
+  });
+
+  test('reuse leaves other logins alone', async () => {
+    const other = await logIn();
+    const first = await logIn();
+    await refresh(first.refreshToken);
+    await refresh(first.refreshToken);
+
+    expect((await refresh(other.refreshToken)).status).toBe(200);
+  });
+
+  test('logout revokes the family', async () => {
+    const first = await logIn();
+    const second = (await refresh(first.refreshToken)).body.data;
+
+    const logout = await request(app).post('/v1/auth/logout').send({ refreshToken: second.refreshToken });
+    expect(logout.status).toBe(200);
+
+    const response = await refresh(second.refreshToken);
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('REFRESH_TOKEN_REVOKED');
+  });
+
+  test('unknown tokens are rejected', async () => {
+    const response = await refresh('not-a-token');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('REFRESH_TOKEN_INVALID');
+  });
+});
+
+describe('AuthMiddleware.optionalAuth', () => {
+  const send = token => request(app)
+    .post('/v1/optional')
+    .set(token ? { Authorization: `Bearer ${token}` } : {});
+
+  test('treats a request without a token as anonymous', async () => {
+    const response = await send();
+
+    expect(response.status).toBe(200);
+    expect(response.body.user).toBeNull();
+  });
+
+  test('accepts a valid token', async () => {
+    const response = await send(AuthMiddleware.generateToken({ id: 1, email: 'a@example.com' }));
+
+    expect(response.body.user).toMatchObject({ id: 1, email: 'a@example.com' });
+  });
+
+  test('answers an expired token with TOKEN_EXPIRED so the client refreshes it', async () => {
+    const expired = jwt.sign({ id: 1 }, process.env.JWT_SECRET, { expiresIn: -10 });
+    const response = await send(expired);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('TOKEN_EXPIRED');
+  });
+
+  test('rejects a malformed token rather than ignoring it', async () => {
+    const response = await send('garbage');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('TOKEN_MALFORMED');
+  });
+});
+
+describe('auth rate limit', () => {
+  test('covers refresh and logout like login', async () => {
+    let limited;
+    jest.isolateModules(() => {
+      process.env.AUTH_RATE_LIMIT_MAX = '2';
+      require('../src/utils/logger').logger.silent = true;
+      limited = express();
+      limited.use(express.json());
+      limited.use('/v1/auth', require('../src/routes/auth'));
+      // Errors from the fresh modules are only recognised by their own handler
+      limited.use(require('../src/middleware/errorHandler').globalErrorHandler);
+      process.env.AUTH_RATE_LIMIT_MAX = '1000';
+    });
+
+    // Empty bodies fail validation, which runs after the limiter
+    expect((await request(limited).post('/v1/auth/refresh').send({})).status).toBe(400);
+    expect((await request(limited).post('/v1/auth/logout').send({})).status).toBe(400);
+
+    const response = await request(limited).post('/v1/auth/refresh').send({});
+    expect(response.status).toBe(429);
+    expect(response.body.error.code).toBe('TOO_MANY_ATTEMPTS');
+  });
+});
@@ -0,0 +1,28 @@
+const database = require('../src/config/database');
+const userService = require('../src/services/userService');
+
+describe('userService.setRole', () => {
+  beforeAll(async () => {
+    await database.initialize();
+    await userService.createUser({ email: 'staff@example.com', password: 'Passw0rd!' });
+  });
+
+  afterAll(() => database.close());
+
+  test('registers every account as a user', async () => {
+    expect((await userService.getUserByEmail('staff@example.com')).role).toBe('user');
+  });
+
+  test('promotes and demotes an existing account', async () => {
+    await expect(userService.setRole('staff@example.com', 'admin')).resolves.toMatchObject({ role: 'admin' });
+    expect((await userService.getUserByEmail('staff@example.com')).role).toBe('admin');
+
+    await userService.setRole('staff@example.com', 'user');
+    expect((await userService.getUserByEmail('staff@example.com')).role).toBe('user');
+  });
+
+  test('rejects unknown roles and accounts', async () => {
+    await expect(userService.setRole('staff@example.com', 'owner')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    await expect(userService.setRole('nobody@example.com', 'admin')).rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { BookOpen, ExternalLink } from 'lucide-react';
+
+export const GRADE_LABELS = {
+  A: 'High',
+  B: 'Moderate',
+  C: 'Low',
+  D: 'Very low'
+};
+
+const GRADE_STYLES = {
+  A: 'bg-green-50 text-green-700 border-green-200',
+  B: 'bg-blue-50 text-blue-700 border-blue-200',
+  C: 'bg-amber-50 text-amber-700 border-amber-200',
+  D: 'bg-gray-50 text-gray-600 border-gray-200'
+};
+
+// No studies cited yet, which is not the same as weak (D) evidence
+const UNGRADED_STYLE = 'bg-white text-gray-500 border-dashed border-gray-300';
+
+const STUDY_TYPE_LABELS = {
+  meta_analysis: 'Meta-analysis',
+  systematic_review: 'Systematic review',
+  rct: 'Randomized controlled trial',
+  cohort: 'Cohort study',
+  case_control: 'Case-control study',
+  cross_sectional: 'Cross-sectional study',
+  case_report: 'Case report',
+  animal: 'Animal study',
+  in_vitro: 'In vitro study',
+  expert_opinion: 'Expert opinion'
+};
+
+// A DOI link is preferred over the publisher URL
+const referenceLink = ({ doi, url }) => (doi ? `https://doi.org/${doi}` : url);
+
+export const ReferenceList = ({ references }) => (
+  <ul className="space-y-2">
+    {references.map((reference, index) => (
+      <li key={index} className="text-sm text-gray-600">
+        <a
+          href={referenceLink(reference)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="inline-flex items-start text-blue-600 hover:text-blue-800"
+        >
+          {reference.title}
+          <ExternalLink className="w-3 h-3 ml-1 mt-1 flex-shrink-0" />
+        </a>
+        <span className="block text-xs text-gray-500">
+          {[STUDY_TYPE_LABELS[reference.studyType] || reference.studyType, reference.year].filter(Boolean).join(' · ')}
+        </span>
+      </li>
+    ))}
+  </ul>
+);
+
+// Evidence grade for a suggestion, with its references on request
+const EvidenceBadge = ({ evidence }) => {
+  const [open, setOpen] = useState(false);
+
+  if (!evidence) {
+    return null;
+  }
+
+  const references = evidence.claims.flatMap(claim => claim.references);
+
+  return (
+    <div className="mt-3">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        disabled={references.length === 0}
+        title={references.length === 0 ? 'No studies cited yet' : undefined}
+        className={`inline-flex items-center px-2 py-0.5 rounded border text-xs font-medium ${GRADE_STYLES[evidence.grade] || UNGRADED_STYLE}`}
+      >
+        <BookOpen className="w-3.5 h-3.5 mr-1" />
+        {evidence.grade ? `Evidence ${evidence.grade}: ${GRADE_LABELS[evidence.grade]}` : 'Not graded'}
+        {references.length > 0 && ` · ${references.length} source${references.length === 1 ? '' : 's'}`}
+      </button>
+      {open && references.length > 0 && (
+        <div className="mt-2 pl-3 border-l-2 border-gray-100">
+          <ReferenceList references={references} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EvidenceBadge;
@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, CheckCircle, HeartPulse, Pill, Plus, RefreshCw, X } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Editable list of conditions or medications
+const TermList = ({ title, icon: Icon, items, options, unrecognized, onAdd, onRemove, placeholder, listId }) => {
+  const [draft, setDraft] = useState('');
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const name = draft.trim();
+    if (name && !items.some(item => item.toLowerCase() === name.toLowerCase())) {
+      onAdd(name);
+    }
+    setDraft('');
+  };
+
+  return (
+    <div>
+      <h3 className="flex items-center text-lg font-semibold text-gray-800 mb-3">
+        <Icon className="w-5 h-5 mr-2 text-blue-600" />
+        {title}
+      </h3>
+
+      <form onSubmit={handleAdd} className="flex gap-2 mb-3">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          list={listId}
+          placeholder={placeholder}
+          maxLength={100}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+        />
+        <datalist id={listId}>
+          {options.map(option => (
+            <option key={option.key} value={option.label} />
+          ))}
+        </datalist>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          aria-label={`Add ${title.toLowerCase()}`}
+        >
+          <Plus className="w-5 h-5" />
+        </button>
+      </form>
+
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-500">Nothing recorded.</p>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {items.map(item => (
+            <span
+              key={item}
+              className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${
+                unrecognized.includes(item) ? 'bg-gray-100 text-gray-600' : 'bg-blue-50 text-blue-700'
+              }`}
+              title={unrecognized.includes(item) ? 'Not in our interaction dataset, so it cannot be screened' : undefined}
+            >
+              {item}
+              <button
+                type="button"
+                onClick={() => onRemove(item)}
+                className="ml-2 hover:text-red-600"
+                aria-label={`Remove ${item}`}
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const HealthProfile = () => {
+  const { getHealthProfile, updateHealthProfile } = useAuth();
+  const [conditions, setConditions] = useState([]);
+  const [medications, setMedications] = useState([]);
+  const [known, setKnown] = useState({ conditions: [], medications: [] });
+  const [unrecognized, setUnrecognized] = useState({ conditions: [], medications: [] });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+
+  const applyProfile = (healthProfile) => {
+    setConditions(healthProfile.conditions);
+    setMedications(healthProfile.medications);
+    setKnown(healthProfile.known);
+    setUnrecognized(healthProfile.unrecognized);
+  };
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      const result = await getHealthProfile();
+      if (result.success) {
+        applyProfile(result.healthProfile);
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    };
+
+    fetchProfile();
+  }, [getHealthProfile]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setSuccess(false);
+
+    const result = await updateHealthProfile({ conditions, medications });
+    if (result.success) {
+      applyProfile(result.healthProfile);
+      setSuccess(true);
+    } else {
+      setError(result.error);
+    }
+    setSaving(false);
+  };
+
+  const edit = (setter) => ({
+    onAdd: (name) => {
+      setter(prev => [...prev, name]);
+      setSuccess(false);
+    },
+    onRemove: (name) => {
+      setter(prev => prev.filter(item => item !== name));
+      setSuccess(false);
+    }
+  });
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Health Profile</h2>
+        <p className="text-gray-600">
+          Record your conditions and medications. Suggestions that interact with them are removed or flagged.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6 space-y-8">
+        <TermList
+          title="Conditions"
+          icon={HeartPulse}
+          items={conditions}
+          options={known.conditions}
+          unrecognized={unrecognized.conditions}
+          placeholder="e.g. Diabetes"
+          listId="known-conditions"
+          {...edit(setConditions)}
+        />
+
+        <TermList
+          title="Medications"
+          icon={Pill}
+          items={medications}
+          options={known.medications}
+          unrecognized={unrecognized.medications}
+          placeholder="e.g. Warfarin"
+          listId="known-medications"
+          {...edit(setMedications)}
+        />
+
+        {(unrecognized.conditions.length > 0 || unrecognized.medications.length > 0) && (
+          <p className="text-sm text-gray-500">
+            Grey entries are not in our interaction dataset and can't be screened. Please discuss them with your healthcare provider.
+          </p>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start">
+            <AlertCircle className="w-5 h-5 text-red-600 mr-3 mt-0.5 flex-shrink-0" />
+            <p className="text-red-700">{error}</p>
+          </div>
+        )}
+
+        {success && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 flex items-start">
+            <CheckCircle className="w-5 h-5 text-green-600 mr-3 mt-0.5 flex-shrink-0" />
+            <p className="text-green-700">Health profile saved.</p>
+          </div>
+        )}
+
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center"
+        >
+          {saving ? (
+            <>
+              <RefreshCw className="w-5 h-5 mr-2 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            'Save Health Profile'
+          )}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HealthProfile;
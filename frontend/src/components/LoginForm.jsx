@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { Eye, EyeOff, Mail, Lock, UserPlus, LogIn } from 'lucide-react';
-import { useAuth } from '../contexts/AuthContext';
+import { useAuth, mapFieldErrors } from '../contexts/AuthContext';
 
 const LoginForm = ({ onSuccess }) => {
   const [isLogin, setIsLogin] = useState(true);
@@ -105,6 +105,13 @@ const LoginForm = ({ onSuccess }) => {
         if (onSuccess) {
           onSuccess(result.user);
         }
+      } else if (result.fields) {
+        // Show the server's validation messages on their inputs
+        const { errors: fieldErrors, unmatched } = mapFieldErrors(result.fields, Object.keys(formData));
+        setErrors(fieldErrors);
+        if (unmatched.length === 0) {
+          clearError();
+        }
       }
     } catch (error) {
       console.error('Authentication error:', error);
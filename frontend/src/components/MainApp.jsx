@@ -2,12 +2,19 @@ import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import LoginForm from './LoginForm';
 import PeptideSuggestionsApp from './PeptideSuggestionsApp';
+import HealthProfile from './HealthProfile';
+import ProtocolSchedule from './ProtocolSchedule';
+import SuggestionFeedback from './SuggestionFeedback';
+import PeptideCatalog from './PeptideCatalog';
+import PeptideDetail from './PeptideDetail';
+import EvidenceBadge from './EvidenceBadge';
 import LoadingSpinner from './LoadingSpinner';
-import { User, LogOut, History, Settings } from 'lucide-react';
+import { User, LogOut, History, Settings, HeartPulse, Download, BookOpen } from 'lucide-react';
 
 const MainApp = () => {
   const { user, loading, logout, isAuthenticated } = useAuth();
-  const [currentView, setCurrentView] = useState('suggestions'); // 'suggestions', 'profile', 'history'
+  const [currentView, setCurrentView] = useState('suggestions'); // 'suggestions', 'profile', 'history', 'catalog', 'peptide'
+  const [selectedPeptide, setSelectedPeptide] = useState(null);
   const [showUserMenu, setShowUserMenu] = useState(false);
 
   
@@ -27,6 +34,14 @@ const MainApp = () => {
     setShowUserMenu(false);
   };
 
+  // Show a peptide's detail page from the catalog or a suggestion card
+  const openPeptide = (slug) => {
+    setSelectedPeptide(slug);
+    setCurrentView('peptide');
+  };
+
+  const isCatalogView = currentView === 'catalog' || currentView === 'peptide';
+
   // Navigation header for authenticated users
   const NavigationHeader = () => (
     <header className="bg-white shadow-sm border-b border-gray-200">
@@ -65,6 +80,28 @@ const MainApp = () => {
               <History className="w-4 h-4 inline mr-1" />
               History
             </button>
+            <button
+              onClick={() => setCurrentView('catalog')}
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                isCatalogView
+                  ? 'bg-blue-100 text-blue-700'
+                  : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <BookOpen className="w-4 h-4 inline mr-1" />
+              Catalog
+            </button>
+            <button
+              onClick={() => setCurrentView('profile')}
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                currentView === 'profile'
+                  ? 'bg-blue-100 text-blue-700'
+                  : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <HeartPulse className="w-4 h-4 inline mr-1" />
+              Health Profile
+            </button>
            
           </nav>
 
@@ -139,6 +176,28 @@ const MainApp = () => {
             <History className="w-5 h-5 mb-1" />
             History
           </button>
+          <button
+            onClick={() => setCurrentView('catalog')}
+            className={`flex flex-col items-center px-3 py-2 text-xs font-medium transition-colors ${
+              isCatalogView
+                ? 'text-blue-600'
+                : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <BookOpen className="w-5 h-5 mb-1" />
+            Catalog
+          </button>
+          <button
+            onClick={() => setCurrentView('profile')}
+            className={`flex flex-col items-center px-3 py-2 text-xs font-medium transition-colors ${
+              currentView === 'profile'
+                ? 'text-blue-600'
+                : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <HeartPulse className="w-5 h-5 mb-1" />
+            Health
+          </button>
        
         </div>
       </div>
@@ -149,11 +208,17 @@ const MainApp = () => {
   const renderCurrentView = () => {
     switch (currentView) {
       case 'suggestions':
-        return <PeptideSuggestionsApp />;
+        return <PeptideSuggestionsApp onViewPeptide={openPeptide} />;
       case 'history':
-        return <SuggestionHistory />;
+        return <SuggestionHistory onViewPeptide={openPeptide} />;
+      case 'profile':
+        return <HealthProfile />;
+      case 'catalog':
+        return <PeptideCatalog onSelect={openPeptide} />;
+      case 'peptide':
+        return <PeptideDetail slug={selectedPeptide} onBack={() => setCurrentView('catalog')} />;
       default:
-        return <PeptideSuggestionsApp />;
+        return <PeptideSuggestionsApp onViewPeptide={openPeptide} />;
     }
   };
 
@@ -178,9 +243,11 @@ const MainApp = () => {
 };
 
 // Simple Suggestion History Component
-const SuggestionHistory = () => {
-  const { getSuggestionHistory } = useAuth();
+const SuggestionHistory = ({ onViewPeptide }) => {
+  const { getSuggestionHistory, getGoals, downloadPdf } = useAuth();
   const [history, setHistory] = useState([]);
+  const [goalLabels, setGoalLabels] = useState({});
+  const [downloadError, setDownloadError] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -203,6 +270,25 @@ const SuggestionHistory = () => {
     fetchHistory();
   }, [getSuggestionHistory]);
 
+  // Registry labels for goal keys; retired goals fall back to a formatted key
+  React.useEffect(() => {
+    const fetchGoals = async () => {
+      const result = await getGoals();
+      if (result.success) {
+        const labels = {};
+        result.goals.forEach(goal => {
+          labels[goal.value] = goal.label;
+          goal.subGoals.forEach(subGoal => {
+            labels[subGoal.value] = subGoal.label;
+          });
+        });
+        setGoalLabels(labels);
+      }
+    };
+
+    fetchGoals();
+  }, [getGoals]);
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-12">
@@ -238,25 +324,79 @@ const SuggestionHistory = () => {
         <p className="text-gray-600">View your previous peptide recommendations and track your health journey.</p>
       </div>
 
+      {downloadError && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-red-600">{downloadError}</p>
+        </div>
+      )}
+
       <div className="space-y-4">
         {history.map((item, index) => (
           <div key={item.id || index} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
             <div className="flex justify-between items-start mb-4">
               <div>
                 <h3 className="text-lg font-medium text-gray-900">
-                  {item.healthGoal.charAt(0).toUpperCase() + item.healthGoal.slice(1).replace('_', ' ')} Goal
+                  {(item.healthGoals || [{ goal: item.healthGoal }])
+                    .map(({ goal }) => goalLabels[goal] || goal.charAt(0).toUpperCase() + goal.slice(1).replace('_', ' '))
+                    .join(' + ')} {item.healthGoals?.length > 1 ? 'Goals' : 'Goal'}
                 </h3>
                 <p className="text-sm text-gray-500">
                   Age: {item.age} • {new Date(item.createdAt).toLocaleDateString()}
                 </p>
               </div>
+              {item.id && (
+                <button
+                  type="button"
+                  onClick={async () => {
+                    const result = await downloadPdf(`/auth/suggestions/${item.id}/pdf`);
+                    setDownloadError(result.success ? '' : result.error);
+                  }}
+                  className="flex items-center px-3 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  <Download className="w-4 h-4 mr-1" />
+                  Download PDF
+                </button>
+              )}
             </div>
+
+            {item.warnings?.length > 0 && (
+              <ul className="mb-4 space-y-1">
+                {item.warnings.map(warning => (
+                  <li
+                    key={warning.code}
+                    className={`text-sm ${warning.severity === 'info' ? 'text-blue-700' : warning.severity === 'block' ? 'text-red-700' : 'text-amber-700'}`}
+                  >
+                    {warning.message}
+                  </li>
+                ))}
+              </ul>
+            )}
             
             <div className="space-y-3">
               {item.suggestions.map((suggestion, suggestionIndex) => (
                 <div key={suggestionIndex} className="border-l-4 border-blue-200 pl-4">
-                  <h4 className="font-medium text-gray-900">{suggestion.name}</h4>
+                  <h4 className="font-medium text-gray-900">
+                    {suggestion.slug ? (
+                      <button
+                        type="button"
+                        onClick={() => onViewPeptide(suggestion.slug)}
+                        className="hover:text-blue-700 hover:underline"
+                      >
+                        {suggestion.name}
+                      </button>
+                    ) : suggestion.name}
+                  </h4>
                   <p className="text-sm text-gray-600">{suggestion.description}</p>
+                  <ProtocolSchedule protocol={suggestion.protocol} />
+                  <EvidenceBadge evidence={suggestion.evidence} />
+                  {/* Entries saved before suggestions carried slugs can't be rated */}
+                  {suggestion.slug && (
+                    <SuggestionFeedback
+                      historyId={item.id}
+                      slug={suggestion.slug}
+                      feedback={item.feedback?.find(entry => entry.slug === suggestion.slug)}
+                    />
+                  )}
                 </div>
               ))}
             </div>
@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { BookOpen, Search } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Wait for typing to pause before searching
+const SEARCH_DELAY_MS = 250;
+
+const PeptideCatalog = ({ onSelect }) => {
+  const { searchPeptides, getGoals } = useAuth();
+  const [query, setQuery] = useState('');
+  const [goal, setGoal] = useState('');
+  const [goalOptions, setGoalOptions] = useState([]);
+  const [peptides, setPeptides] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchGoals = async () => {
+      const result = await getGoals();
+      if (result.success) {
+        setGoalOptions(result.goals);
+      }
+    };
+
+    fetchGoals();
+  }, [getGoals]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      const result = await searchPeptides({ q: query.trim(), goal });
+      if (cancelled) {
+        return;
+      }
+
+      if (result.success) {
+        setPeptides(result.peptides);
+        setError('');
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, goal, searchPeptides]);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Peptide Catalog</h2>
+        <p className="text-gray-600">Browse every peptide we suggest, or search by name, alias or what it helps with.</p>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search peptides"
+            aria-label="Search peptides"
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <select
+          value={goal}
+          onChange={(e) => setGoal(e.target.value)}
+          aria-label="Filter by goal"
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="">All goals</option>
+          {goalOptions.flatMap(option => [
+            <option key={option.value} value={option.value}>
+              {option.icon} {option.label}
+            </option>,
+            ...option.subGoals.map(subGoal => (
+              <option key={subGoal.value} value={subGoal.value}>
+                {'\u00a0\u00a0\u00a0\u00a0'}{subGoal.icon} {subGoal.label}
+              </option>
+            ))
+          ])}
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-red-600">{error}</p>
+        </div>
+      )}
+
+      {loading && peptides.length === 0 ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : peptides.length === 0 ? (
+        <div className="text-center py-12">
+          <BookOpen className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No Peptides Found</h3>
+          <p className="text-gray-500">Try a different search or goal.</p>
+        </div>
+      ) : (
+        <div className={`grid gap-4 sm:grid-cols-2 ${loading ? 'opacity-60' : ''}`}>
+          {peptides.map(peptide => (
+            <button
+              key={peptide.slug}
+              type="button"
+              onClick={() => onSelect(peptide.slug)}
+              className="text-left bg-white rounded-lg shadow-sm border border-gray-200 p-5 hover:border-blue-300 transition-colors"
+            >
+              <h3 className="text-lg font-semibold text-gray-800">{peptide.name}</h3>
+              {peptide.aliases.length > 0 && (
+                <p className="text-xs text-gray-500 mb-1">Also known as {peptide.aliases.join(', ')}</p>
+              )}
+              <p className="text-sm text-gray-600 mt-1">{peptide.description}</p>
+              {peptide.goals.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {peptide.goals.map(entry => (
+                    <span key={entry.key} className="px-2 py-0.5 rounded-full bg-blue-50 text-blue-700 text-xs font-medium">
+                      {entry.icon && <span className="mr-1">{entry.icon}</span>}
+                      {entry.label}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PeptideCatalog;
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import ProtocolSchedule from './ProtocolSchedule';
+import EvidenceBadge from './EvidenceBadge';
+
+const PeptideDetail = ({ slug, onBack }) => {
+  const { getPeptide } = useAuth();
+  const [peptide, setPeptide] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchPeptide = async () => {
+      setLoading(true);
+      const result = await getPeptide(slug);
+      if (result.success) {
+        setPeptide(result.peptide);
+        setError('');
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    };
+
+    fetchPeptide();
+  }, [slug, getPeptide]);
+
+  return (
+    <div className="space-y-6">
+      <button
+        type="button"
+        onClick={onBack}
+        className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+      >
+        <ArrowLeft className="w-4 h-4 mr-1" />
+        Back to catalog
+      </button>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-6">
+          <p className="text-red-600">{error}</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <h2 className="text-2xl font-bold text-gray-900">{peptide.name}</h2>
+          {peptide.aliases.length > 0 && (
+            <p className="text-sm text-gray-500 mt-1">Also known as {peptide.aliases.join(', ')}</p>
+          )}
+          <p className="text-gray-700 leading-relaxed mt-4">{peptide.description}</p>
+
+          {peptide.goals.length > 0 && (
+            <div className="mt-6">
+              <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-2">Helps with</h3>
+              <ul className="space-y-3">
+                {peptide.goals.map(goal => (
+                  <li key={goal.key}>
+                    <span className="px-3 py-1 rounded-full bg-blue-50 text-blue-700 text-sm font-medium">
+                      {goal.icon && <span className="mr-1">{goal.icon}</span>}
+                      {goal.label}
+                    </span>
+                    <EvidenceBadge
+                      evidence={{ grade: goal.evidenceGrade, claims: [{ goal: goal.key, references: goal.references }] }}
+                    />
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {peptide.protocol && (
+            <div className="mt-6">
+              <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide">Typical protocol</h3>
+              <ProtocolSchedule protocol={peptide.protocol} />
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500 mt-6">
+            This information is educational and not medical advice. Consult a healthcare provider before starting any peptide.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PeptideDetail;
@@ -1,76 +1,288 @@
-import React, { useState } from 'react';
-import { RefreshCw, AlertCircle, CheckCircle, Calendar, User } from 'lucide-react';
-import { useAuth } from '../contexts/AuthContext';
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, AlertCircle, AlertTriangle, CheckCircle, Calendar, Download, History, Info, ShieldAlert, User } from 'lucide-react';
+import { useAuth, mapFieldErrors } from '../contexts/AuthContext';
+import ProtocolSchedule from './ProtocolSchedule';
+import EvidenceBadge, { GRADE_LABELS } from './EvidenceBadge';
 
-const PeptideSuggestionsApp = () => {
-  const { user, makeAuthenticatedRequest } = useAuth();
+const PeptideSuggestionsApp = ({ onViewPeptide }) => {
+  const { user, streamSuggestions, downloadPdf, getGoals } = useAuth();
   const [formData, setFormData] = useState({
     age: '',
-    healthGoal: ''
+    healthGoal: '',
+    additionalGoals: [],
+    minEvidenceGrade: ''
   });
   const [suggestions, setSuggestions] = useState([]);
+  const [resultMeta, setResultMeta] = useState(null);
+  const [warnings, setWarnings] = useState([]);
+  const [excluded, setExcluded] = useState([]);
+  const [personalization, setPersonalization] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [progressStage, setProgressStage] = useState(null);
+  const [downloading, setDownloading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [success, setSuccess] = useState(false);
 
-  const healthGoalOptions = [
-    { value: '', label: 'Select your health goal' },
-    { value: 'energy', label: 'Energy & Vitality' },
-    { value: 'sleep', label: 'Better Sleep' },
-    { value: 'focus', label: 'Mental Focus' },
-    { value: 'recovery', label: 'Recovery & Repair' },
-    { value: 'weight_management', label: 'Weight Management' },
-    { value: 'immune_support', label: 'Immune Support' }
-  ];
+  const [goalOptions, setGoalOptions] = useState([]);
+
+  // Load the goal options from the API's goal registry
+  useEffect(() => {
+    const fetchGoals = async () => {
+      const result = await getGoals();
+      if (result.success) {
+        setGoalOptions(result.goals);
+      } else {
+        setError(result.error);
+      }
+    };
+
+    fetchGoals();
+  }, [getGoals]);
+
+  // Top-level goals each followed by their sub-goals
+  const flatGoals = goalOptions.flatMap(goal => [
+    goal,
+    ...goal.subGoals.map(subGoal => ({ ...subGoal, parent: goal.value }))
+  ]);
+
+  const goalLabel = (value) =>
+    flatGoals.find(option => option.value === value)?.label || value;
+
+  const selectedGoal = flatGoals.find(option => option.value === formData.healthGoal);
+
+  // Download the current results as a PDF
+  const handleDownloadPdf = async () => {
+    setDownloading(true);
+    const result = await downloadPdf('/suggestions/export/pdf', {
+      method: 'POST',
+      body: JSON.stringify({
+        age: resultMeta.age,
+        goals: resultMeta.goals.map(({ goal }) => goal),
+        suggestions: suggestions.map(({ name, description, dosage, timing, interactions }) => ({
+          name,
+          description,
+          dosage,
+          timing,
+          interactions: interactions?.map(({ term, reason }) => ({ term, reason }))
+        })),
+        warnings: warnings.map(({ severity, message }) => ({ severity, message })),
+        generatedAt: resultMeta.generatedAt
+      })
+    });
+    if (!result.success) {
+      setError(result.error);
+    }
+    setDownloading(false);
+  };
+
+  // What the server is doing while suggestions stream in
+  const progressLabels = {
+    started: 'Starting...',
+    history: 'Reviewing your history...',
+    generating: 'Finding peptides for your goals...',
+    fallback: 'Switching to our standard recommendations...',
+    screening: 'Checking for interactions...',
+    personalizing: 'Personalizing your results...',
+    saving: 'Saving to your history...'
+  };
+
+  // Banner styling per safety warning severity
+  const warningStyles = {
+    block: { icon: ShieldAlert, container: 'bg-red-50 border-red-300', text: 'text-red-800', iconColor: 'text-red-600' },
+    caution: { icon: AlertTriangle, container: 'bg-amber-50 border-amber-300', text: 'text-amber-800', iconColor: 'text-amber-600' },
+    info: { icon: Info, container: 'bg-blue-50 border-blue-200', text: 'text-blue-800', iconColor: 'text-blue-600' }
+  };
+
+  // Turn a machine-readable suggestion reason into a short sentence
+  const describeReason = (reason) => {
+    switch (reason.type) {
+      case 'goal':
+        return `Ranked #${reason.rank} for ${goalLabel(reason.goal)}`;
+      case 'age_bracket':
+        if (reason.minAge !== null && reason.maxAge !== null) {
+          return `Tailored for ages ${reason.minAge}-${reason.maxAge}`;
+        }
+        return reason.minAge !== null
+          ? `Tailored for ages ${reason.minAge}+`
+          : `Tailored for ages up to ${reason.maxAge}`;
+      case 'profile':
+        return `Matches your profile (${reason.field.replace(/_/g, ' ')})`;
+      case 'rule':
+        return reason.effect === 'boost' ? `Prioritized: ${reason.name}` : `Recommended: ${reason.name}`;
+      case 'feedback':
+        return `Rated ${reason.averageRating}/5 by ${reason.ratings} user${reason.ratings === 1 ? '' : 's'}`;
+      case 'history':
+        return `Suggested to you ${reason.timesSuggested} time${reason.timesSuggested === 1 ? '' : 's'} recently`;
+      case 'model':
+        return reason.rationale || 'Ranked by our recommendation model';
+      case 'progress':
+        if (reason.phase === 'complete') {
+          return `You've completed this ${reason.durationWeeks}-week protocol`;
+        }
+        return reason.phase === 'off'
+          ? `Week ${reason.week} of your protocol (off-cycle week)`
+          : `Week ${reason.week} of your protocol`;
+      case 'rotation':
+        return 'Moved down so you see something new';
+      case 'goal_change':
+        return `Serves ${goalLabel(reason.goal)}, new since your last visit`;
+      default:
+        return null;
+    }
+  };
+
+  // Plain-language lines for the personalization summary
+  const describeChanges = ({ goals, suggestions: changed, rotated, rotatedOut = [], progressing }) => {
+    const nameOf = (slug) => suggestions.find(suggestion => suggestion.slug === slug)?.name || slug;
+    const lines = [];
+
+    if (goals.added.length > 0) {
+      lines.push(`New goals: ${goals.added.map(goalLabel).join(', ')}`);
+    }
+    if (goals.removed.length > 0) {
+      lines.push(`No longer included: ${goals.removed.map(goalLabel).join(', ')}`);
+    }
+    if (changed.added.length > 0) {
+      lines.push(`New recommendations: ${changed.added.map(nameOf).join(', ')}`);
+    }
+    if (changed.removed.length > 0) {
+      lines.push(`${changed.removed.length} earlier recommendation${changed.removed.length === 1 ? '' : 's'} dropped`);
+    }
+    progressing
+      .filter(({ phase }) => phase !== 'complete')
+      .forEach(({ slug, week, phase }) => {
+        lines.push(`${nameOf(slug)}: week ${week}${phase === 'off' ? ', an off-cycle week' : ''}`);
+      });
+    progressing
+      .filter(({ phase }) => phase === 'complete')
+      .forEach(({ slug }) => lines.push(`${nameOf(slug)}: protocol complete`));
+    if (rotated.length > 0) {
+      lines.push(`Moved down to rotate: ${rotated.map(({ slug }) => nameOf(slug)).join(', ')}`);
+    }
+    if (rotatedOut.length > 0) {
+      lines.push(`Left out this time after your last few visits: ${rotatedOut.map(({ slug, name }) => name || slug).join(', ')}`);
+    }
+    if (lines.length === 0) {
+      lines.push('Same goals and recommendations as last time');
+    }
+
+    return lines;
+  };
 
   // Handle input changes
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // The primary goal can't also be an additional goal
+      additionalGoals: name === 'healthGoal'
+        ? prev.additionalGoals.filter(goal => goal !== value)
+        : prev.additionalGoals
     }));
 
     // Clear messages when user starts typing
     if (error) setError('');
+    if (fieldErrors[name]) setFieldErrors(prev => ({ ...prev, [name]: '' }));
+    if (success) setSuccess(false);
+  };
+
+  // Toggle an additional goal on or off
+  const toggleAdditionalGoal = (goal) => {
+    setFormData(prev => ({
+      ...prev,
+      additionalGoals: prev.additionalGoals.includes(goal)
+        ? prev.additionalGoals.filter(selected => selected !== goal)
+        : [...prev.additionalGoals, goal]
+    }));
+
+    if (error) setError('');
+    if (fieldErrors.healthGoal) setFieldErrors(prev => ({ ...prev, healthGoal: '' }));
     if (success) setSuccess(false);
   };
 
+  // Show the server's validation messages on their inputs; every goal field maps to the goal picker
+  const showFieldErrors = (fields) => {
+    const { errors, unmatched } = mapFieldErrors(
+      fields,
+      ['age', 'healthGoal', 'minEvidenceGrade'],
+      field => (field.startsWith('healthGoal') ? 'healthGoal' : field.split('.')[0])
+    );
+    setFieldErrors(errors);
+    setError(unmatched.join(' '));
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
     
     // Basic validation
-    if (!formData.age || !formData.healthGoal) {
-      setError('Please fill in all fields');
-      return;
+    const clientErrors = {};
+    if (!formData.age) {
+      clientErrors.age = 'Age is required';
+    } else if (formData.age < 18 || formData.age > 120) {
+      clientErrors.age = 'Age must be between 18 and 120';
+    }
+    if (!formData.healthGoal) {
+      clientErrors.healthGoal = 'Health goal is required';
     }
 
-    if (formData.age < 18 || formData.age > 120) {
-      setError('Age must be between 18 and 120');
+    setFieldErrors(clientErrors);
+    if (Object.keys(clientErrors).length > 0) {
+      setError('');
       return;
     }
 
     setLoading(true);
     setError('');
     setSuccess(false);
+    setSuggestions([]);
+    setResultMeta(null);
+    setWarnings([]);
+    setExcluded([]);
+    setPersonalization(null);
 
     try {
-      const response = await makeAuthenticatedRequest('/suggestions', {
-        method: 'POST',
-        body: JSON.stringify({
-          age: parseInt(formData.age),
-          healthGoal: formData.healthGoal
-        })
+      // Suggestions are shown one by one as the server streams them, then replaced by the final ranking
+      const result = await streamSuggestions({
+        age: parseInt(formData.age),
+        healthGoals: [formData.healthGoal, ...formData.additionalGoals],
+        ...(formData.minEvidenceGrade && { minEvidenceGrade: formData.minEvidenceGrade })
+      }, (event, data) => {
+        switch (event) {
+          case 'progress':
+            setProgressStage(data.stage);
+            // The fallback provider's suggestions replace the ones streamed so far
+            if (data.stage === 'fallback') {
+              setSuggestions([]);
+            }
+            break;
+          case 'suggestion':
+            setSuggestions(prev => [...prev, data.suggestion]);
+            break;
+          case 'done':
+            setSuggestions(data.suggestions);
+            setResultMeta({ ...data.meta, age: parseInt(formData.age) });
+            setWarnings(data.warnings || []);
+            setExcluded(data.excluded || []);
+            setPersonalization(data.personalization || null);
+            setSuccess(true);
+            break;
+          case 'error':
+            setError(data.error?.message || 'Failed to get suggestions. Please try again.');
+            break;
+          default:
+            break;
+        }
       });
 
-      const data = await response.json();
-
-      if (response.ok && data.success) {
-        setSuggestions(data.suggestions);
-        setSuccess(true);
-      } else {
-        setError(data.error?.message || 'Failed to get suggestions. Please try again.');
+      if (!result.success) {
+        if (result.fields) {
+          showFieldErrors(result.fields);
+        } else {
+          setError(result.error);
+        }
       }
     } catch (err) {
       if (err.name === 'TypeError' && err.message.includes('fetch')) {
@@ -80,13 +292,19 @@ const PeptideSuggestionsApp = () => {
       }
     } finally {
       setLoading(false);
+      setProgressStage(null);
     }
   };
 
   const resetForm = () => {
-    setFormData({ age: '', healthGoal: '' });
+    setFormData({ age: '', healthGoal: '', additionalGoals: [], minEvidenceGrade: '' });
     setSuggestions([]);
+    setResultMeta(null);
+    setWarnings([]);
+    setExcluded([]);
+    setPersonalization(null);
     setError('');
+    setFieldErrors({});
     setSuccess(false);
   };
 
@@ -136,9 +354,14 @@ const PeptideSuggestionsApp = () => {
                 placeholder="Enter your age"
                 min="18"
                 max="120"
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors"
+                className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+                  fieldErrors.age ? 'border-red-500' : 'border-gray-300'
+                }`}
                 disabled={loading}
               />
+              {fieldErrors.age && (
+                <p className="mt-1 text-sm text-red-600">{fieldErrors.age}</p>
+              )}
             </div>
 
            
@@ -151,15 +374,78 @@ const PeptideSuggestionsApp = () => {
                 name="healthGoal"
                 value={formData.healthGoal}
                 onChange={handleInputChange}
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors"
-                disabled={loading}
+                className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+                  fieldErrors.healthGoal ? 'border-red-500' : 'border-gray-300'
+                }`}
+                disabled={loading || goalOptions.length === 0}
               >
-                {healthGoalOptions.map(option => (
+                <option value="">Select your health goal</option>
+                {flatGoals.map(option => (
                   <option key={option.value} value={option.value}>
-                    {option.label}
+                    {option.parent ? '\u00a0\u00a0\u00a0\u00a0' : ''}{option.icon} {option.label}
                   </option>
                 ))}
               </select>
+              {fieldErrors.healthGoal && (
+                <p className="mt-1 text-sm text-red-600">{fieldErrors.healthGoal}</p>
+              )}
+              {selectedGoal?.description && (
+                <p className="mt-2 text-sm text-gray-500">{selectedGoal.description}</p>
+              )}
+            </div>
+
+            {formData.healthGoal && (
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-2">
+                  Additional Goals <span className="text-gray-400 font-normal">(optional)</span>
+                </span>
+                <div className="flex flex-wrap gap-2">
+                  {flatGoals
+                    .filter(option => option.value !== formData.healthGoal)
+                    .map(option => {
+                      const selected = formData.additionalGoals.includes(option.value);
+                      return (
+                        <button
+                          key={option.value}
+                          type="button"
+                          onClick={() => toggleAdditionalGoal(option.value)}
+                          disabled={loading}
+                          className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                            selected
+                              ? 'bg-blue-600 border-blue-600 text-white'
+                              : 'border-gray-300 text-gray-600 hover:border-blue-400'
+                          }`}
+                        >
+                          {option.icon} {option.label}
+                        </button>
+                      );
+                    })}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="minEvidenceGrade" className="block text-sm font-medium text-gray-700 mb-2">
+                Minimum Evidence
+              </label>
+              <select
+                id="minEvidenceGrade"
+                name="minEvidenceGrade"
+                value={formData.minEvidenceGrade}
+                onChange={handleInputChange}
+                className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
+                  fieldErrors.minEvidenceGrade ? 'border-red-500' : 'border-gray-300'
+                }`}
+                disabled={loading}
+              >
+                <option value="">Any evidence</option>
+                <option value="A">A: High only</option>
+                <option value="B">B: Moderate or better</option>
+                <option value="C">C: Low or better</option>
+              </select>
+              {fieldErrors.minEvidenceGrade && (
+                <p className="mt-1 text-sm text-red-600">{fieldErrors.minEvidenceGrade}</p>
+              )}
             </div>
 
         
@@ -192,7 +478,7 @@ const PeptideSuggestionsApp = () => {
                 {loading ? (
                   <>
                     <RefreshCw className="w-5 h-5 mr-2 animate-spin" />
-                    Generating...
+                    {progressLabels[progressStage] || 'Generating...'}
                   </>
                 ) : (
                   <>
@@ -201,7 +487,7 @@ const PeptideSuggestionsApp = () => {
                 )}
               </button>
 
-              {suggestions.length > 0 && (
+              {suggestions.length > 0 && !loading && (
                 <button
                   type="button"
                   onClick={resetForm}
@@ -214,6 +500,44 @@ const PeptideSuggestionsApp = () => {
           </div>
         </div>
 
+        {/* Safety Warnings */}
+        {warnings.length > 0 && (
+          <div className="space-y-3 mb-8" role="alert">
+            {warnings.map(warning => {
+              const style = warningStyles[warning.severity] || warningStyles.info;
+              const Icon = style.icon;
+              return (
+                <div key={warning.code} className={`border rounded-lg p-4 flex items-start ${style.container}`}>
+                  <Icon className={`w-5 h-5 mr-3 mt-0.5 flex-shrink-0 ${style.iconColor}`} />
+                  <p className={style.text}>{warning.message}</p>
+                </div>
+              );
+            })}
+            {resultMeta?.blocked && (
+              <p className="text-sm text-red-700">
+                Suggestions can't be shown for this request. Please consult a healthcare provider.
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Changes since the previous request */}
+        {personalization && suggestions.length > 0 && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-8">
+            <div className="flex items-center mb-2">
+              <History className="w-5 h-5 text-blue-600 mr-2" />
+              <h3 className="font-semibold text-blue-900">
+                Since your last visit on {new Date(personalization.previousRequestAt).toLocaleDateString()}
+              </h3>
+            </div>
+            <ul className="space-y-1 text-sm text-blue-800">
+              {describeChanges(personalization).map((text, index) => (
+                <li key={index}>{text}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Results Section */}
         {suggestions.length > 0 && (
           <div className="bg-white rounded-xl shadow-lg p-6">
@@ -221,12 +545,27 @@ const PeptideSuggestionsApp = () => {
               <h2 className="text-2xl font-bold text-gray-800">
                 Your Recommendations
               </h2>
-              {user && (
-                <div className="flex items-center text-sm text-gray-500">
-                  <Calendar className="w-4 h-4 mr-1" />
-                  Saved to your history
-                </div>
-              )}
+              <div className="flex items-center gap-4">
+                {user && (
+                  <div className="flex items-center text-sm text-gray-500">
+                    <Calendar className="w-4 h-4 mr-1" />
+                    Saved to your history
+                  </div>
+                )}
+                <button
+                  type="button"
+                  onClick={handleDownloadPdf}
+                  disabled={downloading || !resultMeta}
+                  className="flex items-center px-3 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+                >
+                  {downloading ? (
+                    <RefreshCw className="w-4 h-4 mr-1 animate-spin" />
+                  ) : (
+                    <Download className="w-4 h-4 mr-1" />
+                  )}
+                  Download PDF
+                </button>
+              </div>
             </div>
 
             <div className="space-y-4">
@@ -236,16 +575,97 @@ const PeptideSuggestionsApp = () => {
                   className="border border-gray-200 rounded-lg p-4 hover:border-blue-300 transition-colors"
                 >
                   <h3 className="text-lg font-semibold text-gray-800 mb-2">
-                    {suggestion.name}
+                    {suggestion.slug && onViewPeptide ? (
+                      <button
+                        type="button"
+                        onClick={() => onViewPeptide(suggestion.slug)}
+                        className="text-left hover:text-blue-700 hover:underline"
+                      >
+                        {suggestion.name}
+                      </button>
+                    ) : suggestion.name}
                   </h3>
                   <p className="text-gray-600 leading-relaxed">
                     {suggestion.description}
                   </p>
+                  <ProtocolSchedule
+                    protocol={suggestion.protocol}
+                    currentWeek={suggestion.progress?.phase === 'complete' ? undefined : suggestion.progress?.week}
+                  />
+                  {suggestion.goals?.length > 0 && resultMeta?.goals?.length > 1 && (
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {suggestion.goals.map(goal => (
+                        <span key={goal} className="px-2 py-0.5 rounded-full bg-blue-50 text-blue-700 text-xs font-medium">
+                          {goalLabel(goal)}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <EvidenceBadge evidence={suggestion.evidence} />
+                  {suggestion.interactions?.length > 0 && (
+                    <div className="mt-3 bg-amber-50 border border-amber-200 rounded-lg p-3">
+                      {suggestion.interactions.map((interaction, interactionIndex) => (
+                        <p key={interactionIndex} className="flex items-start text-sm text-amber-800">
+                          <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 text-amber-600 flex-shrink-0" />
+                          <span><span className="font-medium">{interaction.term}:</span> {interaction.reason}</span>
+                        </p>
+                      ))}
+                    </div>
+                  )}
+                  {suggestion.reasons?.length > 0 && (
+                    <div className="mt-3 pt-3 border-t border-gray-100">
+                      <p className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">
+                        Why this was suggested
+                      </p>
+                      <ul className="space-y-1">
+                        {suggestion.reasons.map(describeReason).filter(Boolean).map((text, reasonIndex) => (
+                          <li key={reasonIndex} className="flex items-center text-sm text-gray-600">
+                            <CheckCircle className="w-3.5 h-3.5 mr-2 text-green-500 flex-shrink-0" />
+                            {text}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
           </div>
         )}
+
+        {/* Suggestions hidden by the minimum evidence filter */}
+        {resultMeta?.lowEvidence?.length > 0 && (
+          <p className="mt-4 text-sm text-gray-600 text-center">
+            {resultMeta.lowEvidence.length} suggestion{resultMeta.lowEvidence.length === 1 ? ' was' : 's were'} hidden
+            because {resultMeta.lowEvidence.length === 1 ? 'its' : 'their'} evidence is below
+            grade {resultMeta.minEvidenceGrade} ({GRADE_LABELS[resultMeta.minEvidenceGrade]}).
+          </p>
+        )}
+
+        {/* Peptides removed by interaction screening */}
+        {excluded.length > 0 && (
+          <div className="bg-white rounded-xl shadow-lg p-6 mt-8">
+            <h2 className="flex items-center text-xl font-bold text-gray-800 mb-2">
+              <ShieldAlert className="w-5 h-5 mr-2 text-red-600" />
+              Excluded for Your Safety
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              These peptides match your goals but conflict with the conditions or medications in your health profile.
+            </p>
+            <ul className="space-y-3">
+              {excluded.map(item => (
+                <li key={item.slug} className="border-l-4 border-red-200 pl-4">
+                  <p className="font-medium text-gray-800">{item.name}</p>
+                  {item.reasons.map((reason, reasonIndex) => (
+                    <p key={reasonIndex} className="text-sm text-gray-600">
+                      <span className="font-medium">{reason.term}:</span> {reason.reason}
+                    </p>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
     </div>
   );
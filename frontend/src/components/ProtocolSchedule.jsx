@@ -0,0 +1,119 @@
+import React from 'react';
+import { Clock, Pill, Repeat } from 'lucide-react';
+
+const FREQUENCY_LABELS = {
+  daily: 'Once daily',
+  twice_daily: 'Twice daily',
+  every_other_day: 'Every other day',
+  three_times_weekly: '3× per week',
+  twice_weekly: '2× per week',
+  weekly: 'Once a week',
+  as_needed: 'As needed'
+};
+
+const TIME_OF_DAY_LABELS = {
+  morning: 'Morning',
+  midday: 'Midday',
+  afternoon: 'Afternoon',
+  evening: 'Evening',
+  bedtime: 'Bedtime',
+  pre_workout: 'Pre-workout',
+  post_workout: 'Post-workout',
+  with_meals: 'With meals'
+};
+
+// Longest plan drawn week by week; longer plans are summarized in text only
+const MAX_WEEKS_SHOWN = 26;
+
+const weeksLabel = (count) => `${count} week${count === 1 ? '' : 's'}`;
+
+// Whether a given week (0-based) falls in an "on" period of the cycle
+const isOnWeek = (week, { cycleOnWeeks, cycleOffWeeks }) => {
+  if (!cycleOnWeeks || !cycleOffWeeks) {
+    return true;
+  }
+  return week % (cycleOnWeeks + cycleOffWeeks) < cycleOnWeeks;
+};
+
+const ProtocolSchedule = ({ protocol, currentWeek }) => {
+  if (!protocol) {
+    return null;
+  }
+
+  const countable = ['capsule', 'tablet'].includes(protocol.unit) && protocol.amount !== 1;
+  const dose = `${protocol.amount} ${countable ? `${protocol.unit}s` : protocol.unit}`;
+  const totalWeeks = protocol.durationWeeks;
+
+  const cycleText = [
+    protocol.cycleOnWeeks && `${weeksLabel(protocol.cycleOnWeeks)} on`,
+    protocol.cycleOffWeeks && `${weeksLabel(protocol.cycleOffWeeks)} off`,
+    totalWeeks && `${weeksLabel(totalWeeks)} total`
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="mt-3 bg-gray-50 rounded-lg p-3 space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm">
+        <div className="flex items-start">
+          <Pill className="w-4 h-4 mr-2 mt-0.5 text-blue-600 flex-shrink-0" />
+          <div>
+            <p className="text-xs text-gray-500 uppercase tracking-wide">Dose</p>
+            <p className="font-medium text-gray-800">{dose}</p>
+          </div>
+        </div>
+        <div className="flex items-start">
+          <Repeat className="w-4 h-4 mr-2 mt-0.5 text-blue-600 flex-shrink-0" />
+          <div>
+            <p className="text-xs text-gray-500 uppercase tracking-wide">Frequency</p>
+            <p className="font-medium text-gray-800">
+              {FREQUENCY_LABELS[protocol.frequency] || protocol.frequency}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-start">
+          <Clock className="w-4 h-4 mr-2 mt-0.5 text-blue-600 flex-shrink-0" />
+          <div>
+            <p className="text-xs text-gray-500 uppercase tracking-wide">When</p>
+            <div className="flex flex-wrap gap-1 mt-0.5">
+              {protocol.timeOfDay.length > 0 ? protocol.timeOfDay.map(time => (
+                <span key={time} className="px-2 py-0.5 rounded-full bg-white border border-gray-200 text-xs text-gray-700">
+                  {TIME_OF_DAY_LABELS[time] || time}
+                </span>
+              )) : (
+                <span className="text-gray-800 font-medium">Any time</span>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {cycleText && (
+        <div>
+          <p className="text-xs text-gray-500 uppercase tracking-wide mb-1">Cycle</p>
+          {totalWeeks && totalWeeks <= MAX_WEEKS_SHOWN && (
+            <div className="flex gap-0.5 mb-1" aria-hidden="true">
+              {Array.from({ length: totalWeeks }, (_, week) => (
+                <div
+                  key={week}
+                  className={`h-2 flex-1 rounded-sm ${isOnWeek(week, protocol) ? 'bg-blue-500' : 'bg-gray-200'} ${
+                    week + 1 === currentWeek ? 'ring-2 ring-offset-1 ring-blue-300' : ''
+                  }`}
+                  title={`Week ${week + 1}: ${isOnWeek(week, protocol) ? 'on' : 'off'}${week + 1 === currentWeek ? ' (you are here)' : ''}`}
+                />
+              ))}
+            </div>
+          )}
+          <p className="text-sm text-gray-700">
+            {cycleText}
+            {currentWeek && ` · you're in week ${currentWeek}`}
+          </p>
+        </div>
+      )}
+
+      {protocol.notes && (
+        <p className="text-sm text-gray-600 italic">{protocol.notes}</p>
+      )}
+    </div>
+  );
+};
+
+export default ProtocolSchedule;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { CheckCircle, MessageSquare, Star } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Side effects are entered as a comma-separated list
+const parseSideEffects = (text) => text
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+const SuggestionFeedback = ({ historyId, slug, feedback }) => {
+  const { submitFeedback } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [rating, setRating] = useState(feedback?.rating || null);
+  const [tried, setTried] = useState(feedback?.tried || false);
+  const [sideEffects, setSideEffects] = useState((feedback?.sideEffects || []).join(', '));
+  const [comment, setComment] = useState(feedback?.comment || '');
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(!!feedback);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+
+    const result = await submitFeedback(historyId, [{
+      slug,
+      rating,
+      tried,
+      sideEffects: parseSideEffects(sideEffects),
+      comment
+    }]);
+
+    if (result.success) {
+      setSaved(true);
+      setOpen(false);
+    } else {
+      setError(result.error);
+    }
+    setSaving(false);
+  };
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="mt-2 flex items-center text-sm text-blue-600 hover:text-blue-800"
+      >
+        {saved ? (
+          <>
+            <CheckCircle className="w-4 h-4 mr-1 text-green-500" />
+            {rating ? `You rated this ${rating}/5` : 'Feedback saved'} · Edit
+          </>
+        ) : (
+          <>
+            <MessageSquare className="w-4 h-4 mr-1" />
+            Did this help?
+          </>
+        )}
+      </button>
+    );
+  }
+
+  return (
+    <div className="mt-3 bg-gray-50 rounded-lg p-3 space-y-3">
+      <div className="flex items-center gap-1" role="radiogroup" aria-label="Rating">
+        {[1, 2, 3, 4, 5].map(value => (
+          <button
+            key={value}
+            type="button"
+            role="radio"
+            aria-checked={rating === value}
+            aria-label={`${value} star${value === 1 ? '' : 's'}`}
+            onClick={() => setRating(rating === value ? null : value)}
+            className="p-0.5"
+          >
+            <Star
+              className={`w-5 h-5 ${rating && value <= rating ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'}`}
+            />
+          </button>
+        ))}
+      </div>
+
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={tried}
+          onChange={(e) => setTried(e.target.checked)}
+          className="mr-2 rounded border-gray-300"
+        />
+        I tried this
+      </label>
+
+      <input
+        type="text"
+        value={sideEffects}
+        onChange={(e) => setSideEffects(e.target.value)}
+        placeholder="Side effects, separated by commas"
+        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Anything else? (optional)"
+        rows={2}
+        maxLength={1000}
+        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save feedback'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          disabled={saving}
+          className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SuggestionFeedback;
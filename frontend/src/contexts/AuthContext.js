@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 
 const AuthContext = createContext();
 
@@ -10,13 +10,50 @@ export const useAuth = () => {
   return context;
 };
 
+// API version this client is built against; later versions may change response shapes
+const API_VERSION = 'v1';
+
+// Split a validation error's field -> messages map between a form's inputs.
+// inputFor names the input a server field belongs to ('healthGoals.1.goal' -> 'healthGoals' by default);
+// messages for fields the form doesn't show come back in `unmatched` for a banner.
+export const mapFieldErrors = (fields, inputs, inputFor = field => field.split('.')[0]) => {
+  const errors = {};
+  const unmatched = [];
+
+  Object.entries(fields || {}).forEach(([field, messages]) => {
+    const input = inputFor(field);
+    if (inputs.includes(input)) {
+      errors[input] = [errors[input], ...messages].filter(Boolean).join(' ');
+    } else {
+      unmatched.push(...messages);
+    }
+  });
+
+  return { errors, unmatched };
+};
+
+// Stable id for this browser, so anonymous visitors keep their experiment variants
+const getAnonymousId = () => {
+  let id = localStorage.getItem('anonymous_id');
+  if (!id) {
+    id = window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    localStorage.setItem('anonymous_id', id);
+  }
+  return id;
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
-  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+  // Latest access token for requests made from stale closures, and the refresh in flight:
+  // refresh tokens are single use, so concurrent requests must share one exchange
+  const tokenRef = useRef(null);
+  const refreshRef = useRef(null);
+
+  const API_BASE_URL = `${process.env.REACT_APP_API_URL || 'http://localhost:3001'}/${API_VERSION}`;
 
   // Initialize auth state from localStorage
   useEffect(() => {
@@ -26,21 +63,19 @@ export const AuthProvider = ({ children }) => {
         const storedUser = localStorage.getItem('auth_user');
 
         if (storedToken && storedUser) {
-          // Verify token is still valid
+          // Verify token is still valid, or trade the refresh token for a new one
           const isValid = await verifyToken(storedToken);
           if (isValid) {
+            tokenRef.current = storedToken;
             setToken(storedToken);
             setUser(JSON.parse(storedUser));
-          } else {
-            // Token invalid, clear storage
-            localStorage.removeItem('auth_token');
-            localStorage.removeItem('auth_user');
+          } else if (!await refreshSession()) {
+            clearSession();
           }
         }
       } catch (error) {
         console.error('Auth initialization error:', error);
-        localStorage.removeItem('auth_token');
-        localStorage.removeItem('auth_user');
+        clearSession();
       } finally {
         setLoading(false);
       }
@@ -71,6 +106,65 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Keep the user and tokens from a login, registration or refresh response
+  const saveSession = ({ user: userData, token: userToken, refreshToken }) => {
+    tokenRef.current = userToken;
+    setUser(userData);
+    setToken(userToken);
+
+    localStorage.setItem('auth_token', userToken);
+    localStorage.setItem('auth_user', JSON.stringify(userData));
+    localStorage.setItem('auth_refresh_token', refreshToken);
+  };
+
+  const clearSession = () => {
+    tokenRef.current = null;
+    setUser(null);
+    setToken(null);
+
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('auth_user');
+    localStorage.removeItem('auth_refresh_token');
+  };
+
+  // Exchange the stored refresh token for new tokens; resolves to the new access token, or null
+  // when the session can't be renewed (expired, revoked, or reused elsewhere) and has been cleared
+  const renewSession = async () => {
+    const refreshToken = localStorage.getItem('auth_refresh_token');
+    if (!refreshToken) {
+      return null;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        saveSession(data.data);
+        return data.data.token;
+      }
+
+      clearSession();
+      return null;
+    } catch (error) {
+      // Network trouble: keep the session and let the request fail as usual
+      return null;
+    }
+  };
+
+  const refreshSession = () => {
+    if (!refreshRef.current) {
+      refreshRef.current = renewSession().finally(() => {
+        refreshRef.current = null;
+      });
+    }
+    return refreshRef.current;
+  };
+
   // Login function
   const login = async (email, password) => {
     try {
@@ -88,20 +182,12 @@ export const AuthProvider = ({ children }) => {
       const data = await response.json();
 
       if (response.ok && data.success) {
-        const { user: userData, token: userToken } = data.data;
-        
-        setUser(userData);
-        setToken(userToken);
-        
-        // Store in localStorage
-        localStorage.setItem('auth_token', userToken);
-        localStorage.setItem('auth_user', JSON.stringify(userData));
-        
-        return { success: true, user: userData };
+        saveSession(data.data);
+        return { success: true, user: data.data.user };
       } else {
         const errorMessage = data.error?.message || 'Login failed';
         setError(errorMessage);
-        return { success: false, error: errorMessage };
+        return { success: false, error: errorMessage, fields: data.error?.fields };
       }
     } catch (error) {
       const errorMessage = 'Network error. Please check your connection.';
@@ -129,20 +215,12 @@ export const AuthProvider = ({ children }) => {
       const data = await response.json();
 
       if (response.ok && data.success) {
-        const { user: newUser, token: userToken } = data.data;
-        
-        setUser(newUser);
-        setToken(userToken);
-        
-        // Store in localStorage
-        localStorage.setItem('auth_token', userToken);
-        localStorage.setItem('auth_user', JSON.stringify(newUser));
-        
-        return { success: true, user: newUser };
+        saveSession(data.data);
+        return { success: true, user: data.data.user };
       } else {
         const errorMessage = data.error?.message || 'Registration failed';
         setError(errorMessage);
-        return { success: false, error: errorMessage };
+        return { success: false, error: errorMessage, fields: data.error?.fields };
       }
     } catch (error) {
       const errorMessage = 'Network error. Please check your connection.';
@@ -153,25 +231,25 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Logout function
+  // Logout function; revokes the refresh token so it can't be used again
   const logout = () => {
-    setUser(null);
-    setToken(null);
+    const refreshToken = localStorage.getItem('auth_refresh_token');
+    if (refreshToken) {
+      fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      }).catch(() => {});
+    }
+
+    clearSession();
     setError('');
-    localStorage.removeItem('auth_token');
-    localStorage.removeItem('auth_user');
   };
 
   // Get user suggestion history
   const getSuggestionHistory = async (limit = 10) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/auth/suggestions?limit=${limit}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const response = await makeAuthenticatedRequest(`/auth/suggestions?limit=${limit}`);
 
       const data = await response.json();
 
@@ -186,20 +264,220 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Make authenticated API request
-  const makeAuthenticatedRequest = async (url, options = {}) => {
-    const headers = {
-      'Content-Type': 'application/json',
-      ...options.headers
-    };
+  const getHealthProfile = async () => {
+    try {
+      const response = await makeAuthenticatedRequest('/auth/health-profile');
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        return { success: true, healthProfile: data.data };
+      } else {
+        return { success: false, error: data.error?.message || 'Failed to fetch health profile' };
+      }
+    } catch (error) {
+      return { success: false, error: 'Network error. Please check your connection.' };
+    }
+  };
+
+  const updateHealthProfile = async (healthProfile) => {
+    try {
+      const response = await makeAuthenticatedRequest('/auth/health-profile', {
+        method: 'PUT',
+        body: JSON.stringify(healthProfile)
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        return { success: true, healthProfile: data.data };
+      } else {
+        return { success: false, error: data.error?.message || 'Failed to update health profile' };
+      }
+    } catch (error) {
+      return { success: false, error: 'Network error. Please check your connection.' };
+    }
+  };
+
+  // Rate peptides from a saved suggestion
+  const submitFeedback = async (historyId, feedback) => {
+    try {
+      const response = await makeAuthenticatedRequest(`/suggestions/${historyId}/feedback`, {
+        method: 'POST',
+        body: JSON.stringify({ feedback })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        return { success: true, feedback: data.data.feedback };
+      } else {
+        return { success: false, error: data.error?.message || 'Failed to save feedback' };
+      }
+    } catch (error) {
+      return { success: false, error: 'Network error. Please check your connection.' };
+    }
+  };
+
+  // Load the goal registry: top-level goals, each with its sub-goals
+  const getGoals = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/suggestions/goals`);
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        return { success: true, goals: data.goals };
+      } else {
+        return { success: false, error: data.error?.message || 'Failed to load health goals' };
+      }
+    } catch (error) {
+      return { success: false, error: 'Network error. Please check your connection.' };
+    }
+  };
+
+  // Search the published peptide catalog by text and goal
+  const searchPeptides = async ({ q = '', goal = '' } = {}) => {
+    try {
+      const params = new URLSearchParams({ limit: '100' });
+      if (q) params.set('q', q);
+      if (goal) params.set('goal', goal);
+
+      const response = await fetch(`${API_BASE_URL}/peptides?${params}`);
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        return { success: true, peptides: data.data.peptides, total: data.data.total };
+      } else {
+        return { success: false, error: data.error?.message || 'Failed to search peptides' };
+      }
+    } catch (error) {
+      return { success: false, error: 'Network error. Please check your connection.' };
+    }
+  };
+
+  const getPeptide = async (slug) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/peptides/${encodeURIComponent(slug)}`);
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        return { success: true, peptide: data.data.peptide };
+      } else {
+        return { success: false, error: data.error?.message || 'Failed to load peptide' };
+      }
+    } catch (error) {
+      return { success: false, error: 'Network error. Please check your connection.' };
+    }
+  };
+
+  // Fetch a PDF from the API and save it through the browser
+  const downloadPdf = async (path, options = {}) => {
+    try {
+      const response = await makeAuthenticatedRequest(path, options);
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        return { success: false, error: data.error?.message || data.message || 'Failed to download PDF' };
+      }
+
+      const blob = await response.blob();
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1]
+        || 'peptide-suggestions.pdf';
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
 
-    if (token) {
-      headers.Authorization = `Bearer ${token}`;
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: 'Network error. Please check your connection.' };
     }
+  };
 
-    return fetch(`${API_BASE_URL}${url}`, {
+  // Send a request with the access token, if signed in. An expired access token is
+  // renewed with the refresh token and the request sent once more.
+  const makeAuthenticatedRequest = async (url, options = {}) => {
+    const send = (accessToken) => fetch(`${API_BASE_URL}${url}`, {
       ...options,
-      headers
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Anonymous-Id': getAnonymousId(),
+        ...options.headers,
+        ...(accessToken && { Authorization: `Bearer ${accessToken}` })
+      }
     });
+
+    const response = await send(tokenRef.current);
+    if (response.status !== 401 || !tokenRef.current) {
+      return response;
+    }
+
+    const data = await response.clone().json().catch(() => ({}));
+    if (data.error?.code !== 'TOKEN_EXPIRED') {
+      return response;
+    }
+
+    const renewedToken = await refreshSession();
+    return renewedToken ? send(renewedToken) : response;
+  };
+
+  // Request suggestions as Server-Sent Events, calling onEvent(event, data) for each
+  // progress, suggestion, done or error event as it arrives
+  const streamSuggestions = async (body, onEvent) => {
+    const response = await makeAuthenticatedRequest('/suggestions?stream=true', {
+      method: 'POST',
+      headers: { Accept: 'text/event-stream' },
+      body: JSON.stringify(body)
+    });
+
+    // Validation and rate limit errors are answered with plain JSON before streaming starts
+    if (!response.headers.get('Content-Type')?.startsWith('text/event-stream')) {
+      const data = await response.json().catch(() => ({}));
+      return {
+        success: false,
+        error: data.error?.message || 'Failed to get suggestions. Please try again.',
+        fields: data.error?.fields
+      };
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // Events are separated by a blank line; lines starting with ':' are keep-alive comments
+    const dispatch = (block) => {
+      let event = 'message';
+      let data = '';
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data += line.slice(5).trim();
+        }
+      });
+      if (data) {
+        onEvent(event, JSON.parse(data));
+      }
+    };
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach(dispatch);
+    }
+
+    return { success: true };
   };
 
   const value = {
@@ -212,7 +490,15 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     getSuggestionHistory,
+    getHealthProfile,
+    updateHealthProfile,
+    getGoals,
+    searchPeptides,
+    getPeptide,
+    submitFeedback,
+    downloadPdf,
     makeAuthenticatedRequest,
+    streamSuggestions,
     clearError: () => setError('')
   };
 
@@ -0,0 +1,39 @@
+import { mapFieldErrors } from './AuthContext';
+
+describe('mapFieldErrors', () => {
+  const inputs = ['email', 'password', 'firstName', 'lastName', 'confirmPassword'];
+
+  test('puts each field\'s messages on its input', () => {
+    const { errors, unmatched } = mapFieldErrors({
+      email: ['Please provide a valid email address'],
+      password: [
+        'Password must be at least 8 characters long',
+        'Password must contain at least one uppercase letter, one lowercase letter, and one number'
+      ]
+    }, inputs);
+
+    expect(errors).toEqual({
+      email: 'Please provide a valid email address',
+      password: 'Password must be at least 8 characters long Password must contain at least one uppercase letter, one lowercase letter, and one number'
+    });
+    expect(unmatched).toEqual([]);
+  });
+
+  test('nested fields land on their top-level input, others are left for a banner', () => {
+    const { errors, unmatched } = mapFieldErrors({
+      'healthGoals.0.goal': ['Health goal is required'],
+      'healthGoals.1.weight': ['Goal weight must be a number'],
+      extra: ['"extra" is not allowed']
+    }, ['age', 'healthGoals']);
+
+    expect(errors).toEqual({ healthGoals: 'Health goal is required Goal weight must be a number' });
+    expect(unmatched).toEqual(['"extra" is not allowed']);
+  });
+
+  test('accepts a custom field-to-input mapping and a missing map', () => {
+    const { errors } = mapFieldErrors({ healthGoal: ['Unknown goal'] }, ['goal'], () => 'goal');
+
+    expect(errors).toEqual({ goal: 'Unknown goal' });
+    expect(mapFieldErrors(undefined, inputs)).toEqual({ errors: {}, unmatched: [] });
+  });
+});